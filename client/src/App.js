@@ -4,8 +4,11 @@ import { Box, Container } from '@mui/material';
 
 // Layout Components
 import Layout from './components/Layout/Layout';
+import ProtectedRoute from './components/ProtectedRoute';
 
 // Page Components
+import Login from './pages/Login';
+import AcceptInvite from './pages/AcceptInvite';
 import Dashboard from './pages/Dashboard';
 import Upload from './pages/Upload';
 import Transcripts from './pages/Transcripts';
@@ -14,6 +17,12 @@ import TranscriptDetail from './pages/TranscriptDetail';
 import Analytics from './pages/Analytics';
 import CRM from './pages/CRM';
 import Documents from './pages/Documents';
+import Profile from './pages/Profile';
+import Users from './pages/Users';
+import AIUsage from './pages/AIUsage';
+import PromptTemplates from './pages/PromptTemplates';
+import SafetyReview from './pages/SafetyReview';
+import ComplianceReview from './pages/ComplianceReview';
 
 // Context
 import { AuthProvider } from './contexts/AuthContext';
@@ -22,23 +31,40 @@ function App() {
   return (
     <AuthProvider>
       <Box sx={{ minHeight: '100vh', backgroundColor: 'background.default' }}>
-        <Layout>
-          <Container maxWidth="xl" sx={{ py: 3 }}>
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-              <Route path="/upload" element={<Upload />} />
-              <Route path="/transcripts" element={<Transcripts />} />
-              <Route path="/transcripts/:id" element={<TranscriptDetail />} />
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="/accept-invite" element={<AcceptInvite />} />
+          <Route
+            path="/*"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <Container maxWidth="xl" sx={{ py: 3 }}>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      <Route path="/upload" element={<ProtectedRoute permission="canUpload"><Upload /></ProtectedRoute>} />
+                      <Route path="/transcripts" element={<Transcripts />} />
+                      <Route path="/transcripts/:id" element={<TranscriptDetail />} />
 
-              <Route path="/analytics" element={<Analytics />} />
-              <Route path="/crm" element={<CRM />} />
-              <Route path="/documents" element={<Documents />} />
-            </Routes>
-          </Container>
-        </Layout>
+                      <Route path="/analytics" element={<ProtectedRoute permission="canViewAnalytics"><Analytics /></ProtectedRoute>} />
+                      <Route path="/crm" element={<CRM />} />
+                      <Route path="/documents" element={<Documents />} />
+                      <Route path="/users" element={<ProtectedRoute permission="canManageUsers"><Users /></ProtectedRoute>} />
+                      <Route path="/usage" element={<ProtectedRoute roles={['admin']}><AIUsage /></ProtectedRoute>} />
+                      <Route path="/prompts" element={<ProtectedRoute roles={['admin', 'manager']}><PromptTemplates /></ProtectedRoute>} />
+                      <Route path="/safety" element={<ProtectedRoute permission="canReviewSafety"><SafetyReview /></ProtectedRoute>} />
+                      <Route path="/compliance" element={<ProtectedRoute permission="canReviewCompliance"><ComplianceReview /></ProtectedRoute>} />
+                      <Route path="/profile" element={<Profile />} />
+                    </Routes>
+                  </Container>
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+        </Routes>
       </Box>
     </AuthProvider>
   );
 }
 
-export default App; 
\ No newline at end of file
+export default App;
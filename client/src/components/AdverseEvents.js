@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  TextField,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import {
+  HealthAndSafety,
+  CheckCircle,
+  Block,
+  Undo,
+  PictureAsPdf,
+  DataObject,
+  Refresh,
+} from '@mui/icons-material';
+import { safetyAPI, waitForJob } from '../services/api';
+import { formatDateTimeIST } from '../utils/dateUtils';
+
+export const SAFETY_STATUS_LABELS = {
+  not_checked: 'Not screened',
+  clear: 'No adverse events',
+  flagged: 'Adverse events to review',
+  reviewed: 'Adverse events reviewed',
+  failed: 'Screening failed',
+};
+
+export const SAFETY_STATUS_COLORS = {
+  not_checked: 'default',
+  clear: 'success',
+  flagged: 'error',
+  reviewed: 'warning',
+  failed: 'error',
+};
+
+const REVIEW_COLORS = {
+  pending: 'warning',
+  confirmed: 'error',
+  dismissed: 'default',
+};
+
+const EVENT_TYPE_LABELS = {
+  'adverse-event': 'Adverse event',
+  'special-situation': 'Special situation',
+  'product-complaint': 'Product complaint',
+};
+
+// Save an axios blob response as a file
+const saveBlob = (data, fileName, type) => {
+  const url = window.URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Possible adverse events found in a transcript, with review and intake form export for the safety team
+const AdverseEvents = ({ transcript, canReview, speakerNames = {}, renderMomentLink, onUpdated }) => {
+  const [notes, setNotes] = useState({});
+  const [saving, setSaving] = useState(null);
+  const [rechecking, setRechecking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const safety = transcript.safety || {};
+  const events = transcript.adverseEvents || [];
+
+  const handleReview = async (event, reviewStatus) => {
+    setSaving(event._id);
+    setError('');
+    setMessage('');
+    try {
+      await safetyAPI.reviewEvent(transcript._id, event._id, {
+        reviewStatus,
+        reviewNotes: notes[event._id] ?? event.reviewNotes ?? '',
+      });
+      if (onUpdated) onUpdated();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    setError('');
+    try {
+      const response = await safetyAPI.getIntakeForm(transcript._id, { format });
+      saveBlob(response.data, `AE-${transcript._id}.${format}`, format === 'pdf' ? 'application/pdf' : 'application/json');
+    } catch (err) {
+      console.error('Error exporting adverse event intake form:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleRecheck = async () => {
+    setRechecking(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await safetyAPI.recheck(transcript._id);
+      setMessage('Screening the transcript for adverse events...');
+      await waitForJob(response.data.jobId);
+      setMessage('Adverse event screening finished.');
+      if (onUpdated) onUpdated();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRechecking(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <HealthAndSafety color={safety.flagged ? 'error' : 'primary'} />
+            <Typography variant="h6">Adverse Events</Typography>
+            <Chip
+              label={SAFETY_STATUS_LABELS[safety.status] || SAFETY_STATUS_LABELS.not_checked}
+              color={SAFETY_STATUS_COLORS[safety.status] || 'default'}
+              size="small"
+            />
+          </Box>
+          {canReview && (
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button size="small" startIcon={<Refresh />} onClick={handleRecheck} disabled={rechecking}>
+                Re-screen
+              </Button>
+              {safety.checkedAt && (
+                <>
+                  <Button size="small" variant="outlined" startIcon={<PictureAsPdf />} onClick={() => handleDownload('pdf')}>
+                    Intake form
+                  </Button>
+                  <Button size="small" variant="outlined" startIcon={<DataObject />} onClick={() => handleDownload('json')}>
+                    JSON
+                  </Button>
+                </>
+              )}
+            </Box>
+          )}
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+        {message && <Alert severity="info" sx={{ mb: 2 }} onClose={() => setMessage('')}>{message}</Alert>}
+
+        {safety.detectedAt && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            First detected {formatDateTimeIST(safety.detectedAt)} · report due by {formatDateTimeIST(safety.reportDueBy)}
+            {safety.reviewersNotified?.length > 0 && ` · notified ${safety.reviewersNotified.join(', ')}`}
+          </Typography>
+        )}
+
+        {events.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {safety.status === 'clear' ? 'No possible adverse events were found in this meeting.' : 'This transcript has not been screened yet.'}
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {events.map((event, index) => (
+              <React.Fragment key={event._id}>
+                {index > 0 && <Divider component="li" />}
+                <ListItem alignItems="flex-start" disableGutters sx={{ flexDirection: 'column', alignItems: 'stretch' }}>
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <Typography variant="subtitle1">
+                      {event.drug || 'Unspecified product'}: {event.reaction || EVENT_TYPE_LABELS[event.eventType]}
+                    </Typography>
+                    <Chip label={EVENT_TYPE_LABELS[event.eventType] || event.eventType} size="small" variant="outlined" />
+                    <Chip
+                      label={event.seriousness}
+                      size="small"
+                      color={event.seriousness === 'serious' ? 'error' : 'default'}
+                      variant={event.seriousness === 'serious' ? 'filled' : 'outlined'}
+                    />
+                    <Chip label={event.reviewStatus} size="small" color={REVIEW_COLORS[event.reviewStatus]} />
+                  </Box>
+                  <ListItemText
+                    primary={`"${event.quote}"`}
+                    secondary={[
+                      event.patientContext && `Patient: ${event.patientContext}`,
+                      event.speaker && `Said by ${speakerNames[event.speaker] || event.speaker}`,
+                      event.timestamp && `at ${event.timestamp}`,
+                      event.reviewedBy?.email && `Reviewed by ${event.reviewedBy.email} ${formatDateTimeIST(event.reviewedAt)}`,
+                    ].filter(Boolean).join(' · ')}
+                    primaryTypographyProps={{ sx: { fontStyle: 'italic' } }}
+                  />
+                  {renderMomentLink && renderMomentLink(event)}
+                  {canReview ? (
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 1, flexWrap: 'wrap' }}>
+                      <TextField
+                        size="small"
+                        label="Review notes"
+                        value={notes[event._id] ?? event.reviewNotes ?? ''}
+                        onChange={(e) => setNotes(prev => ({ ...prev, [event._id]: e.target.value }))}
+                        sx={{ flex: 1, minWidth: 240 }}
+                      />
+                      {event.reviewStatus === 'pending' ? (
+                        <>
+                          <Button
+                            size="small"
+                            color="error"
+                            variant="contained"
+                            startIcon={<CheckCircle />}
+                            disabled={saving === event._id}
+                            onClick={() => handleReview(event, 'confirmed')}
+                          >
+                            Reportable
+                          </Button>
+                          <Button
+                            size="small"
+                            startIcon={<Block />}
+                            disabled={saving === event._id}
+                            onClick={() => handleReview(event, 'dismissed')}
+                          >
+                            Dismiss
+                          </Button>
+                        </>
+                      ) : (
+                        <Button
+                          size="small"
+                          startIcon={<Undo />}
+                          disabled={saving === event._id}
+                          onClick={() => handleReview(event, 'pending')}
+                        >
+                          Reopen
+                        </Button>
+                      )}
+                    </Box>
+                  ) : (
+                    event.reviewNotes && (
+                      <Typography variant="body2" color="text.secondary">
+                        Notes: {event.reviewNotes}
+                      </Typography>
+                    )
+                  )}
+                </ListItem>
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AdverseEvents;
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  TextField,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import {
+  Gavel,
+  CheckCircle,
+  Block,
+  Refresh,
+} from '@mui/icons-material';
+import { complianceAPI, waitForJob } from '../services/api';
+import { formatDateTimeIST } from '../utils/dateUtils';
+
+export const COMPLIANCE_STATUS_LABELS = {
+  not_checked: 'Not checked',
+  pending: 'Compliance check pending',
+  clear: 'No compliance findings',
+  flagged: 'Compliance review needed',
+  approved: 'Approved by compliance',
+  rejected: 'Rejected by compliance',
+  failed: 'Compliance check failed',
+};
+
+export const COMPLIANCE_STATUS_COLORS = {
+  not_checked: 'default',
+  pending: 'info',
+  clear: 'success',
+  flagged: 'warning',
+  approved: 'success',
+  rejected: 'error',
+  failed: 'error',
+};
+
+// Statuses that keep a meeting out of the CRM
+export const COMPLIANCE_HELD_STATUSES = ['pending', 'flagged', 'rejected', 'failed'];
+
+export const COMPLIANCE_CATEGORY_LABELS = {
+  'off-label': 'Off-label',
+  'unsubstantiated-claim': 'Unsubstantiated claim',
+  inducement: 'Gift / inducement',
+  'competitor-disparagement': 'Competitor disparagement',
+  other: 'Other',
+};
+
+const SEVERITY_COLORS = {
+  high: 'error',
+  medium: 'warning',
+  low: 'default',
+};
+
+// Statements that may break the organization's compliance rules, with the reviewer's approve/reject decision
+const ComplianceFindings = ({ transcript, canReview, speakerNames = {}, renderMomentLink, onUpdated }) => {
+  const compliance = transcript.compliance || {};
+  const findings = transcript.complianceFindings || [];
+
+  const [notes, setNotes] = useState(compliance.review?.notes || '');
+  const [saving, setSaving] = useState(false);
+  const [rechecking, setRechecking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleReview = async (decision) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      await complianceAPI.review(transcript._id, { decision, notes });
+      if (onUpdated) onUpdated();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecheck = async () => {
+    setRechecking(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await complianceAPI.recheck(transcript._id);
+      setMessage('Checking the transcript against the compliance rules...');
+      await waitForJob(response.data.jobId);
+      setMessage('Compliance check finished.');
+      if (onUpdated) onUpdated();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRechecking(false);
+    }
+  };
+
+  const reviewable = ['flagged', 'approved', 'rejected'].includes(compliance.status);
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Gavel color={COMPLIANCE_HELD_STATUSES.includes(compliance.status) ? 'warning' : 'primary'} />
+            <Typography variant="h6">Compliance</Typography>
+            <Chip
+              label={COMPLIANCE_STATUS_LABELS[compliance.status] || COMPLIANCE_STATUS_LABELS.not_checked}
+              color={COMPLIANCE_STATUS_COLORS[compliance.status] || 'default'}
+              size="small"
+            />
+          </Box>
+          {canReview && (
+            <Button size="small" startIcon={<Refresh />} onClick={handleRecheck} disabled={rechecking}>
+              Check again
+            </Button>
+          )}
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+        {message && <Alert severity="info" sx={{ mb: 2 }} onClose={() => setMessage('')}>{message}</Alert>}
+
+        {compliance.checkedAt && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Checked {formatDateTimeIST(compliance.checkedAt)} against {compliance.rulesChecked} rule(s)
+            {COMPLIANCE_HELD_STATUSES.includes(compliance.status) && ' · CRM sync is on hold'}
+          </Typography>
+        )}
+
+        {findings.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {compliance.status === 'clear' ? 'No compliance issues were found in this meeting.' : 'This transcript has not been checked yet.'}
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {findings.map((finding, index) => (
+              <React.Fragment key={finding._id}>
+                {index > 0 && <Divider component="li" />}
+                <ListItem alignItems="flex-start" disableGutters sx={{ flexDirection: 'column', alignItems: 'stretch' }}>
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <Typography variant="subtitle1">{finding.ruleName}</Typography>
+                    <Chip label={COMPLIANCE_CATEGORY_LABELS[finding.category] || finding.category} size="small" variant="outlined" />
+                    <Chip label={finding.severity} size="small" color={SEVERITY_COLORS[finding.severity]} />
+                    <Chip label={finding.source === 'rule' ? 'Pattern match' : 'AI'} size="small" variant="outlined" />
+                  </Box>
+                  <ListItemText
+                    primary={`"${finding.quote}"`}
+                    secondary={[
+                      finding.explanation,
+                      finding.speaker && `Said by ${speakerNames[finding.speaker] || finding.speaker}`,
+                      finding.timestamp && `at ${finding.timestamp}`,
+                    ].filter(Boolean).join(' · ')}
+                    primaryTypographyProps={{ sx: { fontStyle: 'italic' } }}
+                  />
+                  {renderMomentLink && renderMomentLink(finding)}
+                </ListItem>
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+
+        {compliance.review?.reviewedAt && (
+          <Alert severity={compliance.review.decision === 'approved' ? 'success' : 'error'} sx={{ mt: 2 }}>
+            {compliance.review.decision === 'approved' ? 'Approved' : 'Rejected'} by {compliance.review.reviewedBy?.email} {formatDateTimeIST(compliance.review.reviewedAt)}
+            {compliance.review.notes && `: ${compliance.review.notes}`}
+          </Alert>
+        )}
+
+        {canReview && reviewable && (
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 2, flexWrap: 'wrap' }}>
+            <TextField
+              size="small"
+              label="Review notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              helperText="Required to approve"
+              sx={{ flex: 1, minWidth: 240 }}
+            />
+            <Button
+              size="small"
+              color="success"
+              variant="contained"
+              startIcon={<CheckCircle />}
+              disabled={saving || compliance.status === 'approved'}
+              onClick={() => handleReview('approved')}
+            >
+              Approve for CRM
+            </Button>
+            <Button
+              size="small"
+              color="error"
+              startIcon={<Block />}
+              disabled={saving || compliance.status === 'rejected'}
+              onClick={() => handleReview('rejected')}
+            >
+              Reject
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ComplianceFindings;
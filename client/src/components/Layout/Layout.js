@@ -30,18 +30,29 @@ import {
   Notifications,
   AccountCircle,
   Logout,
+  People,
+  Savings,
+  Tune,
+  HealthAndSafety,
+  Gavel,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
 
 const drawerWidth = 200; // Reduced from 240 for more minimalistic look
 
 const menuItems = [
   { text: 'Dashboard', icon: <Dashboard />, path: '/' },
-  { text: 'Upload', icon: <CloudUpload />, path: '/upload' },
+  { text: 'Upload', icon: <CloudUpload />, path: '/upload', permission: 'canUpload' },
   { text: 'Transcripts', icon: <Description />, path: '/transcripts' },
-  { text: 'Analytics', icon: <Analytics />, path: '/analytics' },
+  { text: 'Analytics', icon: <Analytics />, path: '/analytics', permission: 'canViewAnalytics' },
   { text: 'CRM', icon: <Business />, path: '/crm' },
   { text: 'Documents', icon: <PictureAsPdf />, path: '/documents' },
+  { text: 'Safety', icon: <HealthAndSafety />, path: '/safety', permission: 'canReviewSafety' },
+  { text: 'Compliance', icon: <Gavel />, path: '/compliance', permission: 'canReviewCompliance' },
+  { text: 'Users', icon: <People />, path: '/users', permission: 'canManageUsers' },
+  { text: 'AI Usage', icon: <Savings />, path: '/usage', roles: ['admin'] },
+  { text: 'Prompts', icon: <Tune />, path: '/prompts', roles: ['admin', 'manager'] },
 ];
 
 const Layout = ({ children }) => {
@@ -49,6 +60,7 @@ const Layout = ({ children }) => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const navigate = useNavigate();
   const location = useLocation();
+  const { user, logout, hasPermission } = useAuth();
   
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorEl, setAnchorEl] = useState(null);
@@ -65,10 +77,10 @@ const Layout = ({ children }) => {
     setAnchorEl(null);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('authToken');
-    navigate('/login');
+  const handleLogout = async () => {
     handleProfileMenuClose();
+    await logout();
+    navigate('/login');
   };
 
   const drawer = (
@@ -95,7 +107,10 @@ const Layout = ({ children }) => {
 
       {/* Navigation Menu */}
       <List sx={{ flex: 1, px: 1, py: 2 }}>
-        {menuItems.map((item) => (
+        {menuItems
+          .filter((item) => !item.permission || hasPermission(item.permission))
+          .filter((item) => !item.roles || item.roles.includes(user?.role))
+          .map((item) => (
           <ListItem key={item.text} disablePadding sx={{ mb: 0.5 }}>
             <ListItemButton
               selected={location.pathname === item.path}
@@ -276,7 +291,20 @@ const Layout = ({ children }) => {
           }
         }}
       >
-        <MenuItem onClick={handleProfileMenuClose}>
+        {user && (
+          <Box sx={{ px: 2, py: 1 }}>
+            <Typography variant="subtitle2">{user.fullName}</Typography>
+            <Typography variant="caption" color="textSecondary">
+              {user.email}
+            </Typography>
+          </Box>
+        )}
+        <MenuItem
+          onClick={() => {
+            handleProfileMenuClose();
+            navigate('/profile');
+          }}
+        >
           <ListItemIcon>
             <AccountCircle fontSize="small" />
           </ListItemIcon>
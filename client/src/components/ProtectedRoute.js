@@ -0,0 +1,33 @@
+import React from 'react';
+import { Box, LinearProgress, Alert } from '@mui/material';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const ProtectedRoute = ({ children, permission, roles }) => {
+  const { user, isAuthenticated, loading, hasPermission } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <Box sx={{ width: '100%' }}>
+        <LinearProgress />
+      </Box>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if ((permission && !hasPermission(permission)) || (roles && !roles.includes(user?.role))) {
+    return (
+      <Alert severity="warning">
+        You do not have permission to view this page.
+      </Alert>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
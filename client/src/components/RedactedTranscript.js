@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Grid,
+  Paper,
+  Tooltip,
+} from '@mui/material';
+import { Security, Refresh } from '@mui/icons-material';
+import { transcriptsAPI } from '../services/api';
+import { formatDateTimeIST } from '../utils/dateUtils';
+
+export const REDACTION_ENTITY_LABELS = {
+  name: 'Names',
+  mrn: 'Medical record numbers',
+  dob: 'Dates of birth',
+  phone: 'Phone numbers',
+  address: 'Addresses',
+  email: 'Email addresses',
+  ssn: 'Social security numbers',
+};
+
+const textBoxSx = {
+  p: 2,
+  maxHeight: 480,
+  overflow: 'auto',
+  whiteSpace: 'pre-wrap',
+  lineHeight: 1.7,
+  bgcolor: 'grey.50',
+};
+
+// The original text with each redacted span highlighted
+const highlightSpans = (text, spans) => {
+  const parts = [];
+  let position = 0;
+  [...spans].sort((a, b) => a.start - b.start).forEach((span, index) => {
+    if (span.start < position) return;
+    parts.push(text.slice(position, span.start));
+    parts.push(
+      <Tooltip key={index} title={`${REDACTION_ENTITY_LABELS[span.type] || span.type} (${span.source === 'ner' ? 'NER' : 'pattern'})`}>
+        <Box component="mark" sx={{ bgcolor: 'warning.light', borderRadius: 0.5, px: 0.25 }}>
+          {text.slice(span.start, span.end)}
+        </Box>
+      </Tooltip>
+    );
+    position = span.end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
+
+// Original and redacted transcript side by side: what AI providers, documents and the CRM receive
+const RedactedTranscript = ({ transcript, canRedact, onUpdated }) => {
+  const redaction = transcript.redaction || {};
+  const [redacting, setRedacting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleRedact = async () => {
+    setRedacting(true);
+    setError('');
+    try {
+      await transcriptsAPI.redactTranscript(transcript._id);
+      if (onUpdated) onUpdated();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRedacting(false);
+    }
+  };
+
+  const original = redaction.source === 'edited' ? transcript.editedTranscript : transcript.rawTranscript;
+  const counts = Object.entries(redaction.counts || {}).filter(([, count]) => count > 0);
+  const currentSource = transcript.editedTranscript ? 'edited' : 'raw';
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Security color="primary" />
+            <Typography variant="h6">PHI Redaction</Typography>
+          </Box>
+          {canRedact && (
+            <Button size="small" startIcon={<Refresh />} onClick={handleRedact} disabled={redacting}>
+              {redaction.status === 'completed' ? 'Redact again' : 'Redact now'}
+            </Button>
+          )}
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+        {redaction.status === 'failed' && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Redaction failed: {redaction.error}. The transcript is redacted again before it is sent anywhere.
+          </Alert>
+        )}
+
+        {(!redaction.status || redaction.status === 'not_redacted' || redaction.status === 'disabled') && (
+          <Typography variant="body2" color="text.secondary">
+            {redaction.status === 'disabled'
+              ? 'PHI redaction is turned off for your organization, so AI providers, documents and the CRM receive the transcript as it is.'
+              : 'This transcript has not been redacted yet.'}
+          </Typography>
+        )}
+
+        {redaction.status === 'completed' && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                Redacted {formatDateTimeIST(redaction.redactedAt)} from the {redaction.source === 'edited' ? 'edited' : 'original'} transcript
+                {redaction.usedNER && ' with NER'}:
+              </Typography>
+              {counts.length === 0 ? (
+                <Chip label="Nothing found" size="small" color="success" />
+              ) : (
+                counts.map(([type, count]) => (
+                  <Chip key={type} label={`${REDACTION_ENTITY_LABELS[type] || type}: ${count}`} size="small" variant="outlined" />
+                ))
+              )}
+            </Box>
+
+            {redaction.source !== currentSource && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                The transcript has changed since it was redacted; redact it again to compare the current text.
+              </Alert>
+            )}
+
+            {/* The server only sends the original text to users who can edit transcripts */}
+            <Grid container spacing={2}>
+              {!transcript.originalWithheld && (
+                <Grid item xs={12} md={6}>
+                  <Typography variant="subtitle2" gutterBottom>Original</Typography>
+                  <Paper variant="outlined" sx={textBoxSx}>
+                    <Typography variant="body2" component="div">
+                      {highlightSpans(original || '', redaction.spans || [])}
+                    </Typography>
+                  </Paper>
+                </Grid>
+              )}
+              <Grid item xs={12} md={transcript.originalWithheld ? 12 : 6}>
+                <Typography variant="subtitle2" gutterBottom>Redacted (sent to AI, documents and CRM)</Typography>
+                <Paper variant="outlined" sx={textBoxSx}>
+                  <Typography variant="body2" component="div">
+                    {transcript.redactedTranscript}
+                  </Typography>
+                </Paper>
+              </Grid>
+            </Grid>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RedactedTranscript;
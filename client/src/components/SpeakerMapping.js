@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  FormControl,
+  Select,
+  MenuItem,
+  Checkbox,
+  TextField,
+} from '@mui/material';
+import { RecordVoiceOver } from '@mui/icons-material';
+import { transcriptsAPI, waitForJob } from '../services/api';
+
+const formatTalkTime = (seconds) => {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Map diarized speaker labels (SPEAKER_1, ...) to the meeting's attendees
+const SpeakerMapping = ({ transcriptId, canEdit, onUpdated }) => {
+  const [data, setData] = useState(null);
+  const [speakers, setSpeakers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchSpeakers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await transcriptsAPI.getSpeakers(transcriptId);
+      setData(response.data.data);
+      setSpeakers(response.data.data.speakers || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load speakers');
+    } finally {
+      setLoading(false);
+    }
+  }, [transcriptId]);
+
+  useEffect(() => {
+    fetchSpeakers();
+  }, [fetchSpeakers]);
+
+  const updateSpeaker = (label, changes) => {
+    setSpeakers(prev => prev.map(speaker => (speaker.label === label ? { ...speaker, ...changes } : speaker)));
+    setMessage('');
+  };
+
+  const handleAttendeeChange = (label, attendeeId) => {
+    const attendee = data.attendees.find(candidate => candidate._id === attendeeId);
+    updateSpeaker(label, attendee
+      ? { attendeeId, name: attendee.name, role: attendee.role }
+      : { attendeeId: null });
+  };
+
+  const handleSave = async (reanalyze) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await transcriptsAPI.updateSpeakers(transcriptId, {
+        speakers: speakers.map(({ label, attendeeId, name, role, isHcp }) => ({
+          label,
+          attendeeId: attendeeId || null,
+          name,
+          role,
+          isHcp,
+        })),
+        reanalyze,
+      });
+      setSpeakers(response.data.data);
+      if (response.data.jobId) {
+        setMessage('Speakers saved. Re-analyzing sentiment and insights...');
+        await waitForJob(response.data.jobId);
+        setMessage('Speakers saved and analysis updated.');
+      } else {
+        setMessage('Speakers saved.');
+      }
+      if (onUpdated) onUpdated();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to save speakers');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LinearProgress sx={{ mb: 2 }} />;
+  }
+
+  if (!data || data.diarizationStatus === 'skipped' || (data.diarizationStatus !== 'pending' && speakers.length === 0)) {
+    return null;
+  }
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <RecordVoiceOver color="primary" />
+          <Typography variant="h6">Speakers</Typography>
+        </Box>
+
+        {data.diarizationStatus === 'pending' && (
+          <Alert severity="info">Identifying speakers...</Alert>
+        )}
+        {data.diarizationStatus === 'failed' && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Speakers could not be identified automatically.
+          </Alert>
+        )}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+
+        {speakers.length > 0 && (
+          <>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Label</TableCell>
+                  <TableCell>Attendee</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell align="center">HCP</TableCell>
+                  <TableCell align="right">Talk time</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {speakers.map(speaker => (
+                  <TableRow key={speaker.label}>
+                    <TableCell>{speaker.label}</TableCell>
+                    <TableCell sx={{ minWidth: 180 }}>
+                      <FormControl fullWidth size="small">
+                        <Select
+                          value={speaker.attendeeId || ''}
+                          displayEmpty
+                          disabled={!canEdit || saving}
+                          onChange={(e) => handleAttendeeChange(speaker.label, e.target.value)}
+                        >
+                          <MenuItem value="">
+                            <em>Not mapped</em>
+                          </MenuItem>
+                          {(data.attendees || []).map(attendee => (
+                            <MenuItem key={attendee._id} value={attendee._id}>
+                              {attendee.name}{attendee.role ? ` (${attendee.role})` : ''}
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        value={speaker.name || ''}
+                        placeholder="Unknown"
+                        disabled={!canEdit || saving || !!speaker.attendeeId}
+                        onChange={(e) => updateSpeaker(speaker.label, { name: e.target.value })}
+                      />
+                    </TableCell>
+                    <TableCell align="center">
+                      <Checkbox
+                        checked={!!speaker.isHcp}
+                        disabled={!canEdit || saving}
+                        onChange={(e) => updateSpeaker(speaker.label, { isHcp: e.target.checked })}
+                      />
+                    </TableCell>
+                    <TableCell align="right">{formatTalkTime(speaker.talkTime)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {(data.attendees || []).length === 0 && (
+              <Typography variant="caption" color="textSecondary" display="block" sx={{ mt: 1 }}>
+                Add attendees to the transcript to map speakers to them, or type a name.
+              </Typography>
+            )}
+            {canEdit && (
+              <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                <Button variant="outlined" onClick={() => handleSave(false)} disabled={saving}>
+                  Save
+                </Button>
+                <Button variant="contained" onClick={() => handleSave(true)} disabled={saving}>
+                  Save & Re-analyze
+                </Button>
+              </Box>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SpeakerMapping;
@@ -0,0 +1,106 @@
+import React, { useEffect, useRef } from 'react';
+import { Box, Typography } from '@mui/material';
+
+export const formatTimecode = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Index of the segment playing at a given time (the last one starting at or before it)
+ * @param {Object[]} segments - Segments sorted by start
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Array position, or -1 before the first segment
+ */
+export const findActiveSegment = (segments, time) => {
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+};
+
+// Consecutive segments from the same speaker are shown as one turn
+const groupTurns = (segments) => segments.reduce((turns, segment, position) => {
+  const last = turns[turns.length - 1];
+  if (last && last.speaker === segment.speaker) {
+    last.items.push({ segment, position });
+  } else {
+    turns.push({ speaker: segment.speaker, start: segment.start, items: [{ segment, position }] });
+  }
+  return turns;
+}, []);
+
+/**
+ * Transcript rendered as timed segments; the playing segment is highlighted and
+ * clicking a segment seeks the recording to it
+ */
+const TimedTranscript = React.memo(({ segments, activePosition, speakerNames = {}, onSeek, follow = true }) => {
+  const activeRef = useRef(null);
+
+  useEffect(() => {
+    if (follow && activeRef.current) {
+      activeRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activePosition, follow]);
+
+  return (
+    <Box sx={{ maxHeight: 480, overflowY: 'auto', p: 2, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      {groupTurns(segments).map(turn => (
+        <Box key={turn.items[0].segment.index} sx={{ display: 'flex', gap: 2, mb: 1.5 }}>
+          <Typography
+            variant="caption"
+            color="primary"
+            sx={{ minWidth: 48, pt: 0.3, cursor: 'pointer' }}
+            onClick={() => onSeek(turn.start)}
+          >
+            {formatTimecode(turn.start)}
+          </Typography>
+          <Box sx={{ flexGrow: 1 }}>
+            {turn.speaker && (
+              <Typography variant="subtitle2" color="textSecondary">
+                {speakerNames[turn.speaker] || turn.speaker}
+              </Typography>
+            )}
+            <Typography variant="body1" component="div">
+              {turn.items.map(({ segment, position }) => {
+                const active = position === activePosition;
+                return (
+                  <Box
+                    component="span"
+                    key={segment.index}
+                    ref={active ? activeRef : null}
+                    onClick={() => onSeek(segment.start)}
+                    title={`Play from ${formatTimecode(segment.start)}`}
+                    sx={{
+                      cursor: 'pointer',
+                      borderRadius: 0.5,
+                      px: 0.25,
+                      bgcolor: active ? 'warning.light' : 'transparent',
+                      '&:hover': { bgcolor: active ? 'warning.light' : 'action.hover' },
+                    }}
+                  >
+                    {segment.text}{' '}
+                  </Box>
+                );
+              })}
+            </Typography>
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+});
+
+export default TimedTranscript;
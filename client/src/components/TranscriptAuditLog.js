@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TablePagination,
+  Collapse,
+  IconButton,
+} from '@mui/material';
+import {
+  Download,
+  KeyboardArrowDown,
+  KeyboardArrowUp,
+} from '@mui/icons-material';
+import { auditAPI } from '../services/api';
+import { formatDateTimeIST } from '../utils/dateUtils';
+
+const ACTION_LABELS = {
+  'transcript.view': 'Viewed',
+  'transcript.update': 'Edited',
+  'transcript.reanalyze': 'Re-analyzed',
+  'transcript.delete': 'Deleted',
+  'transcript.redact': 'Redacted',
+  'upload.cancel': 'Upload cancelled',
+  'crm.sync': 'CRM sync',
+  'document.generate': 'Document generated',
+  'file.view': 'File opened',
+  'file.download': 'File downloaded',
+  'safety.review': 'Adverse event reviewed',
+  'safety.export': 'AE intake form exported',
+  'compliance.review': 'Compliance review',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+const AuditEventRow = ({ event }) => {
+  const [open, setOpen] = useState(false);
+  const hasDetails = (event.changes && event.changes.length > 0) || Object.keys(event.metadata || {}).length > 0;
+
+  return (
+    <>
+      <TableRow>
+        <TableCell padding="checkbox">
+          {hasDetails && (
+            <IconButton size="small" onClick={() => setOpen(!open)}>
+              {open ? <KeyboardArrowUp fontSize="small" /> : <KeyboardArrowDown fontSize="small" />}
+            </IconButton>
+          )}
+        </TableCell>
+        <TableCell>{formatDateTimeIST(event.timestamp)}</TableCell>
+        <TableCell>{ACTION_LABELS[event.action] || event.action}</TableCell>
+        <TableCell>
+          {event.user?.email}
+          {event.apiToken?.name && (
+            <Typography variant="caption" color="textSecondary" display="block">
+              via token "{event.apiToken.name}"
+            </Typography>
+          )}
+        </TableCell>
+        <TableCell>{event.ip}</TableCell>
+        <TableCell>
+          <Chip
+            label={event.success ? 'OK' : `Failed (${event.statusCode})`}
+            color={event.success ? 'success' : 'error'}
+            size="small"
+          />
+        </TableCell>
+      </TableRow>
+      {hasDetails && (
+        <TableRow>
+          <TableCell colSpan={6} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+            <Collapse in={open} timeout="auto" unmountOnExit>
+              <Box sx={{ py: 2 }}>
+                {event.changes?.length > 0 && (
+                  <Table size="small" sx={{ mb: 2 }}>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Field</TableCell>
+                        <TableCell>Before</TableCell>
+                        <TableCell>After</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {event.changes.map((change) => (
+                        <TableRow key={change.field}>
+                          <TableCell sx={{ verticalAlign: 'top' }}>{change.field}</TableCell>
+                          <TableCell sx={{ verticalAlign: 'top', whiteSpace: 'pre-wrap', maxWidth: 400 }}>
+                            {formatValue(change.before)}
+                          </TableCell>
+                          <TableCell sx={{ verticalAlign: 'top', whiteSpace: 'pre-wrap', maxWidth: 400 }}>
+                            {formatValue(change.after)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+                {Object.keys(event.metadata || {}).length > 0 && (
+                  <Typography variant="body2" component="pre" sx={{ m: 0, whiteSpace: 'pre-wrap' }}>
+                    {formatValue(event.metadata)}
+                  </Typography>
+                )}
+              </Box>
+            </Collapse>
+          </TableCell>
+        </TableRow>
+      )}
+    </>
+  );
+};
+
+const TranscriptAuditLog = ({ transcriptId }) => {
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [filters, setFilters] = useState({
+    action: '',
+    user: '',
+    startDate: '',
+    endDate: '',
+  });
+
+  // The user filter is applied on Enter rather than on every keystroke
+  const [appliedUser, setAppliedUser] = useState('');
+
+  const buildParams = useCallback(() => ({
+    action: filters.action || undefined,
+    user: appliedUser || undefined,
+    startDate: filters.startDate || undefined,
+    endDate: filters.endDate ? `${filters.endDate}T23:59:59` : undefined,
+  }), [filters.action, appliedUser, filters.startDate, filters.endDate]);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await auditAPI.getForTranscript(transcriptId, {
+        ...buildParams(),
+        page: page + 1,
+        limit: rowsPerPage,
+      });
+      setEvents(response.data.data || []);
+      setTotal(response.data.pagination?.total || 0);
+    } catch (err) {
+      console.error('Error fetching audit events:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [transcriptId, page, rowsPerPage, buildParams]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleUserSearch = () => {
+    if (filters.user === appliedUser) {
+      fetchEvents();
+    } else {
+      setPage(0);
+      setAppliedUser(filters.user);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setPage(0);
+    setFilters(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await auditAPI.export({ ...buildParams(), transcriptId, format: 'csv' });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${transcriptId}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting audit events:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6">Audit Trail</Typography>
+          <Button variant="outlined" size="small" startIcon={<Download />} onClick={handleExport}>
+            Export CSV
+          </Button>
+        </Box>
+
+        {/* Filters */}
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Action</InputLabel>
+            <Select
+              value={filters.action}
+              label="Action"
+              onChange={(e) => handleFilterChange('action', e.target.value)}
+            >
+              <MenuItem value="">All actions</MenuItem>
+              {Object.entries(ACTION_LABELS).map(([action, label]) => (
+                <MenuItem key={action} value={action}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            label="User"
+            placeholder="Email contains"
+            value={filters.user}
+            onChange={(e) => handleFilterChange('user', e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleUserSearch()}
+          />
+          <TextField
+            size="small"
+            label="From"
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => handleFilterChange('startDate', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            label="To"
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => handleFilterChange('endDate', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading && <LinearProgress sx={{ mb: 1 }} />}
+
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>When</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>User</TableCell>
+                <TableCell>IP Address</TableCell>
+                <TableCell>Result</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {events.map((event) => (
+                <AuditEventRow key={event._id} event={event} />
+              ))}
+              {!loading && events.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    <Typography variant="body2" color="textSecondary">No audit events found</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TranscriptAuditLog;
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -10,59 +11,101 @@ export const useAuth = () => {
   return context;
 };
 
+const storeSession = ({ accessToken, refreshToken }) => {
+  localStorage.setItem('authToken', accessToken);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
 
   useEffect(() => {
-    // Check for existing auth token
+    // Validate any stored token with the server instead of trusting localStorage
     const token = localStorage.getItem('authToken');
-    if (token) {
-      // In a real app, you would validate the token with the server
-      setUser({
-        id: '1',
-        name: 'Demo User',
-        email: 'demo@docnexus.ai',
-        role: 'admin',
-      });
-      setIsAuthenticated(true);
+    if (!token) {
+      setLoading(false);
+      return;
     }
-    setLoading(false);
+
+    authAPI.me()
+      .then((response) => {
+        setUser(response.data.user);
+        setIsAuthenticated(true);
+      })
+      .catch(() => {
+        clearSession();
+        setUser(null);
+        setIsAuthenticated(false);
+      })
+      .finally(() => setLoading(false));
   }, []);
 
   const login = async (credentials) => {
     try {
-      // In a real app, you would make an API call to authenticate
-      const mockUser = {
-        id: '1',
-        name: 'Demo User',
-        email: credentials.email,
-        role: 'admin',
-      };
-      
-      setUser(mockUser);
+      const response = await authAPI.login(credentials);
+      storeSession(response.data);
+      setUser(response.data.user);
+      setIsAuthenticated(true);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  };
+
+  const register = async (details) => {
+    try {
+      const response = await authAPI.register(details);
+      storeSession(response.data);
+      setUser(response.data.user);
       setIsAuthenticated(true);
-      localStorage.setItem('authToken', 'mock-token');
-      
       return { success: true };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.response?.data?.error || error.message };
     }
   };
 
-  const logout = () => {
+  const acceptInvitation = async (token, details) => {
+    try {
+      const response = await authAPI.acceptInvitation(token, details);
+      storeSession(response.data);
+      setUser(response.data.user);
+      setIsAuthenticated(true);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  };
+
+  const logout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    clearSession();
     setUser(null);
     setIsAuthenticated(false);
-    localStorage.removeItem('authToken');
   };
 
+  // Effective permissions are computed server-side (role ceiling + per-user flags)
+  const hasPermission = (permission) => Boolean(user?.effectivePermissions?.[permission]);
+
   const value = {
     user,
     isAuthenticated,
     loading,
     login,
+    register,
+    acceptInvitation,
     logout,
+    hasPermission,
   };
 
   return (
@@ -70,4 +113,4 @@ export const AuthProvider = ({ children }) => {
       {children}
     </AuthContext.Provider>
   );
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,493 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  InputAdornment,
+  Link,
+} from '@mui/material';
+import {
+  Refresh,
+  DeleteSweep,
+  Save,
+} from '@mui/icons-material';
+import { usageAPI, organizationAPI } from '../services/api';
+import { formatDateIST, formatDateTimeIST } from '../utils/dateUtils';
+
+const TASK_LABELS = {
+  sentiment: 'Sentiment',
+  insights: 'Insights',
+  sentimentBreakdown: 'Sentiment breakdown',
+  executiveSummary: 'Executive summary',
+  terminology: 'Terminology',
+  adverseEvents: 'Adverse events',
+  compliance: 'Compliance check',
+  diarization: 'Speaker labels',
+  transcription: 'Transcription',
+  healthCheck: 'Health check',
+};
+
+// "2024-05" -> { from, to } covering that calendar month (UTC)
+const monthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return {
+    from: new Date(Date.UTC(year, monthIndex - 1, 1)).toISOString(),
+    to: new Date(Date.UTC(year, monthIndex, 1)).toISOString(),
+  };
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const formatCost = (value) => `$${(value || 0).toFixed((value || 0) < 1 ? 4 : 2)}`;
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+const UsageTable = ({ title, rows, columns }) => (
+  <Card sx={{ height: '100%' }}>
+    <CardContent>
+      <Typography variant="h6" gutterBottom>
+        {title}
+      </Typography>
+      {rows.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No AI usage in this period
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {columns.map(column => (
+                  <TableCell key={column.label} align={column.align || 'left'}>{column.label}</TableCell>
+                ))}
+                <TableCell align="right">Calls</TableCell>
+                <TableCell align="right">Cached</TableCell>
+                <TableCell align="right">Tokens in / out</TableCell>
+                <TableCell align="right">Cost</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row, index) => (
+                <TableRow key={index}>
+                  {columns.map(column => (
+                    <TableCell key={column.label} align={column.align || 'left'}>{column.render(row)}</TableCell>
+                  ))}
+                  <TableCell align="right">{formatNumber(row.calls)}</TableCell>
+                  <TableCell align="right">{formatNumber(row.cachedCalls)}</TableCell>
+                  <TableCell align="right">
+                    {formatNumber(row.inputTokens)} / {formatNumber(row.outputTokens)}
+                  </TableCell>
+                  <TableCell align="right">{formatCost(row.estimatedCostUsd)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </CardContent>
+  </Card>
+);
+
+const AIUsage = () => {
+  const [month, setMonth] = useState(currentMonth());
+  const [summary, setSummary] = useState(null);
+  const [ledger, setLedger] = useState([]);
+  const [ledgerTotal, setLedgerTotal] = useState(0);
+  const [ledgerPage, setLedgerPage] = useState(0);
+  const [ledgerRowsPerPage, setLedgerRowsPerPage] = useState(25);
+  const [budgetForm, setBudgetForm] = useState({ monthlyAIBudgetUsd: '', aiBudgetAction: 'block' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await usageAPI.getSummary(monthRange(month));
+      setSummary(response.data.data);
+    } catch (err) {
+      console.error('Error fetching AI usage:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [month]);
+
+  const fetchLedger = useCallback(async () => {
+    try {
+      const response = await usageAPI.getLedger({
+        ...monthRange(month),
+        page: ledgerPage + 1,
+        limit: ledgerRowsPerPage,
+      });
+      setLedger(response.data.data || []);
+      setLedgerTotal(response.data.pagination?.total || 0);
+    } catch (err) {
+      console.error('Error fetching AI usage ledger:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  }, [month, ledgerPage, ledgerRowsPerPage]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await organizationAPI.getSettings();
+      const settings = response.data.data || {};
+      setBudgetForm({
+        monthlyAIBudgetUsd: settings.monthlyAIBudgetUsd ?? '',
+        aiBudgetAction: settings.aiBudgetAction || 'block',
+      });
+    } catch (err) {
+      console.error('Error fetching organization settings:', err);
+    }
+  };
+
+  const handleSaveBudget = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await organizationAPI.updateSettings({
+        monthlyAIBudgetUsd: budgetForm.monthlyAIBudgetUsd === '' ? null : Number(budgetForm.monthlyAIBudgetUsd),
+        aiBudgetAction: budgetForm.aiBudgetAction,
+      });
+      setMessage('AI budget saved');
+      await fetchSummary();
+    } catch (err) {
+      console.error('Error saving AI budget:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClearCache = async () => {
+    if (!window.confirm('Clear all cached AI responses? Re-analysing unchanged transcripts will call the model (and cost) again.')) {
+      return;
+    }
+    try {
+      setError('');
+      const response = await usageAPI.clearCache();
+      setMessage(response.data.message);
+      await fetchSummary();
+    } catch (err) {
+      console.error('Error clearing AI cache:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const budget = summary?.budget;
+  const totals = summary?.totals;
+  const budgetUsed = budget?.budget ? Math.min((budget.spent / budget.budget) * 100, 100) : 0;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          AI Usage
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            type="month"
+            size="small"
+            label="Month"
+            value={month}
+            onChange={(e) => {
+              setLedgerPage(0);
+              setMonth(e.target.value || currentMonth());
+            }}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<Refresh />}
+            onClick={() => {
+              fetchSummary();
+              fetchLedger();
+            }}
+          >
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      <Grid container spacing={3}>
+        {/* Budget */}
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Monthly Budget
+              </Typography>
+              {budget && (
+                <Box sx={{ mb: 2 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                    <Typography variant="body2">
+                      {formatCost(budget.spent)} spent this month
+                      {budget.budget !== null && ` of ${formatCost(budget.budget)}`}
+                    </Typography>
+                    {budget.exceeded ? (
+                      <Chip
+                        label={budget.action === 'queue' ? 'Exceeded - work queued' : 'Exceeded - AI work blocked'}
+                        color="error"
+                        size="small"
+                      />
+                    ) : (
+                      <Chip label={budget.budget === null ? 'No limit' : 'Within budget'} color="success" size="small" />
+                    )}
+                  </Box>
+                  {budget.budget !== null && (
+                    <LinearProgress
+                      variant="determinate"
+                      value={budgetUsed}
+                      color={budgetUsed >= 100 ? 'error' : budgetUsed >= 80 ? 'warning' : 'primary'}
+                    />
+                  )}
+                  <Typography variant="caption" color="text.secondary">
+                    Resets on {formatDateIST(budget.resetsAt)}
+                  </Typography>
+                </Box>
+              )}
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+                <TextField
+                  label="Monthly budget"
+                  type="number"
+                  size="small"
+                  value={budgetForm.monthlyAIBudgetUsd}
+                  onChange={(e) => setBudgetForm(prev => ({ ...prev, monthlyAIBudgetUsd: e.target.value }))}
+                  placeholder="No limit"
+                  inputProps={{ min: 0, step: 1 }}
+                  InputProps={{ startAdornment: <InputAdornment position="start">$</InputAdornment> }}
+                  sx={{ width: 180 }}
+                />
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                  <InputLabel>When exceeded</InputLabel>
+                  <Select
+                    value={budgetForm.aiBudgetAction}
+                    label="When exceeded"
+                    onChange={(e) => setBudgetForm(prev => ({ ...prev, aiBudgetAction: e.target.value }))}
+                  >
+                    <MenuItem value="block">Block new AI work</MenuItem>
+                    <MenuItem value="queue">Queue work until budget allows</MenuItem>
+                  </Select>
+                </FormControl>
+                <Button variant="contained" startIcon={<Save />} onClick={handleSaveBudget} disabled={saving}>
+                  Save
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Totals */}
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <Typography variant="h6" gutterBottom>
+                  {month === currentMonth() ? 'This Month' : month}
+                </Typography>
+                <Button size="small" startIcon={<DeleteSweep />} onClick={handleClearCache}>
+                  Clear Cache
+                </Button>
+              </Box>
+              {totals && (
+                <Grid container spacing={2}>
+                  {[
+                    { label: 'Estimated cost', value: formatCost(totals.estimatedCostUsd) },
+                    { label: 'AI calls', value: formatNumber(totals.calls) },
+                    {
+                      label: 'Served from cache',
+                      value: `${formatNumber(totals.cachedCalls)}${totals.calls ? ` (${Math.round((totals.cachedCalls / totals.calls) * 100)}%)` : ''}`,
+                    },
+                    { label: 'Failed calls', value: formatNumber(totals.failedCalls) },
+                    { label: 'Tokens in / out', value: `${formatNumber(totals.inputTokens)} / ${formatNumber(totals.outputTokens)}` },
+                    { label: 'Audio transcribed', value: `${Math.round((totals.audioSeconds || 0) / 60)} min` },
+                    { label: 'Average latency', value: `${(totals.averageLatencyMs / 1000).toFixed(1)}s` },
+                    { label: 'Cached responses', value: formatNumber(summary.cache?.entries) },
+                  ].map(stat => (
+                    <Grid item xs={6} key={stat.label}>
+                      <Typography variant="caption" color="text.secondary">
+                        {stat.label}
+                      </Typography>
+                      <Typography variant="h6">
+                        {stat.value}
+                      </Typography>
+                    </Grid>
+                  ))}
+                </Grid>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Breakdowns */}
+        <Grid item xs={12} lg={6}>
+          <UsageTable
+            title="By Task"
+            rows={summary?.byTask || []}
+            columns={[{ label: 'Task', render: row => TASK_LABELS[row.task] || row.task }]}
+          />
+        </Grid>
+        <Grid item xs={12} lg={6}>
+          <UsageTable
+            title="By Model"
+            rows={summary?.byModel || []}
+            columns={[{ label: 'Model', render: row => `${row.model} (${row.provider})` }]}
+          />
+        </Grid>
+        <Grid item xs={12} lg={6}>
+          <UsageTable
+            title="By User"
+            rows={summary?.byUser || []}
+            columns={[{ label: 'User', render: row => row.name || row.email || 'System' }]}
+          />
+        </Grid>
+        <Grid item xs={12} lg={6}>
+          <UsageTable
+            title="By Transcript"
+            rows={summary?.byTranscript || []}
+            columns={[{
+              label: 'Transcript',
+              render: row => (
+                <Link component={RouterLink} to={`/transcripts/${row.transcriptId}`}>
+                  {row.hcpName || row.originalFileName || row.transcriptId}
+                  {row.meetingDate && ` (${formatDateIST(row.meetingDate)})`}
+                </Link>
+              ),
+            }]}
+          />
+        </Grid>
+
+        {/* Ledger */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                AI Calls
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Time</TableCell>
+                      <TableCell>Task</TableCell>
+                      <TableCell>Model</TableCell>
+                      <TableCell>User</TableCell>
+                      <TableCell align="right">Tokens in / out</TableCell>
+                      <TableCell align="right">Latency</TableCell>
+                      <TableCell align="right">Cost</TableCell>
+                      <TableCell>Status</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {ledger.map(entry => (
+                      <TableRow key={entry._id}>
+                        <TableCell>{formatDateTimeIST(entry.timestamp)}</TableCell>
+                        <TableCell>
+                          {TASK_LABELS[entry.task] || entry.task}
+                          {entry.transcriptId && (
+                            <Link component={RouterLink} to={`/transcripts/${entry.transcriptId}`} sx={{ ml: 1 }}>
+                              view
+                            </Link>
+                          )}
+                        </TableCell>
+                        <TableCell>{entry.model}</TableCell>
+                        <TableCell>
+                          {entry.user ? `${entry.user.firstName} ${entry.user.lastName}` : 'System'}
+                        </TableCell>
+                        <TableCell align="right">
+                          {entry.kind === 'transcription'
+                            ? `${Math.round(entry.audioSeconds / 60)} min audio`
+                            : `${formatNumber(entry.inputTokens)} / ${formatNumber(entry.outputTokens)}`}
+                        </TableCell>
+                        <TableCell align="right">{(entry.latencyMs / 1000).toFixed(1)}s</TableCell>
+                        <TableCell align="right">{formatCost(entry.estimatedCostUsd)}</TableCell>
+                        <TableCell>
+                          {!entry.success ? (
+                            <Chip label="Failed" color="error" size="small" title={entry.error} />
+                          ) : entry.cached ? (
+                            <Chip label="Cached" color="info" size="small" />
+                          ) : (
+                            <Chip label="OK" color="success" size="small" variant="outlined" />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                    {ledger.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={8}>
+                          <Typography variant="body2" color="text.secondary">
+                            No AI calls in this period
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              <TablePagination
+                component="div"
+                count={ledgerTotal}
+                page={ledgerPage}
+                onPageChange={(e, page) => setLedgerPage(page)}
+                rowsPerPage={ledgerRowsPerPage}
+                onRowsPerPageChange={(e) => {
+                  setLedgerRowsPerPage(parseInt(e.target.value, 10));
+                  setLedgerPage(0);
+                }}
+                rowsPerPageOptions={[25, 50, 100]}
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default AIUsage;
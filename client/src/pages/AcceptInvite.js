@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const AcceptInvite = () => {
+  const { acceptInvitation } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    password: '',
+    confirmPassword: '',
+  });
+
+  useEffect(() => {
+    if (!token) {
+      setError('Invitation link is missing its token');
+      setLoading(false);
+      return;
+    }
+
+    authAPI.getInvitation(token)
+      .then((response) => {
+        const data = response.data.data;
+        setInvitation(data);
+        setFormData(prev => ({
+          ...prev,
+          firstName: data.firstName || '',
+          lastName: data.lastName || '',
+        }));
+      })
+      .catch((err) => setError(err.response?.data?.error || err.message))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleFormChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await acceptInvitation(token, {
+      firstName: formData.firstName,
+      lastName: formData.lastName,
+      password: formData.password,
+    });
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate('/', { replace: true });
+    } else {
+      setError(result.error || 'Failed to accept invitation');
+    }
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+      <Card sx={{ width: '100%', maxWidth: 420 }}>
+        <CardContent sx={{ p: 4 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+            <img
+              src={process.env.PUBLIC_URL + '/logo.png'}
+              alt="DocNexus Logo"
+              style={{ maxWidth: 160, maxHeight: 64, display: 'block', borderRadius: 8 }}
+            />
+          </Box>
+          <Typography variant="h5" align="center" gutterBottom>
+            Accept your invitation
+          </Typography>
+
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {invitation && (
+            <>
+              <Typography variant="body2" color="textSecondary" align="center" sx={{ mb: 3 }}>
+                Join <strong>{invitation.organization}</strong> as {invitation.email}
+              </Typography>
+              <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <TextField
+                  label="First Name"
+                  value={formData.firstName}
+                  onChange={(e) => handleFormChange('firstName', e.target.value)}
+                  required
+                  fullWidth
+                />
+                <TextField
+                  label="Last Name"
+                  value={formData.lastName}
+                  onChange={(e) => handleFormChange('lastName', e.target.value)}
+                  required
+                  fullWidth
+                />
+                <TextField
+                  label="Password"
+                  type="password"
+                  value={formData.password}
+                  onChange={(e) => handleFormChange('password', e.target.value)}
+                  required
+                  fullWidth
+                  autoComplete="new-password"
+                  helperText="At least 8 characters"
+                />
+                <TextField
+                  label="Confirm Password"
+                  type="password"
+                  value={formData.confirmPassword}
+                  onChange={(e) => handleFormChange('confirmPassword', e.target.value)}
+                  required
+                  fullWidth
+                  autoComplete="new-password"
+                />
+                <Button
+                  type="submit"
+                  variant="contained"
+                  size="large"
+                  disabled={submitting}
+                  startIcon={submitting ? <CircularProgress size={16} /> : null}
+                >
+                  Accept &amp; Sign In
+                </Button>
+              </Box>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default AcceptInvite;
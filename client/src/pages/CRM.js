@@ -40,14 +40,33 @@ import {
 import { IconButton, List, ListItem, ListItemText } from '@mui/material';
 import api from '../services/api';
 import { formatDateIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+const emptySalesforceSettings = {
+  enabled: false,
+  loginUrl: 'https://login.salesforce.com',
+  username: '',
+  password: '',
+  securityToken: '',
+  clientId: '',
+  clientSecret: '',
+};
 
 const CRM = () => {
+  const { user, hasPermission } = useAuth();
+  const canSyncCRM = hasPermission('canSyncCRM');
+  const canManageSettings = ['admin', 'manager'].includes(user?.role);
   const [crmData, setCrmData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState(0);
   const [syncDialogOpen, setSyncDialogOpen] = useState(false);
   const [syncInProgress, setSyncInProgress] = useState(false);
   const [selectedTranscripts, setSelectedTranscripts] = useState([]);
+  const [settingsDialogOpen, setSettingsDialogOpen] = useState(false);
+  const [settingsSaving, setSettingsSaving] = useState(false);
+  const [settingsError, setSettingsError] = useState('');
+  const [salesforceSettings, setSalesforceSettings] = useState(emptySalesforceSettings);
+  const [storedSecrets, setStoredSecrets] = useState({});
 
   // Refresh CRM data on page focus
   useEffect(() => {
@@ -124,6 +143,55 @@ const CRM = () => {
     }
   };
 
+  const openSettingsDialog = async () => {
+    try {
+      setSettingsError('');
+      const response = await api.get('/crm/settings');
+      const salesforce = response.data.data?.crmSettings?.salesforce || {};
+      // Secrets are never sent back; blank fields keep the stored value
+      setSalesforceSettings({
+        ...emptySalesforceSettings,
+        enabled: Boolean(salesforce.enabled),
+        loginUrl: salesforce.loginUrl || emptySalesforceSettings.loginUrl,
+        username: salesforce.username || '',
+        clientId: salesforce.clientId || '',
+      });
+      setStoredSecrets({
+        password: salesforce.passwordSet,
+        securityToken: salesforce.securityTokenSet,
+        clientSecret: salesforce.clientSecretSet,
+      });
+      setSettingsDialogOpen(true);
+    } catch (error) {
+      console.error('Error loading CRM settings:', error);
+      alert('Failed to load CRM settings: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleSettingsChange = (field, value) => {
+    setSalesforceSettings(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      setSettingsSaving(true);
+      setSettingsError('');
+      await api.put('/crm/settings', { crmSettings: { salesforce: salesforceSettings } });
+      setSettingsDialogOpen(false);
+      await fetchCRMData();
+    } catch (error) {
+      console.error('Error saving CRM settings:', error);
+      setSettingsError(error.response?.data?.error || error.message);
+    } finally {
+      setSettingsSaving(false);
+    }
+  };
+
+  const secretHelperText = (field) => (storedSecrets[field] ? 'Stored — leave blank to keep the current value' : '');
+
   const getSyncStatusColor = (status) => {
     switch (status) {
       case 'synced':
@@ -170,6 +238,7 @@ const CRM = () => {
             variant="outlined"
             startIcon={<Sync />}
             onClick={() => setSyncDialogOpen(true)}
+            disabled={!canSyncCRM}
           >
             Sync Selected
           </Button>
@@ -177,7 +246,7 @@ const CRM = () => {
             variant="contained"
             startIcon={<CloudUpload />}
             onClick={handleBatchSync}
-            disabled={syncInProgress}
+            disabled={syncInProgress || !canSyncCRM}
           >
             {syncInProgress ? 'Syncing...' : 'Batch Sync'}
           </Button>
@@ -205,16 +274,27 @@ const CRM = () => {
                 }
               </Typography>
               <Typography variant="caption" color="textSecondary" sx={{ mb: 2, display: 'block' }}>
-                Credentials are managed via environment variables (SALESFORCE_USERNAME, SALESFORCE_PASSWORD, etc.)
+                Credentials are configured per organization. Organizations without their own settings use the server defaults.
               </Typography>
               <Box sx={{ display: 'flex', gap: 1 }}>
                 <Button
                   size="small"
                   variant="outlined"
                   onClick={() => testConnection('salesforce')}
+                  disabled={!canSyncCRM}
                 >
                   Test Connection
                 </Button>
+                {canManageSettings && (
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    startIcon={<Settings />}
+                    onClick={openSettingsDialog}
+                  >
+                    Settings
+                  </Button>
+                )}
               </Box>
             </CardContent>
           </Card>
@@ -339,7 +419,7 @@ const CRM = () => {
                         <IconButton
                           size="small"
                           onClick={() => handleSync(item.transcriptId)}
-                          disabled={item.syncStatus === 'synced'}
+                          disabled={item.syncStatus === 'synced' || !canSyncCRM}
                         >
                           <Sync />
                         </IconButton>
@@ -435,6 +515,81 @@ const CRM = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* CRM Settings Dialog */}
+      <Dialog open={settingsDialogOpen} onClose={() => setSettingsDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Salesforce Settings</DialogTitle>
+        <DialogContent>
+          {settingsError && (
+            <Typography color="error" variant="body2" sx={{ mb: 2 }}>
+              {settingsError}
+            </Typography>
+          )}
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={salesforceSettings.enabled}
+                  onChange={(e) => handleSettingsChange('enabled', e.target.checked)}
+                />
+              }
+              label="Use organization credentials"
+            />
+            <TextField
+              label="Login URL"
+              value={salesforceSettings.loginUrl}
+              onChange={(e) => handleSettingsChange('loginUrl', e.target.value)}
+              fullWidth
+            />
+            <TextField
+              label="Username"
+              value={salesforceSettings.username}
+              onChange={(e) => handleSettingsChange('username', e.target.value)}
+              fullWidth
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={salesforceSettings.password}
+              onChange={(e) => handleSettingsChange('password', e.target.value)}
+              helperText={secretHelperText('password')}
+              fullWidth
+            />
+            <TextField
+              label="Security Token"
+              type="password"
+              value={salesforceSettings.securityToken}
+              onChange={(e) => handleSettingsChange('securityToken', e.target.value)}
+              helperText={secretHelperText('securityToken')}
+              fullWidth
+            />
+            <TextField
+              label="Client ID"
+              value={salesforceSettings.clientId}
+              onChange={(e) => handleSettingsChange('clientId', e.target.value)}
+              fullWidth
+            />
+            <TextField
+              label="Client Secret"
+              type="password"
+              value={salesforceSettings.clientSecret}
+              onChange={(e) => handleSettingsChange('clientSecret', e.target.value)}
+              helperText={secretHelperText('clientSecret')}
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSettingsDialogOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleSaveSettings}
+            variant="contained"
+            disabled={settingsSaving}
+          >
+            {settingsSaving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
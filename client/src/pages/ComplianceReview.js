@@ -0,0 +1,538 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Link,
+  Switch,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  MenuItem,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+} from '@mui/material';
+import { Refresh, Add, Edit, Delete, Save } from '@mui/icons-material';
+import { complianceAPI, organizationAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { COMPLIANCE_CATEGORY_LABELS } from '../components/ComplianceFindings';
+import { REDACTION_ENTITY_LABELS } from '../components/RedactedTranscript';
+import { formatDateIST, formatDateTimeIST } from '../utils/dateUtils';
+
+const QUEUE_TABS = [
+  { value: 'flagged', label: 'To review' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'failed', label: 'Check failed' },
+];
+
+const SEVERITY_COLORS = {
+  high: 'error',
+  medium: 'warning',
+  low: 'default',
+};
+
+const EMPTY_RULE = {
+  name: '',
+  category: 'other',
+  description: '',
+  patterns: '',
+  severity: 'medium',
+  useLLM: true,
+  enabled: true,
+};
+
+// Until the server says otherwise: every entity type, and no NER service
+const DEFAULT_REDACTION_OPTIONS = {
+  entityTypes: Object.keys(REDACTION_ENTITY_LABELS),
+  nerAvailable: false,
+};
+
+const ComplianceReview = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [status, setStatus] = useState('flagged');
+  const [transcripts, setTranscripts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState(Object.keys(COMPLIANCE_CATEGORY_LABELS));
+  const [editingRule, setEditingRule] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [redaction, setRedaction] = useState(null);
+  const [redactionOptions, setRedactionOptions] = useState(DEFAULT_REDACTION_OPTIONS);
+  const [savingRedaction, setSavingRedaction] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await complianceAPI.getQueue({ status, page: page + 1, limit: rowsPerPage });
+      setTranscripts(response.data.data || []);
+      setCounts(response.data.counts || {});
+      setTotal(response.data.pagination?.total || 0);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching compliance queue:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+
+  const fetchRedactionSettings = useCallback(async () => {
+    try {
+      const response = await organizationAPI.getSettings();
+      const settings = response.data.data?.redaction || {};
+      const options = response.data.redactionOptions || DEFAULT_REDACTION_OPTIONS;
+      setRedactionOptions(options);
+      setRedaction({
+        enabled: Boolean(settings.enabled),
+        // No types chosen means all of them
+        entityTypes: settings.entityTypes?.length > 0 ? settings.entityTypes : options.entityTypes,
+        useNER: Boolean(settings.useNER),
+      });
+    } catch (err) {
+      console.error('Error fetching organization settings:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) fetchRedactionSettings();
+  }, [isAdmin, fetchRedactionSettings]);
+
+  const handleSaveRedaction = async () => {
+    try {
+      setSavingRedaction(true);
+      setError('');
+      await organizationAPI.updateSettings({ redaction });
+      setMessage('PHI redaction settings saved. Transcripts are redacted with them from now on.');
+    } catch (err) {
+      console.error('Error saving redaction settings:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSavingRedaction(false);
+    }
+  };
+
+  const toggleEntityType = (type) => setRedaction(prev => ({
+    ...prev,
+    entityTypes: prev.entityTypes.includes(type)
+      ? prev.entityTypes.filter(entry => entry !== type)
+      : [...prev.entityTypes, type],
+  }));
+
+  const fetchRules = async () => {
+    try {
+      const response = await complianceAPI.getRules();
+      setRules(response.data.data || []);
+      if (response.data.categories) setCategories(response.data.categories);
+    } catch (err) {
+      console.error('Error fetching compliance rules:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleSaveRule = async () => {
+    const data = {
+      ...editingRule,
+      patterns: editingRule.patterns.split('\n').map(pattern => pattern.trim()).filter(Boolean),
+    };
+    delete data._id;
+
+    try {
+      setSaving(true);
+      setError('');
+      if (editingRule._id) {
+        await complianceAPI.updateRule(editingRule._id, data);
+      } else {
+        await complianceAPI.createRule(data);
+      }
+      setEditingRule(null);
+      setMessage('Compliance rule saved; it applies to meetings checked from now on');
+      fetchRules();
+    } catch (err) {
+      console.error('Error saving compliance rule:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await complianceAPI.updateRule(rule._id, { enabled: !rule.enabled });
+      fetchRules();
+    } catch (err) {
+      console.error('Error updating compliance rule:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Findings already made under it are kept.`)) return;
+    try {
+      await complianceAPI.deleteRule(rule._id);
+      fetchRules();
+    } catch (err) {
+      console.error('Error deleting compliance rule:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const openRule = (rule) => setEditingRule(rule
+    ? {
+      _id: rule._id,
+      name: rule.name,
+      category: rule.category,
+      description: rule.description || '',
+      patterns: (rule.patterns || []).join('\n'),
+      severity: rule.severity,
+      useLLM: rule.useLLM,
+      enabled: rule.enabled,
+    }
+    : { ...EMPTY_RULE });
+
+  const updateRuleField = (field, value) => setEditingRule(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          Compliance Review
+        </Typography>
+        <Button variant="outlined" startIcon={<Refresh />} onClick={fetchQueue}>
+          Refresh
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Tabs
+            value={status}
+            onChange={(e, value) => {
+              setPage(0);
+              setStatus(value);
+            }}
+            sx={{ mb: 2 }}
+          >
+            {QUEUE_TABS.map(tab => (
+              <Tab key={tab.value} value={tab.value} label={`${tab.label} (${counts[tab.value] || 0})`} />
+            ))}
+          </Tabs>
+
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Meeting</TableCell>
+                  <TableCell>Findings</TableCell>
+                  <TableCell>Highest severity</TableCell>
+                  <TableCell>Checked</TableCell>
+                  <TableCell>Reviewed by</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {transcripts.map(transcript => (
+                  <TableRow key={transcript._id}>
+                    <TableCell>
+                      <Link component={RouterLink} to={`/transcripts/${transcript._id}`}>
+                        {transcript.hcpName}
+                      </Link>
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {transcript.hcpSpecialty} · {formatDateIST(transcript.meetingDate)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {(transcript.complianceFindings || [])
+                        .map(finding => COMPLIANCE_CATEGORY_LABELS[finding.category] || finding.category)
+                        .filter((category, index, all) => all.indexOf(category) === index)
+                        .join(', ') || '—'}
+                    </TableCell>
+                    <TableCell>
+                      {transcript.compliance?.highestSeverity ? (
+                        <Chip
+                          label={transcript.compliance.highestSeverity}
+                          color={SEVERITY_COLORS[transcript.compliance.highestSeverity]}
+                          size="small"
+                        />
+                      ) : '—'}
+                    </TableCell>
+                    <TableCell>{transcript.compliance?.checkedAt ? formatDateTimeIST(transcript.compliance.checkedAt) : '—'}</TableCell>
+                    <TableCell>{transcript.compliance?.review?.reviewedBy?.email || '—'}</TableCell>
+                  </TableRow>
+                ))}
+                {!loading && transcripts.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        {status === 'flagged' ? 'No meetings are waiting for compliance review' : 'No transcripts'}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[20, 50, 100]}
+          />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6">
+              Compliance Rules
+            </Typography>
+            <Button variant="contained" startIcon={<Add />} onClick={() => openRule(null)}>
+              Add rule
+            </Button>
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Every meeting is checked against the enabled rules. Patterns are matched exactly; rules checked by AI also
+            catch statements that break them in other words. Meetings with findings are held back from the CRM until approved.
+          </Typography>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell>Rule</TableCell>
+                  <TableCell>Category</TableCell>
+                  <TableCell>Severity</TableCell>
+                  <TableCell>Checked by</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.map(rule => (
+                  <TableRow key={rule._id}>
+                    <TableCell>
+                      <Switch size="small" checked={rule.enabled} onChange={() => handleToggleRule(rule)} />
+                    </TableCell>
+                    <TableCell>
+                      {rule.name}
+                      {rule.description && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {rule.description}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{COMPLIANCE_CATEGORY_LABELS[rule.category] || rule.category}</TableCell>
+                    <TableCell>
+                      <Chip label={rule.severity} color={SEVERITY_COLORS[rule.severity]} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      {[rule.patterns?.length > 0 && `${rule.patterns.length} pattern(s)`, rule.useLLM && 'AI'].filter(Boolean).join(' + ') || '—'}
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton size="small" onClick={() => openRule(rule)}>
+                        <Edit fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => handleDeleteRule(rule)}>
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      {isAdmin && redaction && (
+        <Card sx={{ mt: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              PHI Redaction
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              When on, the selected kinds of patient information are replaced with placeholders such as [NAME] before
+              transcripts are sent to AI providers, used in generated documents or synced to the CRM. Reviewers can compare
+              the original and redacted text on each transcript.
+            </Typography>
+            <FormControlLabel
+              control={<Switch checked={redaction.enabled} onChange={(e) => setRedaction(prev => ({ ...prev, enabled: e.target.checked }))} />}
+              label="Redact PHI"
+            />
+            <FormGroup row sx={{ my: 1 }}>
+              {redactionOptions.entityTypes.map(type => (
+                <FormControlLabel
+                  key={type}
+                  control={
+                    <Checkbox
+                      size="small"
+                      checked={redaction.entityTypes.includes(type)}
+                      onChange={() => toggleEntityType(type)}
+                      disabled={!redaction.enabled}
+                    />
+                  }
+                  label={REDACTION_ENTITY_LABELS[type] || type}
+                />
+              ))}
+            </FormGroup>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={redaction.useNER}
+                  onChange={(e) => setRedaction(prev => ({ ...prev, useNER: e.target.checked }))}
+                  disabled={!redaction.enabled || (!redactionOptions.nerAvailable && !redaction.useNER)}
+                />
+              }
+              label={redactionOptions.nerAvailable
+                ? 'Also use the NER model (finds names and addresses the patterns miss)'
+                : 'NER model (not configured on this server)'}
+            />
+            <Box sx={{ mt: 2 }}>
+              <Button
+                variant="contained"
+                startIcon={<Save />}
+                onClick={handleSaveRedaction}
+                disabled={savingRedaction || (redaction.enabled && redaction.entityTypes.length === 0)}
+              >
+                Save
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Rule editor */}
+      <Dialog open={Boolean(editingRule)} onClose={() => setEditingRule(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingRule?._id ? 'Edit compliance rule' : 'Add compliance rule'}</DialogTitle>
+        {editingRule && (
+          <DialogContent>
+            <TextField
+              label="Name"
+              value={editingRule.name}
+              onChange={(e) => updateRuleField('name', e.target.value)}
+              fullWidth
+              margin="normal"
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                select
+                label="Category"
+                value={editingRule.category}
+                onChange={(e) => updateRuleField('category', e.target.value)}
+                fullWidth
+                margin="normal"
+              >
+                {categories.map(category => (
+                  <MenuItem key={category} value={category}>{COMPLIANCE_CATEGORY_LABELS[category] || category}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Severity"
+                value={editingRule.severity}
+                onChange={(e) => updateRuleField('severity', e.target.value)}
+                fullWidth
+                margin="normal"
+              >
+                {['high', 'medium', 'low'].map(severity => (
+                  <MenuItem key={severity} value={severity}>{severity}</MenuItem>
+                ))}
+              </TextField>
+            </Box>
+            <TextField
+              label="What the rule forbids"
+              value={editingRule.description}
+              onChange={(e) => updateRuleField('description', e.target.value)}
+              fullWidth
+              multiline
+              minRows={2}
+              margin="normal"
+            />
+            <TextField
+              label="Patterns (one regular expression per line, case-insensitive)"
+              value={editingRule.patterns}
+              onChange={(e) => updateRuleField('patterns', e.target.value)}
+              fullWidth
+              multiline
+              minRows={2}
+              margin="normal"
+              placeholder={'\\bgift cards?\\b'}
+            />
+            <FormControlLabel
+              control={<Switch checked={editingRule.useLLM} onChange={(e) => updateRuleField('useLLM', e.target.checked)} />}
+              label="Also check with AI"
+            />
+            <FormControlLabel
+              control={<Switch checked={editingRule.enabled} onChange={(e) => updateRuleField('enabled', e.target.checked)} />}
+              label="Enabled"
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditingRule(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveRule} disabled={saving || !editingRule?.name?.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ComplianceReview;
@@ -30,9 +30,11 @@ import {
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
 import { formatDateIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
 
 const Dashboard = () => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
   const [stats, setStats] = useState({
     totalTranscripts: 0,
     pendingTranscriptions: 0,
@@ -237,14 +239,16 @@ const Dashboard = () => {
                 Quick Actions
               </Typography>
               <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
-                <Button
-                  variant="contained"
-                  startIcon={<CloudUpload />}
-                  onClick={() => navigate('/upload')}
-                  fullWidth
-                >
-                  Upload New Recording
-                </Button>
+                {hasPermission('canUpload') && (
+                  <Button
+                    variant="contained"
+                    startIcon={<CloudUpload />}
+                    onClick={() => navigate('/upload')}
+                    fullWidth
+                  >
+                    Upload New Recording
+                  </Button>
+                )}
                 <Button
                   variant="outlined"
                   startIcon={<Description />}
@@ -44,12 +44,14 @@ import {
   Add,
 } from '@mui/icons-material';
 import { useSearchParams } from 'react-router-dom';
-import api from '../services/api';
+import api, { withAuthToken } from '../services/api';
 import Tooltip from '@mui/material/Tooltip';
 import { formatDateIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
 
 const Documents = () => {
   const [searchParams] = useSearchParams();
+  const { hasPermission } = useAuth();
   const [documents, setDocuments] = useState([]);
   const [transcripts, setTranscripts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -134,7 +136,10 @@ const Documents = () => {
       console.log('Downloading from:', fullUrl);
       
       // Fetch the file as a blob from the document URL
-      const response = await fetch(fullUrl);
+      const token = localStorage.getItem('authToken');
+      const response = await fetch(fullUrl, {
+        headers: token && fullUrl.includes('/api/files/') ? { Authorization: `Bearer ${token}` } : {}
+      });
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -161,7 +166,7 @@ const Documents = () => {
     } catch (error) {
       console.error('Error downloading document:', error);
       // Fallback to opening in new tab if download fails
-      window.open(documentUrl, '_blank');
+      window.open(withAuthToken(documentUrl), '_blank');
     }
   };
 
@@ -376,6 +381,7 @@ const Documents = () => {
                             size="small"
                             color="error"
                             onClick={() => setDeleteTarget(group) || setDeleteDialogOpen(true)}
+                            disabled={!hasPermission('canGenerateDocuments')}
                           >
                             <Delete />
                           </IconButton>
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Link,
+} from '@mui/material';
+import { useNavigate, useLocation, Navigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const Login = () => {
+  const { login, register, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState('login');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    organization: '',
+    email: '',
+    password: '',
+  });
+
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleFormChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    const result = mode === 'login'
+      ? await login({ email: formData.email, password: formData.password })
+      : await register(formData);
+
+    setSubmitting(false);
+    if (result.success) {
+      navigate(redirectTo, { replace: true });
+    } else {
+      setError(result.error || 'Authentication failed');
+    }
+  };
+
+  const isRegister = mode === 'register';
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+      <Card sx={{ width: '100%', maxWidth: 420 }}>
+        <CardContent sx={{ p: 4 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+            <img
+              src={process.env.PUBLIC_URL + '/logo.png'}
+              alt="DocNexus Logo"
+              style={{ maxWidth: 160, maxHeight: 64, display: 'block', borderRadius: 8 }}
+            />
+          </Box>
+          <Typography variant="h5" align="center" gutterBottom>
+            {isRegister ? 'Create your account' : 'Sign in'}
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {isRegister && (
+              <>
+                <TextField
+                  label="First Name"
+                  value={formData.firstName}
+                  onChange={(e) => handleFormChange('firstName', e.target.value)}
+                  required
+                  fullWidth
+                />
+                <TextField
+                  label="Last Name"
+                  value={formData.lastName}
+                  onChange={(e) => handleFormChange('lastName', e.target.value)}
+                  required
+                  fullWidth
+                />
+                <TextField
+                  label="Organization"
+                  value={formData.organization}
+                  onChange={(e) => handleFormChange('organization', e.target.value)}
+                  required
+                  fullWidth
+                />
+              </>
+            )}
+            <TextField
+              label="Email"
+              type="email"
+              value={formData.email}
+              onChange={(e) => handleFormChange('email', e.target.value)}
+              required
+              fullWidth
+              autoComplete="email"
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={formData.password}
+              onChange={(e) => handleFormChange('password', e.target.value)}
+              required
+              fullWidth
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              helperText={isRegister ? 'At least 8 characters' : ''}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              size="large"
+              disabled={submitting}
+              startIcon={submitting ? <CircularProgress size={16} /> : null}
+            >
+              {isRegister ? 'Create Account' : 'Sign In'}
+            </Button>
+          </Box>
+
+          <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+            {isRegister ? 'Already have an account? ' : "Don't have an account? "}
+            <Link
+              component="button"
+              type="button"
+              onClick={() => {
+                setMode(isRegister ? 'login' : 'register');
+                setError('');
+              }}
+            >
+              {isRegister ? 'Sign in' : 'Create one'}
+            </Link>
+          </Typography>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default Login;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import {
+  Add,
+  Delete,
+  ContentCopy,
+  VpnKey,
+} from '@mui/icons-material';
+import { authAPI } from '../services/api';
+import { formatDateTimeIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+const PERMISSION_LABELS = {
+  canUpload: 'Upload recordings',
+  canEditTranscripts: 'Edit transcripts',
+  canSyncCRM: 'Sync to CRM',
+  canGenerateDocuments: 'Generate documents',
+  canViewAnalytics: 'View analytics',
+  canManageUsers: 'Manage users',
+  canReviewSafety: 'Review adverse events',
+  canReviewCompliance: 'Review compliance findings',
+};
+
+const Profile = () => {
+  const { user, hasPermission } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [createDialogOpen, setCreateDialogOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [tokenName, setTokenName] = useState('');
+  const [tokenPermissions, setTokenPermissions] = useState([]);
+  const [newToken, setNewToken] = useState(null);
+
+  const grantablePermissions = Object.keys(PERMISSION_LABELS).filter(permission => hasPermission(permission));
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.listTokens();
+      setTokens(response.data.data || []);
+    } catch (err) {
+      console.error('Error fetching API tokens:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateDialog = () => {
+    setTokenName('');
+    setTokenPermissions([]);
+    setError('');
+    setCreateDialogOpen(true);
+  };
+
+  const togglePermission = (permission) => {
+    setTokenPermissions(prev => (
+      prev.includes(permission)
+        ? prev.filter(p => p !== permission)
+        : [...prev, permission]
+    ));
+  };
+
+  const handleCreateToken = async () => {
+    try {
+      setCreating(true);
+      setError('');
+      const response = await authAPI.createToken({ name: tokenName, permissions: tokenPermissions });
+      setNewToken(response.data.token);
+      setCreateDialogOpen(false);
+      await fetchTokens();
+    } catch (err) {
+      console.error('Error creating API token:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevokeToken = async (token) => {
+    if (!window.confirm(`Revoke token "${token.name}"? Integrations using it will stop working.`)) {
+      return;
+    }
+    try {
+      await authAPI.revokeToken(token.id);
+      await fetchTokens();
+    } catch (err) {
+      console.error('Error revoking API token:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const copyNewToken = () => {
+    navigator.clipboard?.writeText(newToken);
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" sx={{ mb: 3 }}>
+        Profile
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                {user?.fullName}
+              </Typography>
+              <Typography variant="body2" color="textSecondary">
+                {user?.email}
+              </Typography>
+              <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                {user?.organization}
+              </Typography>
+              <Chip label={user?.role} color="primary" size="small" sx={{ textTransform: 'capitalize' }} />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <VpnKey color="primary" />
+                  <Typography variant="h6">API Tokens</Typography>
+                </Box>
+                <Button variant="contained" startIcon={<Add />} onClick={openCreateDialog}>
+                  New Token
+                </Button>
+              </Box>
+              <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                Use a token as <code>Authorization: Bearer &lt;token&gt;</code> for scripted access to the API.
+              </Typography>
+
+              {error && !createDialogOpen && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+                  {error}
+                </Alert>
+              )}
+
+              {newToken && (
+                <Alert
+                  severity="success"
+                  sx={{ mb: 2 }}
+                  onClose={() => setNewToken(null)}
+                  action={
+                    <Tooltip title="Copy">
+                      <IconButton size="small" onClick={copyNewToken}>
+                        <ContentCopy fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  }
+                >
+                  <Typography variant="body2" gutterBottom>
+                    Copy this token now. It will not be shown again.
+                  </Typography>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                    {newToken}
+                  </Typography>
+                </Alert>
+              )}
+
+              {loading ? (
+                <LinearProgress />
+              ) : tokens.length === 0 ? (
+                <Typography variant="body2" color="textSecondary">
+                  You have not created any API tokens.
+                </Typography>
+              ) : (
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Token</TableCell>
+                        <TableCell>Permissions</TableCell>
+                        <TableCell>Created</TableCell>
+                        <TableCell>Last Used</TableCell>
+                        <TableCell align="right">Actions</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {tokens.map((token) => (
+                        <TableRow key={token.id}>
+                          <TableCell>{token.name}</TableCell>
+                          <TableCell sx={{ fontFamily: 'monospace' }}>{`dnx_${token.prefix}_…`}</TableCell>
+                          <TableCell>
+                            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                              {(token.permissions || []).map(permission => (
+                                <Chip key={permission} label={PERMISSION_LABELS[permission] || permission} size="small" />
+                              ))}
+                            </Box>
+                          </TableCell>
+                          <TableCell>{formatDateTimeIST(token.createdAt)}</TableCell>
+                          <TableCell>{token.lastUsed ? formatDateTimeIST(token.lastUsed) : 'Never'}</TableCell>
+                          <TableCell align="right">
+                            <Tooltip title="Revoke">
+                              <IconButton size="small" color="error" onClick={() => handleRevokeToken(token)}>
+                                <Delete fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Create Token Dialog */}
+      <Dialog open={createDialogOpen} onClose={() => setCreateDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Create API Token</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            label="Token Name"
+            value={tokenName}
+            onChange={(e) => setTokenName(e.target.value)}
+            placeholder="e.g. Data warehouse export"
+            fullWidth
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <Typography variant="subtitle2" gutterBottom>
+            Permissions
+          </Typography>
+          <FormGroup>
+            {grantablePermissions.map(permission => (
+              <FormControlLabel
+                key={permission}
+                control={
+                  <Checkbox
+                    checked={tokenPermissions.includes(permission)}
+                    onChange={() => togglePermission(permission)}
+                  />
+                }
+                label={PERMISSION_LABELS[permission]}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateDialogOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleCreateToken}
+            variant="contained"
+            disabled={creating || !tokenName.trim() || tokenPermissions.length === 0}
+          >
+            {creating ? 'Creating...' : 'Create Token'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,526 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  List,
+  ListItemButton,
+  ListItemText,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import {
+  Save,
+  RestartAlt,
+  Visibility,
+  PlayArrow,
+  Add,
+  Delete,
+} from '@mui/icons-material';
+import { promptTemplatesAPI, transcriptsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDateIST, formatDateTimeIST } from '../utils/dateUtils';
+
+const templateLabel = (template) => (template.source === 'default'
+  ? `Built-in v${template.version}`
+  : `Custom v${template.version}`);
+
+// Editable copy of a template
+const toDraft = (template) => ({
+  system: template.system || '',
+  prompt: template.prompt || '',
+  settings: JSON.parse(JSON.stringify(template.settings || {})),
+  notes: '',
+});
+
+const CategoriesEditor = ({ setting, value, onChange, disabled }) => {
+  const update = (index, field, fieldValue) => onChange(
+    value.map((category, i) => (i === index ? { ...category, [field]: fieldValue } : category))
+  );
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2">{setting.label}</Typography>
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+        {setting.description}
+      </Typography>
+      {value.map((category, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+          <TextField
+            size="small"
+            label="Name"
+            value={category.name}
+            onChange={(e) => update(index, 'name', e.target.value)}
+            disabled={disabled}
+            sx={{ width: 180 }}
+          />
+          <TextField
+            size="small"
+            label="Description"
+            value={category.description}
+            onChange={(e) => update(index, 'description', e.target.value)}
+            disabled={disabled}
+            fullWidth
+          />
+          <IconButton
+            size="small"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            disabled={disabled || value.length <= 1}
+          >
+            <Delete fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      <Button
+        size="small"
+        startIcon={<Add />}
+        onClick={() => onChange([...value, { name: '', description: '' }])}
+        disabled={disabled}
+      >
+        Add category
+      </Button>
+    </Box>
+  );
+};
+
+const PromptTemplates = () => {
+  const { user } = useAuth();
+  const canEdit = user?.role === 'admin';
+
+  const [templates, setTemplates] = useState([]);
+  const [task, setTask] = useState('sentiment');
+  const [detail, setDetail] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [transcripts, setTranscripts] = useState([]);
+  const [transcriptId, setTranscriptId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchTranscripts();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await promptTemplatesAPI.getTemplates();
+      setTemplates(response.data.data || []);
+    } catch (err) {
+      console.error('Error fetching prompt templates:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const fetchTemplate = useCallback(async () => {
+    try {
+      setLoading(true);
+      setPreview(null);
+      const response = await promptTemplatesAPI.getTemplate(task);
+      setDetail(response.data.data);
+      setDraft(toDraft(response.data.data.active));
+    } catch (err) {
+      console.error('Error fetching prompt template:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [task]);
+
+  useEffect(() => {
+    fetchTemplate();
+  }, [fetchTemplate]);
+
+  const fetchTranscripts = async () => {
+    try {
+      const response = await transcriptsAPI.getTranscripts({ status: 'completed', limit: 50 });
+      const list = response.data.data || [];
+      setTranscripts(list);
+      if (list.length > 0) setTranscriptId(list[0]._id);
+    } catch (err) {
+      console.error('Error fetching transcripts:', err);
+    }
+  };
+
+  const refresh = async () => {
+    await Promise.all([fetchTemplates(), fetchTemplate()]);
+  };
+
+  const handleSave = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const response = await promptTemplatesAPI.saveTemplate(task, draft);
+      setMessage(response.data.message);
+      await refresh();
+    } catch (err) {
+      console.error('Error saving prompt template:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleActivate = async (version) => {
+    try {
+      setError('');
+      const response = await promptTemplatesAPI.activateVersion(task, version);
+      setMessage(response.data.message);
+      await refresh();
+    } catch (err) {
+      console.error('Error activating prompt template:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Use the built-in template for new analyses? Your saved versions are kept.')) {
+      return;
+    }
+    try {
+      setError('');
+      const response = await promptTemplatesAPI.resetTemplate(task);
+      setMessage(response.data.message);
+      await refresh();
+    } catch (err) {
+      console.error('Error resetting prompt template:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handlePreview = async (run) => {
+    try {
+      setWorking(true);
+      setError('');
+      const response = await promptTemplatesAPI.previewTemplate(task, {
+        transcriptId,
+        draft: { system: draft.system, prompt: draft.prompt, settings: draft.settings },
+        run,
+      });
+      setPreview(response.data.data);
+    } catch (err) {
+      console.error('Error previewing prompt template:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateSetting = (name, value) => setDraft(prev => ({ ...prev, settings: { ...prev.settings, [name]: value } }));
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4">
+          Prompt Templates
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          The instructions and categories your organization's analyses use. Each analysis records the template version it was generated with.
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+
+      {(loading || working) && <LinearProgress sx={{ mb: 2 }} />}
+
+      <Grid container spacing={3}>
+        {/* Tasks */}
+        <Grid item xs={12} md={3}>
+          <Card>
+            <List dense>
+              {templates.map(template => (
+                <ListItemButton key={template.task} selected={template.task === task} onClick={() => setTask(template.task)}>
+                  <ListItemText
+                    primary={template.label}
+                    secondary={`${templateLabel(template)}${template.versions ? ` · ${template.versions} saved` : ''}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </Card>
+        </Grid>
+
+        {detail && draft && (
+          <Grid item xs={12} md={9}>
+            <Grid container spacing={3}>
+              {/* Editor */}
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                      <Box>
+                        <Typography variant="h6">{detail.label}</Typography>
+                        <Chip
+                          size="small"
+                          label={`In use: ${templateLabel(detail.active)}`}
+                          color={detail.active.source === 'default' ? 'default' : 'primary'}
+                        />
+                      </Box>
+                      {canEdit && (
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                          <Button size="small" onClick={() => setDraft(toDraft(detail.default))}>
+                            Load built-in text
+                          </Button>
+                          <Button
+                            size="small"
+                            startIcon={<RestartAlt />}
+                            onClick={handleReset}
+                            disabled={detail.active.source === 'default'}
+                          >
+                            Use built-in
+                          </Button>
+                          <Button variant="contained" size="small" startIcon={<Save />} onClick={handleSave} disabled={working}>
+                            Save new version
+                          </Button>
+                        </Box>
+                      )}
+                    </Box>
+
+                    {Object.entries(detail.settings).map(([name, setting]) => (setting.type === 'categories' ? (
+                      <CategoriesEditor
+                        key={name}
+                        setting={setting}
+                        value={draft.settings[name] || []}
+                        onChange={(value) => updateSetting(name, value)}
+                        disabled={!canEdit}
+                      />
+                    ) : (
+                      <TextField
+                        key={name}
+                        label={setting.label}
+                        helperText={setting.description}
+                        value={draft.settings[name] || ''}
+                        onChange={(e) => updateSetting(name, e.target.value)}
+                        disabled={!canEdit}
+                        multiline
+                        minRows={2}
+                        fullWidth
+                        sx={{ mb: 2 }}
+                      />
+                    )))}
+
+                    <TextField
+                      label="System message"
+                      value={draft.system}
+                      onChange={(e) => setDraft(prev => ({ ...prev, system: e.target.value }))}
+                      disabled={!canEdit}
+                      multiline
+                      minRows={3}
+                      fullWidth
+                      sx={{ mb: 2 }}
+                    />
+                    <TextField
+                      label="Prompt"
+                      value={draft.prompt}
+                      onChange={(e) => setDraft(prev => ({ ...prev, prompt: e.target.value }))}
+                      disabled={!canEdit}
+                      multiline
+                      minRows={12}
+                      maxRows={30}
+                      fullWidth
+                      InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+                      sx={{ mb: 1 }}
+                    />
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+                      <Typography variant="caption" color="text.secondary" sx={{ mr: 1 }}>
+                        Variables ({'{{#name}}...{{/name}}'} shows text only when set):
+                      </Typography>
+                      {Object.entries(detail.runtime).map(([name, description]) => (
+                        <Tooltip key={name} title={description}>
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            label={`{{${name}}}`}
+                            color={detail.required.includes(name) ? 'primary' : 'default'}
+                          />
+                        </Tooltip>
+                      ))}
+                      {Object.entries(detail.settings).flatMap(([name, setting]) => (
+                        setting.type === 'categories' ? [[name, setting.label], [`${name}Options`, `${setting.label} names, separated by "|"`]] : [[name, setting.label]]
+                      )).map(([name, description]) => (
+                        <Tooltip key={name} title={description}>
+                          <Chip size="small" variant="outlined" color="secondary" label={`{{${name}}}`} />
+                        </Tooltip>
+                      ))}
+                    </Box>
+                    {canEdit && (
+                      <TextField
+                        label="Version notes"
+                        size="small"
+                        value={draft.notes}
+                        onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+                        placeholder="What changed and why"
+                        fullWidth
+                      />
+                    )}
+                  </CardContent>
+                </Card>
+              </Grid>
+
+              {/* Preview */}
+              {canEdit && (
+                <Grid item xs={12}>
+                  <Card>
+                    <CardContent>
+                      <Typography variant="h6" gutterBottom>
+                        Preview
+                      </Typography>
+                      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                        <FormControl size="small" sx={{ minWidth: 320 }}>
+                          <InputLabel>Transcript</InputLabel>
+                          <Select
+                            value={transcriptId}
+                            label="Transcript"
+                            onChange={(e) => setTranscriptId(e.target.value)}
+                          >
+                            {transcripts.map(transcript => (
+                              <MenuItem key={transcript._id} value={transcript._id}>
+                                {transcript.hcpName || transcript.originalFileName} ({formatDateIST(transcript.meetingDate)})
+                              </MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                        <Button startIcon={<Visibility />} onClick={() => handlePreview(false)} disabled={!transcriptId || working}>
+                          Render
+                        </Button>
+                        <Button
+                          variant="outlined"
+                          startIcon={<PlayArrow />}
+                          onClick={() => handlePreview(true)}
+                          disabled={!transcriptId || working}
+                        >
+                          Run on model
+                        </Button>
+                      </Box>
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+                        Previews use the text in the editor without saving it. Running calls the model (and counts toward the AI budget); results are not saved to the transcript.
+                      </Typography>
+
+                      {preview && (
+                        <Box>
+                          {preview.part && (
+                            <Alert severity="info" sx={{ mb: 2 }}>
+                              This transcript is analysed in {preview.part.total} parts; the preview shows part 1.
+                            </Alert>
+                          )}
+                          <Typography variant="subtitle2">System message</Typography>
+                          <Box component="pre" sx={{ whiteSpace: 'pre-wrap', fontSize: 12, bgcolor: 'grey.100', p: 1.5, borderRadius: 1 }}>
+                            {preview.system}
+                          </Box>
+                          <Typography variant="subtitle2">Prompt</Typography>
+                          <Box component="pre" sx={{ whiteSpace: 'pre-wrap', fontSize: 12, bgcolor: 'grey.100', p: 1.5, borderRadius: 1, maxHeight: 400, overflow: 'auto' }}>
+                            {preview.prompt}
+                          </Box>
+                          {preview.result && (
+                            <>
+                              <Typography variant="subtitle2">
+                                Response ({preview.result.generatedBy?.model})
+                              </Typography>
+                              <Box component="pre" sx={{ whiteSpace: 'pre-wrap', fontSize: 12, bgcolor: 'grey.100', p: 1.5, borderRadius: 1, maxHeight: 400, overflow: 'auto' }}>
+                                {JSON.stringify(
+                                  Object.fromEntries(Object.entries(preview.result).filter(([key]) => !['success', 'generatedBy'].includes(key))),
+                                  null,
+                                  2
+                                )}
+                              </Box>
+                            </>
+                          )}
+                        </Box>
+                      )}
+                    </CardContent>
+                  </Card>
+                </Grid>
+              )}
+
+              {/* Versions */}
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Saved Versions
+                    </Typography>
+                    {detail.versions.length === 0 ? (
+                      <Typography variant="body2" color="text.secondary">
+                        Your organization uses the built-in template (v{detail.default.version}).
+                      </Typography>
+                    ) : (
+                      <TableContainer>
+                        <Table size="small">
+                          <TableHead>
+                            <TableRow>
+                              <TableCell>Version</TableCell>
+                              <TableCell>Saved</TableCell>
+                              <TableCell>By</TableCell>
+                              <TableCell>Notes</TableCell>
+                              <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {detail.versions.map(version => (
+                              <TableRow key={version.version}>
+                                <TableCell>
+                                  v{version.version}
+                                  {version.active && <Chip size="small" color="primary" label="In use" sx={{ ml: 1 }} />}
+                                </TableCell>
+                                <TableCell>{formatDateTimeIST(version.createdAt)}</TableCell>
+                                <TableCell>
+                                  {version.createdBy ? `${version.createdBy.firstName} ${version.createdBy.lastName}` : '-'}
+                                </TableCell>
+                                <TableCell>{version.notes || '-'}</TableCell>
+                                <TableCell align="right">
+                                  <Button size="small" onClick={() => setDraft(toDraft(version))}>
+                                    Load
+                                  </Button>
+                                  {canEdit && !version.active && (
+                                    <Button size="small" onClick={() => handleActivate(version.version)}>
+                                      Use this version
+                                    </Button>
+                                  )}
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </TableContainer>
+                    )}
+                  </CardContent>
+                </Card>
+              </Grid>
+            </Grid>
+          </Grid>
+        )}
+      </Grid>
+    </Box>
+  );
+};
+
+export default PromptTemplates;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Link,
+} from '@mui/material';
+import { Refresh, Save } from '@mui/icons-material';
+import { safetyAPI, organizationAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDateIST, formatDateTimeIST } from '../utils/dateUtils';
+
+const QUEUE_TABS = [
+  { value: 'flagged', label: 'To review' },
+  { value: 'reviewed', label: 'Reviewed' },
+  { value: 'failed', label: 'Screening failed' },
+];
+
+// "3h left", "overdue by 2h"
+const formatDue = (dueBy) => {
+  if (!dueBy) return null;
+  const hours = Math.round((new Date(dueBy).getTime() - Date.now()) / (60 * 60 * 1000));
+  return hours >= 0 ? `${hours}h left` : `overdue by ${-hours}h`;
+};
+
+const SafetyReview = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [status, setStatus] = useState('flagged');
+  const [transcripts, setTranscripts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [reviewerEmails, setReviewerEmails] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await safetyAPI.getQueue({ status, page: page + 1, limit: rowsPerPage });
+      setTranscripts(response.data.data || []);
+      setCounts(response.data.counts || {});
+      setTotal(response.data.pagination?.total || 0);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching safety queue:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page, rowsPerPage]);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const response = await organizationAPI.getSettings();
+      setReviewerEmails((response.data.data?.safetyReviewerEmails || []).join(', '));
+    } catch (err) {
+      console.error('Error fetching organization settings:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    if (isAdmin) fetchSettings();
+  }, [isAdmin, fetchSettings]);
+
+  const handleSaveReviewers = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await organizationAPI.updateSettings({
+        safetyReviewerEmails: reviewerEmails.split(',').map(email => email.trim()).filter(Boolean),
+      });
+      setReviewerEmails((response.data.data?.safetyReviewerEmails || []).join(', '));
+      setMessage('Safety reviewers saved');
+    } catch (err) {
+      console.error('Error saving safety reviewers:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          Safety Review
+        </Typography>
+        <Button variant="outlined" startIcon={<Refresh />} onClick={fetchQueue}>
+          Refresh
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>
+          {message}
+        </Alert>
+      )}
+
+      {isAdmin && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Safety Reviewers
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              These addresses are emailed as soon as a possible adverse event is found in a meeting.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <TextField
+                label="Reviewer emails (comma-separated)"
+                size="small"
+                value={reviewerEmails}
+                onChange={(e) => setReviewerEmails(e.target.value)}
+                placeholder="pharmacovigilance@example.com"
+                sx={{ flex: 1 }}
+              />
+              <Button variant="contained" startIcon={<Save />} onClick={handleSaveReviewers} disabled={saving}>
+                Save
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardContent>
+          <Tabs
+            value={status}
+            onChange={(e, value) => {
+              setPage(0);
+              setStatus(value);
+            }}
+            sx={{ mb: 2 }}
+          >
+            {QUEUE_TABS.map(tab => (
+              <Tab key={tab.value} value={tab.value} label={`${tab.label} (${counts[tab.value] || 0})`} />
+            ))}
+          </Tabs>
+
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Meeting</TableCell>
+                  <TableCell>Events</TableCell>
+                  <TableCell>Detected</TableCell>
+                  <TableCell>Report due</TableCell>
+                  <TableCell>Reviewers notified</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {transcripts.map(transcript => {
+                  const overdue = status === 'flagged' && transcript.safety?.reportDueBy && new Date(transcript.safety.reportDueBy) < new Date();
+                  return (
+                    <TableRow key={transcript._id}>
+                      <TableCell>
+                        <Link component={RouterLink} to={`/transcripts/${transcript._id}`}>
+                          {transcript.hcpName}
+                        </Link>
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {transcript.hcpSpecialty} · {formatDateIST(transcript.meetingDate)}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        {(transcript.adverseEvents || []).map(event => event.drug || 'Unspecified').filter((drug, index, all) => all.indexOf(drug) === index).join(', ')}
+                        {transcript.pendingEvents > 0 && (
+                          <Chip label={`${transcript.pendingEvents} to review`} color="warning" size="small" sx={{ ml: 1 }} />
+                        )}
+                      </TableCell>
+                      <TableCell>{transcript.safety?.detectedAt ? formatDateTimeIST(transcript.safety.detectedAt) : '—'}</TableCell>
+                      <TableCell>
+                        {transcript.safety?.reportDueBy ? formatDateTimeIST(transcript.safety.reportDueBy) : '—'}
+                        {status === 'flagged' && transcript.safety?.reportDueBy && (
+                          <Chip
+                            label={formatDue(transcript.safety.reportDueBy)}
+                            color={overdue ? 'error' : 'default'}
+                            size="small"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell>{(transcript.safety?.reviewersNotified || []).join(', ') || '—'}</TableCell>
+                    </TableRow>
+                  );
+                })}
+                {!loading && transcripts.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        {status === 'flagged' ? 'No possible adverse events are waiting for review' : 'No transcripts'}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[20, 50, 100]}
+          />
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default SafetyReview;
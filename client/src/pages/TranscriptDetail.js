@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
   Box,
   Card,
@@ -22,6 +22,9 @@ import {
   ListItemIcon,
   ListItemText,
   TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
 } from '@mui/material';
 import {
   Edit,
@@ -38,21 +41,51 @@ import {
   SentimentSatisfied,
   SentimentNeutral,
   SentimentDissatisfied,
+  History,
+  Replay5,
+  Forward5,
+  PlayCircleOutline,
+  Summarize,
+  EventRepeat,
+  ReportProblem,
+  Lightbulb,
+  HealthAndSafety,
+  Gavel,
+  Security,
 } from '@mui/icons-material';
 import { useParams, useNavigate } from 'react-router-dom';
-import api from '../services/api';
+import api, { withAuthToken, waitForJob, transcriptsAPI } from '../services/api';
 import GenerateDocumentDialog from '../components/GenerateDocumentDialog';
-import { formatDateIST } from '../utils/dateUtils';
+import TranscriptAuditLog from '../components/TranscriptAuditLog';
+import SpeakerMapping from '../components/SpeakerMapping';
+import AdverseEvents from '../components/AdverseEvents';
+import ComplianceFindings, { COMPLIANCE_HELD_STATUSES } from '../components/ComplianceFindings';
+import RedactedTranscript from '../components/RedactedTranscript';
+import TimedTranscript, { findActiveSegment, formatTimecode } from '../components/TimedTranscript';
+import { formatDateIST, formatDateTimeIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+// e.g. ", custom prompt v3" for the prompt template an analysis was generated with
+const describePromptTemplate = (generatedBy) => {
+  const template = generatedBy?.promptTemplate;
+  if (!template?.source) return '';
+  if (template.source === 'draft') return ', unsaved prompt';
+  return `, ${template.source === 'default' ? 'built-in' : 'custom'} prompt v${template.version}`;
+};
 
 const TranscriptDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user, hasPermission } = useAuth();
+  const canViewAudit = ['admin', 'manager'].includes(user?.role);
   const [transcript, setTranscript] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState(0);
+  const [activeTab, setActiveTab] = useState('transcript');
   const [audioUrl, setAudioUrl] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [reanalyzeDialogOpen, setReanalyzeDialogOpen] = useState(false);
+  const [reanalyzing, setReanalyzing] = useState(false);
+  const [reanalyzeError, setReanalyzeError] = useState('');
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [editedTranscript, setEditedTranscript] = useState('');
@@ -66,6 +99,11 @@ const TranscriptDetail = () => {
   const [refreshInterval, setRefreshInterval] = useState(null);
   const [timerInterval, setTimerInterval] = useState(null);
   const [generateDialogOpen, setGenerateDialogOpen] = useState(false);
+  // Time-aligned transcript
+  const [segments, setSegments] = useState([]);
+  const [transcriptView, setTranscriptView] = useState('synced');
+  const [followPlayback, setFollowPlayback] = useState(true);
+  const [playbackRate, setPlaybackRate] = useState(1);
 
   const audioRef = useRef(null);
 
@@ -110,6 +148,98 @@ const TranscriptDetail = () => {
     }
   }, [audioUrl]);
 
+  // Apply playback speed
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.playbackRate = playbackRate;
+    }
+  }, [playbackRate, audioUrl]);
+
+  // Jump to a position in the recording (and start playing)
+  const seekTo = useCallback((time, play = true) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    const maxTime = audio.duration || Infinity;
+    audio.currentTime = Math.min(Math.max(0, time), maxTime);
+    setCurrentTime(audio.currentTime);
+    if (play) setIsPlaying(true);
+  }, []);
+
+  // Keyboard shortcuts: K play/pause, J/L back/forward 5s, ,/. slower/faster.
+  // Hold Alt to use them while typing in the transcript editor.
+  useEffect(() => {
+    const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+    const handleKeyDown = (e) => {
+      if (!audioRef.current || e.ctrlKey || e.metaKey) return;
+      const target = e.target;
+      const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+      if (typing && !e.altKey) return;
+
+      switch (e.code) {
+        case 'KeyK':
+          setIsPlaying(prev => !prev);
+          break;
+        case 'KeyJ':
+          seekTo(audioRef.current.currentTime - 5, false);
+          break;
+        case 'KeyL':
+          seekTo(audioRef.current.currentTime + 5, false);
+          break;
+        case 'Comma':
+          setPlaybackRate(prev => PLAYBACK_RATES[Math.max(PLAYBACK_RATES.indexOf(prev) - 1, 0)]);
+          break;
+        case 'Period':
+          setPlaybackRate(prev => PLAYBACK_RATES[Math.min(PLAYBACK_RATES.indexOf(prev) + 1, PLAYBACK_RATES.length - 1)]);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [seekTo]);
+
+  // Load timed segments once transcription has finished
+  useEffect(() => {
+    if (transcript?.transcriptionStatus !== 'completed' || !transcript?.segmentCount) {
+      setSegments([]);
+      return;
+    }
+    transcriptsAPI.getSegments(id)
+      .then(response => setSegments(response.data.data.segments || []))
+      .catch(error => console.error('Error fetching transcript segments:', error));
+  }, [id, transcript?.transcriptionStatus, transcript?.segmentCount]);
+
+  const activePosition = useMemo(() => findActiveSegment(segments, currentTime), [segments, currentTime]);
+
+  const speakerNames = useMemo(() => (transcript?.speakers || []).reduce((names, speaker) => {
+    const name = speaker.name || speaker.label;
+    names[speaker.label] = speaker.isHcp ? `${name} (HCP)` : name;
+    return names;
+  }, {}), [transcript?.speakers]);
+
+  // Show the moment an insight or action item refers to
+  const jumpToMoment = (time) => {
+    setActiveTab('transcript');
+    setTranscriptView('synced');
+    seekTo(time);
+  };
+
+  const renderMomentLink = (item) => (
+    audioUrl && typeof item.startTime === 'number' ? (
+      <Button
+        size="small"
+        startIcon={<PlayCircleOutline fontSize="small" />}
+        onClick={() => jumpToMoment(item.startTime)}
+        sx={{ mt: 0.5, p: 0, minWidth: 0 }}
+      >
+        Jump to {formatTimecode(item.startTime)}
+      </Button>
+    ) : null
+  );
+
   // Seek handler
   const handleSeek = (e) => {
     if (audioRef.current && duration) {
@@ -144,7 +274,7 @@ const TranscriptDetail = () => {
       
       // Get audio URL if available
       if (transcriptData.fileUrl) {
-        setAudioUrl(transcriptData.fileUrl);
+        setAudioUrl(withAuthToken(transcriptData.fileUrl));
       }
       
       setEditedTranscript(transcriptData.editedTranscript || transcriptData.rawTranscript || '');
@@ -173,7 +303,7 @@ const TranscriptDetail = () => {
               
               // Update audio URL if available
               if (transcriptData.fileUrl) {
-                setAudioUrl(transcriptData.fileUrl);
+                setAudioUrl(withAuthToken(transcriptData.fileUrl));
               }
               
               // If transcript is completed, stop polling
@@ -231,11 +361,18 @@ const TranscriptDetail = () => {
 
   const handleReanalyze = async () => {
     try {
-      await api.post(`/transcripts/${id}/reanalyze`);
+      setReanalyzeError('');
+      const response = await api.post(`/transcripts/${id}/reanalyze`);
       setReanalyzeDialogOpen(false);
+      setReanalyzing(true);
+      // Analysis runs in the background; wait for the job before refreshing
+      await waitForJob(response.data.jobId);
       fetchTranscript(); // Refresh the data
     } catch (error) {
       console.error('Error reanalyzing transcript:', error);
+      setReanalyzeError(error.response?.data?.error || error.message);
+    } finally {
+      setReanalyzing(false);
     }
   };
 
@@ -245,6 +382,7 @@ const TranscriptDetail = () => {
       fetchTranscript(); // Refresh the data
     } catch (error) {
       console.error('Error syncing to CRM:', error);
+      alert(error.response?.data?.error || 'Error syncing to CRM');
     }
   };
 
@@ -285,6 +423,52 @@ const TranscriptDetail = () => {
     }
   };
 
+  // highIsGood for ratings like an opportunity's potential, where high is welcome
+  const getLevelColor = (level, highIsGood = false) => {
+    switch (level) {
+      case 'high':
+        return highIsGood ? 'success' : 'error';
+      case 'medium':
+        return 'warning';
+      case 'low':
+        return highIsGood ? 'default' : 'success';
+      default:
+        return 'default';
+    }
+  };
+
+  // Follow-ups, risks and opportunities share a layout: text, a rating chip and a detail line
+  const renderRatedItems = (items, { title, text, rating, ratingLabel, detail, emptyText, highIsGood = false }) => (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          {title}
+        </Typography>
+        {items?.length > 0 ? (
+          <List>
+            {items.map((entry, index) => (
+              <ListItem key={index} sx={{ alignItems: 'flex-start' }}>
+                <ListItemText primary={entry[text]} secondary={detail(entry)} />
+                {entry[rating] && (
+                  <Chip
+                    label={`${ratingLabel}: ${entry[rating]}`}
+                    color={getLevelColor(entry[rating], highIsGood)}
+                    size="small"
+                    sx={{ ml: 2, mt: 0.5 }}
+                  />
+                )}
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography color="textSecondary" align="center">
+            {emptyText}
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+
   const formatDuration = (seconds) => {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = Math.floor(seconds % 60);
@@ -351,6 +535,8 @@ const TranscriptDetail = () => {
     );
   }
 
+  const complianceHeld = COMPLIANCE_HELD_STATUSES.includes(transcript.compliance?.status);
+
   return (
     <Box>
       {/* Add CSS for pulse animation */}
@@ -379,6 +565,7 @@ const TranscriptDetail = () => {
             variant="outlined"
             startIcon={<Business />}
             onClick={handleSyncToCRM}
+            disabled={!hasPermission('canSyncCRM') || complianceHeld}
           >
             Sync to CRM
           </Button>
@@ -386,6 +573,7 @@ const TranscriptDetail = () => {
             variant="outlined"
             startIcon={<PictureAsPdf />}
             onClick={() => setGenerateDialogOpen(true)}
+            disabled={!hasPermission('canGenerateDocuments')}
           >
             Generate Document
           </Button>
@@ -395,6 +583,54 @@ const TranscriptDetail = () => {
       {/* Processing Indicator */}
       {timerInterval && <ProcessingIndicator />}
 
+      {reanalyzing && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Re-analysis in progress. Insights will refresh when it finishes.
+        </Alert>
+      )}
+
+      {reanalyzeError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setReanalyzeError('')}>
+          Re-analysis failed: {reanalyzeError}
+        </Alert>
+      )}
+
+      {/* Possible adverse events awaiting the safety team */}
+      {transcript.safety?.status === 'flagged' && (
+        <Alert
+          severity="error"
+          icon={<HealthAndSafety />}
+          sx={{ mb: 3 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setActiveTab('safety')}>
+              View
+            </Button>
+          }
+        >
+          {(transcript.adverseEvents || []).filter(event => event.reviewStatus === 'pending').length} possible adverse event(s) awaiting safety review
+          {transcript.safety.reportDueBy && ` · report due by ${formatDateTimeIST(transcript.safety.reportDueBy)}`}
+        </Alert>
+      )}
+
+      {/* Meetings held back from the CRM by the compliance check */}
+      {complianceHeld && (
+        <Alert
+          severity="warning"
+          icon={<Gavel />}
+          sx={{ mb: 3 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setActiveTab('compliance')}>
+              View
+            </Button>
+          }
+        >
+          {transcript.compliance.status === 'pending' && 'The compliance check has not run on the current text yet; CRM sync is on hold until it finishes'}
+          {transcript.compliance.status === 'flagged' && `${(transcript.complianceFindings || []).length} compliance finding(s) awaiting review; CRM sync is on hold until a reviewer approves the meeting`}
+          {transcript.compliance.status === 'rejected' && 'A compliance reviewer rejected this meeting; it will not be synced to the CRM'}
+          {transcript.compliance.status === 'failed' && 'The compliance check failed; CRM sync is on hold until it is run again'}
+        </Alert>
+      )}
+
       {/* Success Message */}
       {showSuccessMessage && (
         <Alert 
@@ -463,6 +699,12 @@ const TranscriptDetail = () => {
                   : 'Unknown'
                 }
               </Typography>
+              {transcript.transcriptionModel && (
+                <Typography variant="caption" color="textSecondary">
+                  Transcribed with {transcript.transcriptionModel}
+                  {transcript.transcriptionProvider === 'local' ? ' (on-premises)' : ''}
+                </Typography>
+              )}
             </CardContent>
           </Card>
         </Grid>
@@ -480,15 +722,29 @@ const TranscriptDetail = () => {
               src={audioUrl}
               style={{ display: 'none' }}
               onEnded={() => setIsPlaying(false)}
+              onPlay={() => setIsPlaying(true)}
+              onPause={() => setIsPlaying(false)}
             />
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              <IconButton
-                color="primary"
-                onClick={() => setIsPlaying(!isPlaying)}
-                disabled={!audioUrl}
-              >
-                {isPlaying ? <Pause /> : <PlayArrow />}
-              </IconButton>
+              <Tooltip title="Back 5s (J)">
+                <IconButton onClick={() => seekTo(currentTime - 5, false)}>
+                  <Replay5 />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Play/pause (K)">
+                <IconButton
+                  color="primary"
+                  onClick={() => setIsPlaying(!isPlaying)}
+                  disabled={!audioUrl}
+                >
+                  {isPlaying ? <Pause /> : <PlayArrow />}
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Forward 5s (L)">
+                <IconButton onClick={() => seekTo(currentTime + 5, false)}>
+                  <Forward5 />
+                </IconButton>
+              </Tooltip>
               <Box
                 sx={{ flexGrow: 1, cursor: 'pointer' }}
                 onClick={handleSeek}
@@ -502,22 +758,41 @@ const TranscriptDetail = () => {
               <Typography variant="body2" color="textSecondary">
                 {formatDuration(currentTime)} / {formatDuration(duration)}
               </Typography>
+              <Tooltip title="Playback speed (, and .)">
+                <Chip label={`${playbackRate}x`} size="small" variant="outlined" />
+              </Tooltip>
             </Box>
+            <Typography variant="caption" color="textSecondary">
+              Shortcuts: K play/pause, J/L back/forward 5s, comma/period change speed. Hold Alt while editing text.
+            </Typography>
           </CardContent>
         </Card>
       )}
 
       {/* Tabs */}
       <Paper sx={{ mb: 3 }}>
-        <Tabs value={activeTab} onChange={(e, newValue) => setActiveTab(newValue)}>
-          <Tab label="Transcript" icon={<Description />} />
-          <Tab label="Insights" icon={<TrendingUp />} />
-          <Tab label="Sentiment" icon={<SentimentSatisfied />} />
+        <Tabs
+          value={activeTab}
+          onChange={(e, newValue) => setActiveTab(newValue)}
+          variant="scrollable"
+          scrollButtons="auto"
+        >
+          <Tab value="transcript" label="Transcript" icon={<Description />} />
+          <Tab value="summary" label="Summary" icon={<Summarize />} />
+          <Tab value="insights" label="Insights" icon={<TrendingUp />} />
+          <Tab value="sentiment" label="Sentiment" icon={<SentimentSatisfied />} />
+          <Tab value="followUps" label="Follow-ups" icon={<EventRepeat />} />
+          <Tab value="risks" label="Risks" icon={<ReportProblem />} />
+          <Tab value="opportunities" label="Opportunities" icon={<Lightbulb />} />
+          <Tab value="safety" label="Safety" icon={<HealthAndSafety color={transcript.safety?.flagged ? 'error' : 'inherit'} />} />
+          <Tab value="compliance" label="Compliance" icon={<Gavel color={complianceHeld ? 'warning' : 'inherit'} />} />
+          <Tab value="redaction" label="Redaction" icon={<Security color={transcript.redaction?.status === 'failed' ? 'error' : 'inherit'} />} />
+          {canViewAudit && <Tab value="audit" label="Audit" icon={<History />} />}
         </Tabs>
       </Paper>
 
       {/* Tab Content */}
-      {activeTab === 0 && (
+      {activeTab === 'transcript' && (
         <Box sx={{ mb: 3 }}>
           <Typography variant="h6">Transcript</Typography>
           
@@ -553,17 +828,59 @@ const TranscriptDetail = () => {
             </Card>
           ) : (
             <>
-              <TextField
-                value={editedTranscript}
-                onChange={e => setEditedTranscript(e.target.value)}
-                multiline
-                minRows={10}
-                fullWidth
-                disabled={isFinalized}
-                sx={{ mb: 2 }}
-                placeholder={editedTranscript ? '' : 'Transcript will appear here once processing is complete...'}
-              />
-              {!isFinalized && editedTranscript && (
+              {transcript.transcriptionStatus === 'completed' && (
+                <SpeakerMapping
+                  transcriptId={id}
+                  canEdit={hasPermission('canEditTranscripts')}
+                  onUpdated={fetchTranscript}
+                />
+              )}
+              {segments.length > 0 && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                  <ToggleButtonGroup
+                    value={transcriptView}
+                    exclusive
+                    size="small"
+                    onChange={(e, value) => value && setTranscriptView(value)}
+                  >
+                    <ToggleButton value="synced">Follow audio</ToggleButton>
+                    <ToggleButton value="edit">Edit text</ToggleButton>
+                  </ToggleButtonGroup>
+                  {transcriptView === 'synced' && (
+                    <Button size="small" onClick={() => setFollowPlayback(!followPlayback)}>
+                      {followPlayback ? 'Stop auto-scroll' : 'Auto-scroll'}
+                    </Button>
+                  )}
+                </Box>
+              )}
+              {segments.length > 0 && transcriptView === 'synced' ? (
+                <Box sx={{ mb: 2 }}>
+                  {transcript.editedTranscript && transcript.editedTranscript !== transcript.rawTranscript && (
+                    <Alert severity="info" sx={{ mb: 1 }}>
+                      Showing the original transcription aligned to the audio. Your edits are under Edit text.
+                    </Alert>
+                  )}
+                  <TimedTranscript
+                    segments={segments}
+                    activePosition={activePosition}
+                    speakerNames={speakerNames}
+                    onSeek={seekTo}
+                    follow={followPlayback && isPlaying}
+                  />
+                </Box>
+              ) : (
+                <TextField
+                  value={editedTranscript}
+                  onChange={e => setEditedTranscript(e.target.value)}
+                  multiline
+                  minRows={10}
+                  fullWidth
+                  disabled={isFinalized || !hasPermission('canEditTranscripts')}
+                  sx={{ mb: 2 }}
+                  placeholder={editedTranscript ? '' : 'Transcript will appear here once processing is complete...'}
+                />
+              )}
+              {!isFinalized && editedTranscript && hasPermission('canEditTranscripts') && hasPermission('canSyncCRM') && (
                 <Button
                   variant="contained"
                   color="primary"
@@ -574,7 +891,7 @@ const TranscriptDetail = () => {
                       setIsFinalized(true);
                       fetchTranscript();
                     } catch (error) {
-                      alert('Error finalizing transcript or pushing to CRM');
+                      alert(error.response?.data?.error || 'Error finalizing transcript or pushing to CRM');
                     }
                   }}
                 >
@@ -591,7 +908,7 @@ const TranscriptDetail = () => {
         </Box>
       )}
 
-      {activeTab === 1 && (
+      {activeTab === 'insights' && (
         <Grid container spacing={3}>
           <Grid item xs={12} md={6}>
             <Card>
@@ -605,7 +922,24 @@ const TranscriptDetail = () => {
                       <ListItemIcon sx={{ mt: 0.5 }}>
                         <TrendingUp color="primary" />
                       </ListItemIcon>
-                      <ListItemText primary={insight.insight} />
+                      <ListItemText
+                        primary={insight.insight}
+                        secondary={
+                          <>
+                            {insight.context}
+                            {insight.context && renderMomentLink(insight) && <br />}
+                            {renderMomentLink(insight)}
+                          </>
+                        }
+                      />
+                      {insight.impact && (
+                        <Chip
+                          label={`Impact: ${insight.impact}`}
+                          color={getLevelColor(insight.impact, true)}
+                          size="small"
+                          sx={{ ml: 2, mt: 0.5 }}
+                        />
+                      )}
                     </ListItem>
                   ))}
                 </List>
@@ -614,6 +948,11 @@ const TranscriptDetail = () => {
                     No insights available
                   </Typography>
                 )}
+                {transcript.insightsGeneratedBy?.model && (
+                  <Typography variant="caption" color="textSecondary">
+                    Generated by {transcript.insightsGeneratedBy.model} ({transcript.insightsGeneratedBy.provider}{describePromptTemplate(transcript.insightsGeneratedBy)})
+                  </Typography>
+                )}
               </CardContent>
             </Card>
           </Grid>
@@ -629,7 +968,7 @@ const TranscriptDetail = () => {
                       <ListItemIcon>
                         <Schedule color="primary" />
                       </ListItemIcon>
-                      <ListItemText primary={item.item} />
+                      <ListItemText primary={item.item} secondary={renderMomentLink(item)} />
                     </ListItem>
                   ))}
                 </List>
@@ -644,7 +983,7 @@ const TranscriptDetail = () => {
         </Grid>
       )}
 
-      {activeTab === 2 && (
+      {activeTab === 'sentiment' && (
         <Grid container spacing={3}>
           <Grid item xs={12} md={6}>
             <Card>
@@ -661,6 +1000,9 @@ const TranscriptDetail = () => {
                 </Box>
                 <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
                   Confidence: {typeof transcript.sentimentAnalysis?.confidence === 'number' && transcript.sentimentAnalysis.confidence > 0 ? `${Math.round(transcript.sentimentAnalysis.confidence * 100)}%` : 'N/A'}
+                  {transcript.sentimentAnalysis?.generatedBy?.model && (
+                    ` · ${transcript.sentimentAnalysis.generatedBy.model} (${transcript.sentimentAnalysis.generatedBy.provider}${describePromptTemplate(transcript.sentimentAnalysis.generatedBy)})`
+                  )}
                 </Typography>
                 {/* Sentiment Details */}
                 {transcript.sentimentAnalysis?.details && (
@@ -690,9 +1032,141 @@ const TranscriptDetail = () => {
               </CardContent>
             </Card>
           </Grid>
+          {transcript.sentimentAnalysis?.hcpSentiment?.overall && (
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    HCP Sentiment
+                  </Typography>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                    {getSentimentIcon(transcript.sentimentAnalysis.hcpSentiment.overall)}
+                    <Chip
+                      label={transcript.sentimentAnalysis.hcpSentiment.overall}
+                      color={getSentimentColor(transcript.sentimentAnalysis.hcpSentiment.overall)}
+                    />
+                  </Box>
+                  <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                    {transcript.sentimentAnalysis.hcpSentiment.explanation}
+                  </Typography>
+                  {transcript.sentimentAnalysis.speakerSentiment?.length > 0 && (
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                      {transcript.sentimentAnalysis.speakerSentiment.map(entry => (
+                        <Chip
+                          key={entry.speaker}
+                          label={`${entry.name}: ${entry.overall}`}
+                          color={getSentimentColor(entry.overall)}
+                          variant="outlined"
+                          size="small"
+                        />
+                      ))}
+                    </Box>
+                  )}
+                </CardContent>
+              </Card>
+            </Grid>
+          )}
         </Grid>
       )}
 
+      {activeTab === 'summary' && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Summary
+            </Typography>
+            {transcript.insightsSummary?.executiveSummary ? (
+              <>
+                <Typography variant="body1" sx={{ mb: 2 }}>
+                  {transcript.insightsSummary.executiveSummary}
+                </Typography>
+                {[
+                  ['Key takeaway', transcript.insightsSummary.keyTakeaway],
+                  ['Strategic implications', transcript.insightsSummary.strategicImplications],
+                  ['Next steps', transcript.insightsSummary.nextSteps]
+                ].filter(([, value]) => value).map(([label, value]) => (
+                  <Box key={label} sx={{ mb: 2 }}>
+                    <Typography variant="subtitle2">{label}</Typography>
+                    <Typography variant="body2" color="textSecondary">{value}</Typography>
+                  </Box>
+                ))}
+              </>
+            ) : (
+              <Typography color="textSecondary" align="center">
+                No summary available
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {activeTab === 'followUps' && renderRatedItems(transcript.followUpRecommendations, {
+        title: 'Follow-up Recommendations',
+        text: 'recommendation',
+        rating: 'priority',
+        ratingLabel: 'Priority',
+        detail: entry => [entry.type, entry.timeline].filter(Boolean).join(' · '),
+        emptyText: 'No follow-up recommendations available'
+      })}
+
+      {activeTab === 'risks' && renderRatedItems(transcript.riskFactors, {
+        title: 'Risks',
+        text: 'risk',
+        rating: 'severity',
+        ratingLabel: 'Severity',
+        detail: entry => [entry.category, entry.mitigation && `Mitigation: ${entry.mitigation}`].filter(Boolean).join(' · '),
+        emptyText: 'No risks identified'
+      })}
+
+      {activeTab === 'opportunities' && renderRatedItems(transcript.opportunities, {
+        title: 'Opportunities',
+        text: 'opportunity',
+        rating: 'potential',
+        ratingLabel: 'Potential',
+        detail: entry => [entry.category, entry.timeline].filter(Boolean).join(' · '),
+        emptyText: 'No opportunities identified',
+        highIsGood: true
+      })}
+
+      {activeTab === 'safety' && (
+        <Box sx={{ mb: 3 }}>
+          <AdverseEvents
+            transcript={transcript}
+            canReview={hasPermission('canReviewSafety')}
+            speakerNames={speakerNames}
+            renderMomentLink={renderMomentLink}
+            onUpdated={fetchTranscript}
+          />
+        </Box>
+      )}
+
+      {activeTab === 'compliance' && (
+        <Box sx={{ mb: 3 }}>
+          <ComplianceFindings
+            key={transcript.compliance?.review?.reviewedAt || 'unreviewed'}
+            transcript={transcript}
+            canReview={hasPermission('canReviewCompliance')}
+            speakerNames={speakerNames}
+            renderMomentLink={renderMomentLink}
+            onUpdated={fetchTranscript}
+          />
+        </Box>
+      )}
+
+      {activeTab === 'redaction' && (
+        <Box sx={{ mb: 3 }}>
+          <RedactedTranscript
+            transcript={transcript}
+            canRedact={hasPermission('canEditTranscripts')}
+            onUpdated={fetchTranscript}
+          />
+        </Box>
+      )}
+
+      {activeTab === 'audit' && canViewAudit && (
+        <TranscriptAuditLog transcriptId={id} />
+      )}
+
       {/* Reanalyze Dialog */}
       <Dialog open={reanalyzeDialogOpen} onClose={() => setReanalyzeDialogOpen(false)}>
         <DialogTitle>Reanalyze Transcript</DialogTitle>
@@ -49,14 +49,20 @@ import {
   Help,
   Lightbulb,
   Assignment,
+  HealthAndSafety,
+  Gavel,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
-import api from '../services/api';
+import api, { waitForJob } from '../services/api';
 import GenerateDocumentDialog from '../components/GenerateDocumentDialog';
+import { SAFETY_STATUS_LABELS } from '../components/AdverseEvents';
+import { COMPLIANCE_STATUS_LABELS, COMPLIANCE_STATUS_COLORS, COMPLIANCE_HELD_STATUSES } from '../components/ComplianceFindings';
 import { formatDateIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
 
 const Transcripts = () => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
   const [transcripts, setTranscripts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -121,9 +127,10 @@ const Transcripts = () => {
 
   const handleReanalyze = async (transcriptId) => {
     try {
-      await api.post(`/transcripts/${transcriptId}/reanalyze`);
-      fetchTranscripts(); // Refresh the list
+      const response = await api.post(`/transcripts/${transcriptId}/reanalyze`);
       handleMenuClose();
+      await waitForJob(response.data.jobId);
+      fetchTranscripts(); // Refresh the list
     } catch (error) {
       console.error('Error reanalyzing transcript:', error);
     }
@@ -136,6 +143,7 @@ const Transcripts = () => {
       handleMenuClose();
     } catch (error) {
       console.error('Error syncing to CRM:', error);
+      alert(error.response?.data?.error || 'Error syncing to CRM');
     }
   };
 
@@ -197,13 +205,15 @@ const Transcripts = () => {
         <Typography variant="h4">
           Transcripts
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<Add />}
-          onClick={() => navigate('/upload')}
-        >
-          Upload New
-        </Button>
+        {hasPermission('canUpload') && (
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={() => navigate('/upload')}
+          >
+            Upload New
+          </Button>
+        )}
       </Box>
 
       {/* Filters */}
@@ -322,6 +332,24 @@ const Transcripts = () => {
                       }
                     }}
                   />
+                  {transcript.safety?.flagged && (
+                    <Chip
+                      label={SAFETY_STATUS_LABELS[transcript.safety.status] || 'Adverse events'}
+                      color={transcript.safety.status === 'flagged' ? 'error' : 'warning'}
+                      size="small"
+                      icon={<HealthAndSafety />}
+                      sx={{ mt: 0.5 }}
+                    />
+                  )}
+                  {COMPLIANCE_HELD_STATUSES.includes(transcript.compliance?.status) && (
+                    <Chip
+                      label={COMPLIANCE_STATUS_LABELS[transcript.compliance.status]}
+                      color={COMPLIANCE_STATUS_COLORS[transcript.compliance.status]}
+                      size="small"
+                      icon={<Gavel />}
+                      sx={{ mt: 0.5 }}
+                    />
+                  )}
                 </TableCell>
                 <TableCell>
                   {transcript.meetingDuration 
@@ -476,37 +504,49 @@ const Transcripts = () => {
         open={Boolean(menuAnchor)}
         onClose={handleMenuClose}
       >
-        <MenuItem onClick={() => {
-          handleReanalyze(menuTranscript?._id);
-        }}>
+        <MenuItem
+          disabled={!hasPermission('canEditTranscripts')}
+          onClick={() => {
+            handleReanalyze(menuTranscript?._id);
+          }}
+        >
           <ListItemIcon>
             <Refresh fontSize="small" />
           </ListItemIcon>
           <ListItemText>Reanalyze</ListItemText>
         </MenuItem>
-        <MenuItem onClick={() => {
-          handleSyncToCRM(menuTranscript?._id);
-        }}>
+        <MenuItem
+          disabled={!hasPermission('canSyncCRM') || COMPLIANCE_HELD_STATUSES.includes(menuTranscript?.compliance?.status)}
+          onClick={() => {
+            handleSyncToCRM(menuTranscript?._id);
+          }}
+        >
           <ListItemIcon>
             <Business fontSize="small" />
           </ListItemIcon>
           <ListItemText>Sync to CRM</ListItemText>
         </MenuItem>
-        <MenuItem onClick={() => {
-          setSelectedTranscriptForGeneration(menuTranscript);
-          setGenerateDialogOpen(true);
-          handleMenuClose();
-        }}>
+        <MenuItem
+          disabled={!hasPermission('canGenerateDocuments')}
+          onClick={() => {
+            setSelectedTranscriptForGeneration(menuTranscript);
+            setGenerateDialogOpen(true);
+            handleMenuClose();
+          }}
+        >
           <ListItemIcon>
             <PictureAsPdf fontSize="small" />
           </ListItemIcon>
           <ListItemText>Generate Document</ListItemText>
         </MenuItem>
-        <MenuItem onClick={() => {
-          setSelectedTranscript(menuTranscript);
-          setDeleteDialogOpen(true);
-          handleMenuClose();
-        }}>
+        <MenuItem
+          disabled={!hasPermission('canEditTranscripts')}
+          onClick={() => {
+            setSelectedTranscript(menuTranscript);
+            setDeleteDialogOpen(true);
+            handleMenuClose();
+          }}
+        >
           <ListItemIcon>
             <Delete fontSize="small" />
           </ListItemIcon>
@@ -32,7 +32,14 @@ import {
   Delete,
 } from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
-import api from '../services/api';
+import api, { organizationAPI } from '../services/api';
+import {
+  uploadResumable,
+  getFileFingerprint,
+  getPendingUploads,
+  findPendingUpload,
+  discardPendingUpload,
+} from '../services/resumableUpload';
 import { useNavigate } from 'react-router-dom';
 
 const Upload = () => {
@@ -45,22 +52,51 @@ const Upload = () => {
     meetingDate: '',
     meetingType: '',
     notes: '',
+    transcriptionProvider: '',
   });
+  // Transcription providers this organization may use; empty means the organization default
+  const [transcriptionProviders, setTranscriptionProviders] = useState([]);
   const navigate = useNavigate();
   const [redirected, setRedirected] = useState(false);
   const redirectedRef = useRef(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [uploadAttempted, setUploadAttempted] = useState(false);
+  // Uploads interrupted by a reload or lost connection; re-selecting the file resumes them
+  const [pendingUploads, setPendingUploads] = useState(() => getPendingUploads());
+
+  useEffect(() => {
+    organizationAPI.getTranscriptionProviders()
+      .then(response => {
+        setTranscriptionProviders(response.data.data.filter(provider => provider.allowed && provider.configured));
+      })
+      .catch(error => console.error('Failed to load transcription providers:', error));
+  }, []);
 
   const onDrop = useCallback((acceptedFiles) => {
-    const newFiles = acceptedFiles.map(file => ({
-      file,
-      id: Math.random().toString(36).substr(2, 9),
-      status: 'pending',
-      progress: 0,
-      error: null,
-    }));
+    const newFiles = acceptedFiles.map(file => {
+      const pending = findPendingUpload(file);
+      return {
+        file,
+        id: Math.random().toString(36).substr(2, 9),
+        status: 'pending',
+        progress: 0,
+        error: null,
+        resumeFrom: pending ? pending.progress || 0 : null,
+      };
+    });
     setFiles(prev => [...prev, ...newFiles]);
+
+    // Restore the meeting details entered before the upload was interrupted
+    const resumed = acceptedFiles.map(findPendingUpload).find(Boolean);
+    if (resumed?.metadata) {
+      setFormData(prev => ({
+        ...prev,
+        hcpName: prev.hcpName || resumed.metadata.hcpName || '',
+        hcpSpecialty: prev.hcpSpecialty || resumed.metadata.hcpSpecialty || '',
+        meetingDate: prev.meetingDate || resumed.metadata.meetingDate || '',
+        transcriptionProvider: prev.transcriptionProvider || resumed.metadata.transcriptionProvider || '',
+      }));
+    }
     // Removed auto-upload here!
   }, []);
 
@@ -104,13 +140,12 @@ const Upload = () => {
       return;
     }
 
-    const formDataToSend = new FormData();
-    formDataToSend.append('file', fileData.file);
-    formDataToSend.append('hcpName', formData.hcpName);
-    formDataToSend.append('hcpSpecialty', formData.hcpSpecialty);
-    formDataToSend.append('meetingDate', formData.meetingDate);
-    formDataToSend.append('meetingType', formData.meetingType);
-    formDataToSend.append('notes', formData.notes);
+    const metadata = {
+      hcpName: formData.hcpName,
+      hcpSpecialty: formData.hcpSpecialty,
+      meetingDate: formData.meetingDate,
+      ...(formData.transcriptionProvider && { transcriptionProvider: formData.transcriptionProvider }),
+    };
 
     // Debug: Log what we're sending
     console.log('Uploading with form data:', {
@@ -125,37 +160,33 @@ const Upload = () => {
     try {
       setUploadProgress(prev => ({
         ...prev,
-        [fileData.id]: 0,
+        [fileData.id]: fileData.resumeFrom || 0,
       }));
 
-      const response = await api.post('/upload', formDataToSend, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
+      // Chunked upload; resumes from the last chunk the server acknowledged
+      const result = await uploadResumable(fileData.file, metadata, {
+        onProgress: (progress) => {
           setUploadProgress(prev => ({
             ...prev,
             [fileData.id]: progress,
           }));
         },
       });
+      setPendingUploads(getPendingUploads());
 
-      console.log('✅ Upload successful, response:', response.data);
-      console.log('✅ Transcript ID:', response.data.transcriptId);
+      console.log('✅ Upload successful, response:', result);
+      console.log('✅ Transcript ID:', result.transcriptId);
       console.log('✅ Redirected state:', redirected);
       
       setFiles(prev =>
         prev.map(f =>
           f.id === fileData.id
-            ? { ...f, status: 'completed', transcriptId: response.data.transcriptId }
+            ? { ...f, status: 'completed', transcriptId: result.transcriptId }
             : f
         )
       );
       // Redirect to transcript editor page after first successful upload
-      if (response.data.transcriptId && !redirectedRef.current) {
+      if (result.transcriptId && !redirectedRef.current) {
         // Set redirect state immediately to prevent race conditions
         setRedirected(true);
         redirectedRef.current = true;
@@ -206,10 +237,10 @@ const Upload = () => {
         };
 
         const doRedirect = async () => {
-          const ready = await checkTranscriptReady(response.data.transcriptId);
+          const ready = await checkTranscriptReady(result.transcriptId);
           if (ready) {
             console.log('🚀 Redirecting to transcript detail');
-            navigate(`/transcripts/${response.data.transcriptId}`);
+            navigate(`/transcripts/${result.transcriptId}`);
           } else {
             console.log('⚠️ Transcript processing timeout');
             setSuccessMessage('Transcript processing took too long. You can check the transcript list or try again.');
@@ -219,7 +250,7 @@ const Upload = () => {
         
         doRedirect();
       } else {
-        console.log('❌ Not redirecting - transcriptId:', response.data.transcriptId, 'redirected:', redirectedRef.current);
+        console.log('❌ Not redirecting - transcriptId:', result.transcriptId, 'redirected:', redirectedRef.current);
       }
     } catch (error) {
       console.error('Upload error:', error);
@@ -232,10 +263,17 @@ const Upload = () => {
       setFiles(prev =>
         prev.map(f =>
           f.id === fileData.id
-            ? { ...f, status: 'error', error: error.response?.data?.message || error.message || 'Upload failed' }
+            ? {
+                ...f,
+                status: 'error',
+                error: error.response?.data?.error || error.response?.data?.message || error.message || 'Upload failed',
+              }
             : f
         )
       );
+      // Received chunks are kept on the server, so the upload can be retried from where it stopped
+      setPendingUploads(getPendingUploads());
+      setUploadAttempted(false);
     }
   };
 
@@ -244,7 +282,7 @@ const Upload = () => {
 
     setUploadAttempted(true);
     setUploading(true);
-    const pendingFiles = files.filter(f => f.status === 'pending');
+    const pendingFiles = files.filter(f => f.status === 'pending' || f.status === 'error');
 
     // Only upload the first pending file to prevent double uploads
     if (pendingFiles.length > 0) {
@@ -252,7 +290,7 @@ const Upload = () => {
       
       setFiles(prev =>
         prev.map(f =>
-          f.id === fileData.id ? { ...f, status: 'uploading' } : f
+          f.id === fileData.id ? { ...f, status: 'uploading', error: null } : f
         )
       );
       
@@ -268,6 +306,11 @@ const Upload = () => {
     setUploading(false);
   };
 
+  const handleDiscardPending = async (pending) => {
+    await discardPendingUpload(pending);
+    setPendingUploads(getPendingUploads());
+  };
+
   const removeFile = (fileId) => {
     setFiles(prev => {
       const newFiles = prev.filter(f => f.id !== fileId);
@@ -367,6 +410,25 @@ const Upload = () => {
         Upload audio or video recordings from HCP meetings for transcription and analysis
       </Typography>
 
+      {/* Interrupted uploads */}
+      {pendingUploads
+        .filter(pending => !files.some(f => getFileFingerprint(f.file) === pending.fingerprint))
+        .map(pending => (
+          <Alert
+            key={pending.sessionId}
+            severity="info"
+            sx={{ mb: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={() => handleDiscardPending(pending)}>
+                Discard
+              </Button>
+            }
+          >
+            Upload of {pending.fileName} ({formatFileSize(pending.fileSize)}) was interrupted at {pending.progress || 0}%.
+            Select the same file again to resume where it stopped.
+          </Alert>
+        ))}
+
       {/* Success Message */}
       {successMessage && (
         <Alert severity="success" sx={{ mb: 3 }}>
@@ -417,6 +479,25 @@ const Upload = () => {
                     <MenuItem value="other">Other</MenuItem>
                   </Select>
                 </FormControl>
+                {transcriptionProviders.length > 1 && (
+                  <FormControl fullWidth>
+                    <InputLabel>Transcription</InputLabel>
+                    <Select
+                      value={formData.transcriptionProvider}
+                      label="Transcription"
+                      onChange={(e) => handleFormChange('transcriptionProvider', e.target.value)}
+                    >
+                      <MenuItem value="">
+                        Organization default ({transcriptionProviders.find(provider => provider.isDefault)?.label || 'server default'})
+                      </MenuItem>
+                      {transcriptionProviders.map(provider => (
+                        <MenuItem key={provider.name} value={provider.name}>
+                          {provider.label}{provider.local ? ' - audio stays on our servers' : ''}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
                 <TextField
                   label="Notes"
                   multiline
@@ -480,7 +561,9 @@ const Upload = () => {
                           </ListItemIcon>
                           <ListItemText
                             primary={fileData.file.name}
-                            secondary={`${formatFileSize(fileData.file.size)} • ${fileData.file.type}`}
+                            secondary={`${formatFileSize(fileData.file.size)} • ${fileData.file.type}${
+                              fileData.resumeFrom !== null && fileData.status === 'pending' ? ` • resumes at ${fileData.resumeFrom}%` : ''
+                            }`}
                           />
                           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                             {fileData.status === 'uploading' && (
@@ -524,7 +607,7 @@ const Upload = () => {
                   )}
                   
                   {/* Upload Button - Show when there are pending files OR when upload was attempted */}
-                  {requiredFieldsFilled && (files.some(f => f.status === 'pending') || uploadAttempted) && (
+                  {requiredFieldsFilled && (files.some(f => f.status === 'pending' || f.status === 'error') || uploadAttempted) && (
                     <Box sx={{ mt: 2, display: 'flex', justifyContent: 'center', gap: 2 }}>
                       <Button
                         variant="contained"
@@ -532,7 +615,15 @@ const Upload = () => {
                         disabled={uploading || redirected || uploadAttempted}
                         startIcon={<CloudUpload />}
                       >
-                        {uploading ? 'Uploading...' : redirected ? 'Processing...' : uploadAttempted ? 'Upload Complete' : 'Upload Files'}
+                        {uploading
+                          ? 'Uploading...'
+                          : redirected
+                            ? 'Processing...'
+                            : uploadAttempted
+                              ? 'Upload Complete'
+                              : files.some(f => f.status === 'error')
+                                ? 'Retry Upload'
+                                : 'Upload Files'}
                       </Button>
                     </Box>
                   )}
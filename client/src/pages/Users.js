@@ -0,0 +1,527 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Switch,
+  IconButton,
+  Tooltip,
+  InputAdornment,
+} from '@mui/material';
+import {
+  PersonAdd,
+  Edit,
+  Delete,
+  Send,
+  ContentCopy,
+  Search,
+} from '@mui/icons-material';
+import { usersAPI } from '../services/api';
+import { formatDateTimeIST } from '../utils/dateUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+const ROLES = ['admin', 'manager', 'analyst', 'viewer'];
+
+const PERMISSION_LABELS = {
+  canUpload: 'Upload recordings',
+  canEditTranscripts: 'Edit transcripts',
+  canSyncCRM: 'Sync to CRM',
+  canGenerateDocuments: 'Generate documents',
+  canViewAnalytics: 'View analytics',
+  canManageUsers: 'Manage users',
+  canReviewSafety: 'Review adverse events',
+  canReviewCompliance: 'Review compliance findings',
+};
+
+const emptyInvite = {
+  email: '',
+  firstName: '',
+  lastName: '',
+  department: '',
+  role: 'analyst',
+};
+
+const Users = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  // The search the list was last loaded with; typing only applies it on Enter
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [inviteDialogOpen, setInviteDialogOpen] = useState(false);
+  const [inviteData, setInviteData] = useState(emptyInvite);
+  const [inviteResult, setInviteResult] = useState(null);
+  const [editTarget, setEditTarget] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isAdmin = currentUser?.role === 'admin';
+  const assignableRoles = isAdmin ? ROLES : ROLES.filter(role => role !== 'admin');
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await usersAPI.getAll({
+        search: appliedSearch || undefined,
+        status: statusFilter || undefined,
+      });
+      setUsers(response.data.data || []);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedSearch, statusFilter]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleSearch = () => {
+    if (search === appliedSearch) {
+      fetchUsers();
+    } else {
+      setAppliedSearch(search);
+    }
+  };
+
+  const canManage = (target) => target.role !== 'admin' || isAdmin;
+
+  const handleInvite = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await usersAPI.invite(inviteData);
+      setInviteResult(response.data);
+      setInviteDialogOpen(false);
+      setInviteData(emptyInvite);
+      await fetchUsers();
+    } catch (err) {
+      console.error('Error inviting user:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResendInvitation = async (target) => {
+    try {
+      setError('');
+      const response = await usersAPI.resendInvitation(target._id);
+      setInviteResult(response.data);
+    } catch (err) {
+      console.error('Error resending invitation:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const openEditDialog = (target) => {
+    setError('');
+    setEditTarget({
+      _id: target._id,
+      fullName: target.fullName,
+      email: target.email,
+      role: target.role,
+      department: target.department || '',
+      isActive: target.isActive,
+      permissions: { ...target.permissions },
+    });
+  };
+
+  const handleEditChange = (field, value) => {
+    setEditTarget(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handlePermissionToggle = (permission) => {
+    setEditTarget(prev => ({
+      ...prev,
+      permissions: {
+        ...prev.permissions,
+        [permission]: !prev.permissions[permission],
+      },
+    }));
+  };
+
+  const handleSaveUser = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const isSelf = editTarget._id === currentUser?._id;
+      const update = {
+        department: editTarget.department,
+        ...(isSelf ? {} : {
+          role: editTarget.role,
+          isActive: editTarget.isActive,
+          permissions: editTarget.permissions,
+        }),
+      };
+      await usersAPI.update(editTarget._id, update);
+      setEditTarget(null);
+      await fetchUsers();
+    } catch (err) {
+      console.error('Error updating user:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteUser = async (target) => {
+    if (!window.confirm(`Delete ${target.fullName} (${target.email})? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      setError('');
+      await usersAPI.delete(target._id);
+      await fetchUsers();
+    } catch (err) {
+      console.error('Error deleting user:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const getStatusChip = (target) => {
+    if (target.invitationPending) {
+      return <Chip label="Invited" color="info" size="small" />;
+    }
+    return target.isActive
+      ? <Chip label="Active" color="success" size="small" />
+      : <Chip label="Inactive" color="default" size="small" />;
+  };
+
+  const editingSelf = editTarget && editTarget._id === currentUser?._id;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          Users
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<PersonAdd />}
+          onClick={() => {
+            setError('');
+            setInviteDialogOpen(true);
+          }}
+        >
+          Invite User
+        </Button>
+      </Box>
+
+      {error && !inviteDialogOpen && !editTarget && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {inviteResult && (
+        <Alert
+          severity={inviteResult.emailSent ? 'success' : 'info'}
+          sx={{ mb: 2 }}
+          onClose={() => setInviteResult(null)}
+          action={inviteResult.inviteUrl && (
+            <Tooltip title="Copy link">
+              <IconButton size="small" onClick={() => navigator.clipboard?.writeText(inviteResult.inviteUrl)}>
+                <ContentCopy fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        >
+          <Typography variant="body2" gutterBottom={Boolean(inviteResult.inviteUrl)}>
+            {inviteResult.message} ({inviteResult.data?.email})
+          </Typography>
+          {inviteResult.inviteUrl && (
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+              {inviteResult.inviteUrl}
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      <Card>
+        <CardContent>
+          {/* Filters */}
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              size="small"
+              placeholder="Search by name or email"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <Search fontSize="small" />
+                  </InputAdornment>
+                ),
+              }}
+              sx={{ flexGrow: 1 }}
+            />
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Status</InputLabel>
+              <Select
+                value={statusFilter}
+                label="Status"
+                onChange={(e) => setStatusFilter(e.target.value)}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="inactive">Inactive</MenuItem>
+                <MenuItem value="invited">Invited</MenuItem>
+              </Select>
+            </FormControl>
+          </Box>
+
+          {loading ? (
+            <LinearProgress />
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Email</TableCell>
+                    <TableCell>Role</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Last Login</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {users.map((target) => (
+                    <TableRow key={target._id}>
+                      <TableCell>
+                        {target.fullName}
+                        {target._id === currentUser?._id && (
+                          <Typography component="span" variant="caption" color="textSecondary"> (you)</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{target.email}</TableCell>
+                      <TableCell sx={{ textTransform: 'capitalize' }}>{target.role}</TableCell>
+                      <TableCell>{getStatusChip(target)}</TableCell>
+                      <TableCell>{target.lastLogin ? formatDateTimeIST(target.lastLogin) : 'Never'}</TableCell>
+                      <TableCell align="right">
+                        {target.invitationPending && canManage(target) && (
+                          <Tooltip title="Resend invitation">
+                            <IconButton size="small" onClick={() => handleResendInvitation(target)}>
+                              <Send fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        <Tooltip title="Edit">
+                          <span>
+                            <IconButton size="small" onClick={() => openEditDialog(target)} disabled={!canManage(target)}>
+                              <Edit fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => handleDeleteUser(target)}
+                              disabled={!canManage(target) || target._id === currentUser?._id}
+                            >
+                              <Delete fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {users.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6} align="center">
+                        <Typography variant="body2" color="textSecondary">No users found</Typography>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Invite Dialog */}
+      <Dialog open={inviteDialogOpen} onClose={() => setInviteDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Invite User</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              label="Email"
+              type="email"
+              value={inviteData.email}
+              onChange={(e) => setInviteData(prev => ({ ...prev, email: e.target.value }))}
+              required
+              fullWidth
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="First Name"
+                value={inviteData.firstName}
+                onChange={(e) => setInviteData(prev => ({ ...prev, firstName: e.target.value }))}
+                required
+                fullWidth
+              />
+              <TextField
+                label="Last Name"
+                value={inviteData.lastName}
+                onChange={(e) => setInviteData(prev => ({ ...prev, lastName: e.target.value }))}
+                required
+                fullWidth
+              />
+            </Box>
+            <TextField
+              label="Department"
+              value={inviteData.department}
+              onChange={(e) => setInviteData(prev => ({ ...prev, department: e.target.value }))}
+              fullWidth
+            />
+            <FormControl fullWidth>
+              <InputLabel>Role</InputLabel>
+              <Select
+                value={inviteData.role}
+                label="Role"
+                onChange={(e) => setInviteData(prev => ({ ...prev, role: e.target.value }))}
+              >
+                {assignableRoles.map(role => (
+                  <MenuItem key={role} value={role} sx={{ textTransform: 'capitalize' }}>{role}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setInviteDialogOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleInvite}
+            variant="contained"
+            disabled={saving || !inviteData.email || !inviteData.firstName || !inviteData.lastName}
+          >
+            {saving ? 'Inviting...' : 'Send Invitation'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Edit Dialog */}
+      <Dialog open={Boolean(editTarget)} onClose={() => setEditTarget(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit {editTarget?.fullName}</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {editTarget && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+              {editingSelf && (
+                <Alert severity="info">
+                  You cannot change your own role, status or permissions.
+                </Alert>
+              )}
+              <TextField
+                label="Department"
+                value={editTarget.department}
+                onChange={(e) => handleEditChange('department', e.target.value)}
+                fullWidth
+              />
+              <FormControl fullWidth disabled={editingSelf}>
+                <InputLabel>Role</InputLabel>
+                <Select
+                  value={editTarget.role}
+                  label="Role"
+                  onChange={(e) => handleEditChange('role', e.target.value)}
+                >
+                  {assignableRoles.map(role => (
+                    <MenuItem key={role} value={role} sx={{ textTransform: 'capitalize' }}>{role}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={editTarget.isActive}
+                    onChange={(e) => handleEditChange('isActive', e.target.checked)}
+                    disabled={editingSelf}
+                  />
+                }
+                label="Active"
+              />
+              <Typography variant="subtitle2">
+                Permissions
+              </Typography>
+              <Typography variant="caption" color="textSecondary">
+                The role sets the maximum; unchecking a permission further restricts this user.
+              </Typography>
+              <FormGroup>
+                {Object.entries(PERMISSION_LABELS).map(([permission, label]) => (
+                  <FormControlLabel
+                    key={permission}
+                    control={
+                      <Checkbox
+                        checked={Boolean(editTarget.permissions?.[permission])}
+                        onChange={() => handlePermissionToggle(permission)}
+                        disabled={editingSelf}
+                      />
+                    }
+                    label={label}
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditTarget(null)}>Cancel</Button>
+          <Button
+            onClick={handleSaveUser}
+            variant="contained"
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Users;
@@ -36,12 +36,42 @@ api.interceptors.request.use(
   }
 );
 
+// Exchange the stored refresh token for a new token pair
+// Each refresh token works once, so a tab that loses the race to another tab uses the pair that tab stored
+let refreshPromise = null;
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+  let response;
+  try {
+    response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+  } catch (error) {
+    if (localStorage.getItem('refreshToken') !== refreshToken) {
+      return localStorage.getItem('authToken');
+    }
+    throw error;
+  }
+  localStorage.setItem('authToken', response.data.accessToken);
+  localStorage.setItem('refreshToken', response.data.refreshToken);
+  return response.data.accessToken;
+};
+
+const clearSessionAndRedirect = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('API Error:', {
       url: error.config?.url,
       method: error.config?.method,
@@ -51,15 +81,85 @@ api.interceptors.response.use(
       message: error.message
     });
     
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('authToken');
-      window.location.href = '/login';
+    const originalRequest = error.config;
+    const isCredentialRequest = ['/auth/login', '/auth/register', '/auth/refresh'].includes(originalRequest?.url);
+
+    if (error.response?.status === 401 && originalRequest && !isCredentialRequest) {
+      // Try a single token refresh before giving up on the session
+      if (!originalRequest._retry) {
+        originalRequest._retry = true;
+        try {
+          if (!refreshPromise) {
+            refreshPromise = refreshAccessToken().finally(() => {
+              refreshPromise = null;
+            });
+          }
+          const token = await refreshPromise;
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          console.error('Token refresh failed:', refreshError);
+        }
+      }
+      clearSessionAndRedirect();
     }
     return Promise.reject(error);
   }
 );
 
+// Append the access token to API file URLs used directly by <audio> or <a> elements
+export const withAuthToken = (url) => {
+  const token = localStorage.getItem('authToken');
+  if (!url || !token || !url.includes('/api/files/')) return url;
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}token=${encodeURIComponent(token)}`;
+};
+
+// Auth API
+export const authAPI = {
+  // Create account
+  register: (data) => api.post('/auth/register', data),
+
+  // Sign in
+  login: (data) => api.post('/auth/login', data),
+
+  // Revoke refresh tokens
+  logout: () => api.post('/auth/logout'),
+
+  // Get current user
+  me: () => api.get('/auth/me'),
+
+  // Personal API tokens
+  listTokens: () => api.get('/auth/tokens'),
+  createToken: (data) => api.post('/auth/tokens', data),
+  revokeToken: (tokenId) => api.delete(`/auth/tokens/${tokenId}`),
+
+  // Invitations
+  getInvitation: (token) => api.get(`/auth/invitations/${token}`),
+  acceptInvitation: (token, data) => api.post(`/auth/invitations/${token}/accept`, data),
+};
+
+// Users API (admin)
+export const usersAPI = {
+  // List users in the organization
+  getAll: (params) => api.get('/users', { params }),
+
+  // Get user by ID
+  getById: (id) => api.get(`/users/${id}`),
+
+  // Invite a colleague
+  invite: (data) => api.post('/users/invitations', data),
+
+  // Re-issue an invitation link
+  resendInvitation: (id) => api.post(`/users/${id}/invitation`),
+
+  // Update role, status or permissions
+  update: (id, data) => api.put(`/users/${id}`, data),
+
+  // Delete user
+  delete: (id) => api.delete(`/users/${id}`),
+};
+
 // Upload API
 export const uploadAPI = {
   // Upload single file
@@ -87,6 +187,14 @@ export const transcriptsAPI = {
   // Get single transcript
   getTranscript: (id) => api.get(`/transcripts/${id}`),
 
+  // Get time-aligned segments ({ from, to, includeWords })
+  getSegments: (id, params) => api.get(`/transcripts/${id}/segments`, { params }),
+
+  // Diarized speakers and their attendee mapping
+  getSpeakers: (id) => api.get(`/transcripts/${id}/speakers`),
+  updateSpeakers: (id, data) => api.put(`/transcripts/${id}/speakers`, data),
+  diarize: (id, data) => api.post(`/transcripts/${id}/diarize`, data),
+
   // Update transcript
   updateTranscript: (id, data) => api.put(`/transcripts/${id}`, data),
 
@@ -96,6 +204,9 @@ export const transcriptsAPI = {
   // Re-analyze transcript
   reanalyzeTranscript: (id, data) => api.post(`/transcripts/${id}/reanalyze`, data),
 
+  // Redact PHI again with the organization's settings
+  redactTranscript: (id) => api.post(`/transcripts/${id}/redact`),
+
   // Delete transcript
   deleteTranscript: (id) => api.delete(`/transcripts/${id}`),
 
@@ -155,6 +266,128 @@ export const crmAPI = {
 
   // Get sync statistics
   getSyncStats: (params) => api.get('/crm/sync-stats', { params }),
+
+  // Organization CRM settings
+  getSettings: () => api.get('/crm/settings'),
+  updateSettings: (data) => api.put('/crm/settings', data),
+};
+
+// Organization settings API
+export const organizationAPI = {
+  // Organization-wide settings (admins and managers)
+  getSettings: () => api.get('/organization/settings'),
+  updateSettings: (data) => api.put('/organization/settings', data),
+
+  // Transcription providers and which ones the organization may use
+  getTranscriptionProviders: () => api.get('/organization/transcription-providers'),
+};
+
+// Audit API (admins and managers)
+export const auditAPI = {
+  // List audit events for the organization
+  getAll: (params) => api.get('/audit', { params }),
+
+  // List audit events for one transcript
+  getForTranscript: (transcriptId, params) => api.get(`/audit/transcripts/${transcriptId}`, { params }),
+
+  // Export audit events (CSV or JSON) as a file
+  export: (params) => api.get('/audit/export', { params, responseType: 'blob' }),
+};
+
+// AI usage API (admins)
+export const usageAPI = {
+  // Spend, tokens and calls by task, model, user, transcript and day, with the budget status
+  getSummary: (params) => api.get('/usage/summary', { params }),
+
+  // Individual AI calls
+  getLedger: (params) => api.get('/usage/ledger', { params }),
+
+  // Clear cached AI responses so the next analysis calls the model again
+  clearCache: (params) => api.delete('/usage/cache', { params }),
+};
+
+// Prompt templates API
+export const promptTemplatesAPI = {
+  // Every analysis task with the template version in use
+  getTemplates: () => api.get('/prompt-templates'),
+
+  // A task's active and built-in templates, saved versions and available variables
+  getTemplate: (task) => api.get(`/prompt-templates/${task}`),
+
+  // Save a new version ({ system, prompt, settings, notes }) and start using it
+  saveTemplate: (task, data) => api.post(`/prompt-templates/${task}`, data),
+
+  // Make a saved version the active one
+  activateVersion: (task, version) => api.post(`/prompt-templates/${task}/versions/${version}/activate`),
+
+  // Go back to the built-in template
+  resetTemplate: (task) => api.delete(`/prompt-templates/${task}/override`),
+
+  // Render ({ transcriptId, draft }) and optionally run ({ run: true }) a template against a transcript
+  previewTemplate: (task, data) => api.post(`/prompt-templates/${task}/preview`, data),
+};
+
+// Safety API (users with canReviewSafety)
+export const safetyAPI = {
+  // Transcripts with possible adverse events ({ status: flagged | reviewed | failed, page, limit })
+  getQueue: (params) => api.get('/safety/queue', { params }),
+
+  // Confirm or dismiss a possible adverse event ({ reviewStatus, reviewNotes })
+  reviewEvent: (transcriptId, eventId, data) => api.put(`/safety/transcripts/${transcriptId}/events/${eventId}`, data),
+
+  // Adverse event intake form as a file ({ format: json | pdf, includeDismissed })
+  getIntakeForm: (transcriptId, params) => api.get(`/safety/transcripts/${transcriptId}/intake-form`, { params, responseType: 'blob' }),
+
+  // Screen the transcript for adverse events again
+  recheck: (transcriptId, data) => api.post(`/safety/transcripts/${transcriptId}/recheck`, data),
+};
+
+// Compliance API (users with canReviewCompliance)
+export const complianceAPI = {
+  // Transcripts with compliance findings ({ status: flagged | approved | rejected | failed, page, limit })
+  getQueue: (params) => api.get('/compliance/queue', { params }),
+
+  // Approve a flagged meeting for CRM sync or reject it ({ decision: approved | rejected, notes })
+  review: (transcriptId, data) => api.post(`/compliance/transcripts/${transcriptId}/review`, data),
+
+  // Check the transcript against the compliance rules again
+  recheck: (transcriptId, data) => api.post(`/compliance/transcripts/${transcriptId}/recheck`, data),
+
+  // The organization's compliance rules
+  getRules: () => api.get('/compliance/rules'),
+  createRule: (data) => api.post('/compliance/rules', data),
+  updateRule: (ruleId, data) => api.put(`/compliance/rules/${ruleId}`, data),
+  deleteRule: (ruleId) => api.delete(`/compliance/rules/${ruleId}`),
+};
+
+// Background jobs API
+export const jobsAPI = {
+  // Get a job's status
+  get: (id) => api.get(`/jobs/${id}`),
+
+  // List jobs for the organization (admins and managers)
+  getAll: (params) => api.get('/jobs', { params }),
+
+  // Job counts by type and status
+  getStats: () => api.get('/jobs/stats'),
+
+  // Requeue a dead-lettered job
+  retry: (id) => api.post(`/jobs/${id}/retry`),
+};
+
+// Poll a background job until it completes or is dead-lettered
+export const waitForJob = async (jobId, { intervalMs = 2000, timeoutMs = 10 * 60 * 1000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await jobsAPI.get(jobId);
+    const job = response.data.data;
+    if (job.status === 'completed') return job;
+    if (job.status === 'dead') {
+      throw new Error(job.lastError || 'Background job failed');
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('Timed out waiting for background job');
 };
 
 // Documents API
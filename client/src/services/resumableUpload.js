@@ -0,0 +1,173 @@
+import api from './api';
+
+// Sessions are remembered per browser so an upload can resume after a reload
+const STORAGE_KEY = 'docnexus.resumableUploads';
+const MAX_CHUNK_RETRIES = 6;
+const MAX_COMPLETE_ROUNDS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Identify the same file when the user selects it again after a reload
+export const getFileFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const loadSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveSessions = (sessions) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+};
+
+const rememberSession = (fingerprint, entry) => {
+  const sessions = loadSessions();
+  sessions[fingerprint] = { ...sessions[fingerprint], ...entry, fingerprint, updatedAt: new Date().toISOString() };
+  saveSessions(sessions);
+};
+
+export const forgetSession = (fingerprint) => {
+  const sessions = loadSessions();
+  delete sessions[fingerprint];
+  saveSessions(sessions);
+};
+
+// Interrupted uploads that can be resumed by selecting the same file
+export const getPendingUploads = () => Object.values(loadSessions());
+
+export const findPendingUpload = (file) => loadSessions()[getFileFingerprint(file)] || null;
+
+// Abandon an interrupted upload and free its chunks on the server
+export const discardPendingUpload = async (pending) => {
+  forgetSession(pending.fingerprint);
+  try {
+    await api.delete(`/upload/sessions/${pending.sessionId}`);
+  } catch (error) {
+    // The session may already have expired on the server
+    console.warn('Could not abort upload session:', error.response?.data?.error || error.message);
+  }
+};
+
+const sha256Hex = async (buffer) => {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Wait until the browser reports a network connection
+const waitForOnline = () => {
+  if (navigator.onLine) return Promise.resolve();
+  return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+};
+
+const sendChunk = async (sessionId, index, buffer, checksum, onChunkProgress) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await waitForOnline();
+      await api.put(`/upload/sessions/${sessionId}/chunks/${index}`, buffer, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Checksum': checksum,
+        },
+        onUploadProgress: (event) => onChunkProgress(event.loaded),
+      });
+      return;
+    } catch (error) {
+      const status = error.response?.status;
+      // Client errors won't succeed on retry, except a corrupted chunk
+      const retryable = !status || status >= 500 || status === 429 || error.response?.data?.retry;
+      if (!retryable || attempt >= MAX_CHUNK_RETRIES - 1) {
+        throw error;
+      }
+      onChunkProgress(0);
+      await sleep(Math.min(1000 * Math.pow(2, attempt), 30000));
+    }
+  }
+};
+
+/**
+ * Upload a file in checksummed chunks, resuming from the last chunk the server acknowledged
+ * @param {File} file - File to upload
+ * @param {Object} metadata - { hcpName, hcpSpecialty, meetingDate, transcriptionProvider }
+ * @param {Object} options - { onProgress(percent) }
+ * @returns {Promise<Object>} Completion response ({ transcriptId, jobId, ... })
+ */
+export const uploadResumable = async (file, metadata, { onProgress } = {}) => {
+  const fingerprint = getFileFingerprint(file);
+
+  const init = await api.post('/upload/sessions', {
+    fileName: file.name,
+    fileSize: file.size,
+    mimeType: file.type,
+    fingerprint,
+    metadata,
+  });
+  const session = init.data.data;
+
+  rememberSession(fingerprint, {
+    sessionId: session.sessionId,
+    fileName: file.name,
+    fileSize: file.size,
+    metadata,
+    progress: session.progress,
+  });
+
+  const chunkBounds = (index) => {
+    const start = index * session.chunkSize;
+    return [start, Math.min(start + session.chunkSize, file.size)];
+  };
+
+  let acknowledged = new Set(session.receivedChunks);
+  let uploadedBytes = [...acknowledged].reduce((total, index) => {
+    const [start, end] = chunkBounds(index);
+    return total + (end - start);
+  }, 0);
+
+  const report = (bytes) => {
+    const percent = Math.round((bytes * 100) / file.size);
+    if (onProgress) onProgress(percent);
+    return percent;
+  };
+  report(uploadedBytes);
+
+  for (let round = 0; round < MAX_COMPLETE_ROUNDS; round++) {
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (acknowledged.has(index)) continue;
+
+      const [start, end] = chunkBounds(index);
+      const buffer = await file.slice(start, end).arrayBuffer();
+      const checksum = await sha256Hex(buffer);
+
+      // Bytes already on the server when this chunk starts
+      const base = uploadedBytes;
+      await sendChunk(session.sessionId, index, buffer, checksum, (loaded) => report(base + loaded));
+
+      acknowledged.add(index);
+      uploadedBytes += buffer.byteLength;
+      rememberSession(fingerprint, { progress: report(uploadedBytes) });
+    }
+
+    try {
+      const complete = await api.post(`/upload/sessions/${session.sessionId}/complete`);
+      forgetSession(fingerprint);
+      return complete.data;
+    } catch (error) {
+      // The server lost some chunks (e.g. it restarted); send them again
+      const missing = error.response?.data?.missingChunks;
+      if (!missing || missing.length === 0) {
+        throw error;
+      }
+      for (const index of missing) {
+        if (acknowledged.delete(index)) {
+          const [start, end] = chunkBounds(index);
+          uploadedBytes -= end - start;
+        }
+      }
+    }
+  }
+
+  throw new Error('Upload could not be completed. Please try again.');
+};
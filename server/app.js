@@ -0,0 +1,170 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { authenticate, authenticateMedia } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const uploadRoutes = require('./routes/upload');
+const transcriptRoutes = require('./routes/transcripts');
+const aiRoutes = require('./routes/ai');
+const crmRoutes = require('./routes/crm');
+const documentRoutes = require('./routes/documents');
+const fileRoutes = require('./routes/files');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const jobRoutes = require('./routes/jobs');
+const organizationRoutes = require('./routes/organization');
+const usageRoutes = require('./routes/usage');
+const promptTemplateRoutes = require('./routes/promptTemplates');
+const safetyRoutes = require('./routes/safety');
+const complianceRoutes = require('./routes/compliance');
+
+const app = express();
+
+// Behind a load balancer, trust its X-Forwarded-For so req.ip is the client address
+// (used by rate limiting and audit logs); TRUST_PROXY is the number of proxy hops
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
+// Security middleware
+app.use(helmet());
+
+// CORS configuration
+app.use(cors({
+  origin: function (origin, callback) {
+    // Allow requests with no origin (like mobile apps or curl requests)
+    if (!origin) return callback(null, true);
+    
+    const allowedOrigins = [
+      'https://docnexus-frontend-teresha.onrender.com',
+      'https://docnexus-frontend.onrender.com',
+      'http://localhost:3000'
+    ];
+    
+    if (allowedOrigins.indexOf(origin) !== -1) {
+      callback(null, true);
+    } else {
+      console.log('CORS blocked origin:', origin);
+      callback(new Error('Not allowed by CORS'));
+    }
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Chunk-Checksum']
+}));
+
+// Rate limiting
+// A long recording is sent as dozens of chunk requests, so they get their own, larger allowance
+const isChunkUpload = (req) => req.method === 'PUT' && /^\/api\/upload\/sessions\/[^/]+\/chunks\//.test(req.originalUrl);
+const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+const limiter = rateLimit({
+  windowMs: rateLimitWindowMs,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  skip: isChunkUpload
+});
+const chunkLimiter = rateLimit({
+  windowMs: rateLimitWindowMs,
+  max: parseInt(process.env.RATE_LIMIT_MAX_CHUNK_REQUESTS) || 1000,
+  message: 'Too many upload requests from this IP, please try again later.',
+  skip: (req) => !isChunkUpload(req)
+});
+app.use('/api/', limiter, chunkLimiter);
+
+// Body parsing middleware
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV,
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+  });
+});
+
+// Test upload endpoint
+app.post('/api/test-upload', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Test upload endpoint working',
+    body: req.body,
+    headers: req.headers
+  });
+});
+
+// Environment check endpoint
+app.get('/api/env-check', (req, res) => {
+  res.json({
+    success: true,
+    environment: {
+      nodeEnv: process.env.NODE_ENV,
+      hasOpenAI: !!process.env.OPENAI_API_KEY,
+      hasMongoDB: !!process.env.MONGODB_URI,
+      hasAWSAccessKey: !!process.env.AWS_ACCESS_KEY_ID,
+      hasAWSSecretKey: !!process.env.AWS_SECRET_ACCESS_KEY,
+      hasAWSRegion: !!process.env.AWS_REGION,
+      hasS3Bucket: !!process.env.AWS_S3_BUCKET,
+      port: process.env.PORT || 5000
+    }
+  });
+});
+
+// API routes
+app.use('/api/auth', authRoutes);
+
+// Protected API routes
+app.use('/api/upload', authenticate, uploadRoutes);
+app.use('/api/transcripts', authenticate, transcriptRoutes);
+app.use('/api/ai', authenticate, aiRoutes);
+app.use('/api/crm', authenticate, crmRoutes);
+app.use('/api/documents', authenticate, documentRoutes);
+app.use('/api/files', authenticateMedia, fileRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
+app.use('/api/jobs', authenticate, jobRoutes);
+app.use('/api/organization', authenticate, organizationRoutes);
+app.use('/api/usage', authenticate, usageRoutes);
+app.use('/api/prompt-templates', authenticate, promptTemplateRoutes);
+app.use('/api/safety', authenticate, safetyRoutes);
+app.use('/api/compliance', authenticate, complianceRoutes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Error:', err);
+  
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: err.message
+    });
+  }
+  
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      error: 'File Upload Error',
+      details: err.message
+    });
+  }
+  
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    error: 'Not Found',
+    message: 'The requested resource was not found'
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,52 @@
+/**
+ * Compare two evaluation runs
+ *
+ * Usage: node eval/compare.js <baseline.json> <candidate.json> [--out report.md] [--max-regression 0.05]
+ *
+ * Prints a Markdown report of the headline metrics side by side, per-case changes and the
+ * insights the candidate missed. With --max-regression, exits with status 1 when any quality
+ * metric is worse by more than that amount (0.05 = 5 percentage points), so the comparison
+ * can gate a prompt or model change.
+ */
+const fs = require('fs');
+const path = require('path');
+const { compareRuns } = require('./report');
+
+function main() {
+  const files = [];
+  const options = {};
+  const argv = process.argv.slice(2);
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') options.out = argv[++i];
+    else if (argv[i] === '--max-regression') options.maxRegression = Number(argv[++i]);
+    else files.push(argv[i]);
+  }
+
+  if (files.length !== 2) {
+    throw new Error('Usage: node eval/compare.js <baseline.json> <candidate.json> [--out report.md] [--max-regression 0.05]');
+  }
+  if (options.maxRegression !== undefined && !(options.maxRegression >= 0)) {
+    throw new Error('--max-regression must be a non-negative number');
+  }
+
+  const [baseline, candidate] = files.map(file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+  const { markdown, regressions } = compareRuns(baseline, candidate, { maxRegression: options.maxRegression ?? 0 });
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), markdown);
+    console.log(`💾 Report written to ${options.out}`);
+  }
+  console.log(markdown);
+
+  return options.maxRegression !== undefined && regressions.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (error) {
+    console.error('❌ Comparison failed:', error.message);
+    process.exit(1);
+  }
+}
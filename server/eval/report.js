@@ -0,0 +1,120 @@
+const { METRICS } = require('./scoring');
+
+const isRate = (key) => /Accuracy|Recall|Precision/.test(key);
+
+/**
+ * Format a metric for display
+ * @param {string} key - Metric name
+ * @param {number|null} value
+ * @returns {string}
+ */
+const formatMetric = (key, value) => {
+  if (value === null || value === undefined) return 'n/a';
+  if (isRate(key)) return `${(value * 100).toFixed(1)}%`;
+  if (key === 'sentimentScoreError') return value.toFixed(3);
+  return String(value);
+};
+
+const formatDelta = (key, delta) => {
+  if (isRate(key)) return `${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts`;
+  if (key === 'sentimentScoreError') return `${delta > 0 ? '+' : ''}${delta.toFixed(3)}`;
+  return `${delta > 0 ? '+' : ''}${delta}`;
+};
+
+/**
+ * Plain-text summary of one run, for the console
+ * @param {Object} run - Output of eval/run.js
+ * @returns {string}
+ */
+const formatSummary = (run) => {
+  const width = Math.max(...METRICS.map(metric => metric.label.length));
+  return METRICS
+    .filter(metric => run.summary[metric.key] !== null)
+    .map(metric => `  ${metric.label.padEnd(width)}  ${formatMetric(metric.key, run.summary[metric.key])}`)
+    .join('\n');
+};
+
+const describeConfig = (run) => {
+  const models = Object.entries(run.config.models || {})
+    .map(([task, { provider, model }]) => `${task}: ${model} (${provider})`)
+    .join(', ');
+  const templates = run.config.templates?.length ? run.config.templates.join(', ') : 'none';
+  return `**${run.config.name}** - ${models}; custom templates: ${templates}`;
+};
+
+/**
+ * Compare two runs
+ * A metric regresses when it moves the wrong way by more than maxRegression (rates and score
+ * error in their own units, so 0.05 is 5 percentage points); latency is reported but never
+ * counts as a regression.
+ * @param {Object} baseline - Output of eval/run.js
+ * @param {Object} candidate - Output of eval/run.js
+ * @param {Object} options - { maxRegression }
+ * @returns {Object} { markdown, regressions: [{ key, label, baseline, candidate }] }
+ */
+const compareRuns = (baseline, candidate, { maxRegression = 0 } = {}) => {
+  const regressions = [];
+  const lines = [
+    '# Analysis evaluation: comparison',
+    '',
+    `- Baseline: ${describeConfig(baseline)} (${baseline.finishedAt})`,
+    `- Candidate: ${describeConfig(candidate)} (${candidate.finishedAt})`,
+    `- Golden cases: ${baseline.summary.cases} vs ${candidate.summary.cases}`,
+    '',
+    '| Metric | Baseline | Candidate | Change |',
+    '| --- | ---: | ---: | ---: |'
+  ];
+
+  for (const metric of METRICS) {
+    const before = baseline.summary[metric.key];
+    const after = candidate.summary[metric.key];
+    if ((before === null || before === undefined) && (after === null || after === undefined)) continue;
+
+    let change = '';
+    if (typeof before === 'number' && typeof after === 'number') {
+      const delta = Math.round((after - before) * 1000) / 1000;
+      const worse = metric.higherIsBetter ? -delta : delta;
+      if (delta !== 0) {
+        change = `${formatDelta(metric.key, delta)} ${worse > 0 ? '▼' : '▲'}`;
+      }
+      if (metric.key !== 'averageLatencyMs' && worse > maxRegression) {
+        regressions.push({ key: metric.key, label: metric.label, baseline: before, candidate: after });
+      }
+    }
+    lines.push(`| ${metric.label} | ${formatMetric(metric.key, before)} | ${formatMetric(metric.key, after)} | ${change} |`);
+  }
+
+  lines.push('', '## Cases', '', '| Case | Sentiment (expected: baseline / candidate) | Insight recall | Action item recall |', '| --- | --- | --- | --- |');
+  const candidateCases = new Map(candidate.cases.map(entry => [entry.id, entry]));
+  for (const before of baseline.cases) {
+    const after = candidateCases.get(before.id);
+    if (!after) continue;
+
+    const sentiment = before.scores?.sentiment || after.scores?.sentiment;
+    const label = (entry) => (entry.error && !entry.scores?.sentiment?.actual ? 'failed' : entry.scores?.sentiment?.actual || 'n/a');
+    const recall = (entry, key) => formatMetric('insightRecall', entry.scores?.[key]?.recall);
+    const flag = (a, b) => (a === b ? '' : ' ⚠️');
+
+    lines.push(`| ${before.id} | ${sentiment ? `${sentiment.expected}: ${label(before)} / ${label(after)}${flag(label(before), label(after))}` : 'n/a'} | ` +
+      `${recall(before, 'keyInsights')} / ${recall(after, 'keyInsights')}${flag(recall(before, 'keyInsights'), recall(after, 'keyInsights'))} | ` +
+      `${recall(before, 'actionItems')} / ${recall(after, 'actionItems')}${flag(recall(before, 'actionItems'), recall(after, 'actionItems'))} |`);
+  }
+
+  const missed = candidate.cases.filter(entry => entry.scores?.keyInsights?.missed?.length > 0);
+  if (missed.length > 0) {
+    lines.push('', '## Insights the candidate missed', '');
+    missed.forEach(entry => entry.scores.keyInsights.missed.forEach(text => lines.push(`- ${entry.id}: ${text}`)));
+  }
+
+  lines.push('', regressions.length > 0
+    ? `**${regressions.length} regression(s)** beyond the allowed ${maxRegression}: ${regressions.map(regression => regression.label).join(', ')}`
+    : 'No regressions.');
+
+  return { markdown: `${lines.join('\n')}\n`, regressions };
+};
+
+module.exports = {
+  formatMetric,
+  formatSummary,
+  compareRuns
+};
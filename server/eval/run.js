@@ -0,0 +1,251 @@
+/**
+ * Run the analysis prompts against the golden set and score the results
+ *
+ * Usage: node eval/run.js [options]
+ *   --config <file>     configuration to evaluate (default: eval/configs/baseline.json)
+ *   --golden <dir>      golden cases (default: eval/golden)
+ *   --case <id>         only this case; repeatable
+ *   --tasks <list>      sentiment,insights (default: both)
+ *   --threshold <n>     word-overlap similarity for two items to match (default: 0.35)
+ *   --out <file>        results file (default: eval/results/<config>-<timestamp>.json)
+ *
+ * A configuration is JSON:
+ *   {
+ *     "name": "gpt-4o-mini with oncology categories",
+ *     "env": { "LLM_PROVIDER": "openai", "LLM_INSIGHTS_MODEL": "gpt-4o-mini" },
+ *     "templates": {
+ *       "insights": { "promptFile": "insights.txt", "settings": { "insightCategories": [...] } }
+ *     }
+ *   }
+ * env is applied over the environment before any provider is created, so any provider and
+ * model llmService supports can be evaluated (see services/llm). templates are unsaved prompt
+ * templates per task (see promptTemplateService): system and prompt inline, or systemFile and
+ * promptFile relative to the configuration, plus settings; other tasks use the built-in template.
+ *
+ * Results are written as JSON for eval/compare.js. Nothing is stored in the database and the
+ * response cache is not used.
+ */
+const fs = require('fs');
+const path = require('path');
+const { scoreCase, summarize, DEFAULT_MATCH_THRESHOLD } = require('./scoring');
+const { formatSummary } = require('./report');
+
+const TASKS = ['sentiment', 'insights'];
+
+// Environment variables never copied into results files
+const SECRET_ENV = /KEY|SECRET|TOKEN|PASSWORD/i;
+
+/**
+ * Parse "--name value" arguments; --case may be repeated
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const args = { case: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Expected "--option value", got "${flag}"`);
+    }
+    const name = flag.slice(2);
+    if (name === 'case') args.case.push(value);
+    else args[name] = value;
+    i++;
+  }
+  return args;
+};
+
+/**
+ * Read a configuration, resolving template files relative to it
+ * @param {string} file - Configuration path
+ * @returns {Object} { name, description, env, templates, file }
+ */
+const loadConfig = (file) => {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const read = (relative) => fs.readFileSync(path.resolve(path.dirname(file), relative), 'utf8');
+
+  const templates = {};
+  for (const [task, template] of Object.entries(config.templates || {})) {
+    if (!TASKS.includes(task)) {
+      throw new Error(`${file}: templates.${task} is not an evaluated task (${TASKS.join(', ')})`);
+    }
+    templates[task] = {
+      ...(template.systemFile ? { system: read(template.systemFile) } : template.system !== undefined && { system: template.system }),
+      ...(template.promptFile ? { prompt: read(template.promptFile) } : template.prompt !== undefined && { prompt: template.prompt }),
+      settings: template.settings || {}
+    };
+  }
+
+  return {
+    name: config.name || path.basename(file, '.json'),
+    description: config.description || '',
+    env: config.env || {},
+    templates,
+    file
+  };
+};
+
+/**
+ * Read the golden cases in a directory
+ * Each is JSON: { id, description, transcript: { text } or { segments, speakers }, expected }
+ * @param {string} dir - Golden set directory
+ * @param {string[]} only - Case ids to keep (all when empty)
+ * @returns {Object[]}
+ */
+const loadGoldenSet = (dir, only = []) => fs.readdirSync(dir)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => {
+    const golden = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    return { ...golden, id: golden.id || path.basename(file, '.json') };
+  })
+  .filter(golden => only.length === 0 || only.includes(golden.id));
+
+/**
+ * Analysis input for a golden case, in the shape processingService builds for a transcript
+ * @param {Object} golden - Golden case
+ * @param {Object} transcriptSegmentService
+ * @returns {Object} { text, segments, speakers }
+ */
+const buildInput = (golden, transcriptSegmentService) => {
+  const speakers = golden.transcript.speakers || [];
+  const segments = (golden.transcript.segments || []).map((segment, index) => ({ index, ...segment }));
+  const speakerNames = speakers.reduce((names, speaker) => ({ ...names, [speaker.label]: speaker.name }), {});
+
+  return {
+    text: segments.length > 0 ? transcriptSegmentService.formatForPrompt(segments, speakerNames) : golden.transcript.text,
+    segments,
+    speakers
+  };
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const configFile = path.resolve(args.config || path.join(__dirname, 'configs', 'baseline.json'));
+  const goldenDir = path.resolve(args.golden || path.join(__dirname, 'golden'));
+  const threshold = args.threshold !== undefined ? Number(args.threshold) : DEFAULT_MATCH_THRESHOLD;
+  const tasks = (args.tasks || TASKS.join(',')).split(',').map(task => task.trim());
+
+  if (tasks.some(task => !TASKS.includes(task))) {
+    throw new Error(`--tasks must be a list of: ${TASKS.join(', ')}`);
+  }
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error('--threshold must be between 0 and 1');
+  }
+
+  const config = loadConfig(configFile);
+  Object.assign(process.env, config.env);
+
+  // Required once the configuration's environment is in place
+  const llmService = require('../services/llm');
+  const transcriptAnalysisService = require('../services/transcriptAnalysisService');
+  const transcriptSegmentService = require('../services/transcriptSegmentService');
+  const promptTemplateService = require('../services/promptTemplateService');
+
+  for (const [task, template] of Object.entries(config.templates)) {
+    const errors = promptTemplateService.validate(task, { ...promptTemplateService.getDefault(task), ...template });
+    if (errors.length > 0) {
+      throw new Error(`${configFile}: ${task} template: ${errors.join('; ')}`);
+    }
+  }
+
+  const goldenSet = loadGoldenSet(goldenDir, args.case);
+  if (goldenSet.length === 0) {
+    throw new Error(`No golden cases found in ${goldenDir}${args.case.length ? ` matching ${args.case.join(', ')}` : ''}`);
+  }
+
+  const models = tasks.reduce((byTask, task) => {
+    const { provider, model } = llmService.getTaskConfig(task);
+    return { ...byTask, [task]: { provider, model } };
+  }, {});
+
+  console.log(`🧪 Evaluating "${config.name}" on ${goldenSet.length} golden case(s)`);
+  Object.entries(models).forEach(([task, { provider, model }]) => {
+    console.log(`   ${task}: ${model} (${provider})${config.templates[task] ? ', custom template' : ''}`);
+  });
+
+  const startedAt = new Date();
+  const cases = [];
+
+  for (const golden of goldenSet) {
+    const input = buildInput(golden, transcriptSegmentService);
+    const caseStartedAt = Date.now();
+    const results = {};
+    const errors = [];
+
+    for (const task of tasks) {
+      const options = { template: config.templates[task], cache: false };
+      const result = task === 'sentiment'
+        ? await transcriptAnalysisService.analyzeSentiment(input, options)
+        : await transcriptAnalysisService.extractKeyInsights(input, [], options);
+
+      if (result.success) {
+        const { success, ...data } = result;
+        results[task] = data;
+      } else {
+        results[task] = null;
+        errors.push(`${task}: ${result.error}`);
+      }
+    }
+
+    const scores = scoreCase(golden, results, { threshold });
+    const entry = {
+      id: golden.id,
+      description: golden.description || '',
+      latencyMs: Date.now() - caseStartedAt,
+      error: errors.length > 0 ? errors.join('; ') : null,
+      scores,
+      results
+    };
+    cases.push(entry);
+
+    const parts = [
+      scores.sentiment && `sentiment ${scores.sentiment.actual || 'failed'} (expected ${scores.sentiment.expected})`,
+      scores.keyInsights && `insights ${scores.keyInsights.matched}/${scores.keyInsights.expected}`,
+      scores.actionItems && `action items ${scores.actionItems.matched}/${scores.actionItems.expected}`
+    ].filter(Boolean);
+    console.log(`${entry.error ? '❌' : '✅'} ${golden.id}: ${parts.join(', ')}${entry.error ? ` - ${entry.error}` : ''}`);
+  }
+
+  const run = {
+    config: {
+      name: config.name,
+      description: config.description,
+      file: path.relative(process.cwd(), configFile),
+      env: Object.fromEntries(Object.entries(config.env).map(([key, value]) => [key, SECRET_ENV.test(key) ? '[redacted]' : value])),
+      models,
+      templates: Object.keys(config.templates)
+    },
+    goldenSet: path.relative(process.cwd(), goldenDir),
+    tasks,
+    threshold,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    summary: summarize(cases),
+    cases
+  };
+
+  const slug = config.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const outFile = path.resolve(args.out || path.join(__dirname, 'results', `${slug}-${run.startedAt.replace(/[:.]/g, '-')}.json`));
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(run, null, 2));
+
+  console.log(`\n📊 ${config.name}\n${formatSummary(run)}`);
+  console.log(`\n💾 Results written to ${path.relative(process.cwd(), outFile)}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Evaluation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadConfig,
+  loadGoldenSet,
+  buildInput
+};
@@ -0,0 +1,210 @@
+/**
+ * Scoring for the offline evaluation harness
+ *
+ * Compares analysis results with a golden case's expectations:
+ *   sentiment     overall label accuracy, absolute score error, and the HCP's label when expected
+ *   insights      fuzzy recall and precision of key insights, and category accuracy of the matched ones
+ *   action items  fuzzy recall and precision, and priority accuracy of the matched ones
+ *
+ * Items match on word overlap (Dice coefficient of their distinct, non-stop words), pairing
+ * each expected item with at most one result item, best matches first.
+ */
+
+// Similarity an expected and an actual item need to count as the same item
+const DEFAULT_MATCH_THRESHOLD = 0.35;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has', 'have', 'had',
+  'will', 'would', 'should', 'could', 'about', 'into', 'their', 'they', 'them', 'his', 'her',
+  'its', 'our', 'your', 'not', 'but', 'all', 'any', 'can', 'may', 'more', 'than', 'also', 'very'
+]);
+
+const wordsOf = (text) => new Set(
+  String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+);
+
+/**
+ * Word-overlap similarity of two texts
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing in common) to 1 (same words)
+ */
+const similarity = (a, b) => {
+  const wordsA = wordsOf(a);
+  const wordsB = wordsOf(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+const round = (value, places = 3) => (value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const mean = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+/**
+ * Pair expected items with result items, one to one, best matches first
+ * @param {Object[]} expected - Golden items; { aliases } lists other acceptable wordings
+ * @param {Object[]} actual - Result items
+ * @param {Object} options - { textKey, threshold }
+ * @returns {Object[]} [{ expectedIndex, actualIndex, similarity }]
+ */
+const matchItems = (expected, actual, { textKey, threshold = DEFAULT_MATCH_THRESHOLD }) => {
+  const candidates = [];
+  expected.forEach((item, expectedIndex) => {
+    const wordings = [item[textKey], ...(item.aliases || [])];
+    actual.forEach((result, actualIndex) => {
+      const score = Math.max(...wordings.map(wording => similarity(wording, result[textKey])));
+      if (score >= threshold) candidates.push({ expectedIndex, actualIndex, similarity: score });
+    });
+  });
+
+  const usedExpected = new Set();
+  const usedActual = new Set();
+  return candidates
+    .sort((a, b) => b.similarity - a.similarity)
+    .filter(candidate => {
+      if (usedExpected.has(candidate.expectedIndex) || usedActual.has(candidate.actualIndex)) return false;
+      usedExpected.add(candidate.expectedIndex);
+      usedActual.add(candidate.actualIndex);
+      return true;
+    });
+};
+
+/**
+ * Score a sentiment result
+ * @param {Object} expected - { overall, score, hcpSentiment: { overall } }
+ * @param {Object} actual - analyzeSentiment result
+ * @returns {Object} { expected, actual, correct, scoreError, hcpCorrect }
+ */
+const scoreSentiment = (expected, actual) => ({
+  expected: expected.overall,
+  actual: actual?.overall ?? null,
+  correct: actual ? actual.overall === expected.overall : false,
+  scoreError: actual && typeof expected.score === 'number' ? round(Math.abs((actual.score || 0) - expected.score)) : null,
+  hcpCorrect: expected.hcpSentiment?.overall
+    ? actual?.hcpSentiment?.overall === expected.hcpSentiment.overall
+    : null
+});
+
+/**
+ * Score a list of items (key insights or action items)
+ * @param {Object[]} expected - Golden items
+ * @param {Object[]} actual - Result items
+ * @param {Object} options - { textKey, labelKey (compared on matched items), threshold }
+ * @returns {Object} { expected, actual, matched, recall, precision, labelAccuracy, matches, missed }
+ */
+const scoreItems = (expected, actual = [], { textKey, labelKey, threshold }) => {
+  const matches = matchItems(expected, actual, { textKey, threshold });
+  const labelled = matches.filter(match => expected[match.expectedIndex][labelKey]);
+  const labelsCorrect = labelled.filter(match => expected[match.expectedIndex][labelKey] === actual[match.actualIndex][labelKey]);
+  const matchedExpected = new Set(matches.map(match => match.expectedIndex));
+
+  return {
+    expected: expected.length,
+    actual: actual.length,
+    matched: matches.length,
+    recall: expected.length > 0 ? round(matches.length / expected.length) : null,
+    precision: actual.length > 0 ? round(matches.length / actual.length) : null,
+    labelAccuracy: labelled.length > 0 ? round(labelsCorrect.length / labelled.length) : null,
+    matches: matches.map(match => ({
+      expected: expected[match.expectedIndex][textKey],
+      actual: actual[match.actualIndex][textKey],
+      similarity: round(match.similarity),
+      expectedLabel: expected[match.expectedIndex][labelKey] || null,
+      actualLabel: actual[match.actualIndex][labelKey] || null
+    })),
+    missed: expected.filter((item, index) => !matchedExpected.has(index)).map(item => item[textKey])
+  };
+};
+
+/**
+ * Score one golden case
+ * @param {Object} golden - { expected: { sentiment, keyInsights, actionItems } }
+ * @param {Object} results - { sentiment, insights } analysis results (either may be missing)
+ * @param {Object} options - { threshold }
+ * @returns {Object} { sentiment, keyInsights, actionItems }, each null when not expected or not run
+ */
+const scoreCase = (golden, results, { threshold } = {}) => {
+  const { expected } = golden;
+  return {
+    sentiment: expected.sentiment && results.sentiment !== undefined
+      ? scoreSentiment(expected.sentiment, results.sentiment)
+      : null,
+    keyInsights: expected.keyInsights && results.insights !== undefined
+      ? scoreItems(expected.keyInsights, results.insights?.keyInsights, { textKey: 'insight', labelKey: 'category', threshold })
+      : null,
+    actionItems: expected.actionItems && results.insights !== undefined
+      ? scoreItems(expected.actionItems, results.insights?.actionItems, { textKey: 'item', labelKey: 'priority', threshold })
+      : null
+  };
+};
+
+/**
+ * Headline metrics over every case
+ * Recall and precision are pooled over all items, so larger cases weigh more.
+ * @param {Object[]} cases - [{ scores, error }]
+ * @returns {Object} Metric name -> value (null when no case measured it)
+ */
+const summarize = (cases) => {
+  const scores = cases.map(entry => entry.scores).filter(Boolean);
+  const sentiment = scores.map(score => score.sentiment).filter(Boolean);
+  const pooled = (key, field) => {
+    const items = scores.map(score => score[key]).filter(Boolean);
+    const total = items.reduce((sum, item) => sum + item[field], 0);
+    const matched = items.reduce((sum, item) => sum + item.matched, 0);
+    return total > 0 ? round(matched / total) : null;
+  };
+  const labelAccuracy = (key) => {
+    const matches = scores.flatMap(score => score[key]?.matches || []).filter(match => match.expectedLabel);
+    return matches.length > 0 ? round(matches.filter(match => match.expectedLabel === match.actualLabel).length / matches.length) : null;
+  };
+  const hcp = sentiment.filter(entry => entry.hcpCorrect !== null);
+
+  return {
+    cases: cases.length,
+    failedCases: cases.filter(entry => entry.error).length,
+    sentimentAccuracy: sentiment.length > 0 ? round(sentiment.filter(entry => entry.correct).length / sentiment.length) : null,
+    sentimentScoreError: round(mean(sentiment.map(entry => entry.scoreError))),
+    hcpSentimentAccuracy: hcp.length > 0 ? round(hcp.filter(entry => entry.hcpCorrect).length / hcp.length) : null,
+    insightRecall: pooled('keyInsights', 'expected'),
+    insightPrecision: pooled('keyInsights', 'actual'),
+    insightCategoryAccuracy: labelAccuracy('keyInsights'),
+    actionItemRecall: pooled('actionItems', 'expected'),
+    actionItemPrecision: pooled('actionItems', 'actual'),
+    actionItemPriorityAccuracy: labelAccuracy('actionItems'),
+    averageLatencyMs: Math.round(mean(cases.map(entry => entry.latencyMs)) || 0)
+  };
+};
+
+// Headline metrics, and whether a higher value is better, in report order
+const METRICS = [
+  { key: 'sentimentAccuracy', label: 'Sentiment label accuracy', higherIsBetter: true },
+  { key: 'sentimentScoreError', label: 'Sentiment score error (mean abs.)', higherIsBetter: false },
+  { key: 'hcpSentimentAccuracy', label: 'HCP sentiment accuracy', higherIsBetter: true },
+  { key: 'insightRecall', label: 'Insight recall', higherIsBetter: true },
+  { key: 'insightPrecision', label: 'Insight precision', higherIsBetter: true },
+  { key: 'insightCategoryAccuracy', label: 'Insight category accuracy', higherIsBetter: true },
+  { key: 'actionItemRecall', label: 'Action item recall', higherIsBetter: true },
+  { key: 'actionItemPrecision', label: 'Action item precision', higherIsBetter: true },
+  { key: 'actionItemPriorityAccuracy', label: 'Action item priority accuracy', higherIsBetter: true },
+  { key: 'failedCases', label: 'Failed cases', higherIsBetter: false },
+  { key: 'averageLatencyMs', label: 'Average latency per case (ms)', higherIsBetter: false }
+];
+
+module.exports = {
+  DEFAULT_MATCH_THRESHOLD,
+  METRICS,
+  similarity,
+  matchItems,
+  scoreSentiment,
+  scoreItems,
+  scoreCase,
+  summarize
+};
@@ -1,149 +1,43 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
-const uploadRoutes = require('./routes/upload');
-const transcriptRoutes = require('./routes/transcripts');
-const aiRoutes = require('./routes/ai');
-const crmRoutes = require('./routes/crm');
-const documentRoutes = require('./routes/documents');
-const fileRoutes = require('./routes/files');
+const app = require('./app');
+const { startWorker } = require('./jobs');
+const uploadSessionService = require('./services/uploadSessionService');
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Security middleware
-app.use(helmet());
-
-// CORS configuration
-app.use(cors({
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-    
-    const allowedOrigins = [
-      'https://docnexus-frontend-teresha.onrender.com',
-      'https://docnexus-frontend.onrender.com',
-      'http://localhost:3000'
-    ];
-    
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      console.log('CORS blocked origin:', origin);
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('✅ Connected to MongoDB');
+
+  // Free disk space held by abandoned chunked uploads, starting with any left from before a restart
+  const cleanupUploadSessions = () => {
+    uploadSessionService.cleanupExpiredSessions().catch(error => {
+      console.error('❌ Upload session cleanup failed:', error);
+    });
+  };
+  cleanupUploadSessions();
+  setInterval(cleanupUploadSessions, 60 * 60 * 1000).unref();
+
+  // Run background jobs in this process unless a separate worker (npm run worker) handles them
+  if (process.env.JOB_WORKER_EMBEDDED !== 'false') {
+    try {
+      await startWorker();
+    } catch (error) {
+      console.error('❌ Failed to start embedded job worker:', error);
+    }
+  }
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
   process.exit(1);
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV,
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
-  });
-});
-
-// Test upload endpoint
-app.post('/api/test-upload', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Test upload endpoint working',
-    body: req.body,
-    headers: req.headers
-  });
-});
-
-// Environment check endpoint
-app.get('/api/env-check', (req, res) => {
-  res.json({
-    success: true,
-    environment: {
-      nodeEnv: process.env.NODE_ENV,
-      hasOpenAI: !!process.env.OPENAI_API_KEY,
-      hasMongoDB: !!process.env.MONGODB_URI,
-      hasAWSAccessKey: !!process.env.AWS_ACCESS_KEY_ID,
-      hasAWSSecretKey: !!process.env.AWS_SECRET_ACCESS_KEY,
-      hasAWSRegion: !!process.env.AWS_REGION,
-      hasS3Bucket: !!process.env.AWS_S3_BUCKET,
-      port: process.env.PORT || 5000
-    }
-  });
-});
-
-// API routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/transcripts', transcriptRoutes);
-app.use('/api/ai', aiRoutes);
-app.use('/api/crm', crmRoutes);
-app.use('/api/documents', documentRoutes);
-app.use('/api/files', fileRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      error: 'Validation Error',
-      details: err.message
-    });
-  }
-  
-  if (err.name === 'MulterError') {
-    return res.status(400).json({
-      error: 'File Upload Error',
-      details: err.message
-    });
-  }
-  
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: 'The requested resource was not found'
-  });
-});
-
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -151,4 +45,4 @@ app.listen(PORT, () => {
   console.log(`🔗 API URL: http://localhost:${PORT}/api`);
 });
 
-module.exports = app; 
+module.exports = app;
@@ -0,0 +1,41 @@
+const processingService = require('../services/processingService');
+
+/**
+ * Screen a transcript for possible adverse events and notify the safety reviewers
+ * Payload: { transcriptId, useEditedTranscript, recheck }
+ */
+module.exports = {
+  async run(job, { signal } = {}) {
+    const { transcriptId, useEditedTranscript, recheck } = job.payload;
+    return processingService.processAdverseEventDetection(transcriptId, {
+      useEditedTranscript,
+      recheck,
+      signal,
+      userId: job.createdBy
+    });
+  },
+
+  async onRetry(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Adverse event screening attempt ${job.attempts} of ${job.maxAttempts} failed: ${error.message}`
+    );
+  },
+
+  async onDefer(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Adverse event screening queued until ${job.runAt.toISOString()}: ${error.message}`
+    );
+  },
+
+  // Leave the transcript visibly unscreened so the safety team can check it by hand or re-run it
+  async onDeadLetter(job, error) {
+    console.error(`❌ Adverse event screening failed for ${job.payload.transcriptId}:`, error.message);
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Adverse event screening failed after ${job.attempts} attempts: ${error.message}`,
+      { 'safety.status': 'failed' }
+    );
+  }
+};
@@ -0,0 +1,40 @@
+const processingService = require('../services/processingService');
+
+/**
+ * Run sentiment analysis and insight extraction
+ * Payload: { transcriptId, useEditedTranscript, includeHistoricalData }
+ */
+module.exports = {
+  async run(job, { signal } = {}) {
+    const { transcriptId, useEditedTranscript, includeHistoricalData } = job.payload;
+    return processingService.processAIAnalysis(transcriptId, {
+      useEditedTranscript,
+      includeHistoricalData,
+      signal,
+      userId: job.createdBy
+    });
+  },
+
+  async onRetry(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `AI analysis attempt ${job.attempts} of ${job.maxAttempts} failed: ${error.message}`
+    );
+  },
+
+  async onDefer(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `AI analysis queued until ${job.runAt.toISOString()}: ${error.message}`
+    );
+  },
+
+  async onDeadLetter(job, error) {
+    console.error(`❌ AI analysis failed for ${job.payload.transcriptId}:`, error.message);
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `AI analysis failed after ${job.attempts} attempts: ${error.message}`,
+      { processingStage: 'failed' }
+    );
+  }
+};
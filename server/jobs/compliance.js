@@ -0,0 +1,41 @@
+const processingService = require('../services/processingService');
+
+/**
+ * Check a transcript against the organization's compliance rules
+ * Payload: { transcriptId, useEditedTranscript, recheck }
+ */
+module.exports = {
+  async run(job, { signal } = {}) {
+    const { transcriptId, useEditedTranscript, recheck } = job.payload;
+    return processingService.processComplianceCheck(transcriptId, {
+      useEditedTranscript,
+      recheck,
+      signal,
+      userId: job.createdBy
+    });
+  },
+
+  async onRetry(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Compliance check attempt ${job.attempts} of ${job.maxAttempts} failed: ${error.message}`
+    );
+  },
+
+  async onDefer(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Compliance check queued until ${job.runAt.toISOString()}: ${error.message}`
+    );
+  },
+
+  // An unchecked meeting must not slip through to the CRM; failed keeps it held until it is checked again
+  async onDeadLetter(job, error) {
+    console.error(`❌ Compliance check failed for ${job.payload.transcriptId}:`, error.message);
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Compliance check failed after ${job.attempts} attempts: ${error.message}`,
+      { 'compliance.status': 'failed' }
+    );
+  }
+};
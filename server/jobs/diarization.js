@@ -0,0 +1,61 @@
+const jobQueue = require('../services/jobQueue');
+const processingService = require('../services/processingService');
+
+/**
+ * Queue analysis for a transcript unless it is already queued
+ * @param {Object} job - Diarization job
+ * @returns {Promise<string|null>} Analysis job ID
+ */
+async function queueAnalysis(job) {
+  const { transcriptId } = job.payload;
+  if (await jobQueue.hasActiveJob(transcriptId, ['analysis'])) return null;
+
+  const analysisJob = await jobQueue.enqueue('analysis', { transcriptId }, {
+    organization: job.organization,
+    createdBy: job.createdBy,
+    transcriptId
+  });
+  return analysisJob._id;
+}
+
+/**
+ * Label transcript segments by speaker, then queue AI analysis
+ * Payload: { transcriptId, provider, analyze }; analyze defaults to true
+ */
+module.exports = {
+  async run(job, { signal } = {}) {
+    const { transcriptId, provider, analyze = true } = job.payload;
+    const result = await processingService.processDiarization(transcriptId, { provider, signal, userId: job.createdBy });
+    signal?.throwIfAborted();
+
+    const analysisJobId = analyze ? await queueAnalysis(job) : null;
+    return { ...result, analysisJobId };
+  },
+
+  async onRetry(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Diarization attempt ${job.attempts} of ${job.maxAttempts} failed: ${error.message}`
+    );
+  },
+
+  async onDefer(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Diarization queued until ${job.runAt.toISOString()}: ${error.message}`
+    );
+  },
+
+  // Speaker labels are an enhancement; analyse without them rather than stall the transcript
+  async onDeadLetter(job, error) {
+    console.error(`❌ Diarization failed for ${job.payload.transcriptId}:`, error.message);
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Diarization failed after ${job.attempts} attempts, analysing without speakers: ${error.message}`,
+      { diarizationStatus: 'failed', processingStage: 'analyzing' }
+    );
+    if (job.payload.analyze !== false) {
+      await queueAnalysis(job);
+    }
+  }
+};
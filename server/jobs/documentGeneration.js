@@ -0,0 +1,12 @@
+const processingService = require('../services/processingService');
+
+/**
+ * Generate meeting documents for one transcript of a batch
+ * Payload: { transcriptId, documentTypes }
+ */
+module.exports = {
+  async run(job, { signal } = {}) {
+    const { transcriptId, documentTypes } = job.payload;
+    return processingService.generateDocuments(transcriptId, documentTypes, { signal });
+  }
+};
@@ -0,0 +1,43 @@
+const JobWorker = require('../services/jobWorker');
+const jobQueue = require('../services/jobQueue');
+const processingService = require('../services/processingService');
+
+// Job type -> handler
+const handlers = {
+  transcription: require('./transcription'),
+  diarization: require('./diarization'),
+  analysis: require('./analysis'),
+  'adverse-events': require('./adverseEvents'),
+  compliance: require('./compliance'),
+  'document-generation': require('./documentGeneration')
+};
+
+// Defaults per worker process; override with JOB_CONCURRENCY_<TYPE>
+const typeConcurrency = {
+  transcription: 1,
+  diarization: 1,
+  analysis: 2,
+  'adverse-events': 1,
+  compliance: 1,
+  'document-generation': 1
+};
+
+/**
+ * Recover interrupted work and start a worker for all job types
+ * @param {Object} options - JobWorker options (concurrency, pollIntervalMs)
+ * @returns {Promise<JobWorker>} The running worker
+ */
+async function startWorker(options = {}) {
+  const worker = new JobWorker({ handlers, typeConcurrency, ...options });
+
+  await worker.recoverStaleJobs();
+  await processingService.recoverOrphanedTranscripts(jobQueue);
+
+  worker.start();
+  return worker;
+}
+
+module.exports = {
+  handlers,
+  startWorker
+};
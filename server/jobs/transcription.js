@@ -0,0 +1,76 @@
+const jobQueue = require('../services/jobQueue');
+const processingService = require('../services/processingService');
+
+/**
+ * Transcribe an uploaded recording, then queue diarization (which queues AI analysis)
+ * or AI analysis directly when diarization is off, plus adverse event screening and the compliance check
+ * Payload: { transcriptId, fileKey }
+ */
+module.exports = {
+  async run(job, { signal } = {}) {
+    const { transcriptId, fileKey } = job.payload;
+    const result = await processingService.processTranscription(transcriptId, fileKey, { signal, userId: job.createdBy });
+    signal?.throwIfAborted();
+
+    // A skipped (already transcribed) transcript still needs its next stage
+    const nextType = processingService.shouldDiarize(result.segmentCount) ? 'diarization' : 'analysis';
+
+    let nextJobId = null;
+    if (!(await jobQueue.hasActiveJob(transcriptId, ['diarization', 'analysis']))) {
+      const nextJob = await jobQueue.enqueue(nextType, { transcriptId }, {
+        organization: job.organization,
+        createdBy: job.createdBy,
+        transcriptId
+      });
+      nextJobId = nextJob._id;
+    }
+
+    // Safety screening does not wait for speakers or insights, and goes ahead of other analysis
+    let safetyJobId = null;
+    if (!(await jobQueue.hasActiveJob(transcriptId, ['adverse-events']))) {
+      const safetyJob = await jobQueue.enqueue('adverse-events', { transcriptId }, {
+        organization: job.organization,
+        createdBy: job.createdBy,
+        transcriptId,
+        priority: 1
+      });
+      safetyJobId = safetyJob._id;
+    }
+
+    // Queued now so the meeting is held back from CRM sync until it has been checked
+    let complianceJobId = null;
+    if (!(await jobQueue.hasActiveJob(transcriptId, ['compliance']))) {
+      const complianceJob = await jobQueue.enqueue('compliance', { transcriptId }, {
+        organization: job.organization,
+        createdBy: job.createdBy,
+        transcriptId
+      });
+      complianceJobId = complianceJob._id;
+    }
+
+    return { ...result, nextStage: nextType, nextJobId, safetyJobId, complianceJobId };
+  },
+
+  async onRetry(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Transcription attempt ${job.attempts} of ${job.maxAttempts} failed: ${error.message}`
+    );
+  },
+
+  async onDefer(job, error) {
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Transcription queued until ${job.runAt.toISOString()}: ${error.message}`
+    );
+  },
+
+  async onDeadLetter(job, error) {
+    console.error(`❌ Transcription processing failed for ${job.payload.transcriptId}:`, error.message);
+    await processingService.recordProcessingError(
+      job.payload.transcriptId,
+      `Transcription failed after ${job.attempts} attempts: ${error.message}`,
+      { transcriptionStatus: 'failed', processingStage: 'failed', processingEndTime: new Date() }
+    );
+  }
+};
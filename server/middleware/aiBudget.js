@@ -0,0 +1,34 @@
+const usageService = require('../services/usageService');
+
+/**
+ * Refuse AI work once the organization has used up its monthly AI budget
+ * Responds 402 with code AI_BUDGET_EXCEEDED and the budget status. Must be mounted after authenticate.
+ * @param {Object} options - { queued: true } for routes that only queue jobs; those are let through
+ *   when the organization queues over-budget work (aiBudgetAction 'queue') and the job waits instead
+ * @returns {Function} Express middleware
+ */
+function requireAIBudget({ queued = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const status = await usageService.getBudgetStatus(req.user.organization);
+      if (!status.exceeded || (queued && status.action === 'queue')) {
+        return next();
+      }
+
+      console.warn(`💸 ${req.user.email} denied ${req.method} ${req.originalUrl}: AI budget reached ($${status.spent.toFixed(2)} of $${status.budget.toFixed(2)})`);
+      res.status(402).json({
+        success: false,
+        error: `Your organization has reached its monthly AI budget of $${status.budget.toFixed(2)}. ` +
+          `It resets on ${status.resetsAt.toISOString().slice(0, 10)}; an administrator can raise it on the AI Usage page.`,
+        code: 'AI_BUDGET_EXCEEDED',
+        budget: status
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  requireAIBudget
+};
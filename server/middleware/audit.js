@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Normalize a value for comparison and storage in a diff
+ * @param {*} value - Field value (may be a Mongoose document or array)
+ * @returns {*} Plain JSON-compatible value
+ */
+function toPlain(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compute a field-level diff between two versions of a document
+ * @param {Object} before - Document before the change
+ * @param {Object} after - Document after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {Array<Object>} [{ field, before, after }] for fields that changed
+ */
+function diffFields(before, after, fields) {
+  return fields.reduce((changes, field) => {
+    const previous = toPlain(before ? before[field] : undefined);
+    const next = toPlain(after ? after[field] : undefined);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+    return changes;
+  }, []);
+}
+
+/**
+ * Record an audit event for the request once the response has been sent
+ * Handlers can add detail through res.locals.audit:
+ *   { transcriptId, success, changes, metadata } for a single transcript, or
+ *   { events: [{ transcriptId, success, metadata }] } for batch operations
+ * The transcript defaults to req.params.id, req.params.transcriptId or req.body.transcriptId
+ * @param {string} action - AuditEvent action (e.g. 'transcript.view')
+ * @returns {Function} Express middleware
+ */
+function audit(action) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      recordAuditEvents(action, req, res).catch(error => {
+        console.error(`❌ Failed to write audit event (${action}):`, error);
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Write one AuditEvent per affected transcript
+ * @param {string} action - AuditEvent action
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvents(action, req, res) {
+  if (!req.user) return;
+
+  const details = res.locals.audit || {};
+
+  const base = {
+    organization: req.user.organization,
+    action,
+    user: {
+      id: req.user._id,
+      email: req.user.email,
+      role: req.user.role
+    },
+    apiToken: req.apiToken ? { id: req.apiToken.id, name: req.apiToken.name } : undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    success: res.statusCode < 400 && details.success !== false,
+    changes: details.changes || [],
+    metadata: details.metadata || {}
+  };
+
+  const entries = details.events || [{
+    transcriptId: details.transcriptId || req.params.id || req.params.transcriptId || req.body?.transcriptId || null
+  }];
+
+  const events = entries.map(entry => ({
+    ...base,
+    transcriptId: entry.transcriptId && mongoose.isValidObjectId(entry.transcriptId) ? entry.transcriptId : null,
+    success: entry.success !== undefined ? base.success && entry.success : base.success,
+    metadata: { ...base.metadata, ...(entry.metadata || {}) }
+  }));
+
+  if (events.length === 0) return;
+
+  await AuditEvent.insertMany(events);
+}
+
+module.exports = {
+  audit,
+  diffFields
+};
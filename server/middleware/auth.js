@@ -0,0 +1,139 @@
+const authService = require('../services/authService');
+const User = require('../models/User');
+
+/**
+ * Extract a bearer token from the request
+ * @param {object} req - Express request object
+ * @param {boolean} allowQueryToken - Also accept ?token= (for <audio>/<a> links that cannot set headers)
+ * @returns {Object} { token, fromQuery } (token is null when there is none)
+ */
+function getTokenFromRequest(req, allowQueryToken = false) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return { token: header.slice(7).trim(), fromQuery: false };
+  }
+  if (allowQueryToken && req.method === 'GET' && typeof req.query.token === 'string') {
+    return { token: req.query.token, fromQuery: true };
+  }
+  return { token: null, fromQuery: false };
+}
+
+/**
+ * Authenticate a personal API token and load req.user / req.apiToken
+ * The user's permissions are narrowed to the token's scopes
+ * @param {string} token - Plain API token
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function authenticateApiToken(token, req, res, next) {
+  try {
+    const tokenHash = authService.hashApiToken(token);
+    const user = await User.findOne({ 'apiTokens.tokenHash': tokenHash });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API token'
+      });
+    }
+
+    const apiToken = user.apiTokens.find(t => t.tokenHash === tokenHash);
+    const lastUsed = new Date();
+
+    await User.updateOne(
+      { _id: user._id, 'apiTokens._id': apiToken._id },
+      { $set: { 'apiTokens.$.lastUsed': lastUsed } }
+    );
+
+    user.$locals.apiTokenScopes = apiToken.permissions || [];
+    req.user = user;
+    req.apiToken = { id: apiToken._id, name: apiToken.name, permissions: apiToken.permissions, lastUsed };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Build middleware that requires a valid access token and loads req.user
+ * Personal API tokens are accepted in the same Authorization: Bearer header
+ * @param {Object} options - { allowQueryToken } also accepts access tokens (never API tokens) as ?token=
+ * @returns {Function} Express middleware
+ */
+function buildAuthMiddleware({ allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    const { token, fromQuery } = getTokenFromRequest(req, allowQueryToken);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (authService.isApiToken(token)) {
+      // URLs end up in access logs, proxies and browser history; only short-lived access tokens may appear there
+      if (fromQuery) {
+        return res.status(401).json({
+          success: false,
+          error: 'API tokens must be sent in the Authorization header'
+        });
+      }
+      return authenticateApiToken(token, req, res, next);
+    }
+
+    let payload;
+    try {
+      payload = authService.verifyAccessToken(token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+      });
+    }
+
+    try {
+      const user = await User.findById(payload.sub);
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          error: 'User account not found or inactive'
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Reject requests authenticated with a personal API token
+ * Used for account management so a leaked token cannot mint or revoke tokens
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireSessionAuth(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action requires a signed-in session'
+    });
+  }
+  next();
+}
+
+const authenticate = buildAuthMiddleware();
+const authenticateMedia = buildAuthMiddleware({ allowQueryToken: true });
+
+module.exports = {
+  authenticate,
+  authenticateMedia,
+  requireSessionAuth,
+  getTokenFromRequest
+};
@@ -0,0 +1,71 @@
+/**
+ * Require the authenticated user to hold every listed permission
+ * Must be mounted after authenticate so req.user is populated
+ * @param {...string} permissions - User.permissions flags (e.g. 'canUpload')
+ * @returns {Function} Express middleware
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      console.warn(`⛔ ${req.user.email} denied ${req.method} ${req.originalUrl} (missing: ${missing.join(', ')})`);
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        required: missing
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require the authenticated user to have one of the listed roles
+ * API tokens are refused: their scopes narrow permissions, not roles, so a token
+ * scoped to one permission would otherwise carry its owner's whole role
+ * @param {...string} roles - User roles (admin, manager, analyst, viewer)
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (req.apiToken) {
+      console.warn(`⛔ ${req.user.email} denied ${req.method} ${req.originalUrl} (API token on a role-gated route)`);
+      return res.status(403).json({
+        success: false,
+        error: 'This action requires a signed-in session'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      console.warn(`⛔ ${req.user.email} denied ${req.method} ${req.originalUrl} (role: ${req.user.role})`);
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient role',
+        required: roles
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requirePermission,
+  requireRole
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Validated AI responses, keyed by task, prompt version, provider, model and a hash of the input
+const aiCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Responses are cached per organization (null for calls made outside one)
+  organization: {
+    type: String,
+    default: null
+  },
+  task: {
+    type: String,
+    required: true
+  },
+  promptVersion: String,
+  provider: String,
+  model: String,
+
+  // Validated response as returned by llmService.completeJson
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Tokens the original call used, reported as saved on each hit
+  usage: {
+    inputTokens: {
+      type: Number,
+      default: 0
+    },
+    outputTokens: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  },
+  // Removed by MongoDB's TTL monitor once passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+aiCacheEntrySchema.index({ organization: 1, task: 1 });
+
+module.exports = mongoose.model('AICacheEntry', aiCacheEntrySchema);
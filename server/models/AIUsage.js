@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One entry per billable AI call: chat completions (including cache hits) and transcriptions
+const aiUsageSchema = new mongoose.Schema({
+  // Who the call is billed to
+  organization: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript',
+    default: null
+  },
+
+  // What was called
+  kind: {
+    type: String,
+    enum: ['chat', 'transcription'],
+    default: 'chat'
+  },
+  task: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  model: String,
+  // Prompt template version, e.g. "default.v1" or "organization.v3" (see promptTemplateService)
+  promptVersion: {
+    type: String,
+    default: null
+  },
+
+  // Usage
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  audioSeconds: {
+    type: Number,
+    default: 0
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  estimatedCostUsd: {
+    type: Number,
+    default: 0
+  },
+  // Served from the AI call cache; no provider call was made
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+aiUsageSchema.index({ organization: 1, timestamp: -1 });
+aiUsageSchema.index({ organization: 1, user: 1, timestamp: -1 });
+aiUsageSchema.index({ transcriptId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
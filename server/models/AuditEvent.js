@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'transcript.view',
+  'transcript.update',
+  'transcript.reanalyze',
+  'transcript.delete',
+  'transcript.redact',
+  'upload.cancel',
+  'crm.sync',
+  'organization.update',
+  'prompt_template.update',
+  'document.generate',
+  'file.view',
+  'file.download',
+  'safety.review',
+  'safety.export',
+  'compliance.review',
+  'compliance.rules_update'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript',
+    default: null
+  },
+
+  // Who performed the action
+  user: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String
+  },
+  // Set when the request was authenticated with a personal API token
+  apiToken: {
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+
+  // Request details
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  success: Boolean,
+
+  // Field-level changes for edits
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Action-specific details (document type, file name, CRM record, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+auditEventSchema.index({ organization: 1, timestamp: -1 });
+auditEventSchema.index({ transcriptId: 1, timestamp: -1 });
+auditEventSchema.index({ 'user.id': 1, timestamp: -1 });
+
+// Audit events are append-only: block every update and delete path
+const rejectMutation = function(next) {
+  next(new Error('Audit events are immutable'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  auditEventSchema.pre(operation, rejectMutation);
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+AuditEvent.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditEvent;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const COMPLIANCE_CATEGORIES = [
+  'off-label',
+  'unsubstantiated-claim',
+  'inducement',
+  'competitor-disparagement',
+  'other'
+];
+
+const MAX_PATTERN_LENGTH = 200;
+
+// A repeated group that itself repeats or alternates, like (a+)+ or (a|ab)*, can take
+// exponential time on a line that almost matches
+const hasNestedQuantifier = (pattern) => {
+  const groups = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifiers inside it are literals
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')') {
+      const group = groups.pop() || { repeats: false };
+      const quantified = /[*+{]/.test(pattern[i + 1] || '');
+      if (quantified && group.repeats) return true;
+      if (groups.length > 0 && (group.repeats || quantified)) groups[groups.length - 1].repeats = true;
+    } else if ((char === '*' || char === '+' || char === '{' || char === '|') && groups.length > 0) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Why a rule pattern can't be used, or null if it can
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null}
+ */
+const patternError = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return error.message;
+  }
+  if (hasNestedQuantifier(pattern)) {
+    return 'repeated groups must not contain repetition or alternatives, e.g. (a+)+ or (a|b)*';
+  }
+  return null;
+};
+
+// Something a representative must not say, checked in every transcript of the organization.
+// Patterns are matched as case-insensitive regular expressions; with useLLM the model also
+// looks for statements that break the rule in other words.
+const complianceRuleSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: COMPLIANCE_CATEGORIES,
+    default: 'other'
+  },
+  // What the rule forbids, in words the model and reviewers can follow
+  description: {
+    type: String,
+    default: ''
+  },
+  patterns: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (patterns) => patterns.every(pattern => patternError(pattern) === null),
+      message: 'Every pattern must be a valid regular expression without nested repetition'
+    }
+  },
+  useLLM: {
+    type: Boolean,
+    default: true
+  },
+  severity: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    id: String,
+    email: String
+  },
+  updatedBy: {
+    id: String,
+    email: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+complianceRuleSchema.index({ organization: 1, enabled: 1 });
+
+const ComplianceRule = mongoose.model('ComplianceRule', complianceRuleSchema);
+ComplianceRule.CATEGORIES = COMPLIANCE_CATEGORIES;
+ComplianceRule.patternError = patternError;
+
+module.exports = ComplianceRule;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = [
+  'transcription',
+  'diarization',
+  'analysis',
+  'adverse-events',
+  'compliance',
+  'document-generation'
+];
+
+// queued -> processing -> completed
+//               |-> queued (retry after backoff) -> ... -> dead (attempts exhausted)
+// queued/processing -> cancelled (upload cancelled by the user)
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'dead', 'cancelled'];
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Ownership
+  organization: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript',
+    default: null
+  },
+
+  // Scheduling
+  priority: {
+    type: Number,
+    default: 0
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+
+  // Lease held by the worker currently running the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Outcome
+  startedAt: Date,
+  completedAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    worker: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, type: 1, priority: -1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ transcriptId: 1, createdAt: -1 });
+jobSchema.index({ organization: 1, createdAt: -1 });
+
+const Job = mongoose.model('Job', jobSchema);
+Job.TYPES = JOB_TYPES;
+Job.STATUSES = JOB_STATUSES;
+
+module.exports = Job;
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+// Credential fields stored encrypted at rest and never returned to clients
+const SALESFORCE_SECRET_FIELDS = ['password', 'securityToken', 'clientSecret'];
+
+const organizationSchema = new mongoose.Schema({
+  // Matches User.organization and Transcript.organization
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // CRM credentials and sync preferences
+  crmSettings: {
+    salesforce: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      loginUrl: {
+        type: String,
+        default: 'https://login.salesforce.com'
+      },
+      username: {
+        type: String,
+        default: ''
+      },
+      password: {
+        type: String,
+        default: ''
+      },
+      securityToken: {
+        type: String,
+        default: ''
+      },
+      clientId: {
+        type: String,
+        default: ''
+      },
+      clientSecret: {
+        type: String,
+        default: ''
+      }
+    },
+    autoSync: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Organization-wide settings
+  settings: {
+    defaultLanguage: {
+      type: String,
+      default: 'en'
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    // Default speech-to-text provider for uploads (null uses TRANSCRIPTION_PROVIDER)
+    transcriptionProvider: {
+      type: String,
+      default: null
+    },
+    // Providers uploads may use; empty allows all. ['local'] keeps audio off third-party services.
+    allowedTranscriptionProviders: {
+      type: [String],
+      default: []
+    },
+    // Estimated AI spend allowed per calendar month (UTC), in USD; null is unlimited
+    monthlyAIBudgetUsd: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Once the budget is reached: 'block' refuses AI work, 'queue' holds queued jobs until it allows them
+    aiBudgetAction: {
+      type: String,
+      enum: ['block', 'queue'],
+      default: 'block'
+    },
+    // Safety reviewers told about possible adverse events (empty uses SAFETY_REVIEWER_EMAILS)
+    safetyReviewerEmails: {
+      type: [String],
+      default: []
+    },
+    // PHI redaction of transcript text sent to AI providers, generated documents and the CRM
+    redaction: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Any of redactionService.entityTypes; empty redacts all of them
+      entityTypes: {
+        type: [String],
+        default: []
+      },
+      // Also redact what the NER service at PHI_NER_URL finds
+      useNER: {
+        type: Boolean,
+        default: false
+      }
+    }
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware to encrypt CRM secrets
+organizationSchema.pre('save', function(next) {
+  try {
+    SALESFORCE_SECRET_FIELDS.forEach(field => {
+      const path = `crmSettings.salesforce.${field}`;
+      const value = this.get(path);
+      if (this.isModified(path) && value && !isEncrypted(value)) {
+        this.set(path, encrypt(value));
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-save middleware to update updatedAt
+organizationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Method to get decrypted Salesforce credentials for opening a connection
+organizationSchema.methods.getSalesforceCredentials = function() {
+  const salesforce = this.crmSettings?.salesforce || {};
+  return {
+    enabled: salesforce.enabled,
+    loginUrl: salesforce.loginUrl,
+    username: salesforce.username,
+    password: decrypt(salesforce.password),
+    securityToken: decrypt(salesforce.securityToken),
+    clientId: salesforce.clientId,
+    clientSecret: decrypt(salesforce.clientSecret)
+  };
+};
+
+// Method to get settings safe to return to clients (secrets reported as set/not set)
+organizationSchema.methods.toSafeSettings = function() {
+  const salesforce = this.crmSettings?.salesforce || {};
+  const safeSalesforce = {
+    enabled: salesforce.enabled,
+    loginUrl: salesforce.loginUrl,
+    username: salesforce.username,
+    clientId: salesforce.clientId
+  };
+  SALESFORCE_SECRET_FIELDS.forEach(field => {
+    safeSalesforce[`${field}Set`] = Boolean(salesforce[field]);
+  });
+
+  return {
+    name: this.name,
+    crmSettings: {
+      salesforce: safeSalesforce,
+      autoSync: this.crmSettings?.autoSync || false
+    },
+    settings: this.settings
+  };
+};
+
+// Static method to find an organization by name, creating it on first use
+organizationSchema.statics.findOrCreate = async function(name) {
+  return this.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+Organization.SALESFORCE_SECRET_FIELDS = SALESFORCE_SECRET_FIELDS;
+
+module.exports = Organization;
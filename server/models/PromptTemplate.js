@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const prompts = require('../services/llm/prompts');
+
+// An organization's version of a built-in analysis prompt (see services/llm/prompts).
+// Versions are never edited: saving creates the next version, and one version per task is active.
+const promptTemplateSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    required: true
+  },
+  task: {
+    type: String,
+    enum: Object.keys(prompts),
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  system: {
+    type: String,
+    default: ''
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  // Values for the task's settings, e.g. { instructions, insightCategories: [{ name, description }] }
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+promptTemplateSchema.index({ organization: 1, task: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ organization: 1, task: 1, active: 1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
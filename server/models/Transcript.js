@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// Which prompt template produced an analysis: the built-in one, an organization's saved version, or an unsaved draft
+const promptTemplateRef = {
+  source: {
+    type: String,
+    enum: ['default', 'organization', 'draft']
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate'
+  },
+  version: Number
+};
+
 const transcriptSchema = new mongoose.Schema({
   // File information
   originalFileName: {
@@ -10,6 +23,7 @@ const transcriptSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  fileKey: String, // Storage key (e.g. uploads/<uuid>.mp3)
   fileSize: {
     type: Number,
     required: true
@@ -47,6 +61,30 @@ const transcriptSchema = new mongoose.Schema({
     required: true
   },
 
+  // Speakers found by diarization, optionally mapped to attendees
+  speakers: [{
+    _id: false,
+    label: String, // e.g. SPEAKER_1, as stored on TranscriptSegment.speaker
+    attendeeId: mongoose.Schema.Types.ObjectId, // entry in attendees, when mapped
+    name: String,
+    role: String,
+    isHcp: {
+      type: Boolean,
+      default: false
+    },
+    segmentCount: Number,
+    talkTime: Number // seconds
+  }],
+  diarizationStatus: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  diarizationProvider: {
+    type: String,
+    default: null
+  },
+
   // Transcription data
   rawTranscript: {
     type: String,
@@ -61,6 +99,20 @@ const transcriptSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed'],
     default: 'pending'
   },
+  // Chosen at upload (see services/transcription); the model is filled in once transcribed
+  transcriptionProvider: {
+    type: String,
+    default: null
+  },
+  transcriptionModel: {
+    type: String,
+    default: null
+  },
+  // Segments with start/end times live in TranscriptSegment
+  segmentCount: {
+    type: Number,
+    default: 0
+  },
   transcriptionConfidence: {
     type: Number,
     min: 0,
@@ -68,6 +120,44 @@ const transcriptSchema = new mongoose.Schema({
     default: 0
   },
 
+  // The current text (edited, else raw) with PHI replaced by placeholders such as [NAME],
+  // kept for reviewers when the organization has redaction on (see services/redactionService)
+  redactedTranscript: {
+    type: String,
+    default: ''
+  },
+  redaction: {
+    status: {
+      type: String,
+      enum: ['not_redacted', 'completed', 'failed', 'disabled'],
+      default: 'not_redacted'
+    },
+    source: {
+      type: String,
+      enum: ['raw', 'edited']
+    },
+    // Offsets into the source text of what was replaced
+    spans: [{
+      _id: false,
+      type: { type: String },
+      start: Number,
+      end: Number,
+      source: {
+        type: String,
+        enum: ['pattern', 'ner']
+      }
+    }],
+    counts: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    entityTypes: [String],
+    usedNER: Boolean,
+    redactedAt: Date,
+    error: String
+  },
+
   // AI Analysis
   sentimentAnalysis: {
     overall: {
@@ -99,26 +189,62 @@ const transcriptSchema = new mongoose.Schema({
     },
     emotionalIndicators: [{
       indicator: String,
-      type: String,
+      // Wrapped so Mongoose reads "type" as a field, not as the array element's type
+      type: { type: String },
       context: String
     }],
     sentimentTrends: [{
       segment: String,
       sentiment: String,
-      reason: String
+      reason: String,
+      segmentIndex: Number,
+      startTime: Number,
+      endTime: Number
     }],
     contextFactors: {
       medicalConcerns: [String],
       businessOpportunities: [String],
       personalRapport: String,
       professionalTone: String
+    },
+    // Sentiment of what the HCP said, when speakers are known
+    hcpSentiment: {
+      overall: String,
+      score: Number,
+      explanation: String
+    },
+    speakerSentiment: [{
+      _id: false,
+      speaker: String,
+      name: String,
+      overall: String,
+      score: Number,
+      explanation: String
+    }],
+    // Chat model that produced this analysis (see services/llm)
+    generatedBy: {
+      provider: String,
+      model: String,
+      // Prompt template version used (see services/promptTemplateService)
+      promptTemplate: promptTemplateRef,
+      generatedAt: Date
     }
   },
   keyInsights: [{
     insight: String,
     category: String,
     confidence: Number,
-    timestamp: String // Changed from Number to String to match OpenAI output
+    impact: {
+      type: String,
+      enum: ['high', 'medium', 'low']
+    },
+    context: String,
+    timestamp: String, // h:mm:ss of startTime, for display
+    speaker: String, // speaker label the insight came from, when known
+    // Position in the recording, resolved from the stored segments
+    segmentIndex: Number,
+    startTime: Number,
+    endTime: Number
   }],
   actionItems: [{
     item: String,
@@ -128,8 +254,187 @@ const transcriptSchema = new mongoose.Schema({
       default: 'medium'
     },
     assignee: String,
-    dueDate: Date
+    dueDate: Date,
+    category: String,
+    estimatedEffort: String,
+    dependencies: [String],
+    segmentIndex: Number,
+    startTime: Number,
+    endTime: Number
+  }],
+  followUpRecommendations: [{
+    recommendation: String,
+    timeline: String,
+    priority: {
+      type: String,
+      enum: ['high', 'medium', 'low'],
+      default: 'medium'
+    },
+    // Wrapped so Mongoose reads "type" as a field, not as the array element's type
+    type: { type: String }
   }],
+  riskFactors: [{
+    risk: String,
+    severity: {
+      type: String,
+      enum: ['high', 'medium', 'low'],
+      default: 'medium'
+    },
+    mitigation: String,
+    category: String
+  }],
+  opportunities: [{
+    opportunity: String,
+    potential: {
+      type: String,
+      enum: ['high', 'medium', 'low'],
+      default: 'medium'
+    },
+    timeline: String,
+    category: String
+  }],
+  insightsSummary: {
+    executiveSummary: String,
+    keyTakeaway: String,
+    strategicImplications: String,
+    nextSteps: String
+  },
+  // Chat model that produced keyInsights, actionItems and the rest of the insight extraction
+  insightsGeneratedBy: {
+    provider: String,
+    model: String,
+    promptTemplate: promptTemplateRef,
+    generatedAt: Date
+  },
+
+  // Possible adverse events found by the safety check, for the pharmacovigilance team to review
+  adverseEvents: [{
+    drug: String,
+    reaction: String,
+    patientContext: String,
+    seriousness: {
+      type: String,
+      enum: ['serious', 'non-serious', 'unknown'],
+      default: 'unknown'
+    },
+    // Reporting also covers exposures without a reaction, e.g. use in pregnancy or an overdose
+    eventType: {
+      type: String,
+      enum: ['adverse-event', 'special-situation', 'product-complaint'],
+      default: 'adverse-event'
+    },
+    quote: String, // the words that mention the event, verbatim
+    speaker: String,
+    confidence: Number,
+    timestamp: String, // h:mm:ss of startTime, for display
+    segmentIndex: Number,
+    startTime: Number,
+    endTime: Number,
+    // pending until a safety reviewer confirms it as reportable or dismisses it
+    reviewStatus: {
+      type: String,
+      enum: ['pending', 'confirmed', 'dismissed'],
+      default: 'pending'
+    },
+    reviewNotes: String,
+    reviewedBy: {
+      id: String,
+      email: String
+    },
+    reviewedAt: Date
+  }],
+  // not_checked -> clear (nothing found) or flagged (events awaiting review) -> reviewed (every event confirmed or dismissed)
+  safety: {
+    status: {
+      type: String,
+      enum: ['not_checked', 'clear', 'flagged', 'reviewed', 'failed'],
+      default: 'not_checked'
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    // When the company became aware of the events: the start of the reporting clock
+    detectedAt: Date,
+    reportDueBy: Date,
+    checkedAt: Date,
+    reviewersNotified: [String],
+    notifiedAt: Date,
+    reviewedAt: Date,
+    generatedBy: {
+      provider: String,
+      model: String,
+      promptTemplate: promptTemplateRef,
+      generatedAt: Date
+    }
+  },
+
+  // Statements that may break the organization's compliance rules (see models/ComplianceRule)
+  complianceFindings: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ComplianceRule'
+    },
+    ruleName: String,
+    category: String,
+    severity: {
+      type: String,
+      enum: ['high', 'medium', 'low'],
+      default: 'medium'
+    },
+    // 'rule' for a pattern match, 'model' for a statement the model judged to break the rule
+    source: {
+      type: String,
+      enum: ['rule', 'model'],
+      default: 'model'
+    },
+    quote: String,
+    explanation: String,
+    speaker: String,
+    confidence: Number,
+    timestamp: String,
+    segmentIndex: Number,
+    startTime: Number,
+    endTime: Number
+  }],
+  // pending -> clear or flagged -> approved / rejected by a compliance reviewer; edits go back to pending.
+  // Only clear and approved transcripts (and not_checked ones from before screening) can be synced to the CRM.
+  compliance: {
+    status: {
+      type: String,
+      enum: ['not_checked', 'pending', 'clear', 'flagged', 'approved', 'rejected', 'failed'],
+      default: 'not_checked'
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    highestSeverity: {
+      type: String,
+      enum: ['high', 'medium', 'low', null],
+      default: null
+    },
+    checkedAt: Date,
+    rulesChecked: Number,
+    generatedBy: {
+      provider: String,
+      model: String,
+      promptTemplate: promptTemplateRef,
+      generatedAt: Date
+    },
+    review: {
+      decision: {
+        type: String,
+        enum: ['approved', 'rejected']
+      },
+      notes: String,
+      reviewedBy: {
+        id: String,
+        email: String
+      },
+      reviewedAt: Date
+    }
+  },
 
   // CRM Integration
   crmSyncStatus: {
@@ -170,6 +475,18 @@ const transcriptSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Finer-grained progress for the upload status endpoint
+  processingStage: {
+    type: String,
+    enum: ['uploading', 'queued', 'transcribing', 'diarizing', 'analyzing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  processingProgress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
   processingErrors: [{
     error: String,
     timestamp: {
@@ -207,6 +524,8 @@ transcriptSchema.index({ transcriptionStatus: 1 });
 transcriptSchema.index({ crmSyncStatus: 1 });
 transcriptSchema.index({ organization: 1, createdAt: -1 });
 transcriptSchema.index({ 'sentimentAnalysis.overall': 1 });
+transcriptSchema.index({ organization: 1, 'safety.flagged': 1, 'safety.status': 1 });
+transcriptSchema.index({ organization: 1, 'compliance.status': 1 });
 
 // Pre-save middleware to update the updatedAt field
 transcriptSchema.pre('save', function(next) {
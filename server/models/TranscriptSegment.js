@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One timed stretch of speech from a transcript. Kept out of the Transcript document
+// because word-level timings for a long meeting would push it past MongoDB's size limit.
+const transcriptSegmentSchema = new mongoose.Schema({
+  transcript: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript',
+    required: true
+  },
+  organization: {
+    type: String,
+    required: true
+  },
+
+  // Position in the transcript, starting at 0
+  index: {
+    type: Number,
+    required: true
+  },
+  start: {
+    type: Number, // seconds from the start of the recording
+    required: true
+  },
+  end: {
+    type: Number, // seconds from the start of the recording
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Speaker label from diarization (see Transcript.speakers)
+  speaker: {
+    type: String,
+    default: null
+  },
+  // Average log probability reported by Whisper, when available
+  avgLogprob: {
+    type: Number,
+    default: null
+  },
+  words: [{
+    _id: false,
+    word: String,
+    start: Number,
+    end: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+transcriptSegmentSchema.index({ transcript: 1, index: 1 }, { unique: true });
+transcriptSegmentSchema.index({ transcript: 1, start: 1 });
+
+module.exports = mongoose.model('TranscriptSegment', transcriptSegmentSchema);
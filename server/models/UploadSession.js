@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  // Ownership
+  organization: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+
+  // File being uploaded
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  // Client-side identity of the file (name, size, last modified) used to find the session again after a reload
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  // Optional SHA-256 of the whole file, verified after assembly
+  checksum: {
+    type: String,
+    default: null
+  },
+
+  // Chunking
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  receivedChunks: [{
+    _id: false,
+    index: Number,
+    size: Number,
+    checksum: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Meeting details applied to the transcript on completion
+  metadata: {
+    hcpName: String,
+    hcpSpecialty: String,
+    meetingDate: Date,
+    transcriptionProvider: String,
+    attendees: [{
+      _id: false,
+      name: String,
+      role: String,
+      organization: String
+    }]
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completing', 'completed', 'aborted', 'expired'],
+    default: 'active'
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript',
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+uploadSessionSchema.index({ organization: 1, createdBy: 1, fingerprint: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for upload progress
+uploadSessionSchema.virtual('receivedBytes').get(function() {
+  return (this.receivedChunks || []).reduce((total, chunk) => total + (chunk.size || 0), 0);
+});
+
+/**
+ * Summary returned to the client for resuming
+ * @returns {Object} Session status without storage details
+ */
+uploadSessionSchema.methods.toStatus = function() {
+  const received = (this.receivedChunks || []).map(chunk => chunk.index).sort((a, b) => a - b);
+  return {
+    sessionId: this._id,
+    fileName: this.fileName,
+    fileSize: this.fileSize,
+    chunkSize: this.chunkSize,
+    totalChunks: this.totalChunks,
+    receivedChunks: received,
+    receivedBytes: this.receivedBytes,
+    progress: this.fileSize ? Math.round((this.receivedBytes / this.fileSize) * 100) : 0,
+    status: this.status,
+    transcriptId: this.transcriptId,
+    error: this.error,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
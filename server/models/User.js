@@ -73,6 +73,16 @@ const userSchema = new mongoose.Schema({
     canManageUsers: {
       type: Boolean,
       default: false
+    },
+    // Review possible adverse events and export intake forms; granted to the safety team
+    canReviewSafety: {
+      type: Boolean,
+      default: false
+    },
+    // Review compliance findings, approve meetings for CRM sync and manage the compliance rules
+    canReviewCompliance: {
+      type: Boolean,
+      default: false
     }
   },
 
@@ -103,11 +113,45 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Pending invitation; accepting it sets the password and verifies the email address
+  invitation: {
+    tokenHash: String,
+    expiresAt: Date,
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: Date
+  },
+  // Incremented on logout to revoke outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // One entry per signed-in device; each refresh replaces tokenId, so a refresh token works only once
+  refreshSessions: [{
+    _id: false,
+    sessionId: String,
+    tokenId: String
+  }],
 
-  // API tokens for external integrations
+  // API tokens for external integrations (only a SHA-256 hash of each token is stored)
   apiTokens: [{
-    name: String,
-    token: String,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    // First characters of the token, shown so users can tell tokens apart
+    prefix: String,
+    // Subset of permission flags the token may use
+    permissions: [{
+      type: String
+    }],
     createdAt: {
       type: Date,
       default: Date.now
@@ -136,6 +180,8 @@ userSchema.index({ email: 1 });
 userSchema.index({ organization: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'apiTokens.tokenHash': 1 });
+userSchema.index({ 'invitation.tokenHash': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -166,9 +212,35 @@ userSchema.methods.getFullName = function() {
   return `${this.firstName} ${this.lastName}`;
 };
 
+// Maximum permissions each role can hold; per-user flags can only narrow these
+const ROLE_PERMISSIONS = {
+  admin: ['canUpload', 'canEditTranscripts', 'canSyncCRM', 'canGenerateDocuments', 'canViewAnalytics', 'canManageUsers', 'canReviewSafety', 'canReviewCompliance'],
+  manager: ['canUpload', 'canEditTranscripts', 'canSyncCRM', 'canGenerateDocuments', 'canViewAnalytics', 'canManageUsers', 'canReviewSafety', 'canReviewCompliance'],
+  analyst: ['canUpload', 'canEditTranscripts', 'canSyncCRM', 'canGenerateDocuments', 'canViewAnalytics', 'canReviewSafety'],
+  viewer: ['canViewAnalytics']
+};
+
 // Method to check if user has permission
+// Requests authenticated with an API token are further limited to the token's scopes
 userSchema.methods.hasPermission = function(permission) {
-  return this.permissions[permission] || false;
+  const tokenScopes = this.$locals.apiTokenScopes;
+  if (tokenScopes && !tokenScopes.includes(permission)) return false;
+  if (this.role === 'admin') return true;
+  const allowedByRole = (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+  return allowedByRole && (this.permissions[permission] || false);
+};
+
+// Method to get the effective value of every permission flag
+userSchema.methods.getEffectivePermissions = function() {
+  return ROLE_PERMISSIONS.admin.reduce((acc, permission) => {
+    acc[permission] = this.hasPermission(permission);
+    return acc;
+  }, {});
+};
+
+// Method to check if the user still has to accept an invitation
+userSchema.methods.isInvitationPending = function() {
+  return Boolean(this.invitation && this.invitation.tokenHash);
 };
 
 // Method to check if user is admin
@@ -196,17 +268,33 @@ userSchema.statics.findByOrganization = function(organization) {
   return this.find({ organization: organization, isActive: true });
 };
 
+// Static method to list the permissions a role can hold
+userSchema.statics.getRolePermissions = function(role) {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for effective permissions (role ceiling applied)
+userSchema.virtual('effectivePermissions').get(function() {
+  return this.getEffectivePermissions();
+});
+
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
     delete ret.apiTokens;
+    delete ret.tokenVersion;
+    delete ret.refreshSessions;
+    ret.invitationPending = doc.isInvitationPending();
+    if (ret.invitation) {
+      delete ret.invitation.tokenHash;
+    }
     return ret;
   }
 });
@@ -1,31 +1,79 @@
 const openaiService = require('../services/openaiService');
+const transcriptAnalysisService = require('../services/transcriptAnalysisService');
+const transcriptionService = require('../services/transcription');
+const llmService = require('../services/llm');
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const os = require('os');
 const Transcript = require('../models/Transcript');
+const fileService = require('../services/fileService');
+const jobQueue = require('../services/jobQueue');
+const usageService = require('../services/usageService');
+const redactionService = require('../services/redactionService');
+const processingService = require('../services/processingService');
+const { requirePermission } = require('../middleware/authorize');
+const { requireAIBudget } = require('../middleware/aiBudget');
+const { scopeToOrganization } = require('../utils/tenant');
 
 const router = express.Router();
 
 /**
  * POST /api/ai/transcribe
- * Transcribe audio file
+ * Transcribe the stored audio file of a transcript in the caller's organization
+ * Uses the transcript's provider unless the body names another one the organization allows
  */
-router.post('/transcribe', async (req, res) => {
+router.post('/transcribe', requirePermission('canUpload'), requireAIBudget(), async (req, res) => {
+  let tempFilePath = null;
   try {
-    const { filePath, language = 'en' } = req.body;
+    const { transcriptId, language = 'en', provider } = req.body;
     
-    if (!filePath) {
+    if (!transcriptId) {
       return res.status(400).json({
         success: false,
-        error: 'File path is required'
+        error: 'Transcript ID is required'
+      });
+    }
+
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
+    
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const resolved = await transcriptionService.resolveProvider(
+      provider || transcript.transcriptionProvider,
+      req.user.organization
+    );
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error
       });
     }
 
     console.log('🎤 Starting transcription request...');
+
+    // Older records only carry the URL; the storage key is uploads/<filename>
+    const fileKey = transcript.fileKey || `uploads/${path.basename(transcript.fileUrl.split('?')[0])}`;
+    const fileResult = await fileService.getFile(fileKey);
+    if (!fileResult.success) {
+      throw new Error(`Failed to get file for transcription: ${fileResult.error}`);
+    }
+
+    tempFilePath = path.join(os.tmpdir(), `${uuidv4()}${path.extname(fileKey)}`);
+    fs.writeFileSync(tempFilePath, fileResult.buffer);
     
-    const result = await openaiService.transcribeAudio(filePath, language);
+    const result = await transcriptionService.transcribe(tempFilePath, {
+      provider: resolved.provider,
+      language,
+      attribution: usageService.fromRequest(req, transcript._id)
+    });
     
     if (result.success) {
       console.log('✅ Transcription completed');
@@ -46,6 +94,10 @@ router.post('/transcribe', async (req, res) => {
       success: false,
       error: error.message
     });
+  } finally {
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
   }
 });
 
@@ -53,7 +105,7 @@ router.post('/transcribe', async (req, res) => {
  * POST /api/ai/analyze-sentiment
  * Analyze sentiment of text
  */
-router.post('/analyze-sentiment', async (req, res) => {
+router.post('/analyze-sentiment', requirePermission('canEditTranscripts'), requireAIBudget(), async (req, res) => {
   try {
     const { text } = req.body;
     
@@ -66,7 +118,9 @@ router.post('/analyze-sentiment', async (req, res) => {
 
     console.log('🧠 Starting sentiment analysis...');
     
-    const result = await openaiService.analyzeSentiment(text);
+    // Text from the client goes through the organization's PHI redaction like stored transcripts do
+    const redactedText = await redactionService.redactForOrganization(req.user.organization, text);
+    const result = await transcriptAnalysisService.analyzeSentiment({ text: redactedText }, { attribution: usageService.fromRequest(req) });
     
     if (result.success) {
       console.log('✅ Sentiment analysis completed');
@@ -94,7 +148,7 @@ router.post('/analyze-sentiment', async (req, res) => {
  * POST /api/ai/extract-insights
  * Extract key insights from text
  */
-router.post('/extract-insights', async (req, res) => {
+router.post('/extract-insights', requirePermission('canEditTranscripts'), requireAIBudget(), async (req, res) => {
   try {
     const { text, historicalData = [], medicalPublications = [] } = req.body;
     
@@ -107,7 +161,11 @@ router.post('/extract-insights', async (req, res) => {
 
     console.log('🔍 Starting insights extraction...');
     
-    const result = await openaiService.extractKeyInsights(text, historicalData, medicalPublications);
+    const redactedText = await redactionService.redactForOrganization(req.user.organization, text);
+    const result = await transcriptAnalysisService.extractKeyInsights({ text: redactedText }, historicalData, {
+      medicalPublications,
+      attribution: usageService.fromRequest(req)
+    });
     
     if (result.success) {
       console.log('✅ Insights extraction completed');
@@ -135,7 +193,7 @@ router.post('/extract-insights', async (req, res) => {
  * POST /api/ai/generate-summary
  * Generate executive summary
  */
-router.post('/generate-summary', async (req, res) => {
+router.post('/generate-summary', requirePermission('canGenerateDocuments'), requireAIBudget(), async (req, res) => {
   try {
     const { transcriptData } = req.body;
     
@@ -148,7 +206,7 @@ router.post('/generate-summary', async (req, res) => {
 
     console.log('📊 Generating executive summary...');
     
-    const result = await openaiService.generateExecutiveSummary(transcriptData);
+    const result = await openaiService.generateExecutiveSummary(transcriptData, { attribution: usageService.fromRequest(req) });
     
     if (result.success) {
       console.log('✅ Executive summary generated');
@@ -176,7 +234,7 @@ router.post('/generate-summary', async (req, res) => {
  * POST /api/ai/validate-terminology
  * Validate medical terminology
  */
-router.post('/validate-terminology', async (req, res) => {
+router.post('/validate-terminology', requirePermission('canEditTranscripts'), requireAIBudget(), async (req, res) => {
   try {
     const { transcript } = req.body;
     
@@ -189,7 +247,8 @@ router.post('/validate-terminology', async (req, res) => {
 
     console.log('🏥 Validating medical terminology...');
     
-    const result = await openaiService.validateMedicalTerminology(transcript);
+    const redactedText = await redactionService.redactForOrganization(req.user.organization, transcript);
+    const result = await openaiService.validateMedicalTerminology(redactedText, { attribution: usageService.fromRequest(req) });
     
     if (result.success) {
       console.log('✅ Medical terminology validation completed');
@@ -217,13 +276,13 @@ router.post('/validate-terminology', async (req, res) => {
  * POST /api/ai/analyze-transcript/:id
  * Analyze specific transcript by ID
  */
-router.post('/analyze-transcript/:id', async (req, res) => {
+router.post('/analyze-transcript/:id', requirePermission('canEditTranscripts'), requireAIBudget(), async (req, res) => {
   try {
     const { id } = req.params;
     const { includeHistoricalData = false } = req.body;
     
     // Find transcript
-    const transcript = await Transcript.findById(id);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -243,28 +302,20 @@ router.post('/analyze-transcript/:id', async (req, res) => {
 
     console.log(`🧠 Analyzing transcript: ${id}`);
 
-    // Get historical data if requested
-    let historicalData = [];
-    if (includeHistoricalData) {
-      const historicalTranscripts = await Transcript.find({
-        hcpName: transcript.hcpName,
-        _id: { $ne: id },
-        transcriptionStatus: 'completed'
-      })
-      .sort({ meetingDate: -1 })
-      .limit(5)
-      .select('keyInsights sentimentAnalysis');
-      
-      historicalData = historicalTranscripts.map(t => ({
-        summary: `Meeting with ${t.hcpName} - Sentiment: ${t.sentimentAnalysis.overall}`,
-        insights: t.keyInsights
-      }));
-    }
+    // Get historical data if requested, redacted like the transcript
+    const historicalData = includeHistoricalData
+      ? await processingService.buildHistoricalData(transcript, { limit: 5 })
+      : [];
+
+    // The model gets the redacted text when the organization has redaction on
+    const redacted = await redactionService.redactTranscript(transcript);
+    const analysisText = redacted ? redacted.redactedTranscript : transcriptText;
 
     // Perform analysis
+    const attribution = usageService.fromRequest(req, transcript._id);
     const [sentimentResult, insightsResult] = await Promise.all([
-      openaiService.analyzeSentiment(transcriptText),
-      openaiService.extractKeyInsights(transcriptText, historicalData)
+      transcriptAnalysisService.analyzeSentiment({ text: analysisText }, { attribution }),
+      transcriptAnalysisService.extractKeyInsights({ text: analysisText }, historicalData, { attribution })
     ]);
 
     if (!sentimentResult.success || !insightsResult.success) {
@@ -279,10 +330,16 @@ router.post('/analyze-transcript/:id', async (req, res) => {
           overall: sentimentResult.overall,
           score: sentimentResult.score,
           details: sentimentResult.details,
-          explanations: sentimentResult.explanations
+          explanations: sentimentResult.explanations,
+          generatedBy: { ...sentimentResult.generatedBy, generatedAt: new Date() }
         },
-        keyInsights: insightsResult.keyInsights || [],
-        actionItems: insightsResult.actionItems || []
+        keyInsights: insightsResult.keyInsights,
+        actionItems: insightsResult.actionItems,
+        followUpRecommendations: insightsResult.followUpRecommendations,
+        riskFactors: insightsResult.riskFactors,
+        opportunities: insightsResult.opportunities,
+        insightsSummary: insightsResult.summary || null,
+        insightsGeneratedBy: { ...insightsResult.generatedBy, generatedAt: new Date() }
       },
       { new: true }
     );
@@ -309,9 +366,9 @@ router.post('/analyze-transcript/:id', async (req, res) => {
 
 /**
  * POST /api/ai/batch-analyze
- * Analyze multiple transcripts
+ * Queue analysis for multiple transcripts
  */
-router.post('/batch-analyze', async (req, res) => {
+router.post('/batch-analyze', requirePermission('canEditTranscripts'), requireAIBudget({ queued: true }), async (req, res) => {
   try {
     const { transcriptIds, includeHistoricalData = false } = req.body;
     
@@ -322,15 +379,15 @@ router.post('/batch-analyze', async (req, res) => {
       });
     }
 
-    console.log(`🧠 Starting batch analysis for ${transcriptIds.length} transcripts`);
+    console.log(`🧠 Queueing batch analysis for ${transcriptIds.length} transcripts`);
 
-    const results = [];
+    const jobs = [];
     const errors = [];
 
     for (const transcriptId of transcriptIds) {
       try {
         // Find transcript
-        const transcript = await Transcript.findById(transcriptId);
+        const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
         
         if (!transcript) {
           errors.push({
@@ -340,9 +397,7 @@ router.post('/batch-analyze', async (req, res) => {
           continue;
         }
 
-        const transcriptText = transcript.editedTranscript || transcript.rawTranscript;
-        
-        if (!transcriptText) {
+        if (!transcript.editedTranscript && !transcript.rawTranscript) {
           errors.push({
             transcriptId,
             error: 'No transcript text available'
@@ -350,58 +405,20 @@ router.post('/batch-analyze', async (req, res) => {
           continue;
         }
 
-        // Get historical data if requested
-        let historicalData = [];
-        if (includeHistoricalData) {
-          const historicalTranscripts = await Transcript.find({
-            hcpName: transcript.hcpName,
-            _id: { $ne: transcriptId },
-            transcriptionStatus: 'completed'
-          })
-          .sort({ meetingDate: -1 })
-          .limit(3)
-          .select('keyInsights sentimentAnalysis');
-          
-          historicalData = historicalTranscripts.map(t => ({
-            summary: `Meeting with ${t.hcpName} - Sentiment: ${t.sentimentAnalysis.overall}`,
-            insights: t.keyInsights
-          }));
-        }
-
-        // Perform analysis
-        const [sentimentResult, insightsResult] = await Promise.all([
-          openaiService.analyzeSentiment(transcriptText),
-          openaiService.extractKeyInsights(transcriptText, historicalData)
-        ]);
+        const job = await jobQueue.enqueue('analysis', {
+          transcriptId: transcript._id.toString(),
+          useEditedTranscript: true,
+          includeHistoricalData: Boolean(includeHistoricalData)
+        }, {
+          organization: transcript.organization,
+          createdBy: req.user._id,
+          transcriptId: transcript._id
+        });
 
-        if (sentimentResult.success && insightsResult.success) {
-          // Update transcript
-          await Transcript.findByIdAndUpdate(
-            transcriptId,
-            {
-              sentimentAnalysis: {
-                overall: sentimentResult.overall,
-                score: sentimentResult.score,
-                details: sentimentResult.details,
-                explanations: sentimentResult.explanations
-              },
-              keyInsights: insightsResult.keyInsights || [],
-              actionItems: insightsResult.actionItems || []
-            }
-          );
-
-          results.push({
-            transcriptId,
-            success: true,
-            sentiment: sentimentResult,
-            insights: insightsResult
-          });
-        } else {
-          errors.push({
-            transcriptId,
-            error: 'Analysis failed'
-          });
-        }
+        jobs.push({
+          transcriptId,
+          jobId: job._id
+        });
 
       } catch (error) {
         errors.push({
@@ -411,15 +428,15 @@ router.post('/batch-analyze', async (req, res) => {
       }
     }
 
-    console.log(`✅ Batch analysis completed: ${results.length} successful, ${errors.length} failed`);
+    console.log(`✅ Batch analysis queued: ${jobs.length} queued, ${errors.length} rejected`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      results: results,
+      jobs: jobs,
       errors: errors,
       summary: {
         total: transcriptIds.length,
-        successful: results.length,
+        queued: jobs.length,
         failed: errors.length
       }
     });
@@ -439,17 +456,21 @@ router.post('/batch-analyze', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    // Test OpenAI connection
-    const connectionTest = await openaiService.testOpenAIConnection();
+    // Test the chat model connection
+    const connectionTest = await openaiService.testConnection();
     
     res.json({
       success: true,
       status: connectionTest.success ? 'healthy' : 'unhealthy',
-      openai: {
+      llm: {
+        provider: connectionTest.provider,
+        model: connectionTest.model,
         connected: connectionTest.success,
         message: connectionTest.message || connectionTest.error,
         details: connectionTest.details
       },
+      // Provider and model configured for each analysis task
+      tasks: llmService.describeTasks(),
       environment: {
         apiKeyPresent: !!process.env.OPENAI_API_KEY,
         nodeEnv: process.env.NODE_ENV
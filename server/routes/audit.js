@@ -0,0 +1,189 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { requireRole } = require('../middleware/authorize');
+const { scopeToOrganization, escapeRegex } = require('../utils/tenant');
+
+const router = express.Router();
+
+const MAX_EXPORT_EVENTS = 50000;
+
+// The audit trail is visible to compliance reviewers (admins and managers) only
+router.use(requireRole('admin', 'manager'));
+
+/**
+ * Build an AuditEvent filter from query parameters
+ * @param {Object} req - Express request
+ * @param {Object} base - Extra conditions (e.g. transcriptId)
+ * @returns {Object} Mongo filter scoped to the caller's organization
+ */
+function buildAuditFilter(req, base = {}) {
+  const { action, user, transcriptId, success, startDate, endDate } = req.query;
+  const filter = scopeToOrganization(req, base);
+
+  if (action) {
+    filter.action = { $in: String(action).split(',') };
+  }
+  if (user) {
+    filter['user.email'] = { $regex: escapeRegex(user), $options: 'i' };
+  }
+  if (transcriptId && !filter.transcriptId) {
+    filter.transcriptId = mongoose.isValidObjectId(transcriptId) ? transcriptId : null;
+  }
+  if (success === 'true' || success === 'false') {
+    filter.success = success === 'true';
+  }
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+
+  return filter;
+}
+
+/**
+ * Send a paginated list of audit events
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} filter - AuditEvent filter
+ */
+async function sendAuditPage(req, res, filter) {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Quoted CSV cell
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value instanceof mongoose.Types.ObjectId) {
+    text = value.toString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Stop spreadsheet apps from evaluating user-supplied text as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * GET /api/audit
+ * List audit events for the organization
+ */
+router.get('/', async (req, res) => {
+  try {
+    await sendAuditPage(req, res, buildAuditFilter(req));
+  } catch (error) {
+    console.error('❌ Get audit events failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/export
+ * Export audit events as CSV (default) or JSON
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const filter = buildAuditFilter(req);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(MAX_EXPORT_EVENTS)
+      .lean();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    console.log(`✅ ${req.user.email} exported ${events.length} audit events (${format})`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.json"`);
+      return res.json({
+        success: true,
+        exportedAt: new Date().toISOString(),
+        count: events.length,
+        data: events
+      });
+    }
+
+    const columns = ['timestamp', 'action', 'transcriptId', 'user.email', 'user.role', 'apiToken.name', 'ip', 'method', 'path', 'statusCode', 'success', 'changes', 'metadata'];
+    const rows = events.map(event => columns.map(column => {
+      const value = column.split('.').reduce((current, key) => (current ? current[key] : undefined), event);
+      return toCsvCell(value);
+    }).join(','));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+    res.send([columns.join(','), ...rows].join('\n'));
+
+  } catch (error) {
+    console.error('❌ Export audit events failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/transcripts/:transcriptId
+ * List audit events for one transcript (including after it was deleted)
+ */
+router.get('/transcripts/:transcriptId', async (req, res) => {
+  try {
+    const { transcriptId } = req.params;
+
+    if (!mongoose.isValidObjectId(transcriptId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transcript ID'
+      });
+    }
+
+    await sendAuditPage(req, res, buildAuditFilter(req, { transcriptId }));
+  } catch (error) {
+    console.error('❌ Get transcript audit events failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
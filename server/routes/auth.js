@@ -0,0 +1,462 @@
+const express = require('express');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const authService = require('../services/authService');
+const { authenticate, requireSessionAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_API_TOKENS = 20;
+
+/**
+ * Shape an API token for responses (never includes the hash)
+ * @param {Object} apiToken - User.apiTokens entry
+ * @returns {Object} Public token metadata
+ */
+function serializeApiToken(apiToken) {
+  return {
+    id: apiToken._id,
+    name: apiToken.name,
+    prefix: apiToken.prefix,
+    permissions: apiToken.permissions,
+    createdAt: apiToken.createdAt,
+    lastUsed: apiToken.lastUsed
+  };
+}
+
+/**
+ * POST /api/auth/register
+ * Create a new organization with its first (admin) user and sign in
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { firstName, lastName, email, password, organization, department } = req.body;
+
+    if (!firstName || !lastName || !email || !password || !organization) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: firstName, lastName, email, password, organization'
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters long'
+      });
+    }
+
+    const existing = await User.findByEmail(email);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    // Joining an existing organization requires an invitation from one of its admins
+    const organizationName = organization.trim();
+    const organizationTaken = await Organization.exists({ name: organizationName })
+      || await User.exists({ organization: organizationName });
+    if (organizationTaken) {
+      return res.status(409).json({
+        success: false,
+        error: 'This organization already exists. Ask an administrator to invite you.'
+      });
+    }
+
+    const user = new User({
+      firstName,
+      lastName,
+      email,
+      password,
+      organization: organizationName,
+      role: 'admin',
+      department: department || '',
+      lastLogin: new Date()
+    });
+
+    await user.save();
+    await Organization.findOrCreate(organizationName);
+
+    console.log(`✅ Registered user: ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      user: user,
+      ...(await authService.generateTokens(user))
+    });
+
+  } catch (error) {
+    console.error('❌ Registration failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Authenticate with email and password
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findByEmail(email);
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is disabled'
+      });
+    }
+
+    if (user.isInvitationPending()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please accept your invitation before signing in'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    console.log(`✅ User logged in: ${user.email}`);
+
+    res.json({
+      success: true,
+      user: user,
+      ...(await authService.generateTokens(user))
+    });
+
+  } catch (error) {
+    console.error('❌ Login failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair; the old refresh token stops working
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = authService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== payload.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has been revoked'
+      });
+    }
+
+    const tokens = await authService.rotateRefreshToken(user, payload);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has already been used'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: user,
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('❌ Token refresh failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke all outstanding refresh tokens for the current user
+ */
+router.post('/logout', authenticate, requireSessionAuth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 }, $set: { refreshSessions: [] } });
+
+    console.log(`✅ User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the currently authenticated user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+/**
+ * Look up the user holding a valid, unexpired invitation token
+ * @param {string} token - Plain invitation token
+ * @returns {Promise<Object|null>} User document
+ */
+async function findInvitedUser(token) {
+  if (!token) return null;
+  return User.findOne({
+    'invitation.tokenHash': authService.hashInvitationToken(token),
+    'invitation.expiresAt': { $gt: new Date() },
+    isActive: true
+  });
+}
+
+/**
+ * GET /api/auth/invitations/:token
+ * Get the details of a pending invitation
+ */
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const user = await findInvitedUser(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        organization: user.organization,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get invitation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/invitations/:token/accept
+ * Accept an invitation: set a password, verify the email address and sign in
+ */
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const { password, firstName, lastName } = req.body;
+
+    if (!password || password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters long'
+      });
+    }
+
+    const user = await findInvitedUser(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+    user.password = password;
+    // Receiving the link proves ownership of the address
+    user.isEmailVerified = true;
+    user.invitation = undefined;
+    user.lastLogin = new Date();
+    await user.save();
+
+    console.log(`✅ Invitation accepted: ${user.email}`);
+
+    res.json({
+      success: true,
+      user: user,
+      ...(await authService.generateTokens(user))
+    });
+
+  } catch (error) {
+    console.error('❌ Accept invitation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the current user's personal API tokens
+ */
+router.get('/tokens', authenticate, requireSessionAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.apiTokens.map(serializeApiToken)
+  });
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a personal API token scoped to a subset of the user's permissions
+ * The plain token is returned once and cannot be retrieved again
+ */
+router.post('/tokens', authenticate, requireSessionAuth, async (req, res) => {
+  try {
+    const { name, permissions = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token name is required'
+      });
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one permission is required'
+      });
+    }
+
+    // A token can never grant more than its owner currently holds
+    const notHeld = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (notHeld.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot grant permissions you do not hold: ${notHeld.join(', ')}`
+      });
+    }
+
+    if (req.user.apiTokens.length >= MAX_API_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        error: `Token limit reached (${MAX_API_TOKENS}). Revoke an unused token first.`
+      });
+    }
+
+    const { token, prefix, tokenHash } = authService.generateApiToken();
+    req.user.apiTokens.push({
+      name: name.trim(),
+      tokenHash,
+      prefix,
+      permissions: [...new Set(permissions)]
+    });
+    await req.user.save();
+
+    const created = req.user.apiTokens[req.user.apiTokens.length - 1];
+
+    console.log(`✅ API token "${created.name}" created for ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      token,
+      data: serializeApiToken(created)
+    });
+
+  } catch (error) {
+    console.error('❌ API token creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ * Revoke a personal API token
+ */
+router.delete('/tokens/:tokenId', authenticate, requireSessionAuth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const apiToken = req.user.apiTokens.id(tokenId);
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    req.user.apiTokens.pull(tokenId);
+    await req.user.save();
+
+    console.log(`✅ API token "${apiToken.name}" revoked for ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ API token revocation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,423 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Transcript = require('../models/Transcript');
+const ComplianceRule = require('../models/ComplianceRule');
+const jobQueue = require('../services/jobQueue');
+const complianceService = require('../services/complianceService');
+const { requirePermission } = require('../middleware/authorize');
+const { audit, diffFields } = require('../middleware/audit');
+const { scopeToOrganization } = require('../utils/tenant');
+
+const router = express.Router();
+
+const RULE_FIELDS = ['name', 'category', 'description', 'patterns', 'useLLM', 'severity', 'enabled'];
+const SEVERITIES = ['high', 'medium', 'low'];
+const DECISIONS = ['approved', 'rejected'];
+const QUEUE_STATUSES = ['flagged', 'approved', 'rejected', 'failed'];
+const QUEUE_FIELDS = 'hcpName hcpSpecialty meetingDate organization createdBy crmSyncStatus complianceFindings compliance';
+
+// Compliance findings and rules are handled by compliance reviewers
+router.use(requirePermission('canReviewCompliance'));
+
+/**
+ * Check and normalize the rule fields in a request body
+ * @param {Object} body - Request body
+ * @param {boolean} creating - Whether name is required
+ * @returns {Object} { error } or { values } with only the fields that were sent
+ */
+function parseRule(body, creating) {
+  const values = {};
+
+  if (body.name !== undefined || creating) {
+    values.name = String(body.name || '').trim();
+    if (!values.name) return { error: 'Rule name is required' };
+  }
+  if (body.category !== undefined) {
+    if (!ComplianceRule.CATEGORIES.includes(body.category)) {
+      return { error: `category must be one of: ${ComplianceRule.CATEGORIES.join(', ')}` };
+    }
+    values.category = body.category;
+  }
+  if (body.severity !== undefined) {
+    if (!SEVERITIES.includes(body.severity)) {
+      return { error: `severity must be one of: ${SEVERITIES.join(', ')}` };
+    }
+    values.severity = body.severity;
+  }
+  if (body.description !== undefined) {
+    values.description = String(body.description).trim();
+  }
+  if (body.patterns !== undefined) {
+    if (!Array.isArray(body.patterns) || body.patterns.some(pattern => typeof pattern !== 'string')) {
+      return { error: 'patterns must be a list of regular expressions' };
+    }
+    values.patterns = body.patterns.map(pattern => pattern.trim()).filter(Boolean);
+    for (const pattern of values.patterns) {
+      const error = ComplianceRule.patternError(pattern);
+      if (error) {
+        return { error: `Invalid pattern ${pattern}: ${error}` };
+      }
+    }
+  }
+  for (const flag of ['useLLM', 'enabled']) {
+    if (body[flag] !== undefined) values[flag] = Boolean(body[flag]);
+  }
+
+  return { values };
+}
+
+/**
+ * Load a rule in the caller's organization, answering 400/404 when it can't be found
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Rule document
+ */
+async function findRule(req, res) {
+  if (!mongoose.isValidObjectId(req.params.ruleId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid rule ID'
+    });
+    return null;
+  }
+
+  const rule = await ComplianceRule.findOne({ _id: req.params.ruleId, organization: req.user.organization });
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      error: 'Compliance rule not found'
+    });
+  }
+  return rule;
+}
+
+/**
+ * Load a transcript in the caller's organization, answering 400/404 when it can't be found
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Transcript document
+ */
+async function findTranscript(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid transcript ID'
+    });
+    return null;
+  }
+
+  const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: req.params.id }));
+  if (!transcript) {
+    res.status(404).json({
+      success: false,
+      error: 'Transcript not found'
+    });
+  }
+  return transcript;
+}
+
+/**
+ * GET /api/compliance/rules
+ * The organization's compliance rules, starting it off with the default set
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await complianceService.getRules(req.user.organization);
+    res.json({
+      success: true,
+      data: rules,
+      categories: ComplianceRule.CATEGORIES
+    });
+  } catch (error) {
+    console.error('❌ Get compliance rules failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/compliance/rules
+ * Add a compliance rule; it applies to transcripts checked from now on
+ * Body: { name, category, description, patterns, useLLM, severity, enabled }
+ */
+router.post('/rules', audit('compliance.rules_update'), async (req, res) => {
+  try {
+    const { error, values } = parseRule(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Creates the defaults first, so a new rule adds to them rather than replacing them
+    await complianceService.getRules(req.user.organization);
+
+    const editor = { id: req.user._id.toString(), email: req.user.email };
+    const rule = await ComplianceRule.create({
+      ...values,
+      organization: req.user.organization,
+      createdBy: editor,
+      updatedBy: editor
+    });
+
+    res.locals.audit = {
+      changes: diffFields({}, rule.toObject(), RULE_FIELDS),
+      metadata: { ruleId: rule._id.toString(), name: rule.name, operation: 'create' }
+    };
+
+    console.log(`✅ Compliance rule "${rule.name}" added for ${req.user.organization} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('❌ Create compliance rule failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/compliance/rules/:ruleId
+ * Update a compliance rule
+ * Body: any of { name, category, description, patterns, useLLM, severity, enabled }
+ */
+router.put('/rules/:ruleId', audit('compliance.rules_update'), async (req, res) => {
+  try {
+    const { error, values } = parseRule(req.body, false);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    const before = rule.toObject();
+    rule.set({ ...values, updatedBy: { id: req.user._id.toString(), email: req.user.email } });
+    await rule.save();
+
+    res.locals.audit = {
+      changes: diffFields(before, rule.toObject(), RULE_FIELDS),
+      metadata: { ruleId: rule._id.toString(), name: rule.name, operation: 'update' }
+    };
+
+    console.log(`✅ Compliance rule "${rule.name}" updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('❌ Update compliance rule failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/compliance/rules/:ruleId
+ * Delete a compliance rule; findings already made under it are kept
+ */
+router.delete('/rules/:ruleId', audit('compliance.rules_update'), async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    res.locals.audit = {
+      changes: diffFields(rule.toObject(), {}, RULE_FIELDS),
+      metadata: { ruleId: rule._id.toString(), name: rule.name, operation: 'delete' }
+    };
+
+    console.log(`🗑️ Compliance rule "${rule.name}" deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Compliance rule deleted'
+    });
+  } catch (error) {
+    console.error('❌ Delete compliance rule failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/compliance/queue
+ * Transcripts with compliance findings, longest waiting first
+ * Query: status (flagged, approved, rejected, failed; default flagged), page, limit
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const status = QUEUE_STATUSES.includes(req.query.status) ? req.query.status : 'flagged';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = scopeToOrganization(req, { 'compliance.status': status });
+
+    const [transcripts, total, counts] = await Promise.all([
+      Transcript.find(filter)
+        .select(QUEUE_FIELDS)
+        .sort({ 'compliance.checkedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transcript.countDocuments(filter),
+      Transcript.aggregate([
+        { $match: scopeToOrganization(req, { 'compliance.status': { $in: QUEUE_STATUSES } }) },
+        { $group: { _id: '$compliance.status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: transcripts,
+      counts: QUEUE_STATUSES.reduce((acc, key) => {
+        acc[key] = counts.find(entry => entry._id === key)?.count || 0;
+        return acc;
+      }, {}),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get compliance queue failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/compliance/transcripts/:id/review
+ * Approve a meeting with findings for CRM sync, or reject it
+ * Body: { decision: 'approved' | 'rejected', notes }; approving requires a note
+ */
+router.post('/transcripts/:id/review', audit('compliance.review'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+
+    if (!DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: `decision must be one of: ${DECISIONS.join(', ')}`
+      });
+    }
+    if (decision === 'approved' && !String(notes || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A note explaining why the findings are acceptable is required to approve the meeting'
+      });
+    }
+
+    const transcript = await findTranscript(req, res);
+    if (!transcript) return;
+
+    if (!['flagged', 'approved', 'rejected'].includes(transcript.compliance?.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This meeting has no compliance findings to review'
+      });
+    }
+
+    const before = { status: transcript.compliance.status, notes: transcript.compliance.review?.notes };
+    transcript.set({
+      'compliance.status': decision,
+      'compliance.review': {
+        decision,
+        notes: String(notes || '').trim(),
+        reviewedBy: { id: req.user._id.toString(), email: req.user.email },
+        reviewedAt: new Date()
+      }
+    });
+    await transcript.save();
+
+    res.locals.audit = {
+      changes: diffFields(before, { status: decision, notes: transcript.compliance.review.notes }, ['status', 'notes']),
+      metadata: { findings: transcript.complianceFindings.length, highestSeverity: transcript.compliance.highestSeverity }
+    };
+
+    console.log(`✅ Compliance findings on transcript ${transcript._id} ${decision} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: transcript.compliance
+    });
+  } catch (error) {
+    console.error('❌ Review compliance findings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/compliance/transcripts/:id/recheck
+ * Check a transcript against the current rules again; a decision stands if nothing new is found
+ * Body: { useEditedTranscript } (default true)
+ */
+router.post('/transcripts/:id/recheck', async (req, res) => {
+  try {
+    const transcript = await findTranscript(req, res);
+    if (!transcript) return;
+
+    if (!transcript.editedTranscript && !transcript.rawTranscript) {
+      return res.status(400).json({
+        success: false,
+        error: 'No transcript text available for the compliance check'
+      });
+    }
+
+    if (await jobQueue.hasActiveJob(transcript._id, ['compliance'])) {
+      return res.status(409).json({
+        success: false,
+        error: 'A compliance check is already queued for this transcript'
+      });
+    }
+
+    const job = await jobQueue.enqueue('compliance', {
+      transcriptId: transcript._id.toString(),
+      useEditedTranscript: req.body.useEditedTranscript !== false,
+      recheck: true
+    }, {
+      organization: transcript.organization,
+      createdBy: req.user._id,
+      transcriptId: transcript._id,
+      priority: 1
+    });
+
+    console.log(`📋 Compliance re-check queued for transcript: ${transcript._id}`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      message: 'Compliance check queued'
+    });
+  } catch (error) {
+    console.error('❌ Queue compliance check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
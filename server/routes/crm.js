@@ -1,14 +1,21 @@
 const express = require('express');
 const crmService = require('../services/crmService');
+const complianceService = require('../services/complianceService');
+const redactionService = require('../services/redactionService');
 const Transcript = require('../models/Transcript');
+const Organization = require('../models/Organization');
+const { requirePermission, requireRole } = require('../middleware/authorize');
+const { scopeToOrganization } = require('../utils/tenant');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 /**
  * POST /api/crm/sync
  * Sync transcript data to CRM
+ * Meetings held by the compliance check are refused with 409 until a reviewer approves them
  */
-router.post('/sync', async (req, res) => {
+router.post('/sync', requirePermission('canSyncCRM'), audit('crm.sync'), async (req, res) => {
   try {
     const { transcriptId, preferredCRM = 'salesforce' } = req.body;
     
@@ -20,7 +27,7 @@ router.post('/sync', async (req, res) => {
     }
 
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -36,6 +43,15 @@ router.post('/sync', async (req, res) => {
       });
     }
 
+    const blockReason = await complianceService.syncBlockReason(transcript);
+    if (blockReason) {
+      return res.status(409).json({
+        success: false,
+        error: blockReason,
+        compliance: transcript.compliance
+      });
+    }
+
     console.log(`🔄 Syncing transcript ${transcriptId} to CRM (${preferredCRM})...`);
     console.log('📋 Transcript data for sync:', {
       id: transcript._id,
@@ -48,8 +64,13 @@ router.post('/sync', async (req, res) => {
       hasActionItems: !!(transcript.actionItems && transcript.actionItems.length > 0)
     });
     
-    const syncResult = await crmService.syncToCRM(transcript, preferredCRM);
+    // With redaction on, the CRM only gets the redacted transcript
+    const syncResult = await crmService.syncToCRM(await redactionService.forExport(transcript), preferredCRM);
     console.log('🔄 Sync result:', syncResult);
+    res.locals.audit = {
+      success: syncResult.success,
+      metadata: { crm: preferredCRM, recordId: syncResult.recordId || null, error: syncResult.error || null }
+    };
     if (syncResult.success) {
       transcript.crmSyncStatus = 'synced';
       transcript.crmRecordId = syncResult.recordId || null;
@@ -73,21 +94,21 @@ router.post('/sync', async (req, res) => {
  * POST /api/crm/batch-sync
  * Sync multiple transcripts to CRM
  */
-router.post('/batch-sync', async (req, res) => {
+router.post('/batch-sync', requirePermission('canSyncCRM'), audit('crm.sync'), async (req, res) => {
   try {
     let { transcriptIds, preferredCRM = 'salesforce' } = req.body;
     
     // If no transcriptIds provided, get all pending transcripts
     if (!transcriptIds || !Array.isArray(transcriptIds) || transcriptIds.length === 0) {
       console.log('🔄 No transcript IDs provided, getting all pending transcripts...');
-      const pendingTranscripts = await Transcript.find({
+      const pendingTranscripts = await Transcript.find(scopeToOrganization(req, {
         $or: [
           { crmSyncStatus: { $exists: false } },
           { crmSyncStatus: 'pending' },
           { crmSyncStatus: 'failed' }
         ],
         transcriptionStatus: { $in: ['completed', 'edited'] }
-      }).select('_id');
+      })).select('_id');
       
       transcriptIds = pendingTranscripts.map(t => t._id.toString());
       console.log(`🔄 Found ${transcriptIds.length} pending transcripts to sync`);
@@ -115,7 +136,7 @@ router.post('/batch-sync', async (req, res) => {
     for (const transcriptId of transcriptIds) {
       try {
         // Find transcript
-        const transcript = await Transcript.findById(transcriptId);
+        const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
         
         if (!transcript) {
           errors.push({
@@ -133,8 +154,17 @@ router.post('/batch-sync', async (req, res) => {
           continue;
         }
 
+        const blockReason = await complianceService.syncBlockReason(transcript);
+        if (blockReason) {
+          errors.push({
+            transcriptId,
+            error: blockReason
+          });
+          continue;
+        }
+
         // Sync to CRM
-        const syncResult = await crmService.syncToCRM(transcript, preferredCRM);
+        const syncResult = await crmService.syncToCRM(await redactionService.forExport(transcript), preferredCRM);
         
         if (syncResult.success) {
           // Update transcript
@@ -170,6 +200,20 @@ router.post('/batch-sync', async (req, res) => {
 
     console.log(`✅ Batch CRM sync completed: ${results.length} successful, ${errors.length} failed`);
 
+    res.locals.audit = {
+      events: [
+        ...results.map(result => ({
+          transcriptId: result.transcriptId,
+          metadata: { crm: preferredCRM, batch: true, recordId: result.data.recordId || null }
+        })),
+        ...errors.map(error => ({
+          transcriptId: error.transcriptId,
+          success: false,
+          metadata: { crm: preferredCRM, batch: true, error: error.error }
+        }))
+      ]
+    };
+
     res.json({
       success: true,
       results: results,
@@ -199,7 +243,7 @@ router.get('/status/:transcriptId', async (req, res) => {
     const { transcriptId } = req.params;
     
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -209,7 +253,7 @@ router.get('/status/:transcriptId', async (req, res) => {
     }
 
     // Get detailed sync status
-    const syncStatus = await crmService.getSyncStatus(transcriptId);
+    const syncStatus = await crmService.getSyncStatus(transcriptId, req.user.organization);
     
     if (!syncStatus.success) {
       return res.status(500).json({
@@ -246,24 +290,24 @@ router.get('/status', async (req, res) => {
   try {
     console.log('📊 Getting CRM status and statistics...');
     // Test Salesforce connection
-    const salesforceResult = await crmService.initializeSalesforce();
+    const salesforceResult = await crmService.initializeSalesforce(req.user.organization);
     console.log('🔗 Salesforce connection result:', {
       success: salesforceResult.success,
       instanceUrl: salesforceResult.instanceUrl,
       error: salesforceResult.error
     });
     // Get sync statistics from database
-    const totalTranscripts = await Transcript.countDocuments();
-    const syncedTranscripts = await Transcript.countDocuments({ crmSyncStatus: 'synced' });
-    const pendingTranscripts = await Transcript.countDocuments({ crmSyncStatus: 'pending' });
-    const failedTranscripts = await Transcript.countDocuments({ crmSyncStatus: 'failed' });
+    const totalTranscripts = await Transcript.countDocuments(scopeToOrganization(req));
+    const syncedTranscripts = await Transcript.countDocuments(scopeToOrganization(req, { crmSyncStatus: 'synced' }));
+    const pendingTranscripts = await Transcript.countDocuments(scopeToOrganization(req, { crmSyncStatus: 'pending' }));
+    const failedTranscripts = await Transcript.countDocuments(scopeToOrganization(req, { crmSyncStatus: 'failed' }));
     // Get last sync date
-    const lastSynced = await Transcript.findOne({ crmSyncStatus: 'synced' })
+    const lastSynced = await Transcript.findOne(scopeToOrganization(req, { crmSyncStatus: 'synced' }))
       .sort({ crmSyncDate: -1 })
       .select('crmSyncDate');
     const successRate = totalTranscripts > 0 ? Math.round((syncedTranscripts / totalTranscripts) * 100) : 0;
     // Get all transcripts for sync status
-    const allTranscripts = await Transcript.find({})
+    const allTranscripts = await Transcript.find(scopeToOrganization(req))
       .select('originalFileName hcpName hcpSpecialty crmSyncStatus crmSyncDate _id')
       .sort({ createdAt: -1 });
     // Format sync status data
@@ -287,6 +331,7 @@ router.get('/status', async (req, res) => {
       }));
     // Get unique HCPs for HCP management
     const hcps = await Transcript.aggregate([
+      { $match: scopeToOrganization(req) },
       {
         $group: {
           _id: '$hcpName',
@@ -362,7 +407,7 @@ router.get('/hcp/:hcpName', async (req, res) => {
 
     // Search in Salesforce
     if (crm === 'salesforce' || crm === 'both') {
-      results.salesforce = await crmService.getHCPFromSalesforce(hcpName);
+      results.salesforce = await crmService.getHCPFromSalesforce(hcpName, req.user.organization);
     }
 
     res.json({
@@ -384,10 +429,10 @@ router.get('/hcp/:hcpName', async (req, res) => {
  * POST /api/crm/initialize
  * Initialize CRM connections (Salesforce only)
  */
-router.post('/initialize', async (req, res) => {
+router.post('/initialize', requirePermission('canSyncCRM'), async (req, res) => {
   try {
     console.log('🔗 Initializing Salesforce connection...');
-    const salesforceResult = await crmService.initializeSalesforce();
+    const salesforceResult = await crmService.initializeSalesforce(req.user.organization);
     if (salesforceResult.success) {
       res.json({
         success: true,
@@ -419,7 +464,7 @@ router.get('/health', async (req, res) => {
     console.log('🏥 Checking Salesforce service health...');
     let healthStatus = 'unknown';
     try {
-      const sfResult = await crmService.initializeSalesforce();
+      const sfResult = await crmService.initializeSalesforce(req.user.organization);
       healthStatus = sfResult.success ? 'connected' : 'error';
     } catch (error) {
       healthStatus = 'error';
@@ -447,11 +492,10 @@ router.get('/health', async (req, res) => {
  */
 router.get('/sync-stats', async (req, res) => {
   try {
-    const { organization, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
     
     // Build filter
-    const filter = {};
-    if (organization) filter.organization = organization;
+    const filter = scopeToOrganization(req);
     if (startDate || endDate) {
       filter.createdAt = {};
       if (startDate) filter.createdAt.$gte = new Date(startDate);
@@ -548,7 +592,7 @@ router.get('/tasks', async (req, res) => {
  * GET /api/crm/test-connection
  * Test CRM connection (Salesforce only)
  */
-router.get('/test-connection', async (req, res) => {
+router.get('/test-connection', requirePermission('canSyncCRM'), async (req, res) => {
   try {
     const { type } = req.query;
     if (type !== 'salesforce') {
@@ -558,7 +602,7 @@ router.get('/test-connection', async (req, res) => {
       });
     }
     console.log('🔗 Testing Salesforce connection...');
-    const result = await crmService.initializeSalesforce();
+    const result = await crmService.initializeSalesforce(req.user.organization);
     if (result.success) {
       console.log('✅ Salesforce connection test successful');
       res.json({
@@ -573,7 +617,7 @@ router.get('/test-connection', async (req, res) => {
       console.log('❌ Salesforce connection test failed');
       res.status(500).json({
         success: false,
-        error: result.error || 'Connection failed - check your environment variables'
+        error: result.error || 'Connection failed - check your CRM settings'
       });
     }
   } catch (error) {
@@ -589,7 +633,7 @@ router.get('/test-connection', async (req, res) => {
  * POST /api/crm/test-connection
  * Test CRM connection (Salesforce only) - POST version
  */
-router.post('/test-connection', async (req, res) => {
+router.post('/test-connection', requirePermission('canSyncCRM'), async (req, res) => {
   try {
     const { type } = req.body;
     if (type !== 'salesforce') {
@@ -599,7 +643,7 @@ router.post('/test-connection', async (req, res) => {
       });
     }
     console.log('🔗 Testing Salesforce connection...');
-    const result = await crmService.initializeSalesforce();
+    const result = await crmService.initializeSalesforce(req.user.organization);
     if (result.success) {
       console.log('✅ Salesforce connection test successful');
       res.json({
@@ -614,7 +658,7 @@ router.post('/test-connection', async (req, res) => {
       console.log('❌ Salesforce connection test failed');
       res.status(500).json({
         success: false,
-        error: result.error || 'Connection failed - check your environment variables'
+        error: result.error || 'Connection failed - check your CRM settings'
       });
     }
   } catch (error) {
@@ -628,18 +672,21 @@ router.post('/test-connection', async (req, res) => {
 
 /**
  * GET /api/crm/config
- * Check CRM configuration (environment variables)
+ * Check CRM configuration for the caller's organization
  */
-router.get('/config', async (req, res) => {
+router.get('/config', requireRole('admin', 'manager'), async (req, res) => {
   try {
+    const credentials = await crmService.getSalesforceCredentials(req.user.organization) || {};
     const config = {
       salesforce: {
-        username: process.env.SALESFORCE_USERNAME ? 'Set' : 'Not set',
-        password: process.env.SALESFORCE_PASSWORD ? 'Set' : 'Not set',
-        securityToken: process.env.SALESFORCE_SECURITY_TOKEN ? 'Set' : 'Not set',
-        clientId: process.env.SALESFORCE_CLIENT_ID ? 'Set' : 'Not set',
-        clientSecret: process.env.SALESFORCE_CLIENT_SECRET ? 'Set' : 'Not set',
-        loginUrl: process.env.SALESFORCE_LOGIN_URL || 'https://login.salesforce.com'
+        configured: Boolean(credentials.source),
+        source: credentials.source || null,
+        username: credentials.username ? 'Set' : 'Not set',
+        password: credentials.password ? 'Set' : 'Not set',
+        securityToken: credentials.securityToken ? 'Set' : 'Not set',
+        clientId: credentials.clientId ? 'Set' : 'Not set',
+        clientSecret: credentials.clientSecret ? 'Set' : 'Not set',
+        loginUrl: credentials.loginUrl || 'https://login.salesforce.com'
       }
     };
     res.json({
@@ -654,4 +701,64 @@ router.get('/config', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/crm/settings
+ * Get the organization's CRM settings (secrets are never returned)
+ */
+router.get('/settings', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const organization = await Organization.findOrCreate(req.user.organization);
+    res.json({
+      success: true,
+      data: organization.toSafeSettings()
+    });
+  } catch (error) {
+    console.error('❌ Get CRM settings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/crm/settings
+ * Update the organization's CRM credentials and settings
+ * Secret fields left blank keep their stored value
+ */
+router.put('/settings', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { salesforce = {}, autoSync } = req.body.crmSettings || req.body;
+    const organization = await Organization.findOrCreate(req.user.organization);
+
+    const editableFields = ['enabled', 'loginUrl', 'username', 'clientId', ...Organization.SALESFORCE_SECRET_FIELDS];
+    editableFields.forEach(field => {
+      if (salesforce[field] === undefined) return;
+      if (Organization.SALESFORCE_SECRET_FIELDS.includes(field) && salesforce[field] === '') return;
+      organization.set(`crmSettings.salesforce.${field}`, salesforce[field]);
+    });
+
+    if (autoSync !== undefined) {
+      organization.set('crmSettings.autoSync', Boolean(autoSync));
+    }
+
+    await organization.save();
+    crmService.resetConnection(req.user.organization);
+
+    console.log(`✅ CRM settings updated for ${req.user.organization} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'CRM settings updated successfully',
+      data: organization.toSafeSettings()
+    });
+  } catch (error) {
+    console.error('❌ Update CRM settings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
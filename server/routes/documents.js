@@ -1,6 +1,11 @@
 const express = require('express');
 const documentService = require('../services/documentService');
+const redactionService = require('../services/redactionService');
+const jobQueue = require('../services/jobQueue');
 const Transcript = require('../models/Transcript');
+const { requirePermission } = require('../middleware/authorize');
+const { scopeToOrganization, escapeRegex } = require('../utils/tenant');
+const { audit } = require('../middleware/audit');
 const fs = require('fs');
 const path = require('path');
 
@@ -13,7 +18,7 @@ const router = express.Router();
 router.get('/', async (req, res) => {
   try {
     // Find all transcripts with generated documents
-    const transcripts = await Transcript.find({ 'generatedDocuments.0': { $exists: true } })
+    const transcripts = await Transcript.find(scopeToOrganization(req, { 'generatedDocuments.0': { $exists: true } }))
       .select('hcpName meetingDate generatedDocuments');
     // Flatten the documents with transcript info
     const documents = [];
@@ -38,7 +43,7 @@ router.get('/', async (req, res) => {
  * POST /api/documents/generate-ppt
  * Generate PowerPoint presentation
  */
-router.post('/generate-ppt', async (req, res) => {
+router.post('/generate-ppt', requirePermission('canGenerateDocuments'), audit('document.generate'), async (req, res) => {
   try {
     const { transcriptId, documentTitle } = req.body;
     console.log('Received documentTitle (PPT):', documentTitle);
@@ -51,7 +56,7 @@ router.post('/generate-ppt', async (req, res) => {
     }
 
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -81,7 +86,12 @@ router.post('/generate-ppt', async (req, res) => {
       editedTranscript: transcript.editedTranscript?.length || 0
     });
     
-    const result = await documentService.generatePowerPoint(transcript);
+    // Documents are built from the redacted transcript when the organization has redaction on
+    const result = await documentService.generatePowerPoint(await redactionService.forExport(transcript));
+    res.locals.audit = {
+      success: result.success,
+      metadata: { types: ['ppt'], documentTitle: documentTitle || null, url: result.url || null }
+    };
     
     if (result.success) {
       // Update transcript with generated document
@@ -126,7 +136,7 @@ router.post('/generate-ppt', async (req, res) => {
  * POST /api/documents/generate-pdf
  * Generate PDF report
  */
-router.post('/generate-pdf', async (req, res) => {
+router.post('/generate-pdf', requirePermission('canGenerateDocuments'), audit('document.generate'), async (req, res) => {
   try {
     const { transcriptId, documentTitle } = req.body;
     console.log('Received documentTitle (PDF):', documentTitle);
@@ -139,7 +149,7 @@ router.post('/generate-pdf', async (req, res) => {
     }
 
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -169,7 +179,12 @@ router.post('/generate-pdf', async (req, res) => {
       editedTranscript: transcript.editedTranscript?.length || 0
     });
     
-    const result = await documentService.generatePDF(transcript);
+    // Documents are built from the redacted transcript when the organization has redaction on
+    const result = await documentService.generatePDF(await redactionService.forExport(transcript));
+    res.locals.audit = {
+      success: result.success,
+      metadata: { types: ['pdf'], documentTitle: documentTitle || null, url: result.url || null }
+    };
     
     if (result.success) {
       // Update transcript with generated document
@@ -214,7 +229,7 @@ router.post('/generate-pdf', async (req, res) => {
  * POST /api/documents/generate-both
  * Generate both PPT and PDF documents
  */
-router.post('/generate-both', async (req, res) => {
+router.post('/generate-both', requirePermission('canGenerateDocuments'), audit('document.generate'), async (req, res) => {
   try {
     const { transcriptId, documentTitle } = req.body;
     
@@ -226,7 +241,7 @@ router.post('/generate-both', async (req, res) => {
     }
 
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -244,7 +259,16 @@ router.post('/generate-both', async (req, res) => {
 
     console.log(`📋 Generating both documents for transcript: ${transcriptId}`);
     
-    const result = await documentService.generateDocuments(transcript);
+    // Documents are built from the redacted transcript when the organization has redaction on
+    const result = await documentService.generateDocuments(await redactionService.forExport(transcript));
+    res.locals.audit = {
+      success: result.success,
+      metadata: {
+        types: ['ppt', 'pdf'],
+        documentTitle: documentTitle || null,
+        urls: [result.powerpoint?.url, result.pdf?.url].filter(Boolean)
+      }
+    };
     
     if (result.success) {
       // Update transcript with generated documents
@@ -298,9 +322,9 @@ router.post('/generate-both', async (req, res) => {
 
 /**
  * POST /api/documents/generate-batch
- * Generate documents for multiple transcripts
+ * Queue document generation for multiple transcripts
  */
-router.post('/generate-batch', async (req, res) => {
+router.post('/generate-batch', requirePermission('canGenerateDocuments'), audit('document.generate'), async (req, res) => {
   try {
     const { transcriptIds, documentTypes = ['ppt', 'pdf'] } = req.body;
     
@@ -311,15 +335,16 @@ router.post('/generate-batch', async (req, res) => {
       });
     }
 
-    console.log(`📋 Starting batch document generation for ${transcriptIds.length} transcripts`);
+    console.log(`📋 Queueing batch document generation for ${transcriptIds.length} transcripts`);
 
-    const results = [];
+    const types = documentTypes.filter(type => type === 'ppt' || type === 'pdf');
+    const jobs = [];
     const errors = [];
 
     for (const transcriptId of transcriptIds) {
       try {
         // Find transcript
-        const transcript = await Transcript.findById(transcriptId);
+        const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
         
         if (!transcript) {
           errors.push({
@@ -337,16 +362,7 @@ router.post('/generate-batch', async (req, res) => {
           continue;
         }
 
-        let generationResult;
-        
-        // Generate documents based on requested types
-        if (documentTypes.includes('ppt') && documentTypes.includes('pdf')) {
-          generationResult = await documentService.generateDocuments(transcript);
-        } else if (documentTypes.includes('ppt')) {
-          generationResult = await documentService.generatePowerPoint(transcript);
-        } else if (documentTypes.includes('pdf')) {
-          generationResult = await documentService.generatePDF(transcript);
-        } else {
+        if (types.length === 0) {
           errors.push({
             transcriptId,
             error: 'No valid document types specified'
@@ -354,45 +370,19 @@ router.post('/generate-batch', async (req, res) => {
           continue;
         }
 
-        if (generationResult.success) {
-          // Update transcript with generated documents
-          const documentsToAdd = [];
-          
-          if (generationResult.powerpoint && generationResult.powerpoint.success) {
-            documentsToAdd.push({
-              type: 'ppt',
-              url: generationResult.powerpoint.url,
-              generatedAt: new Date()
-            });
-          }
-          
-          if (generationResult.pdf && generationResult.pdf.success) {
-            documentsToAdd.push({
-              type: 'pdf',
-              url: generationResult.pdf.url,
-              generatedAt: new Date()
-            });
-          }
-
-          if (documentsToAdd.length > 0) {
-            await Transcript.findByIdAndUpdate(transcriptId, {
-              $push: {
-                generatedDocuments: { $each: documentsToAdd }
-              }
-            });
-          }
+        const job = await jobQueue.enqueue('document-generation', {
+          transcriptId: transcript._id.toString(),
+          documentTypes: types
+        }, {
+          organization: transcript.organization,
+          createdBy: req.user._id,
+          transcriptId: transcript._id
+        });
 
-          results.push({
-            transcriptId,
-            success: true,
-            data: generationResult
-          });
-        } else {
-          errors.push({
-            transcriptId,
-            error: generationResult.error || 'Document generation failed'
-          });
-        }
+        jobs.push({
+          transcriptId,
+          jobId: job._id
+        });
 
       } catch (error) {
         errors.push({
@@ -402,15 +392,29 @@ router.post('/generate-batch', async (req, res) => {
       }
     }
 
-    console.log(`✅ Batch document generation completed: ${results.length} successful, ${errors.length} failed`);
-
-    res.json({
+    console.log(`✅ Batch document generation queued: ${jobs.length} queued, ${errors.length} rejected`);
+
+    res.locals.audit = {
+      events: [
+        ...jobs.map(job => ({
+          transcriptId: job.transcriptId,
+          metadata: { types, batch: true, jobId: job.jobId.toString() }
+        })),
+        ...errors.map(error => ({
+          transcriptId: error.transcriptId,
+          success: false,
+          metadata: { types, batch: true, error: error.error }
+        }))
+      ]
+    };
+
+    res.status(202).json({
       success: true,
-      results: results,
+      jobs: jobs,
       errors: errors,
       summary: {
         total: transcriptIds.length,
-        successful: results.length,
+        queued: jobs.length,
         failed: errors.length
       }
     });
@@ -433,7 +437,7 @@ router.get('/:transcriptId', async (req, res) => {
     const { transcriptId } = req.params;
     
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -465,12 +469,12 @@ router.get('/:transcriptId', async (req, res) => {
  * DELETE /api/documents/:transcriptId/:documentId
  * Delete a specific generated document
  */
-router.delete('/:transcriptId/:documentId', async (req, res) => {
+router.delete('/:transcriptId/:documentId', requirePermission('canGenerateDocuments'), async (req, res) => {
   try {
     const { transcriptId, documentId } = req.params;
     
     // Find transcript
-    const transcript = await Transcript.findById(transcriptId);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -515,12 +519,19 @@ router.delete('/:transcriptId/:documentId', async (req, res) => {
 /**
  * DELETE /api/documents/:filename - Delete a generated document by filename
  */
-router.delete('/:filename', async (req, res) => {
-  const filename = req.params.filename;
+router.delete('/:filename', requirePermission('canGenerateDocuments'), async (req, res) => {
+  const filename = path.basename(req.params.filename);
   const filePath = path.join(__dirname, '../documents', filename);
+  const urlMatch = { $regex: escapeRegex(filename) };
   let fileDeleted = false;
   let dbUpdated = false;
   try {
+    // Only documents referenced by a transcript in the caller's organization may be removed
+    const owner = await Transcript.exists(scopeToOrganization(req, { 'generatedDocuments.url': urlMatch }));
+    if (!owner) {
+      return res.status(404).json({ success: false, message: 'File and database record not found.' });
+    }
+
     console.log('Attempting to delete file:', filePath);
     if (fs.existsSync(filePath)) {
       fs.unlinkSync(filePath);
@@ -530,12 +541,12 @@ router.delete('/:filename', async (req, res) => {
       console.log('File not found:', filePath);
     }
     // Debug: Log all generatedDocuments URLs that match
-    const docs = await Transcript.find({ 'generatedDocuments.url': { $regex: filename } });
+    const docs = await Transcript.find(scopeToOrganization(req, { 'generatedDocuments.url': urlMatch }));
     console.log('Matching docs for deletion:', docs.map(d => d.generatedDocuments));
     // Remove reference from MongoDB
     const dbResult = await Transcript.updateMany(
-      { 'generatedDocuments.url': { $regex: filename } },
-      { $pull: { generatedDocuments: { url: { $regex: filename } } } }
+      scopeToOrganization(req, { 'generatedDocuments.url': urlMatch }),
+      { $pull: { generatedDocuments: { url: urlMatch } } }
     );
     dbUpdated = dbResult.modifiedCount > 0;
     console.log('MongoDB update result:', dbResult);
@@ -553,13 +564,12 @@ router.delete('/:filename', async (req, res) => {
  * GET /api/documents/stats/overview
  * Get document generation statistics
  */
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requirePermission('canViewAnalytics'), async (req, res) => {
   try {
-    const { organization, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
     
     // Build filter
-    const filter = {};
-    if (organization) filter.organization = organization;
+    const filter = scopeToOrganization(req);
     if (startDate || endDate) {
       filter.createdAt = {};
       if (startDate) filter.createdAt.$gte = new Date(startDate);
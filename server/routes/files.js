@@ -2,14 +2,55 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const fileService = require('../services/fileService');
+const Transcript = require('../models/Transcript');
+const { requireRole } = require('../middleware/authorize');
+const { scopeToOrganization, escapeRegex } = require('../utils/tenant');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
+/**
+ * Find the transcript in the caller's organization that owns a stored file
+ * Uploads are matched on the transcript's file, documents on generatedDocuments
+ * @param {Object} req - Express request (req.user must be set)
+ * @param {string} folder - 'uploads' or 'documents'
+ * @param {string} filename - Stored file name
+ * @returns {Promise<Object|null>} Owning transcript ID, or null if the caller may not access the file
+ */
+async function findOwningTranscriptId(req, folder, filename) {
+  const urlMatch = { $regex: `${escapeRegex(folder)}/${escapeRegex(filename)}$` };
+  const filter = folder === 'uploads'
+    ? { $or: [{ fileKey: `${folder}/${filename}` }, { fileUrl: urlMatch }] }
+    : { 'generatedDocuments.url': urlMatch };
+
+  const owner = await Transcript.exists(scopeToOrganization(req, filter));
+  return owner ? owner._id : null;
+}
+
+/**
+ * Collect the file names referenced by the caller's organization
+ * @param {Object} req - Express request (req.user must be set)
+ * @returns {Promise<Set<string>>} File names (basename of each stored URL)
+ */
+async function getOrganizationFileNames(req) {
+  const transcripts = await Transcript.find(scopeToOrganization(req))
+    .select('fileKey fileUrl generatedDocuments.url')
+    .lean();
+
+  const names = new Set();
+  transcripts.forEach(t => {
+    [t.fileKey, t.fileUrl, ...(t.generatedDocuments || []).map(doc => doc.url)]
+      .filter(Boolean)
+      .forEach(ref => names.add(path.basename(ref.split('?')[0])));
+  });
+  return names;
+}
+
 /**
  * GET /api/files/:folder/:filename
  * Serve files from local storage
  */
-router.get('/:folder/:filename', async (req, res) => {
+router.get('/:folder/:filename', audit('file.view'), async (req, res) => {
   try {
     const { folder, filename } = req.params;
     
@@ -21,6 +62,16 @@ router.get('/:folder/:filename', async (req, res) => {
       });
     }
     
+    const transcriptId = await findOwningTranscriptId(req, folder, filename);
+    res.locals.audit = { transcriptId, metadata: { fileKey: `${folder}/${filename}` } };
+
+    if (!transcriptId) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+    
     const fileKey = `${folder}/${filename}`;
     const fileResult = await fileService.getFile(fileKey);
     
@@ -52,7 +103,7 @@ router.get('/:folder/:filename', async (req, res) => {
  * GET /api/files/download/:folder/:filename
  * Download files with proper download headers
  */
-router.get('/download/:folder/:filename', async (req, res) => {
+router.get('/download/:folder/:filename', audit('file.download'), async (req, res) => {
   try {
     const { folder, filename } = req.params;
     
@@ -64,6 +115,16 @@ router.get('/download/:folder/:filename', async (req, res) => {
       });
     }
     
+    const transcriptId = await findOwningTranscriptId(req, folder, filename);
+    res.locals.audit = { transcriptId, metadata: { fileKey: `${folder}/${filename}` } };
+
+    if (!transcriptId) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+    
     const fileKey = `${folder}/${filename}`;
     const fileResult = await fileService.getFile(fileKey);
     
@@ -117,9 +178,11 @@ router.get('/:folder', async (req, res) => {
       });
     }
     
+    const ownedNames = await getOrganizationFileNames(req);
+    
     res.json({
       success: true,
-      files: listResult.files
+      files: listResult.files.filter(file => ownedNames.has(file.name))
     });
     
   } catch (error) {
@@ -139,9 +202,13 @@ router.get('/check/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
     
-    // Check in both documents and uploads folders
-    const documentsResult = await fileService.getFile(`documents/${filename}`);
-    const uploadsResult = await fileService.getFile(`uploads/${filename}`);
+    // Check in both documents and uploads folders, limited to the caller's organization
+    const [ownsDocument, ownsUpload] = await Promise.all([
+      findOwningTranscriptId(req, 'documents', filename),
+      findOwningTranscriptId(req, 'uploads', filename)
+    ]);
+    const documentsResult = ownsDocument ? await fileService.getFile(`documents/${filename}`) : { success: false };
+    const uploadsResult = ownsUpload ? await fileService.getFile(`uploads/${filename}`) : { success: false };
     
     res.json({
       success: true,
@@ -164,7 +231,7 @@ router.get('/check/:filename', async (req, res) => {
  * DELETE /api/files/:folder/:filename
  * Delete a file from local storage
  */
-router.delete('/:folder/:filename', async (req, res) => {
+router.delete('/:folder/:filename', requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { folder, filename } = req.params;
     
@@ -176,6 +243,13 @@ router.delete('/:folder/:filename', async (req, res) => {
       });
     }
     
+    if (!(await findOwningTranscriptId(req, folder, filename))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+    
     const fileKey = `${folder}/${filename}`;
     const deleteResult = await fileService.deleteFile(fileKey);
     
@@ -0,0 +1,154 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const { requireRole } = require('../middleware/authorize');
+const { scopeToOrganization } = require('../utils/tenant');
+
+const router = express.Router();
+
+// Payloads can carry storage keys; callers only need the job's progress
+const JOB_FIELDS = '-payload -failures.worker -lockedBy';
+
+/**
+ * GET /api/jobs
+ * List background jobs for the organization
+ */
+router.get('/', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { status, type, transcriptId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = scopeToOrganization(req);
+    if (status) filter.status = { $in: String(status).split(',') };
+    if (type) filter.type = { $in: String(type).split(',') };
+    if (transcriptId) {
+      filter.transcriptId = mongoose.isValidObjectId(transcriptId) ? transcriptId : null;
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .select(JOB_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Job.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get jobs failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/stats
+ * Job counts by type and status
+ */
+router.get('/stats', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const stats = await jobQueue.getStats(scopeToOrganization(req));
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('❌ Get job stats failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a background job
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await Job.findOne(scopeToOrganization(req, { _id: req.params.id }))
+      .select(JOB_FIELDS)
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('❌ Get job failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Requeue a dead-lettered job
+ */
+router.post('/:id/retry', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await jobQueue.retry(req.params.id, req.user.organization);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job not found or not in the dead-letter state'
+      });
+    }
+
+    console.log(`🔄 ${req.user.email} requeued ${job.type} job ${job._id}`);
+
+    res.json({
+      success: true,
+      data: { id: job._id, type: job.type, status: job.status },
+      message: 'Job requeued'
+    });
+  } catch (error) {
+    console.error('❌ Retry job failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const transcriptionService = require('../services/transcription');
+const usageService = require('../services/usageService');
+const redactionService = require('../services/redactionService');
+const { requireRole } = require('../middleware/authorize');
+const { audit, diffFields } = require('../middleware/audit');
+
+const router = express.Router();
+
+const SETTINGS_FIELDS = [
+  'defaultLanguage',
+  'timezone',
+  'transcriptionProvider',
+  'allowedTranscriptionProviders',
+  'monthlyAIBudgetUsd',
+  'aiBudgetAction',
+  'safetyReviewerEmails',
+  'redaction'
+];
+
+/**
+ * GET /api/organization/settings
+ * Get the organization-wide settings, with the redaction options this server supports
+ */
+router.get('/settings', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const organization = await Organization.findOrCreate(req.user.organization);
+    res.json({
+      success: true,
+      data: organization.settings,
+      // What the redaction settings can choose from on this server
+      redactionOptions: {
+        entityTypes: redactionService.entityTypes,
+        nerAvailable: redactionService.isNERAvailable()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get organization settings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/organization/settings
+ * Update organization-wide settings, including which transcription providers uploads may use,
+ * the monthly AI budget, who reviews possible adverse events and PHI redaction
+ */
+router.put('/settings', requireRole('admin'), audit('organization.update'), async (req, res) => {
+  try {
+    const updates = req.body.settings || req.body;
+    const organization = await Organization.findOrCreate(req.user.organization);
+    const before = organization.settings.toObject();
+
+    const providerNames = transcriptionService.listProviders().map(provider => provider.name);
+    if (updates.allowedTranscriptionProviders !== undefined) {
+      const allowed = updates.allowedTranscriptionProviders;
+      if (!Array.isArray(allowed) || allowed.some(name => !providerNames.includes(name))) {
+        return res.status(400).json({
+          success: false,
+          error: `allowedTranscriptionProviders must be a list of: ${providerNames.join(', ')}`
+        });
+      }
+    }
+    if (updates.transcriptionProvider && !providerNames.includes(updates.transcriptionProvider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown transcription provider: ${updates.transcriptionProvider}`
+      });
+    }
+
+    // An empty budget removes the limit
+    if (updates.monthlyAIBudgetUsd === '') updates.monthlyAIBudgetUsd = null;
+    if (updates.monthlyAIBudgetUsd !== undefined && updates.monthlyAIBudgetUsd !== null) {
+      const budget = Number(updates.monthlyAIBudgetUsd);
+      if (!isFinite(budget) || budget < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'monthlyAIBudgetUsd must be a non-negative number, or null for no limit'
+        });
+      }
+      updates.monthlyAIBudgetUsd = budget;
+    }
+    if (updates.aiBudgetAction !== undefined && !usageService.BUDGET_ACTIONS.includes(updates.aiBudgetAction)) {
+      return res.status(400).json({
+        success: false,
+        error: `aiBudgetAction must be one of: ${usageService.BUDGET_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (updates.safetyReviewerEmails !== undefined) {
+      const emails = updates.safetyReviewerEmails;
+      if (!Array.isArray(emails) || emails.some(email => typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'safetyReviewerEmails must be a list of email addresses'
+        });
+      }
+      updates.safetyReviewerEmails = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+    }
+
+    if (updates.redaction !== undefined) {
+      const { enabled, entityTypes, useNER } = updates.redaction || {};
+      if (entityTypes !== undefined &&
+          (!Array.isArray(entityTypes) || entityTypes.some(type => !redactionService.entityTypes.includes(type)))) {
+        return res.status(400).json({
+          success: false,
+          error: `redaction.entityTypes must be a list of: ${redactionService.entityTypes.join(', ')}`
+        });
+      }
+      if (useNER && !redactionService.isNERAvailable()) {
+        return res.status(400).json({
+          success: false,
+          error: 'NER redaction needs PHI_NER_URL to be configured on the server'
+        });
+      }
+      // Fields left out keep their current values
+      const current = before.redaction || {};
+      updates.redaction = {
+        enabled: enabled !== undefined ? Boolean(enabled) : Boolean(current.enabled),
+        entityTypes: entityTypes !== undefined ? [...new Set(entityTypes)] : current.entityTypes || [],
+        useNER: useNER !== undefined ? Boolean(useNER) : Boolean(current.useNER)
+      };
+    }
+
+    SETTINGS_FIELDS.forEach(field => {
+      if (updates[field] === undefined) return;
+      // An empty default provider falls back to the server's TRANSCRIPTION_PROVIDER
+      organization.set(`settings.${field}`, field === 'transcriptionProvider' ? updates[field] || null : updates[field]);
+    });
+
+    // The default must be one of the allowed providers
+    const { transcriptionProvider, allowedTranscriptionProviders } = organization.settings;
+    if (transcriptionProvider && allowedTranscriptionProviders.length > 0 &&
+        !allowedTranscriptionProviders.includes(transcriptionProvider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Default transcription provider "${transcriptionProvider}" is not in allowedTranscriptionProviders`
+      });
+    }
+
+    await organization.save();
+
+    res.locals.audit = {
+      changes: diffFields(before, organization.settings.toObject(), SETTINGS_FIELDS),
+      metadata: { section: 'settings' }
+    };
+
+    console.log(`✅ Organization settings updated for ${req.user.organization} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Organization settings updated successfully',
+      data: organization.settings
+    });
+  } catch (error) {
+    console.error('❌ Update organization settings failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organization/transcription-providers
+ * List transcription providers with whether this organization may use them and which is its default
+ */
+router.get('/transcription-providers', async (req, res) => {
+  try {
+    const organization = await Organization.findOne({ name: req.user.organization }).lean();
+    res.json({
+      success: true,
+      data: transcriptionService.listProviders(organization)
+    });
+  } catch (error) {
+    console.error('❌ List transcription providers failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
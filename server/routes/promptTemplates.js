@@ -0,0 +1,318 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Transcript = require('../models/Transcript');
+const promptTemplateService = require('../services/promptTemplateService');
+const processingService = require('../services/processingService');
+const transcriptAnalysisService = require('../services/transcriptAnalysisService');
+const openaiService = require('../services/openaiService');
+const complianceService = require('../services/complianceService');
+const llmService = require('../services/llm');
+const usageService = require('../services/usageService');
+const { requireRole } = require('../middleware/authorize');
+const { requireAIBudget } = require('../middleware/aiBudget');
+const { audit, diffFields } = require('../middleware/audit');
+const { scopeToOrganization } = require('../utils/tenant');
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['version', 'system', 'prompt', 'settings'];
+
+// Prompt templates shape every analysis: managers can review them, administrators change and test them
+router.use(requireRole('admin', 'manager'));
+
+/**
+ * Respond 404 for tasks without a prompt template
+ */
+const requireKnownTask = (req, res, next) => {
+  if (!promptTemplateService.tasks.includes(req.params.task)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown prompt template task: ${req.params.task}. Expected one of: ${promptTemplateService.tasks.join(', ')}`
+    });
+  }
+  next();
+};
+
+/**
+ * Check the AI budget only for previews that call the model
+ */
+const budgetForRun = (req, res, next) => (req.body?.run ? requireAIBudget()(req, res, next) : next());
+
+/**
+ * Run (or, with dryRun, only render) a task's prompt against a stored transcript
+ * Long transcripts are previewed on their first part, the way analysis would see it.
+ * @param {string} task - Prompt template task
+ * @param {Object} transcript - Transcript document
+ * @param {Object} options - { attribution, template, dryRun }, passed to openaiService
+ * @returns {Promise<Object>} openaiService result, with { part } when only the first part was used
+ */
+const previewTask = async (task, transcript, options) => {
+  const requestOptions = { ...options, cache: false };
+
+  if (task === 'executiveSummary') {
+    return openaiService.generateExecutiveSummary({
+      hcpName: transcript.hcpName,
+      hcpSpecialty: transcript.hcpSpecialty,
+      meetingDate: transcript.meetingDate,
+      meetingDuration: transcript.meetingDuration,
+      sentimentAnalysis: transcript.sentimentAnalysis || {},
+      keyInsights: transcript.keyInsights || [],
+      actionItems: transcript.actionItems || []
+    }, requestOptions);
+  }
+
+  const { analysisInput } = await processingService.buildAnalysisInput(transcript, { useEditedTranscript: true });
+
+  if (task === 'sentimentBreakdown') {
+    return openaiService.generateSentimentBreakdown(analysisInput.text, requestOptions);
+  }
+  if (task === 'terminology') {
+    return openaiService.validateMedicalTerminology(analysisInput.text, requestOptions);
+  }
+
+  const { maxInputTokens } = llmService.getTaskConfig(task);
+  const parts = transcriptAnalysisService.splitIntoParts(analysisInput, maxInputTokens);
+  const part = parts.length > 1 ? { number: 1, total: parts.length } : undefined;
+  const promptOptions = { ...transcriptAnalysisService.promptOptions(analysisInput), ...requestOptions, part };
+
+  let result;
+  if (task === 'sentiment') {
+    result = await openaiService.analyzeSentiment(parts[0].text, { ...promptOptions, hcpStatements: parts[0].hcpStatements });
+  } else if (task === 'adverseEvents') {
+    result = await openaiService.detectAdverseEvents(parts[0].text, promptOptions);
+  } else if (task === 'compliance') {
+    const rules = await complianceService.getRules(transcript.organization, { enabledOnly: true });
+    result = await openaiService.checkCompliance(parts[0].text, { ...promptOptions, ...complianceService.promptRules(rules).variables });
+  } else {
+    result = await openaiService.extractKeyInsights(parts[0].text, [], [], promptOptions);
+  }
+  return part ? { ...result, part } : result;
+};
+
+/**
+ * GET /api/prompt-templates
+ * Every analysis task with the prompt template version the organization uses
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await promptTemplateService.list(req.user.organization);
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('❌ List prompt templates failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/prompt-templates/:task
+ * A task's active template, the built-in one, the organization's saved versions and the variables templates can use
+ */
+router.get('/:task', requireKnownTask, async (req, res) => {
+  try {
+    const data = await promptTemplateService.getTask(req.params.task, req.user.organization);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Get prompt template failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/:task
+ * Save a new version of the organization's template for a task and start using it
+ * Body: { system, prompt, settings, notes }
+ */
+router.post('/:task', requireRole('admin'), requireKnownTask, audit('prompt_template.update'), async (req, res) => {
+  try {
+    const { task } = req.params;
+    const { system, prompt, settings, notes } = req.body;
+    const before = await promptTemplateService.resolve(task, req.user.organization);
+
+    const result = await promptTemplateService.saveVersion(task, req.user.organization, { system, prompt, settings, notes }, req.user._id);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.errors.join('; '),
+        errors: result.errors
+      });
+    }
+
+    res.locals.audit = {
+      changes: diffFields(before, result.template, TEMPLATE_FIELDS),
+      metadata: { task, version: result.template.version, operation: 'save' }
+    };
+
+    console.log(`✅ ${task} prompt template v${result.template.version} saved for ${req.user.organization} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Saved version ${result.template.version}; new analyses will use it`,
+      data: result.template
+    });
+  } catch (error) {
+    console.error('❌ Save prompt template failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/:task/versions/:version/activate
+ * Go back to one of the organization's saved versions
+ */
+router.post('/:task/versions/:version/activate', requireRole('admin'), requireKnownTask, audit('prompt_template.update'), async (req, res) => {
+  try {
+    const { task } = req.params;
+    const before = await promptTemplateService.resolve(task, req.user.organization);
+    const template = await promptTemplateService.activate(task, req.user.organization, parseInt(req.params.version, 10) || 0);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.params.version} of the ${task} template not found`
+      });
+    }
+
+    res.locals.audit = {
+      changes: diffFields(before, template, TEMPLATE_FIELDS),
+      metadata: { task, version: template.version, operation: 'activate' }
+    };
+
+    res.json({
+      success: true,
+      message: `Version ${template.version} is now active`,
+      data: template
+    });
+  } catch (error) {
+    console.error('❌ Activate prompt template failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/prompt-templates/:task/override
+ * Go back to the built-in template; saved versions are kept and can be activated again
+ */
+router.delete('/:task/override', requireRole('admin'), requireKnownTask, audit('prompt_template.update'), async (req, res) => {
+  try {
+    const { task } = req.params;
+    const previous = await promptTemplateService.reset(task, req.user.organization);
+    const template = promptTemplateService.getDefault(task);
+
+    res.locals.audit = {
+      changes: previous ? diffFields(previous, template, TEMPLATE_FIELDS) : [],
+      metadata: { task, version: previous?.version ?? null, operation: 'reset' }
+    };
+
+    res.json({
+      success: true,
+      message: previous ? `Using the built-in ${task} template again` : `The built-in ${task} template was already in use`,
+      data: template
+    });
+  } catch (error) {
+    console.error('❌ Reset prompt template failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/:task/preview
+ * Render a template against one of the organization's transcripts, and with run: true send it to
+ * the model; nothing is saved to the transcript and the response cache is bypassed
+ * Body: { transcriptId, draft: { system, prompt, settings } (default: the active template), run }
+ */
+router.post('/:task/preview', requireRole('admin'), requireKnownTask, budgetForRun, async (req, res) => {
+  try {
+    const { task } = req.params;
+    const { transcriptId, draft, run = false } = req.body;
+
+    if (draft) {
+      const errors = promptTemplateService.validate(task, {
+        ...(await promptTemplateService.resolve(task, req.user.organization)),
+        ...draft
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: errors.join('; '),
+          errors
+        });
+      }
+    }
+
+    const transcript = mongoose.isValidObjectId(transcriptId)
+      ? await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }))
+      : null;
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const options = {
+      attribution: usageService.fromRequest(req, transcript._id),
+      template: draft || undefined
+    };
+
+    const rendered = await previewTask(task, transcript, { ...options, dryRun: true });
+    if (!rendered.success) {
+      return res.status(400).json({
+        success: false,
+        error: rendered.error
+      });
+    }
+
+    let result = null;
+    if (run) {
+      console.log(`🧪 ${req.user.email} is testing the ${task} prompt template on transcript ${transcriptId}`);
+      result = await previewTask(task, transcript, options);
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          error: result.error,
+          data: { system: rendered.system, prompt: rendered.prompt }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        system: rendered.system,
+        prompt: rendered.prompt,
+        promptTemplate: rendered.promptTemplate,
+        part: rendered.part || null,
+        result
+      }
+    });
+  } catch (error) {
+    console.error('❌ Preview prompt template failed:', error);
+    res.status(error.retryable === false ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Transcript = require('../models/Transcript');
+const jobQueue = require('../services/jobQueue');
+const safetyService = require('../services/safetyService');
+const documentService = require('../services/documentService');
+const { requirePermission } = require('../middleware/authorize');
+const { audit, diffFields } = require('../middleware/audit');
+const { scopeToOrganization } = require('../utils/tenant');
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ['pending', 'confirmed', 'dismissed'];
+const QUEUE_STATUSES = ['flagged', 'reviewed', 'failed'];
+const QUEUE_FIELDS = 'hcpName hcpSpecialty meetingDate organization createdBy adverseEvents safety';
+
+// Possible adverse events are handled by the safety team
+router.use(requirePermission('canReviewSafety'));
+
+/**
+ * Load a transcript in the caller's organization, answering 400/404 when it can't be found
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Transcript document
+ */
+async function findTranscript(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid transcript ID'
+    });
+    return null;
+  }
+
+  const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: req.params.id }));
+  if (!transcript) {
+    res.status(404).json({
+      success: false,
+      error: 'Transcript not found'
+    });
+  }
+  return transcript;
+}
+
+/**
+ * GET /api/safety/queue
+ * Transcripts with possible adverse events, soonest report due first
+ * Query: status (flagged, reviewed, failed; default flagged), page, limit
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const status = QUEUE_STATUSES.includes(req.query.status) ? req.query.status : 'flagged';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = scopeToOrganization(req, { 'safety.status': status });
+
+    const [transcripts, total, counts] = await Promise.all([
+      Transcript.find(filter)
+        .select(QUEUE_FIELDS)
+        .sort({ 'safety.reportDueBy': 1, 'safety.checkedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transcript.countDocuments(filter),
+      Transcript.aggregate([
+        { $match: scopeToOrganization(req, { 'safety.status': { $in: QUEUE_STATUSES } }) },
+        { $group: { _id: '$safety.status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: transcripts.map(transcript => ({
+        ...transcript,
+        pendingEvents: (transcript.adverseEvents || []).filter(event => event.reviewStatus === 'pending').length
+      })),
+      counts: QUEUE_STATUSES.reduce((acc, key) => {
+        acc[key] = counts.find(entry => entry._id === key)?.count || 0;
+        return acc;
+      }, {}),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get safety queue failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/safety/transcripts/:id/events/:eventId
+ * Confirm a possible adverse event as reportable, dismiss it, or send it back to pending
+ * Body: { reviewStatus, reviewNotes }; dismissing requires a note
+ */
+router.put('/transcripts/:id/events/:eventId', audit('safety.review'), async (req, res) => {
+  try {
+    const { reviewStatus, reviewNotes } = req.body;
+
+    if (!REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: `reviewStatus must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    if (reviewStatus === 'dismissed' && !String(reviewNotes || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A note explaining why the event is not reportable is required to dismiss it'
+      });
+    }
+
+    const transcript = await findTranscript(req, res);
+    if (!transcript) return;
+
+    const event = transcript.adverseEvents.id(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Adverse event not found'
+      });
+    }
+
+    const before = event.toObject();
+    const pending = reviewStatus === 'pending';
+    event.set({
+      reviewStatus,
+      reviewNotes: reviewNotes !== undefined ? String(reviewNotes).trim() : event.reviewNotes,
+      reviewedBy: pending ? undefined : { id: req.user._id.toString(), email: req.user.email },
+      reviewedAt: pending ? undefined : new Date()
+    });
+
+    const { status, flagged } = safetyService.statusFor(transcript.adverseEvents);
+    transcript.set({
+      'safety.status': status,
+      'safety.flagged': flagged,
+      'safety.reviewedAt': status === 'reviewed' ? new Date() : null
+    });
+    await transcript.save();
+
+    res.locals.audit = {
+      changes: diffFields(before, event.toObject(), ['reviewStatus', 'reviewNotes']),
+      metadata: { eventId: req.params.eventId, drug: event.drug, safetyStatus: status }
+    };
+
+    console.log(`✅ Adverse event ${req.params.eventId} on transcript ${transcript._id} marked ${reviewStatus} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        event,
+        safety: transcript.safety
+      }
+    });
+  } catch (error) {
+    console.error('❌ Review adverse event failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/safety/transcripts/:id/intake-form
+ * Adverse event intake form for the safety team, as JSON (default) or PDF
+ * Query: format (json, pdf), includeDismissed
+ */
+router.get('/transcripts/:id/intake-form', audit('safety.export'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or pdf'
+      });
+    }
+
+    const transcript = await findTranscript(req, res);
+    if (!transcript) return;
+
+    if (!transcript.safety?.checkedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'This transcript has not been screened for adverse events yet'
+      });
+    }
+
+    const form = safetyService.buildIntakeForm(transcript, {
+      includeDismissed: req.query.includeDismissed === 'true',
+      exportedBy: { id: req.user._id.toString(), email: req.user.email }
+    });
+
+    res.locals.audit = {
+      metadata: { format, reference: form.reference, events: form.events.length }
+    };
+
+    console.log(`✅ ${req.user.email} exported adverse event intake form ${form.reference} (${format})`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${form.reference}.json"`);
+      return res.json({
+        success: true,
+        data: form
+      });
+    }
+
+    const pdf = await documentService.generateAdverseEventFormPDF(form);
+    if (!pdf.success) {
+      return res.status(500).json({
+        success: false,
+        error: pdf.error
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdf.fileName}"`);
+    res.send(pdf.buffer);
+  } catch (error) {
+    console.error('❌ Export adverse event intake form failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/safety/transcripts/:id/recheck
+ * Screen a transcript for adverse events again; reviewed events are kept
+ * Body: { useEditedTranscript } (default true)
+ */
+router.post('/transcripts/:id/recheck', async (req, res) => {
+  try {
+    const transcript = await findTranscript(req, res);
+    if (!transcript) return;
+
+    if (!transcript.editedTranscript && !transcript.rawTranscript) {
+      return res.status(400).json({
+        success: false,
+        error: 'No transcript text available for screening'
+      });
+    }
+
+    if (await jobQueue.hasActiveJob(transcript._id, ['adverse-events'])) {
+      return res.status(409).json({
+        success: false,
+        error: 'Adverse event screening is already queued for this transcript'
+      });
+    }
+
+    const job = await jobQueue.enqueue('adverse-events', {
+      transcriptId: transcript._id.toString(),
+      useEditedTranscript: req.body.useEditedTranscript !== false,
+      recheck: true
+    }, {
+      organization: transcript.organization,
+      createdBy: req.user._id,
+      transcriptId: transcript._id,
+      priority: 1
+    });
+
+    console.log(`🩺 Adverse event re-screening queued for transcript: ${transcript._id}`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      message: 'Adverse event screening queued'
+    });
+  } catch (error) {
+    console.error('❌ Queue adverse event screening failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,42 @@
 const express = require('express');
-const openaiService = require('../services/openaiService');
+const jobQueue = require('../services/jobQueue');
 const Transcript = require('../models/Transcript');
+const transcriptSegmentService = require('../services/transcriptSegmentService');
+const diarizationService = require('../services/diarization');
+const redactionService = require('../services/redactionService');
+const { requirePermission } = require('../middleware/authorize');
+const { scopeToOrganization } = require('../utils/tenant');
+const { audit, diffFields } = require('../middleware/audit');
+const { requireAIBudget } = require('../middleware/aiBudget');
+const { parseTimecode } = require('../utils/timecode');
 
 const router = express.Router();
 
+// Edits to these send the meeting back through the compliance check before it can be synced
+const COMPLIANCE_SCREENED_FIELDS = [
+  'editedTranscript',
+  'hcpName',
+  'keyInsights',
+  'actionItems',
+  'followUpRecommendations',
+  'riskFactors',
+  'opportunities',
+  'insightsSummary'
+];
+
 /**
  * GET /api/transcripts/stats
  * Returns dashboard statistics
  */
 router.get('/stats', async (req, res) => {
   try {
-    const totalTranscripts = await Transcript.countDocuments();
-    const pendingTranscriptions = await Transcript.countDocuments({ transcriptionStatus: 'pending' });
-    const completedAnalyses = await Transcript.countDocuments({ transcriptionStatus: 'completed' });
-    const crmSyncs = await Transcript.countDocuments({ crmSyncStatus: 'synced' });
+    const totalTranscripts = await Transcript.countDocuments(scopeToOrganization(req));
+    const pendingTranscriptions = await Transcript.countDocuments(scopeToOrganization(req, { transcriptionStatus: 'pending' }));
+    const completedAnalyses = await Transcript.countDocuments(scopeToOrganization(req, { transcriptionStatus: 'completed' }));
+    const crmSyncs = await Transcript.countDocuments(scopeToOrganization(req, { crmSyncStatus: 'synced' }));
     // Count all generated documents (PDF + PPT)
     const documents = await Transcript.aggregate([
+      { $match: scopeToOrganization(req) },
       { $unwind: '$generatedDocuments' },
       { $group: { _id: null, count: { $sum: 1 } } }
     ]);
@@ -40,7 +61,7 @@ router.get('/stats', async (req, res) => {
  * GET /api/transcripts/analytics
  * Returns analytics data for the Analytics page
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', requirePermission('canViewAnalytics'), async (req, res) => {
   try {
     // Parse query params
     const { timeRange = '30d', specialty } = req.query;
@@ -54,13 +75,13 @@ router.get('/analytics', async (req, res) => {
     else startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
     // Build filter
-    const filter = { createdAt: { $gte: startDate } };
+    const filter = scopeToOrganization(req, { createdAt: { $gte: startDate } });
     if (specialty && specialty !== 'all') {
       filter.hcpSpecialty = specialty;
     }
 
     // Get all specialties for filter dropdown
-    const specialties = await Transcript.distinct('hcpSpecialty', { hcpSpecialty: { $ne: null } });
+    const specialties = await Transcript.distinct('hcpSpecialty', scopeToOrganization(req, { hcpSpecialty: { $ne: null } }));
 
     // Get analytics for current period
     const transcripts = await Transcript.find(filter);
@@ -80,7 +101,7 @@ router.get('/analytics', async (req, res) => {
     // Growth calculation (compare to previous period)
     let prevStartDate = new Date(startDate.getTime() - (now.getTime() - startDate.getTime()));
     let prevEndDate = startDate;
-    const prevFilter = { createdAt: { $gte: prevStartDate, $lt: prevEndDate } };
+    const prevFilter = scopeToOrganization(req, { createdAt: { $gte: prevStartDate, $lt: prevEndDate } });
     if (specialty && specialty !== 'all') {
       prevFilter.hcpSpecialty = specialty;
     }
@@ -236,13 +257,14 @@ router.get('/', async (req, res) => {
       specialty,
       startDate,
       endDate,
-      organization,
+      safety,
+      compliance,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter object
-    const filter = {};
+    // Build filter object (always scoped to the caller's organization)
+    const filter = scopeToOrganization(req);
     
     if (status) {
       filter.transcriptionStatus = status;
@@ -255,16 +277,23 @@ router.get('/', async (req, res) => {
     if (specialty) {
       filter.hcpSpecialty = { $regex: specialty, $options: 'i' };
     }
+
+    // safety=flagged lists transcripts with possible adverse events not yet dismissed
+    if (safety === 'flagged') {
+      filter['safety.flagged'] = true;
+    } else if (safety) {
+      filter['safety.status'] = safety;
+    }
+
+    if (compliance) {
+      filter['compliance.status'] = compliance;
+    }
     
     if (startDate || endDate) {
       filter.meetingDate = {};
       if (startDate) filter.meetingDate.$gte = new Date(startDate);
       if (endDate) filter.meetingDate.$lte = new Date(endDate);
     }
-    
-    if (organization) {
-      filter.organization = organization;
-    }
 
     // Build sort object
     const sort = {};
@@ -278,7 +307,7 @@ router.get('/', async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
-      .select('-rawTranscript -editedTranscript') // Exclude large text fields, but keep keyInsights and actionItems
+      .select('-rawTranscript -editedTranscript -redactedTranscript -redaction.spans') // Exclude large text fields, but keep keyInsights and actionItems
       .lean();
 
     // Get total count
@@ -297,7 +326,9 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: transcripts,
+      data: req.user.hasPermission('canEditTranscripts')
+        ? transcripts
+        : await redactionService.listForViewer(transcripts, req.user.organization),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -315,15 +346,82 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transcripts/search
+ * Search transcripts
+ * With redaction on, users who can't edit transcripts search the redacted text, so a search
+ * can't tell them which meetings mention a patient
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, page = 1, limit = 10 } = req.query;
+    
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+
+    const redactedOnly = !req.user.hasPermission('canEditTranscripts') &&
+      (await redactionService.getSettings(req.user.organization)).enabled;
+    const textFields = redactedOnly ? ['redactedTranscript'] : ['rawTranscript', 'editedTranscript'];
+
+    // Build search filter
+    const searchFilter = scopeToOrganization(req, {
+      $or: [
+        { hcpName: { $regex: q, $options: 'i' } },
+        { hcpSpecialty: { $regex: q, $options: 'i' } },
+        ...textFields.map(field => ({ [field]: { $regex: q, $options: 'i' } }))
+      ]
+    });
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Execute search
+    const transcripts = await Transcript.find(searchFilter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-rawTranscript -editedTranscript -redactedTranscript -redaction.spans');
+
+    // Get total count
+    const total = await Transcript.countDocuments(searchFilter);
+
+    console.log(`✅ Search completed: ${transcripts.length} results found`);
+
+    res.json({
+      success: true,
+      data: redactedOnly ? await redactionService.listForViewer(transcripts, req.user.organization) : transcripts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      query: q
+    });
+
+  } catch (error) {
+    console.error('❌ Search failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/transcripts/:id
  * Get specific transcript by ID
+ * With redaction on, only users who can edit transcripts get the original text
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', audit('transcript.view'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    const transcript = await Transcript.findById(id);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -336,7 +434,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: transcript
+      data: req.user.hasPermission('canEditTranscripts') ? transcript : await redactionService.forViewer(transcript)
     });
 
   } catch (error) {
@@ -348,17 +446,252 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transcripts/:id/segments
+ * Time-aligned transcript: segments with start/end times in seconds
+ * Query: from, to (seconds or h:mm:ss) to limit the range, includeWords=true for word timings
+ * With redaction on, users who can't edit transcripts get redacted segment text and no words
+ */
+router.get('/:id/segments', audit('transcript.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, includeWords } = req.query;
+
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }))
+      .select('meetingDuration segmentCount transcriptionStatus organization hcpName attendees speakers');
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const range = {
+      from: from !== undefined ? parseTimecode(from) : undefined,
+      to: to !== undefined ? parseTimecode(to) : undefined
+    };
+    if (range.from === null || range.to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be seconds or h:mm:ss'
+      });
+    }
+
+    const redaction = req.user.hasPermission('canEditTranscripts')
+      ? { enabled: false }
+      : await redactionService.getSettings(transcript.organization);
+
+    let segments = await transcriptSegmentService.getSegments(transcript._id, {
+      ...range,
+      includeWords: includeWords === 'true' && !redaction.enabled
+    });
+    if (redaction.enabled) {
+      segments = await redactionService.redactSegments(segments, redaction, redactionService.allowedNames(transcript));
+    }
+
+    res.locals.audit = { metadata: { view: 'segments', segmentsReturned: segments.length } };
+
+    res.json({
+      success: true,
+      data: {
+        transcriptId: transcript._id,
+        duration: transcript.meetingDuration,
+        segmentCount: transcript.segmentCount,
+        segments
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get transcript segments failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transcripts/:id/speakers
+ * Speakers found by diarization, with the attendees they can be mapped to
+ */
+router.get('/:id/speakers', async (req, res) => {
+  try {
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: req.params.id }))
+      .select('hcpName attendees speakers diarizationStatus diarizationProvider');
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        hcpName: transcript.hcpName,
+        attendees: transcript.attendees,
+        speakers: transcript.speakers,
+        diarizationStatus: transcript.diarizationStatus,
+        diarizationProvider: transcript.diarizationProvider
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get speakers failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/transcripts/:id/speakers
+ * Map speaker labels to attendees and mark which speaker is the HCP
+ * Body: { speakers: [{ label, attendeeId, name, role, isHcp }], reanalyze }
+ * With reanalyze=true, sentiment and insights are re-run with the new attribution
+ */
+router.put('/:id/speakers', requirePermission('canEditTranscripts'), audit('transcript.update'), async (req, res) => {
+  try {
+    const { speakers: mappings, reanalyze = false } = req.body;
+
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: req.params.id }));
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const { speakers, error } = diarizationService.applyMapping(transcript, mappings);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const updatedTranscript = await Transcript.findOneAndUpdate(
+      scopeToOrganization(req, { _id: transcript._id }),
+      { speakers },
+      { new: true, runValidators: true }
+    );
+
+    let job = null;
+    if (reanalyze) {
+      job = await jobQueue.enqueue('analysis', {
+        transcriptId: transcript._id.toString()
+      }, {
+        organization: transcript.organization,
+        createdBy: req.user._id,
+        transcriptId: transcript._id,
+        priority: 1
+      });
+    }
+
+    res.locals.audit = {
+      changes: diffFields(transcript.toObject(), updatedTranscript.toObject(), ['speakers']),
+      metadata: job ? { jobId: job._id.toString() } : {}
+    };
+
+    console.log(`✅ Updated speaker mapping for transcript: ${transcript._id}`);
+
+    res.json({
+      success: true,
+      data: updatedTranscript.speakers,
+      jobId: job ? job._id : null,
+      message: 'Speakers updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Update speakers failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transcripts/:id/diarize
+ * Re-run speaker diarization (and then analysis)
+ * Body: { provider } to pick a diarizer other than DIARIZATION_PROVIDER
+ */
+router.post('/:id/diarize', requirePermission('canEditTranscripts'), requireAIBudget({ queued: true }), audit('transcript.reanalyze'), async (req, res) => {
+  try {
+    const { provider } = req.body;
+
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: req.params.id }))
+      .select('organization segmentCount');
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    if (!transcript.segmentCount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transcript has no timed segments to diarize'
+      });
+    }
+
+    if (provider) {
+      try {
+        diarizationService.getDiarizer(provider);
+      } catch (providerError) {
+        return res.status(400).json({
+          success: false,
+          error: providerError.message
+        });
+      }
+    }
+
+    const job = await jobQueue.enqueue('diarization', {
+      transcriptId: transcript._id.toString(),
+      provider: provider || undefined
+    }, {
+      organization: transcript.organization,
+      createdBy: req.user._id,
+      transcriptId: transcript._id,
+      priority: 1
+    });
+
+    res.locals.audit = {
+      metadata: { jobId: job._id.toString(), stage: 'diarization' }
+    };
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      message: 'Diarization queued'
+    });
+
+  } catch (error) {
+    console.error('❌ Diarize transcript failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/transcripts/:id
  * Update transcript (mainly for editing)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('canEditTranscripts'), audit('transcript.update'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
     
     // Find transcript
-    const transcript = await Transcript.findById(id);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -375,7 +708,11 @@ router.put('/:id', async (req, res) => {
       'meetingDate',
       'attendees',
       'keyInsights',
-      'actionItems'
+      'actionItems',
+      'followUpRecommendations',
+      'riskFactors',
+      'opportunities',
+      'insightsSummary'
     ];
 
     const filteredData = {};
@@ -385,18 +722,51 @@ router.put('/:id', async (req, res) => {
       }
     });
 
+    // An earlier clear or approval doesn't cover changed text: hold the meeting in the same update.
+    // Saving the text as it already is (e.g. before Finalize & Push) changes nothing.
+    const before = transcript.toObject();
+    const currentText = before.editedTranscript || before.rawTranscript;
+    const screenedChanged = COMPLIANCE_SCREENED_FIELDS.some(field => field in filteredData && (field === 'editedTranscript'
+      ? filteredData.editedTranscript !== currentText
+      : diffFields(before, filteredData, [field]).length > 0));
+    const recheckCompliance = screenedChanged && Boolean(filteredData.editedTranscript || currentText);
+
     // Update transcript
-    const updatedTranscript = await Transcript.findByIdAndUpdate(
-      id,
-      filteredData,
+    const updatedTranscript = await Transcript.findOneAndUpdate(
+      scopeToOrganization(req, { _id: id }),
+      recheckCompliance ? { ...filteredData, 'compliance.status': 'pending' } : filteredData,
       { new: true, runValidators: true }
     );
 
+    let complianceJob = null;
+    if (recheckCompliance) {
+      complianceJob = await jobQueue.enqueue('compliance', {
+        transcriptId: updatedTranscript._id.toString(),
+        useEditedTranscript: true,
+        recheck: true
+      }, {
+        organization: updatedTranscript.organization,
+        createdBy: req.user._id,
+        transcriptId: updatedTranscript._id
+      });
+    }
+
+    res.locals.audit = {
+      changes: diffFields(before, updatedTranscript.toObject(), Object.keys(filteredData)),
+      ...(complianceJob && { metadata: { complianceJobId: complianceJob._id.toString() } })
+    };
+
+    // Edited text, or new HCP and attendee names (which are never redacted), change the redacted variant
+    if (['editedTranscript', 'hcpName', 'attendees'].some(field => field in filteredData)) {
+      Object.assign(updatedTranscript, await redactionService.refreshTranscript(updatedTranscript));
+    }
+
     console.log(`✅ Updated transcript: ${id}`);
 
     res.json({
       success: true,
       data: updatedTranscript,
+      ...(complianceJob && { complianceJobId: complianceJob._id }),
       message: 'Transcript updated successfully'
     });
 
@@ -411,16 +781,68 @@ router.put('/:id', async (req, res) => {
 
 
 
+/**
+ * POST /api/transcripts/:id/redact
+ * Redact the transcript's current text again with the organization's redaction settings,
+ * e.g. after they change. Returns the original and redacted text for comparison.
+ */
+router.post('/:id/redact', requirePermission('canEditTranscripts'), audit('transcript.redact'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }));
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
+    }
+
+    const { redactedTranscript, redaction } = await redactionService.refreshTranscript(transcript);
+
+    res.locals.audit = {
+      success: redaction.status !== 'failed',
+      metadata: { status: redaction.status, counts: redaction.counts, usedNER: redaction.usedNER || false }
+    };
+
+    if (redaction.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: `Redaction failed: ${redaction.error}`
+      });
+    }
+
+    console.log(`🔒 Redacted transcript ${id}: ${redaction.spans.length} span(s)`);
+
+    res.json({
+      success: true,
+      data: {
+        originalTranscript: transcript.editedTranscript || transcript.rawTranscript,
+        redactedTranscript,
+        redaction
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Redact transcript failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/transcripts/:id/reanalyze
- * Re-analyze transcript with updated text
+ * Re-analyze transcript with updated text, and screen it again for adverse events and compliance
  */
-router.post('/:id/reanalyze', async (req, res) => {
+router.post('/:id/reanalyze', requirePermission('canEditTranscripts'), requireAIBudget({ queued: true }), audit('transcript.reanalyze'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // Find transcript
-    const transcript = await Transcript.findById(id);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -439,148 +861,56 @@ router.post('/:id/reanalyze', async (req, res) => {
       });
     }
 
-    console.log(`🧠 Re-analyzing transcript: ${id}`);
+    // Analysis runs on the background worker; poll GET /api/jobs/:jobId for progress
+    const job = await jobQueue.enqueue('analysis', {
+      transcriptId: transcript._id.toString(),
+      useEditedTranscript: true
+    }, {
+      organization: transcript.organization,
+      createdBy: req.user._id,
+      transcriptId: transcript._id,
+      priority: 1
+    });
 
-    // Perform sentiment analysis
-    const sentimentResult = await openaiService.analyzeSentiment(transcriptText);
-    
-    if (!sentimentResult.success) {
-      throw new Error(`Sentiment analysis failed: ${sentimentResult.error}`);
-    }
+    // Edited text can mention events the original screening never saw
+    const safetyJob = await jobQueue.enqueue('adverse-events', {
+      transcriptId: transcript._id.toString(),
+      useEditedTranscript: true,
+      recheck: true
+    }, {
+      organization: transcript.organization,
+      createdBy: req.user._id,
+      transcriptId: transcript._id,
+      priority: 1
+    });
 
-    // Extract key insights
-    const insightsResult = await openaiService.extractKeyInsights(transcriptText);
-    
-    if (!insightsResult.success) {
-      throw new Error(`Insights extraction failed: ${insightsResult.error}`);
-    }
+    // Edited text has to pass the compliance check again before the meeting can go to the CRM
+    const complianceJob = await jobQueue.enqueue('compliance', {
+      transcriptId: transcript._id.toString(),
+      useEditedTranscript: true,
+      recheck: true
+    }, {
+      organization: transcript.organization,
+      createdBy: req.user._id,
+      transcriptId: transcript._id
+    });
 
-    // Normalize emotionalIndicators to always be an array of objects (same logic as upload route)
-    console.log('🔍 Re-analysis: Raw emotionalIndicators from OpenAI:', sentimentResult.emotionalIndicators);
-    console.log('🔍 Re-analysis: Type of emotionalIndicators:', typeof sentimentResult.emotionalIndicators);
-    
-    let normalizedIndicators = [];
-    if (sentimentResult.emotionalIndicators) {
-      if (typeof sentimentResult.emotionalIndicators === 'string') {
-        console.log('🔍 Re-analysis: emotionalIndicators is a string, attempting to parse...');
-        try {
-          normalizedIndicators = JSON.parse(sentimentResult.emotionalIndicators);
-          console.log('✅ Re-analysis: JSON.parse successful:', normalizedIndicators);
-        } catch (e) {
-          console.log('❌ Re-analysis: JSON.parse failed, trying eval...');
-          try {
-            normalizedIndicators = eval(sentimentResult.emotionalIndicators);
-            console.log('✅ Re-analysis: eval successful:', normalizedIndicators);
-          } catch (e2) {
-            console.log('❌ Re-analysis: eval also failed, setting to empty array');
-            normalizedIndicators = [];
-          }
-        }
-      } else if (Array.isArray(sentimentResult.emotionalIndicators)) {
-        console.log('✅ Re-analysis: emotionalIndicators is already an array');
-        normalizedIndicators = sentimentResult.emotionalIndicators;
-      } else {
-        console.log('❌ Re-analysis: emotionalIndicators is neither string nor array, setting to empty array');
-        normalizedIndicators = [];
+    res.locals.audit = {
+      metadata: {
+        jobId: job._id.toString(),
+        safetyJobId: safetyJob._id.toString(),
+        complianceJobId: complianceJob._id.toString()
       }
-      
-      if (!Array.isArray(normalizedIndicators)) {
-        console.log('❌ Re-analysis: normalizedIndicators is not an array after processing, setting to empty array');
-        normalizedIndicators = [];
-      } else {
-        console.log('🔍 Re-analysis: Filtering normalizedIndicators for valid objects...');
-        normalizedIndicators = normalizedIndicators.filter(ind => {
-          const isValid = ind && typeof ind === 'object' &&
-                         typeof ind.indicator === 'string' &&
-                         typeof ind.type === 'string' &&
-                         typeof ind.context === 'string';
-          if (!isValid) {
-            console.log('❌ Re-analysis: Invalid indicator object:', ind);
-          }
-          return isValid;
-        });
-        console.log('✅ Re-analysis: Final normalizedIndicators:', normalizedIndicators);
-      }
-    } else {
-      console.log('❌ Re-analysis: No emotionalIndicators found in sentimentResult');
-    }
-    
-    // Final safety check
-    if (!Array.isArray(normalizedIndicators)) {
-      console.log('❌ Re-analysis: CRITICAL: normalizedIndicators is not an array, forcing to empty array');
-      normalizedIndicators = [];
-    }
-    
-    // Log the sentimentResult for debugging
-    console.log('SENTIMENT RESULT:', JSON.stringify(sentimentResult, null, 2));
-    
-    // Update transcript with new analysis
-    const updateData = {
-      sentimentAnalysis: {
-        overall: sentimentResult.overall || 'neutral',
-        score: sentimentResult.score || 0,
-        details: sentimentResult.details || { positive: 0, negative: 0, neutral: 0 },
-        explanations: sentimentResult.explanations || { positive: '', negative: '', neutral: '' },
-        emotionalIndicators: normalizedIndicators,
-        confidence: sentimentResult.confidence || 0,
-        sentimentTrends: Array.isArray(sentimentResult.sentimentTrends) ? sentimentResult.sentimentTrends : [],
-        contextFactors: sentimentResult.contextFactors || {
-          medicalConcerns: [],
-          businessOpportunities: [],
-          personalRapport: 'neutral',
-          professionalTone: 'formal'
-        }
-      },
-      keyInsights: Array.isArray(insightsResult.keyInsights) ? insightsResult.keyInsights : [],
-      actionItems: Array.isArray(insightsResult.actionItems) ? insightsResult.actionItems : []
     };
-    
-    console.log('🔍 Re-analysis: Final update data emotionalIndicators:', updateData.sentimentAnalysis.emotionalIndicators);
-    
-    let updatedTranscript;
-    try {
-      updatedTranscript = await Transcript.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true }
-      );
-      console.log('✅ Re-analysis: Database update successful');
-    } catch (dbError) {
-      console.error('❌ Re-analysis: Database update failed:', dbError);
-      console.error('❌ Re-analysis: Error details:', {
-        message: dbError.message,
-        name: dbError.name,
-        code: dbError.code
-      });
-      
-      // Try to save with empty emotionalIndicators as fallback
-      try {
-        console.log('🔄 Re-analysis: Attempting fallback save with empty emotionalIndicators...');
-        const fallbackData = {
-          ...updateData,
-          sentimentAnalysis: {
-            ...updateData.sentimentAnalysis,
-            emotionalIndicators: []
-          }
-        };
-        updatedTranscript = await Transcript.findByIdAndUpdate(
-          id,
-          fallbackData,
-          { new: true }
-        );
-        console.log('✅ Re-analysis: Fallback save successful');
-      } catch (fallbackError) {
-        console.error('❌ Re-analysis: Fallback save also failed:', fallbackError);
-        throw fallbackError;
-      }
-    }
 
-    console.log(`✅ Transcript re-analyzed: ${id}`);
+    console.log(`🧠 Re-analysis queued for transcript: ${id}`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      data: updatedTranscript,
-      message: 'Transcript re-analyzed successfully'
+      jobId: job._id,
+      safetyJobId: safetyJob._id,
+      complianceJobId: complianceJob._id,
+      message: 'Transcript re-analysis queued'
     });
 
   } catch (error) {
@@ -596,11 +926,11 @@ router.post('/:id/reanalyze', async (req, res) => {
  * DELETE /api/transcripts/:id
  * Delete transcript
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('canEditTranscripts'), audit('transcript.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    const transcript = await Transcript.findById(id);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: id }));
     
     if (!transcript) {
       return res.status(404).json({
@@ -610,7 +940,17 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Delete from database
-    await Transcript.findByIdAndDelete(id);
+    await Transcript.findOneAndDelete(scopeToOrganization(req, { _id: id }));
+    await transcriptSegmentService.deleteForTranscript(transcript._id);
+
+    // Keep enough context in the audit trail to identify the deleted record
+    res.locals.audit = {
+      metadata: {
+        hcpName: transcript.hcpName,
+        meetingDate: transcript.meetingDate,
+        originalFileName: transcript.originalFileName
+      }
+    };
 
     console.log(`✅ Deleted transcript: ${id}`);
 
@@ -632,13 +972,12 @@ router.delete('/:id', async (req, res) => {
  * GET /api/transcripts/stats/overview
  * Get transcript statistics
  */
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requirePermission('canViewAnalytics'), async (req, res) => {
   try {
-    const { organization, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
     
     // Build filter
-    const filter = {};
-    if (organization) filter.organization = organization;
+    const filter = scopeToOrganization(req);
     if (startDate || endDate) {
       filter.createdAt = {};
       if (startDate) filter.createdAt.$gte = new Date(startDate);
@@ -707,65 +1046,4 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
-/**
- * GET /api/transcripts/search
- * Search transcripts
- */
-router.get('/search', async (req, res) => {
-  try {
-    const { q, page = 1, limit = 10 } = req.query;
-    
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required'
-      });
-    }
-
-    // Build search filter
-    const searchFilter = {
-      $or: [
-        { hcpName: { $regex: q, $options: 'i' } },
-        { hcpSpecialty: { $regex: q, $options: 'i' } },
-        { rawTranscript: { $regex: q, $options: 'i' } },
-        { editedTranscript: { $regex: q, $options: 'i' } }
-      ]
-    };
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Execute search
-    const transcripts = await Transcript.find(searchFilter)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-rawTranscript -editedTranscript');
-
-    // Get total count
-    const total = await Transcript.countDocuments(searchFilter);
-
-    console.log(`✅ Search completed: ${transcripts.length} results found`);
-
-    res.json({
-      success: true,
-      data: transcripts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      query: q
-    });
-
-  } catch (error) {
-    console.error('❌ Search failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
 module.exports = router; 
\ No newline at end of file
@@ -3,9 +3,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
 const Transcript = require('../models/Transcript');
+const Job = require('../models/Job');
 const fileService = require('../services/fileService');
-const openaiService = require('../services/openaiService');
+const jobQueue = require('../services/jobQueue');
+const { requirePermission } = require('../middleware/authorize');
+const { scopeToOrganization } = require('../utils/tenant');
+const { audit } = require('../middleware/audit');
+const { requireAIBudget } = require('../middleware/aiBudget');
+const uploadSessionService = require('../services/uploadSessionService');
+const transcriptSegmentService = require('../services/transcriptSegmentService');
+const transcriptionService = require('../services/transcription');
+const UploadSession = require('../models/UploadSession');
+const { parseFileSize, formatFileSize } = require('../utils/fileSize');
 
 const router = express.Router();
 
@@ -24,13 +35,25 @@ const storage = multer.diskStorage({
   }
 });
 
+const ALLOWED_MIME_TYPES = ['audio/mpeg', 'audio/wav', 'audio/mp4', 'video/mp4', 'video/quicktime', 'video/x-msvideo'];
+const ALLOWED_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.mp4', '.avi', '.mov'];
+
+// MAX_FILE_SIZE accepts "200MB"-style values as well as a byte count
+const MAX_FILE_SIZE = parseFileSize(process.env.MAX_FILE_SIZE, 200 * 1024 * 1024); // 200MB default
+
+/**
+ * Whether a file name / MIME type is an accepted audio or video format
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - Reported MIME type
+ * @returns {boolean}
+ */
+const isAllowedFile = (fileName, mimeType) => {
+  const fileExtension = path.extname(fileName || '').toLowerCase();
+  return ALLOWED_MIME_TYPES.includes(mimeType) || ALLOWED_EXTENSIONS.includes(fileExtension);
+};
+
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/mp4', 'video/mp4', 'video/quicktime', 'video/x-msvideo'];
-  const allowedExtensions = ['.mp3', '.wav', '.m4a', '.mp4', '.avi', '.mov'];
-  
-  const fileExtension = path.extname(file.originalname).toLowerCase();
-  
-  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+  if (isAllowedFile(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only audio and video files are allowed.'), false);
@@ -41,19 +64,42 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 200 * 1024 * 1024 // 200MB default
+    fileSize: MAX_FILE_SIZE
   }
 });
 
-// Add error handling for multer
-const uploadMiddleware = (req, res, next) => {
-  upload.single('file')(req, res, (err) => {
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 10;
+
+// Uploads can be cancelled until the recording is transcribed
+const CANCELLABLE_STATUSES = ['pending', 'processing', 'failed'];
+
+// Stage reported for transcripts created before processingStage existed
+const LEGACY_STAGES = {
+  pending: 'queued',
+  processing: 'transcribing',
+  completed: 'completed',
+  failed: 'failed'
+};
+
+/**
+ * Wrap a multer middleware with JSON error responses
+ * @param {Function} middleware - multer middleware (single/array)
+ * @returns {Function} Express middleware
+ */
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       console.error('Multer error:', err);
       if (err.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
           success: false,
-          error: 'File too large. Maximum size is 100MB.'
+          error: `File too large. Maximum size is ${formatFileSize(MAX_FILE_SIZE)}.`
+        });
+      }
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          success: false,
+          error: `Too many files or unexpected field "${err.field}". Upload up to ${MAX_BATCH_FILES} files in "files".`
         });
       }
       return res.status(400).json({
@@ -71,11 +117,137 @@ const uploadMiddleware = (req, res, next) => {
   });
 };
 
+// Add error handling for multer
+const uploadMiddleware = handleUpload(upload.single('file'));
+const batchUploadMiddleware = handleUpload(upload.array('files', MAX_BATCH_FILES));
+
+/**
+ * Check the meeting metadata required for each uploaded file
+ * @param {Object} metadata - { hcpName, hcpSpecialty, meetingDate }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateUploadMetadata(metadata) {
+  const { hcpName, hcpSpecialty, meetingDate } = metadata || {};
+
+  if (!hcpName || !hcpSpecialty || !meetingDate) {
+    return 'Missing required fields: hcpName, hcpSpecialty, meetingDate';
+  }
+  if (isNaN(new Date(meetingDate).getTime())) {
+    return 'Invalid meetingDate';
+  }
+  return null;
+}
+
+/**
+ * Pick the transcription provider for an upload: the one it asks for, else the organization's default
+ * @param {Object} req - Express request (for the uploader's organization)
+ * @param {Object} metadata - Upload metadata with an optional transcriptionProvider
+ * @returns {Promise<Object>} { provider } or { error }
+ */
+function resolveTranscriptionProvider(req, metadata) {
+  return transcriptionService.resolveProvider(metadata?.transcriptionProvider || null, req.user.organization);
+}
+
+/**
+ * Remove multer's temporary copy of an upload
+ * @param {Object} file - multer file
+ */
+function removeTempFile(file) {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+}
+
+/**
+ * Store an uploaded file, create its transcript and queue transcription
+ * @param {Object} req - Express request (for tenant scoping and the uploader)
+ * @param {Object} file - multer file
+ * @param {Object} metadata - { hcpName, hcpSpecialty, meetingDate, attendees, transcriptionProvider }
+ * @returns {Promise<Object>} { transcript, job } or { existing } for duplicates
+ */
+async function createTranscriptFromUpload(req, file, metadata) {
+  const { hcpName, hcpSpecialty, meetingDate, attendees, transcriptionProvider } = metadata;
+
+  // Check for duplicate transcript (more comprehensive)
+  const existing = await Transcript.findOne(scopeToOrganization(req, {
+    $or: [
+      {
+        originalFileName: file.originalname,
+        meetingDate: new Date(meetingDate),
+        hcpName: hcpName,
+        hcpSpecialty: hcpSpecialty
+      },
+      {
+        // Also check for same file name uploaded recently (within last 2 minutes)
+        originalFileName: file.originalname,
+        createdAt: { $gte: new Date(Date.now() - 2 * 60 * 1000) }
+      }
+    ]
+  }));
+
+  if (existing) {
+    removeTempFile(file);
+    return { existing };
+  }
+
+  // Upload file to storage
+  const fileResult = await fileService.uploadFile(
+    file.path,
+    file.originalname,
+    'uploads',
+    req
+  );
+
+  if (!fileResult.success) {
+    throw new Error(`File upload failed: ${fileResult.error}`);
+  }
+
+  // Determine file type
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+  const fileType = ['.mp3', '.wav', '.m4a'].includes(fileExtension) ? 'audio' : 'video';
+
+  // Create transcript record
+  const transcript = new Transcript({
+    originalFileName: file.originalname,
+    fileUrl: fileResult.url,
+    fileKey: fileResult.key,
+    fileSize: file.size,
+    fileType: fileType,
+    mimeType: file.mimetype,
+    meetingDate: new Date(meetingDate),
+    hcpName: hcpName,
+    hcpSpecialty: hcpSpecialty,
+    attendees: Array.isArray(attendees) ? attendees : [],
+    transcriptionProvider: transcriptionProvider || null,
+    meetingDuration: 0,
+    createdBy: req.user._id.toString(),
+    organization: req.user.organization,
+    transcriptionStatus: 'pending',
+    processingStage: 'queued',
+    // Held from CRM sync until the compliance check queued after transcription has run
+    compliance: { status: 'pending' }
+  });
+
+  await transcript.save();
+
+  // Transcription and analysis run on the background worker
+  const job = await jobQueue.enqueue('transcription', {
+    transcriptId: transcript._id.toString(),
+    fileKey: fileResult.key
+  }, {
+    organization: transcript.organization,
+    createdBy: transcript.createdBy,
+    transcriptId: transcript._id
+  });
+
+  return { transcript, job };
+}
+
 /**
  * POST /api/upload
  * Upload audio/video file and start processing
  */
-router.post('/', uploadMiddleware, async (req, res) => {
+router.post('/', requirePermission('canUpload'), requireAIBudget({ queued: true }), uploadMiddleware, async (req, res) => {
   try {
     console.log('📤 File upload request received');
     
@@ -87,30 +259,27 @@ router.post('/', uploadMiddleware, async (req, res) => {
     }
 
     // Validate required fields
-    const { hcpName, hcpSpecialty, meetingDate } = req.body;
-    
-    if (!hcpName || !hcpSpecialty || !meetingDate) {
+    const validationError = validateUploadMetadata(req.body);
+    if (validationError) {
+      removeTempFile(req.file);
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: hcpName, hcpSpecialty, meetingDate'
-      });
-    }
-
-    // Check for duplicate transcript (more comprehensive)
-    const existing = await Transcript.findOne({
-      $or: [
-        {
-          originalFileName: req.file.originalname,
-          meetingDate: new Date(meetingDate),
-          hcpName: hcpName,
-          hcpSpecialty: hcpSpecialty
-        },
-        {
-          // Also check for same file name uploaded recently (within last 2 minutes)
-          originalFileName: req.file.originalname,
-          createdAt: { $gte: new Date(Date.now() - 2 * 60 * 1000) }
-        }
-      ]
+        error: validationError
+      });
+    }
+
+    const { provider, error: providerError } = await resolveTranscriptionProvider(req, req.body);
+    if (providerError) {
+      removeTempFile(req.file);
+      return res.status(400).json({
+        success: false,
+        error: providerError
+      });
+    }
+
+    const { transcript, job, existing } = await createTranscriptFromUpload(req, req.file, {
+      ...req.body,
+      transcriptionProvider: provider
     });
     
     if (existing) {
@@ -122,52 +291,13 @@ router.post('/', uploadMiddleware, async (req, res) => {
       });
     }
 
-    // Upload file to storage
-    const fileResult = await fileService.uploadFile(
-      req.file.path,
-      req.file.originalname,
-      'uploads',
-      req
-    );
-
-    if (!fileResult.success) {
-      throw new Error(`File upload failed: ${fileResult.error}`);
-    }
-
-    // Determine file type
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
-    const fileType = ['mp3', 'wav', 'm4a'].includes(fileExtension) ? 'audio' : 'video';
-
-    // Create transcript record
-    const transcript = new Transcript({
-      originalFileName: req.file.originalname,
-      fileUrl: fileResult.url,
-      fileKey: fileResult.key,
-      fileSize: req.file.size,
-      fileType: fileType,
-      mimeType: req.file.mimetype,
-      meetingDate: new Date(meetingDate),
-      hcpName: hcpName,
-      hcpSpecialty: hcpSpecialty,
-      meetingDuration: 0,
-      createdBy: req.body.createdBy || 'system',
-      organization: req.body.organization || 'DocNexus.ai',
-      transcriptionStatus: 'pending'
-    });
-
-    await transcript.save();
-
-    // Start transcription process asynchronously (don't await to avoid blocking response)
-    setImmediate(() => {
-      processTranscription(transcript._id, fileResult.key);
-    });
-
     console.log('✅ File upload completed successfully');
     
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
       transcriptId: transcript._id,
+      jobId: job._id,
       status: 'processing'
     });
 
@@ -175,10 +305,114 @@ router.post('/', uploadMiddleware, async (req, res) => {
     console.error('❌ File upload failed:', error);
     
     // Clean up uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    removeTempFile(req.file);
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/upload/batch
+ * Upload several files in "files" with per-file meeting details in "metadata",
+ * a JSON array in the same order: [{ hcpName, hcpSpecialty, meetingDate, attendees, transcriptionProvider }]
+ */
+router.post('/batch', requirePermission('canUpload'), requireAIBudget({ queued: true }), batchUploadMiddleware, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    console.log(`📤 Batch upload request received (${files.length} files)`);
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    let metadata;
+    try {
+      metadata = typeof req.body.metadata === 'string' ? JSON.parse(req.body.metadata) : req.body.metadata;
+    } catch (parseError) {
+      metadata = null;
+    }
+
+    if (!Array.isArray(metadata) || metadata.length !== files.length) {
+      files.forEach(removeTempFile);
+      return res.status(400).json({
+        success: false,
+        error: 'metadata must be a JSON array with one entry per file'
+      });
     }
 
+    const results = [];
+    const errors = [];
+
+    // Files are processed one at a time so a failure only affects its own entry
+    for (let index = 0; index < files.length; index++) {
+      const file = files[index];
+      const entry = metadata[index] || {};
+
+      try {
+        const validationError = validateUploadMetadata(entry);
+        if (validationError) {
+          removeTempFile(file);
+          errors.push({ index, fileName: file.originalname, error: validationError });
+          continue;
+        }
+
+        const { provider, error: providerError } = await resolveTranscriptionProvider(req, entry);
+        if (providerError) {
+          removeTempFile(file);
+          errors.push({ index, fileName: file.originalname, error: providerError });
+          continue;
+        }
+
+        const { transcript, job, existing } = await createTranscriptFromUpload(req, file, {
+          ...entry,
+          transcriptionProvider: provider
+        });
+
+        results.push(existing ? {
+          index,
+          fileName: file.originalname,
+          transcriptId: existing._id,
+          status: existing.transcriptionStatus,
+          duplicate: true
+        } : {
+          index,
+          fileName: file.originalname,
+          transcriptId: transcript._id,
+          jobId: job._id,
+          status: 'processing',
+          duplicate: false
+        });
+      } catch (error) {
+        console.error(`❌ Batch upload failed for ${file.originalname}:`, error);
+        removeTempFile(file);
+        errors.push({ index, fileName: file.originalname, error: error.message });
+      }
+    }
+
+    console.log(`✅ Batch upload completed: ${results.length} accepted, ${errors.length} failed`);
+
+    res.status(results.length > 0 ? 201 : 400).json({
+      success: results.length > 0,
+      results: results,
+      errors: errors,
+      summary: {
+        total: files.length,
+        successful: results.length,
+        failed: errors.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Batch upload failed:', error);
+    files.forEach(removeTempFile);
+
     res.status(500).json({
       success: false,
       error: error.message
@@ -186,216 +420,563 @@ router.post('/', uploadMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Load an upload session started by the caller
+ * @param {Object} req - Express request with params.sessionId
+ * @returns {Promise<Object|null>} UploadSession
+ */
+async function findUploadSession(req) {
+  if (!mongoose.isValidObjectId(req.params.sessionId)) return null;
+  return UploadSession.findOne(scopeToOrganization(req, {
+    _id: req.params.sessionId,
+    createdBy: req.user._id.toString()
+  }));
+}
 
+/**
+ * Session status with chunks that are actually on disk
+ * @param {Object} session - UploadSession
+ * @returns {Object} Status for the client
+ */
+function sessionStatus(session) {
+  const status = session.toStatus();
+  if (session.status === 'active') {
+    const missing = new Set(uploadSessionService.getMissingChunks(session));
+    status.receivedChunks = status.receivedChunks.filter(index => !missing.has(index));
+  }
+  return status;
+}
 
 /**
- * Process transcription asynchronously
+ * POST /api/upload/sessions
+ * Start (or resume) a resumable chunked upload
+ * Body: { fileName, fileSize, mimeType, fingerprint, checksum, chunkSize,
+ *         metadata: { hcpName, hcpSpecialty, meetingDate, attendees, transcriptionProvider } }
  */
-async function processTranscription(transcriptId, fileKey) {
+router.post('/sessions', requirePermission('canUpload'), requireAIBudget({ queued: true }), async (req, res) => {
   try {
-    console.log(`🎤 Starting transcription for transcript: ${transcriptId}`);
-    
-    // Update status to processing
-    await Transcript.findByIdAndUpdate(transcriptId, {
-      transcriptionStatus: 'processing',
-      processingStartTime: new Date()
+    const { fileName, fileSize, mimeType, fingerprint, checksum, chunkSize, metadata } = req.body;
+    const size = parseInt(fileSize, 10);
+
+    if (!fileName || !size || size <= 0 || !fingerprint) {
+      return res.status(400).json({
+        success: false,
+        error: 'fileName, fileSize and fingerprint are required'
+      });
+    }
+
+    if (size > MAX_FILE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `File too large. Maximum size is ${formatFileSize(MAX_FILE_SIZE)}.`
+      });
+    }
+
+    if (!isAllowedFile(fileName, mimeType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type. Only audio and video files are allowed.'
+      });
+    }
+
+    const validationError = validateUploadMetadata(metadata);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { provider, error: providerError } = await resolveTranscriptionProvider(req, metadata);
+    if (providerError) {
+      return res.status(400).json({
+        success: false,
+        error: providerError
+      });
+    }
+
+    // The same user re-selecting the same file picks up where the last attempt stopped
+    const existing = await UploadSession.findOne(scopeToOrganization(req, {
+      createdBy: req.user._id.toString(),
+      fingerprint: String(fingerprint),
+      fileSize: size,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    }));
+
+    if (existing) {
+      console.log(`🔄 Resuming upload session ${existing._id} for ${fileName}`);
+      return res.json({
+        success: true,
+        resumed: true,
+        data: sessionStatus(existing)
+      });
+    }
+
+    const quotaError = await uploadSessionService.checkQuota(req.user.organization, req.user._id.toString(), size);
+    if (quotaError) {
+      return res.status(429).json({
+        success: false,
+        error: quotaError
+      });
+    }
+
+    const resolvedChunkSize = uploadSessionService.resolveChunkSize(chunkSize);
+    const session = await UploadSession.create({
+      organization: req.user.organization,
+      createdBy: req.user._id.toString(),
+      fileName: path.basename(String(fileName)),
+      fileSize: size,
+      mimeType: mimeType || 'application/octet-stream',
+      fingerprint: String(fingerprint),
+      checksum: checksum ? String(checksum).toLowerCase() : null,
+      chunkSize: resolvedChunkSize,
+      totalChunks: Math.ceil(size / resolvedChunkSize),
+      metadata: {
+        hcpName: metadata.hcpName,
+        hcpSpecialty: metadata.hcpSpecialty,
+        meetingDate: new Date(metadata.meetingDate),
+        transcriptionProvider: provider,
+        attendees: Array.isArray(metadata.attendees) ? metadata.attendees : []
+      },
+      expiresAt: uploadSessionService.nextExpiry()
     });
 
-    // Get file from storage
-    const fileResult = await fileService.getFile(fileKey);
-    if (!fileResult.success) {
-      throw new Error(`Failed to get file for transcription: ${fileResult.error}`);
+    console.log(`📤 Upload session ${session._id} started for ${fileName} (${session.totalChunks} chunks)`);
+
+    res.status(201).json({
+      success: true,
+      resumed: false,
+      data: sessionStatus(session)
+    });
+
+  } catch (error) {
+    console.error('❌ Start upload session failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/upload/sessions/:sessionId
+ * Get the chunks received so far for a resumable upload
+ */
+router.get('/sessions/:sessionId', requirePermission('canUpload'), async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
     }
 
-    // Save to temp file for OpenAI
-    const ext = path.extname(fileKey);
-    const tempFilePath = path.join(require('os').tmpdir(), `${transcriptId}${ext}`);
-    fs.writeFileSync(tempFilePath, fileResult.buffer);
+    res.json({
+      success: true,
+      data: sessionStatus(session)
+    });
 
-    // Transcribe audio
-    const transcriptionResult = await openaiService.transcribeAudio(tempFilePath);
+  } catch (error) {
+    console.error('❌ Get upload session failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/upload/sessions/:sessionId/chunks/:index
+ * Upload one chunk as a raw body with its SHA-256 (hex) in X-Chunk-Checksum
+ */
+router.put(
+  '/sessions/:sessionId/chunks/:index',
+  requirePermission('canUpload'),
+  express.raw({ type: () => true, limit: uploadSessionService.getMaxChunkSize() }),
+  async (req, res) => {
+    try {
+      const session = await findUploadSession(req);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload session not found'
+        });
+      }
+
+      if (session.status !== 'active') {
+        return res.status(409).json({
+          success: false,
+          error: `Upload session is ${session.status}`
+        });
+      }
+
+      if (uploadSessionService.isExpired(session)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Upload session has expired. Please upload the file again.'
+        });
+      }
+
+      const index = Number(req.params.index);
+      const result = await uploadSessionService.writeChunk(
+        session,
+        index,
+        Buffer.isBuffer(req.body) ? req.body : null,
+        req.get('X-Chunk-Checksum')
+      );
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          retry: Boolean(result.checksumMismatch)
+        });
+      }
+
+      res.json({
+        success: true,
+        index,
+        received: result.session.receivedChunks.length,
+        totalChunks: result.session.totalChunks
+      });
 
-    // Clean up temp file
-    if (fs.existsSync(tempFilePath)) {
-      fs.unlinkSync(tempFilePath);
+    } catch (error) {
+      console.error('❌ Upload chunk failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
     }
+  }
+);
 
-    if (!transcriptionResult.success) {
-      throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+/**
+ * POST /api/upload/sessions/:sessionId/complete
+ * Assemble the chunks, store the file and start processing
+ */
+router.post('/sessions/:sessionId/complete', requirePermission('canUpload'), async (req, res) => {
+  let session;
+
+  try {
+    session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
     }
 
-    // Update transcript with results
-    await Transcript.findByIdAndUpdate(transcriptId, {
-      rawTranscript: transcriptionResult.text,
-      transcriptionStatus: 'completed',
-      meetingDuration: transcriptionResult.duration || 0,
-      processingEndTime: new Date()
+    if (session.status === 'completed') {
+      return res.json({
+        success: true,
+        message: 'Upload already completed',
+        transcriptId: session.transcriptId,
+        status: 'processing'
+      });
+    }
+
+    if (session.status === 'active' && uploadSessionService.isExpired(session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload session has expired. Please upload the file again.'
+      });
+    }
+
+    const missingChunks = uploadSessionService.getMissingChunks(session);
+    if (missingChunks.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${missingChunks.length} chunk(s) have not been uploaded`,
+        missingChunks
+      });
+    }
+
+    // Only one completion request may assemble the file
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { status: 'completing' } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        error: `Upload session is ${session.status}`
+      });
+    }
+
+    const assembled = await uploadSessionService.assemble(claimed);
+
+    if (assembled.size !== claimed.fileSize || (claimed.checksum && assembled.checksum !== claimed.checksum)) {
+      await UploadSession.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'aborted', error: 'Assembled file does not match the expected size or checksum' } }
+      );
+      await uploadSessionService.removeSessionFiles(claimed._id);
+      return res.status(400).json({
+        success: false,
+        error: 'Assembled file does not match the expected size or checksum. Please upload the file again.'
+      });
+    }
+
+    const { transcript, job, existing } = await createTranscriptFromUpload(req, {
+      path: assembled.path,
+      originalname: claimed.fileName,
+      size: assembled.size,
+      mimetype: claimed.mimeType
+    }, claimed.metadata);
+
+    const transcriptId = existing ? existing._id : transcript._id;
+    await UploadSession.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'completed', transcriptId, receivedChunks: [] } }
+    );
+    await uploadSessionService.removeSessionFiles(claimed._id);
+
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'Transcript already exists',
+        transcriptId: existing._id,
+        status: existing.transcriptionStatus
+      });
+    }
+
+    console.log(`✅ Chunked upload ${claimed._id} completed as transcript ${transcript._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      transcriptId: transcript._id,
+      jobId: job._id,
+      status: 'processing'
     });
 
-    console.log(`✅ Transcription completed for transcript: ${transcriptId}`);
+  } catch (error) {
+    console.error('❌ Complete upload session failed:', error);
+
+    // Let the client retry completion; the chunks are still on disk
+    if (session) {
+      await UploadSession.updateOne(
+        { _id: session._id, status: 'completing' },
+        { $set: { status: 'active', error: error.message } }
+      ).catch(() => {});
+    }
 
-    // Start AI analysis
-    await processAIAnalysis(transcriptId);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/upload/sessions/:sessionId
+ * Abandon a resumable upload and delete its chunks
+ */
+router.delete('/sessions/:sessionId', requirePermission('canUpload'), async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload already completed; cancel the transcript instead'
+      });
+    }
+
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'aborted' } });
+    await uploadSessionService.removeSessionFiles(session._id);
+
+    console.log(`⛔ Upload session ${session._id} aborted`);
+
+    res.json({
+      success: true,
+      message: 'Upload session aborted'
+    });
 
   } catch (error) {
-    console.error(`❌ Transcription processing failed for ${transcriptId}:`, error);
-    await Transcript.findByIdAndUpdate(transcriptId, {
-      transcriptionStatus: 'failed',
-      processingEndTime: new Date()
+    console.error('❌ Abort upload session failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
-}
+});
 
 /**
- * Process AI analysis asynchronously
+ * GET /api/upload/status/:transcriptId
+ * Get the processing stage, progress and errors for an upload
  */
-async function processAIAnalysis(transcriptId) {
+router.get('/status/:transcriptId', async (req, res) => {
   try {
-    console.log(`🧠 Starting AI analysis for transcript: ${transcriptId}`);
-    
-    const transcript = await Transcript.findById(transcriptId);
+    const { transcriptId } = req.params;
+
+    if (!mongoose.isValidObjectId(transcriptId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transcript ID'
+      });
+    }
+
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }))
+      .select('originalFileName transcriptionStatus processingStage processingProgress processingErrors processingStartTime processingEndTime createdAt')
+      .lean();
+
     if (!transcript) {
-      throw new Error('Transcript not found');
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
     }
 
-    const transcriptText = transcript.rawTranscript;
+    const jobs = await Job.find({ transcriptId: transcript._id })
+      .select('type status attempts maxAttempts runAt lastError createdAt completedAt')
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .lean();
 
-    // Perform sentiment analysis
-    const sentimentResult = await openaiService.analyzeSentiment(transcriptText);
-    
-    if (!sentimentResult.success) {
-      throw new Error(`Sentiment analysis failed: ${sentimentResult.error}`);
+    const stage = transcript.processingStage || LEGACY_STAGES[transcript.transcriptionStatus] || 'queued';
+    const progress = transcript.processingProgress !== undefined
+      ? transcript.processingProgress
+      : (stage === 'completed' ? 100 : 0);
+
+    res.json({
+      success: true,
+      data: {
+        transcriptId: transcript._id,
+        fileName: transcript.originalFileName,
+        status: transcript.transcriptionStatus,
+        stage,
+        progress,
+        errors: (transcript.processingErrors || []).map(entry => ({
+          error: entry.error,
+          timestamp: entry.timestamp
+        })),
+        startedAt: transcript.processingStartTime,
+        completedAt: transcript.processingEndTime,
+        jobs: jobs.map(job => ({
+          id: job._id,
+          type: job.type,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          nextRunAt: job.status === 'queued' ? job.runAt : null,
+          lastError: job.lastError,
+          createdAt: job.createdAt,
+          completedAt: job.completedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get upload status failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/upload/:transcriptId
+ * Cancel an upload: stop queued/running work, delete the stored file and the transcript
+ * Only the uploader (or a user who can edit transcripts) can cancel, and only until the
+ * recording is transcribed; after that the transcript has to be deleted instead
+ */
+router.delete('/:transcriptId', requirePermission('canUpload'), audit('upload.cancel'), async (req, res) => {
+  try {
+    const { transcriptId } = req.params;
+
+    if (!mongoose.isValidObjectId(transcriptId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transcript ID'
+      });
     }
 
-    // Extract key insights
-    const insightsResult = await openaiService.extractKeyInsights(transcriptText);
-    
-    if (!insightsResult.success) {
-      throw new Error(`Insights extraction failed: ${insightsResult.error}`);
+    const transcript = await Transcript.findOne(scopeToOrganization(req, { _id: transcriptId }));
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found'
+      });
     }
 
-    // Normalize emotionalIndicators to always be an array of objects
-    console.log('🔍 Raw emotionalIndicators from OpenAI:', sentimentResult.emotionalIndicators);
-    console.log('🔍 Type of emotionalIndicators:', typeof sentimentResult.emotionalIndicators);
-    
-    let normalizedIndicators = [];
-    if (sentimentResult.emotionalIndicators) {
-      if (typeof sentimentResult.emotionalIndicators === 'string') {
-        console.log('🔍 emotionalIndicators is a string, attempting to parse...');
-        try {
-          // First try JSON.parse
-          normalizedIndicators = JSON.parse(sentimentResult.emotionalIndicators);
-          console.log('✅ JSON.parse successful:', normalizedIndicators);
-        } catch (e) {
-          console.log('❌ JSON.parse failed, trying eval...');
-          try {
-            // Try to eval as JS array if JSON.parse fails
-            normalizedIndicators = eval(sentimentResult.emotionalIndicators);
-            console.log('✅ eval successful:', normalizedIndicators);
-          } catch (e2) {
-            console.log('❌ eval also failed, setting to empty array');
-            normalizedIndicators = [];
-          }
-        }
-      } else if (Array.isArray(sentimentResult.emotionalIndicators)) {
-        console.log('✅ emotionalIndicators is already an array');
-        normalizedIndicators = sentimentResult.emotionalIndicators;
-      } else {
-        console.log('❌ emotionalIndicators is neither string nor array, setting to empty array');
-        normalizedIndicators = [];
-      }
-      
-      // Ensure array of objects with required fields
-      if (!Array.isArray(normalizedIndicators)) {
-        console.log('❌ normalizedIndicators is not an array after processing, setting to empty array');
-        normalizedIndicators = [];
-      } else {
-        console.log('🔍 Filtering normalizedIndicators for valid objects...');
-        normalizedIndicators = normalizedIndicators.filter(ind => {
-          const isValid = ind && typeof ind === 'object' &&
-                         typeof ind.indicator === 'string' &&
-                         typeof ind.type === 'string' &&
-                         typeof ind.context === 'string';
-          if (!isValid) {
-            console.log('❌ Invalid indicator object:', ind);
-          }
-          return isValid;
-        });
-        console.log('✅ Final normalizedIndicators:', normalizedIndicators);
-      }
-    } else {
-      console.log('❌ No emotionalIndicators found in sentimentResult');
+    if (transcript.createdBy !== req.user._id.toString() && !req.user.hasPermission('canEditTranscripts')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the uploader can cancel this upload'
+      });
     }
 
-    // Final safety check before saving
-    console.log('🔍 Final safety check before saving to database...');
-    console.log('🔍 normalizedIndicators type:', typeof normalizedIndicators);
-    console.log('🔍 normalizedIndicators isArray:', Array.isArray(normalizedIndicators));
-    console.log('🔍 normalizedIndicators value:', normalizedIndicators);
-    
-    // Ensure normalizedIndicators is always a valid array
-    if (!Array.isArray(normalizedIndicators)) {
-      console.log('❌ CRITICAL: normalizedIndicators is not an array, forcing to empty array');
-      normalizedIndicators = [];
+    // Deleted only while transcription hasn't finished, checked in the delete itself so a
+    // transcription completing meanwhile (and the screening it queues) is never thrown away
+    const deleted = await Transcript.findOneAndDelete(scopeToOrganization(req, {
+      _id: transcript._id,
+      transcriptionStatus: { $in: CANCELLABLE_STATUSES },
+      'adverseEvents.0': { $exists: false }
+    }));
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        error: 'The recording has already been transcribed; delete the transcript instead'
+      });
     }
-    
-    // Update transcript with AI analysis results
-    const updateData = {
-      sentimentAnalysis: {
-        overall: sentimentResult.overall || 'neutral',
-        score: sentimentResult.score || 0,
-        details: sentimentResult.details || { positive: 0, negative: 0, neutral: 0 },
-        explanations: sentimentResult.explanations || { positive: '', negative: '', neutral: '' },
-        emotionalIndicators: normalizedIndicators,
-        confidence: sentimentResult.confidence || 0,
-        sentimentTrends: Array.isArray(sentimentResult.sentimentTrends) ? sentimentResult.sentimentTrends : [],
-        contextFactors: sentimentResult.contextFactors || {
-          medicalConcerns: [],
-          businessOpportunities: [],
-          personalRapport: 'neutral',
-          professionalTone: 'formal'
-        }
-      },
-      keyInsights: Array.isArray(insightsResult.keyInsights) ? insightsResult.keyInsights : [],
-      actionItems: Array.isArray(insightsResult.actionItems) ? insightsResult.actionItems : []
-    };
-    
-    console.log('🔍 Final update data emotionalIndicators:', updateData.sentimentAnalysis.emotionalIndicators);
-    
-    try {
-      await Transcript.findByIdAndUpdate(transcriptId, updateData);
-      console.log('✅ Database update successful');
-    } catch (dbError) {
-      console.error('❌ Database update failed:', dbError);
-      console.error('❌ Error details:', {
-        message: dbError.message,
-        name: dbError.name,
-        code: dbError.code
-      });
-      
-      // Try to save with empty emotionalIndicators as fallback
-      try {
-        console.log('🔄 Attempting fallback save with empty emotionalIndicators...');
-        const fallbackData = {
-          ...updateData,
-          sentimentAnalysis: {
-            ...updateData.sentimentAnalysis,
-            emotionalIndicators: []
-          }
-        };
-        await Transcript.findByIdAndUpdate(transcriptId, fallbackData);
-        console.log('✅ Fallback save successful');
-      } catch (fallbackError) {
-        console.error('❌ Fallback save also failed:', fallbackError);
-        throw fallbackError;
+
+    // Running jobs notice the cancellation at their next heartbeat and stop
+    const cancelledJobs = await jobQueue.cancelForTranscript(transcript._id);
+
+    let fileDeleted = false;
+    if (transcript.fileKey) {
+      const deleteResult = await fileService.deleteFile(transcript.fileKey);
+      fileDeleted = deleteResult.success;
+      if (!deleteResult.success) {
+        console.error(`⚠️ Could not delete stored file ${transcript.fileKey}: ${deleteResult.error}`);
       }
     }
 
-    console.log(`✅ AI analysis completed for transcript: ${transcriptId}`);
+    await transcriptSegmentService.deleteForTranscript(transcript._id);
+
+    res.locals.audit = {
+      metadata: {
+        hcpName: transcript.hcpName,
+        originalFileName: transcript.originalFileName,
+        status: transcript.transcriptionStatus,
+        cancelledJobs,
+        fileDeleted
+      }
+    };
+
+    console.log(`⛔ Upload cancelled for transcript ${transcriptId} (${cancelledJobs} job(s) cancelled)`);
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled',
+      cancelledJobs,
+      fileDeleted
+    });
 
   } catch (error) {
-    console.error(`❌ AI analysis failed for ${transcriptId}:`, error);
+    console.error('❌ Cancel upload failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const AICacheEntry = require('../models/AICacheEntry');
+const usageService = require('../services/usageService');
+const { requireRole } = require('../middleware/authorize');
+const { scopeToOrganization } = require('../utils/tenant');
+
+const router = express.Router();
+
+// AI spend and budgets are managed by administrators
+router.use(requireRole('admin'));
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|undefined}
+ */
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * GET /api/usage/summary
+ * AI usage totals and breakdowns by task, model, user, transcript and day, with the budget status
+ * Query: from, to (default: the current calendar month)
+ */
+router.get('/summary', async (req, res) => {
+  try {
+    const organization = req.user.organization;
+    const [summary, budget, cache] = await Promise.all([
+      usageService.summarize(organization, { from: parseDate(req.query.from), to: parseDate(req.query.to) }),
+      usageService.getBudgetStatus(organization),
+      AICacheEntry.aggregate([
+        { $match: { organization, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: null, entries: { $sum: 1 }, hits: { $sum: '$hits' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        budget,
+        cache: { entries: cache[0]?.entries || 0, hits: cache[0]?.hits || 0 }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get AI usage summary failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/usage/ledger
+ * Individual AI calls, newest first
+ * Query: task, user, transcriptId, cached, success, from, to, page, limit
+ */
+router.get('/ledger', async (req, res) => {
+  try {
+    const { task, user, transcriptId, cached, success } = req.query;
+    const filter = scopeToOrganization(req, {});
+
+    if (task) filter.task = { $in: String(task).split(',') };
+    if (user) filter.user = mongoose.isValidObjectId(user) ? user : null;
+    if (transcriptId) filter.transcriptId = mongoose.isValidObjectId(transcriptId) ? transcriptId : null;
+    if (cached === 'true' || cached === 'false') filter.cached = cached === 'true';
+    if (success === 'true' || success === 'false') filter.success = success === 'true';
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lt = to;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const [entries, total] = await Promise.all([
+      AIUsage.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'firstName lastName email')
+        .lean(),
+      AIUsage.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get AI usage ledger failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/usage/cache
+ * Clear the organization's cached AI responses so the next analysis calls the model again
+ * Query: task to clear only one task's responses
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const filter = scopeToOrganization(req, {});
+    if (req.query.task) filter.task = String(req.query.task);
+
+    const result = await AICacheEntry.deleteMany(filter);
+    console.log(`🧹 ${req.user.email} cleared ${result.deletedCount} cached AI response(s)`);
+
+    res.json({
+      success: true,
+      message: `Cleared ${result.deletedCount} cached response(s)`,
+      deleted: result.deletedCount
+    });
+  } catch (error) {
+    console.error('❌ Clear AI cache failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,384 @@
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const emailService = require('../services/emailService');
+const { requirePermission } = require('../middleware/authorize');
+const { scopeToOrganization, escapeRegex } = require('../utils/tenant');
+
+const router = express.Router();
+
+const ROLES = ['admin', 'manager', 'analyst', 'viewer'];
+const PERMISSION_FLAGS = User.getRolePermissions('admin');
+
+// Every route here manages colleagues in the caller's organization
+router.use(requirePermission('canManageUsers'));
+
+/**
+ * Pick valid permission flags from a request body
+ * Flags the actor doesn't hold are dropped, so nobody can hand out more than they have
+ * @param {Object} actor - Authenticated user
+ * @param {Object} permissions - Requested flags
+ * @returns {Object} Boolean flags keyed by permission name
+ */
+function sanitizePermissions(actor, permissions = {}) {
+  return PERMISSION_FLAGS.reduce((acc, permission) => {
+    if (typeof permissions[permission] === 'boolean' && actor.hasPermission(permission)) {
+      acc[permission] = permissions[permission];
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Only admins may create, edit or remove admins
+ * @param {Object} actor - Authenticated user
+ * @param {string} role - Role being assigned or the target's current role
+ * @returns {boolean} Whether the actor may act on that role
+ */
+function canAssignRole(actor, role) {
+  return role !== 'admin' || actor.role === 'admin';
+}
+
+/**
+ * Create a new invitation for a user and email the link
+ * The link is only returned when it could not be emailed, so the inviter can share it;
+ * otherwise the only copy of the credential is the one in the invitee's inbox.
+ * @param {Object} user - User document (saved by the caller)
+ * @param {Object} invitedBy - Authenticated user
+ * @returns {Promise<Object>} { inviteUrl (when not emailed), invitationExpiresAt, emailSent }
+ */
+async function issueInvitation(user, invitedBy) {
+  const { token, tokenHash, expiresAt } = authService.generateInvitationToken();
+  user.invitation = {
+    tokenHash,
+    expiresAt,
+    invitedBy: invitedBy._id,
+    invitedAt: new Date()
+  };
+  await user.save();
+
+  const inviteUrl = authService.buildInvitationUrl(token);
+  const emailResult = await emailService.sendInvitation({ user, invitedBy, inviteUrl });
+
+  return {
+    ...(!emailResult.delivered && { inviteUrl }),
+    invitationExpiresAt: expiresAt,
+    emailSent: emailResult.delivered
+  };
+}
+
+/**
+ * GET /api/users
+ * List users in the caller's organization
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { role, status, search } = req.query;
+
+    const filter = scopeToOrganization(req);
+    if (role) filter.role = role;
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+    if (status === 'invited') filter['invitation.tokenHash'] = { $exists: true };
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(filter).sort({ lastName: 1, firstName: 1 });
+
+    res.json({
+      success: true,
+      data: users
+    });
+
+  } catch (error) {
+    console.error('❌ List users failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/users/:id
+ * Get a single user
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findOne(scopeToOrganization(req, { _id: req.params.id }));
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('❌ Get user failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/users/invitations
+ * Invite a colleague; they choose a password from the emailed link
+ */
+router.post('/invitations', async (req, res) => {
+  try {
+    const { email, firstName, lastName, role = 'analyst', department, permissions } = req.body;
+
+    if (!email || !firstName || !lastName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: email, firstName, lastName'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!canAssignRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can invite admins'
+      });
+    }
+
+    const existing = await User.findByEmail(email);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const user = new User({
+      firstName,
+      lastName,
+      email,
+      // Placeholder until the invitation is accepted; never disclosed
+      password: crypto.randomBytes(32).toString('hex'),
+      organization: req.user.organization,
+      role,
+      department: department || '',
+      isEmailVerified: false
+    });
+    // Flags default on for new users too, so the ones the inviter lacks are switched off
+    PERMISSION_FLAGS.forEach(permission => {
+      if (!req.user.hasPermission(permission)) user.permissions[permission] = false;
+    });
+    Object.entries(sanitizePermissions(req.user, permissions)).forEach(([permission, value]) => {
+      user.permissions[permission] = value;
+    });
+
+    const invitation = await issueInvitation(user, req.user);
+
+    console.log(`✅ ${req.user.email} invited ${user.email} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: invitation.emailSent ? 'Invitation sent' : 'Invitation created - share the link with your colleague',
+      data: user,
+      ...invitation
+    });
+
+  } catch (error) {
+    console.error('❌ Invite user failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/users/:id/invitation
+ * Re-issue an invitation link (the previous link stops working)
+ */
+router.post('/:id/invitation', async (req, res) => {
+  try {
+    const user = await User.findOne(scopeToOrganization(req, { _id: req.params.id }));
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.isInvitationPending()) {
+      return res.status(400).json({
+        success: false,
+        error: 'User has already accepted their invitation'
+      });
+    }
+
+    if (!canAssignRole(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can manage admins'
+      });
+    }
+
+    const invitation = await issueInvitation(user, req.user);
+
+    console.log(`✅ ${req.user.email} re-sent invitation to ${user.email}`);
+
+    res.json({
+      success: true,
+      message: invitation.emailSent ? 'Invitation sent' : 'Invitation created - share the link with your colleague',
+      data: user,
+      ...invitation
+    });
+
+  } catch (error) {
+    console.error('❌ Resend invitation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Update a user's profile, role, active status or permissions
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { firstName, lastName, department, role, isActive, permissions } = req.body;
+    const user = await User.findOne(scopeToOrganization(req, { _id: req.params.id }));
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!canAssignRole(req.user, user.role) || (role && !canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can manage admins'
+      });
+    }
+
+    const isSelf = user._id.equals(req.user._id);
+    if (isSelf && ((role && role !== user.role) || isActive === false || permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role, status or permissions'
+      });
+    }
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      user.role = role;
+    }
+
+    if (firstName !== undefined) user.firstName = firstName;
+    if (lastName !== undefined) user.lastName = lastName;
+    if (department !== undefined) user.department = department;
+
+    if (permissions) {
+      Object.entries(sanitizePermissions(req.user, permissions)).forEach(([permission, value]) => {
+        user.permissions[permission] = value;
+      });
+    }
+
+    if (typeof isActive === 'boolean' && isActive !== user.isActive) {
+      user.isActive = isActive;
+      if (!isActive) {
+        // Revoke outstanding refresh tokens so the session ends promptly
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+      }
+    }
+
+    await user.save();
+
+    console.log(`✅ ${req.user.email} updated user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('❌ Update user failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Remove a user from the organization
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await User.findOne(scopeToOrganization(req, { _id: req.params.id }));
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    if (!canAssignRole(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can manage admins'
+      });
+    }
+
+    await User.deleteOne({ _id: user._id });
+
+    console.log(`✅ ${req.user.email} deleted user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete user failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
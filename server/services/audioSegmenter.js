@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+require('dotenv').config();
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Speech-only encoding used before splitting: ~0.5MB per minute
+const TRANSCODE_BITRATE_KBPS = 64;
+// 16kHz mono 16-bit PCM, the input local Whisper engines expect
+const WAV_BITRATE_KBPS = 256;
+
+/**
+ * Parse an ffmpeg timestamp ("01:02:03.45") into seconds
+ * @param {string} value - Timestamp
+ * @returns {number|null} Seconds, or null when unknown
+ */
+const parseTimestamp = (value) => {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+};
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const midpoint = (item) => ((item.start || 0) + (item.end || item.start || 0)) / 2;
+
+/**
+ * Run an ffmpeg command, killing it if the signal aborts
+ * @param {Object} command - fluent-ffmpeg command with its output set
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} { duration } from the input's codec data, when reported
+ */
+const runFfmpeg = (command, signal) => new Promise((resolve, reject) => {
+  let duration = null;
+  const onAbort = () => command.kill('SIGKILL');
+
+  if (signal?.aborted) {
+    reject(signal.reason || new Error('Aborted'));
+    return;
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  command
+    .on('codecData', data => {
+      duration = parseTimestamp(data.duration);
+    })
+    .on('end', () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve({ duration });
+    })
+    .on('error', error => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(signal?.aborted ? (signal.reason || error) : error);
+    })
+    .run();
+});
+
+/**
+ * Splits long recordings into overlapping pieces small enough for a transcription
+ * provider's upload limit and stitches the per-piece transcriptions back into a
+ * single timeline
+ */
+class AudioSegmenter {
+  constructor() {
+    this.segmentSeconds = parseInt(process.env.TRANSCRIPTION_SEGMENT_SECONDS, 10) || 600;
+    this.overlapSeconds = parseFloat(process.env.TRANSCRIPTION_SEGMENT_OVERLAP_SECONDS) || 5;
+  }
+
+  /**
+   * Create a scratch directory for one transcription
+   * @returns {Promise<string>} Directory path
+   */
+  async createWorkDir() {
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), 'docnexus-audio-'));
+  }
+
+  /**
+   * Remove a scratch directory and everything in it
+   * @param {string} workDir - Directory from createWorkDir
+   * @returns {Promise<void>}
+   */
+  async removeWorkDir(workDir) {
+    if (workDir) {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Re-encode any audio or video file as mono 16kHz speech audio
+   * @param {string} inputPath - Source file
+   * @param {string} workDir - Scratch directory
+   * @param {Object} options - { signal }, { format } 'mp3' (default, compact) or 'wav' (16-bit PCM)
+   * @returns {Promise<Object>} { path, duration, size }
+   */
+  async transcode(inputPath, workDir, options = {}) {
+    const wav = options.format === 'wav';
+    const outputPath = path.join(workDir, wav ? 'audio.wav' : 'audio.mp3');
+    const bitrate = wav ? WAV_BITRATE_KBPS : TRANSCODE_BITRATE_KBPS;
+    console.log(`🎬 Transcoding ${inputPath} to mono ${wav ? '16kHz WAV' : `${bitrate}kbps MP3`}`);
+
+    const command = ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(16000);
+
+    if (wav) {
+      command.audioCodec('pcm_s16le');
+    } else {
+      command.audioCodec('libmp3lame').audioBitrate(bitrate);
+    }
+    command.output(outputPath);
+
+    const { duration } = await runFfmpeg(command, options.signal);
+    const size = fs.statSync(outputPath).size;
+
+    return {
+      path: outputPath,
+      // Constant bitrate makes size a good fallback when ffmpeg doesn't report a duration
+      duration: duration || (size * 8) / (bitrate * 1000),
+      size
+    };
+  }
+
+  /**
+   * Plan overlapping windows covering the whole recording
+   * @param {number} duration - Recording length in seconds
+   * @returns {Object[]} [{ index, start, end }] in seconds
+   */
+  planSegments(duration) {
+    const length = Math.max(this.segmentSeconds, this.overlapSeconds * 4);
+    const step = length - this.overlapSeconds;
+    const windows = [];
+
+    for (let start = 0, index = 0; start < duration; start += step, index++) {
+      const end = Math.min(start + length, duration);
+      windows.push({ index, start, end });
+      if (end >= duration) break;
+    }
+
+    return windows;
+  }
+
+  /**
+   * Cut a transcoded recording into overlapping segment files
+   * @param {Object} audio - Result of transcode()
+   * @param {string} workDir - Scratch directory
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object[]>} [{ index, start, end, path }]
+   */
+  async split(audio, workDir, options = {}) {
+    const windows = this.planSegments(audio.duration);
+    console.log(`✂️ Splitting ${Math.round(audio.duration)}s of audio into ${windows.length} segment(s)`);
+
+    const ext = path.extname(audio.path);
+    const segments = [];
+    for (const window of windows) {
+      const segmentPath = path.join(workDir, `segment-${String(window.index).padStart(4, '0')}${ext}`);
+      const command = ffmpeg(audio.path)
+        .setStartTime(window.start)
+        .setDuration(window.end - window.start)
+        .audioCodec('copy')
+        .output(segmentPath);
+
+      await runFfmpeg(command, options.signal);
+      segments.push({ ...window, path: segmentPath });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Merge per-segment transcriptions into one result
+   * Timestamps are shifted onto the recording's timeline, and within each overlap only
+   * the items nearer the earlier segment's end are kept from that segment; the rest come
+   * from the next one. Where a neighbour failed, the surviving segment keeps the whole overlap.
+   * @param {Object[]} pieces - [{ index, start, end, result: { text, segments, words, language } }] in order;
+   *   result is null for segments that could not be transcribed
+   * @param {number} duration - Recording length in seconds
+   * @returns {Object} { text, segments, words, language, duration }
+   */
+  stitch(pieces, duration) {
+    const ordered = [...pieces].sort((a, b) => a.index - b.index);
+    const textParts = [];
+    const segments = [];
+    const words = [];
+    let language = null;
+
+    ordered.forEach((piece, position) => {
+      if (!piece.result) return;
+
+      const previous = ordered[position - 1];
+      const next = ordered[position + 1];
+      // Cut points sit in the middle of each overlap shared with a transcribed neighbour
+      const from = previous?.result ? (piece.start + previous.end) / 2 : -Infinity;
+      const to = next?.result ? (next.start + piece.end) / 2 : Infinity;
+      const inWindow = item => midpoint(item) >= from && midpoint(item) < to;
+      const rebase = item => ({
+        ...item,
+        start: (item.start || 0) + piece.start,
+        end: (item.end || item.start || 0) + piece.start
+      });
+
+      language = language || piece.result.language || null;
+
+      const pieceSegments = (piece.result.segments || []).map(rebase).filter(inWindow);
+      const pieceWords = (piece.result.words || []).map(rebase).filter(inWindow);
+
+      // The same sentence can straddle a cut point and land on both sides
+      const lastSegment = segments[segments.length - 1];
+      if (lastSegment && pieceSegments.length > 0 &&
+          normalizeText(lastSegment.text) === normalizeText(pieceSegments[0].text)) {
+        pieceSegments.shift();
+      }
+      const lastWord = words[words.length - 1];
+      if (lastWord && pieceWords.length > 0 &&
+          normalizeText(lastWord.word) === normalizeText(pieceWords[0].word) &&
+          pieceWords[0].start - lastWord.end < 0.5) {
+        pieceWords.shift();
+      }
+
+      segments.push(...pieceSegments);
+      words.push(...pieceWords);
+
+      if (pieceSegments.length > 0) {
+        textParts.push(...pieceSegments.map(segment => String(segment.text || '').trim()));
+      } else if (!(piece.result.segments || []).length && piece.result.text) {
+        // No timestamps to de-duplicate against; keep the text as returned
+        textParts.push(piece.result.text.trim());
+      }
+    });
+
+    return {
+      text: textParts.filter(Boolean).join(' '),
+      segments: segments.map((segment, id) => ({ ...segment, id })),
+      words,
+      language,
+      duration
+    };
+  }
+}
+
+module.exports = new AudioSegmenter();
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// Personal API tokens look like dnx_<prefix>_<secret>; only the prefix is stored in clear
+const API_TOKEN_PREFIX = 'dnx_';
+
+const INVITATION_EXPIRES_IN_DAYS = 7;
+
+// Signed-in devices remembered per user; the oldest is signed out when another signs in
+const MAX_REFRESH_SESSIONS = 10;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET is not set - authentication tokens cannot be issued');
+}
+
+class AuthService {
+  get accessSecret() {
+    return process.env.JWT_SECRET;
+  }
+
+  get refreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Generate a short-lived access token for a user
+   * @param {Object} user - User document
+   * @returns {string} Signed JWT
+   */
+  generateAccessToken(user) {
+    return jwt.sign(
+      {
+        sub: user._id.toString(),
+        email: user.email,
+        role: user.role,
+        organization: user.organization,
+        type: 'access'
+      },
+      this.accessSecret,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * Generate a long-lived refresh token for a user
+   * The token carries the user's tokenVersion so logout can revoke it, and the
+   * session it belongs to plus its own id (jti) so it can be used only once
+   * @param {Object} user - User document
+   * @param {string} sessionId - Signed-in session (device) the token belongs to
+   * @param {string} tokenId - Id of this token, recorded on the session
+   * @returns {string} Signed JWT
+   */
+  generateRefreshToken(user, sessionId, tokenId) {
+    return jwt.sign(
+      {
+        sub: user._id.toString(),
+        tokenVersion: user.tokenVersion || 0,
+        sid: sessionId,
+        type: 'refresh'
+      },
+      this.refreshSecret,
+      { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: tokenId }
+    );
+  }
+
+  /**
+   * Start a new signed-in session and generate its access/refresh token pair
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Token pair
+   */
+  async generateTokens(user) {
+    const sessionId = crypto.randomUUID();
+    const tokenId = crypto.randomUUID();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $push: { refreshSessions: { $each: [{ sessionId, tokenId }], $slice: -MAX_REFRESH_SESSIONS } } }
+    );
+
+    return {
+      accessToken: this.generateAccessToken(user),
+      refreshToken: this.generateRefreshToken(user, sessionId, tokenId),
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+  }
+
+  /**
+   * Exchange a verified refresh token for a new pair, invalidating the one presented
+   * @param {Object} user - User document the token belongs to
+   * @param {Object} payload - Verified refresh token payload
+   * @returns {Promise<Object|null>} Token pair, or null if the token was already used
+   */
+  async rotateRefreshToken(user, payload) {
+    if (!payload.sid || !payload.jti) return null;
+
+    const tokenId = crypto.randomUUID();
+    const result = await User.updateOne(
+      { _id: user._id, refreshSessions: { $elemMatch: { sessionId: payload.sid, tokenId: payload.jti } } },
+      { $set: { 'refreshSessions.$.tokenId': tokenId } }
+    );
+
+    if (result.modifiedCount === 0) return null;
+
+    return {
+      accessToken: this.generateAccessToken(user),
+      refreshToken: this.generateRefreshToken(user, payload.sid, tokenId),
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT
+   * @returns {Object} Decoded payload
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.accessSecret);
+    if (payload.type !== 'access') {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  }
+
+  /**
+   * Verify a refresh token
+   * @param {string} token - JWT
+   * @returns {Object} Decoded payload
+   */
+  verifyRefreshToken(token) {
+    const payload = jwt.verify(token, this.refreshSecret);
+    if (payload.type !== 'refresh') {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  }
+
+  /**
+   * Generate a new personal API token
+   * The plain token is only ever returned to the caller once
+   * @returns {Object} { token, prefix, tokenHash }
+   */
+  generateApiToken() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const token = `${API_TOKEN_PREFIX}${prefix}_${secret}`;
+    return {
+      token,
+      prefix,
+      tokenHash: this.hashApiToken(token)
+    };
+  }
+
+  /**
+   * Hash a personal API token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashApiToken(token) {
+    return sha256(token);
+  }
+
+  /**
+   * @param {string} token - Bearer token
+   * @returns {boolean} Whether the token is a personal API token rather than a JWT
+   */
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+  }
+
+  /**
+   * Generate a single-use invitation token
+   * @returns {Object} { token, tokenHash, expiresAt }
+   */
+  generateInvitationToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+      token,
+      tokenHash: this.hashInvitationToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Hash an invitation token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashInvitationToken(token) {
+    return sha256(token);
+  }
+
+  /**
+   * Build the client URL where an invitation is accepted
+   * @param {string} token - Plain invitation token
+   * @returns {string} Invitation URL
+   */
+  buildInvitationUrl(token) {
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${clientUrl}/accept-invite?token=${token}`;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,225 @@
+const ComplianceRule = require('../models/ComplianceRule');
+const jobQueue = require('./jobQueue');
+
+// Rules an organization starts with; they can be edited, disabled or added to
+const DEFAULT_RULES = [
+  {
+    name: 'Off-label promotion',
+    category: 'off-label',
+    description: 'Promoting a product for an indication, patient population, dose or route it is not approved for, or encouraging the HCP to use it that way. Answering an unsolicited question by referring it to medical information is allowed.',
+    patterns: ['\\boff[- ]label\\b', '\\bnot (yet )?approved for\\b'],
+    severity: 'high'
+  },
+  {
+    name: 'Unsubstantiated claims',
+    category: 'unsubstantiated-claim',
+    description: 'Efficacy or safety claims that go beyond the approved labelling or are not backed by evidence, such as calling a product a cure, risk-free or better than a competitor without head-to-head data.',
+    patterns: ['\\b(100% (safe|effective)|completely safe|no side effects|guaranteed? (to work|results))\\b'],
+    severity: 'high'
+  },
+  {
+    name: 'Gifts and inducements',
+    category: 'inducement',
+    description: 'Offering gifts, payments, meals, travel, speaker fees or other benefits to the HCP in return for prescribing, or linking any benefit to prescribing volume.',
+    patterns: ['\\bgift cards?\\b', '\\bkickbacks?\\b', '\\b(free|paid) (trip|vacation|holiday)s?\\b'],
+    severity: 'high'
+  },
+  {
+    name: 'Competitor disparagement',
+    category: 'competitor-disparagement',
+    description: 'Disparaging a competitor\'s products or company, or making unfair comparisons with them.',
+    patterns: [],
+    severity: 'medium'
+  }
+];
+
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+// Patterns only see this much of each line, which bounds the cost of any one match
+const MAX_MATCH_LINE_LENGTH = 2000;
+
+const normalizeQuote = (quote) => String(quote || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const findingKey = (finding) => `${finding.rule}:${normalizeQuote(finding.quote)}`;
+
+/**
+ * Promotional compliance screening of transcripts
+ *
+ * Each organization keeps a set of rules (models/ComplianceRule). A screening run
+ * (processingService.processComplianceCheck) matches the rules' patterns against the
+ * transcript and asks the model about the rules it checks; this service combines the
+ * two into findings, decides the transcript's compliance status and whether the
+ * meeting may be synced to the CRM.
+ */
+class ComplianceService {
+  /**
+   * An organization's rules, creating the default set the first time they are needed
+   * @param {string} organization - Organization name
+   * @param {Object} options - { enabledOnly }
+   * @returns {Promise<Object[]>} Rules, oldest first
+   */
+  async getRules(organization, { enabledOnly = false } = {}) {
+    if (!(await ComplianceRule.exists({ organization }))) {
+      await ComplianceRule.insertMany(DEFAULT_RULES.map(rule => ({ ...rule, organization })));
+      console.log(`📋 Created default compliance rules for ${organization}`);
+    }
+
+    return ComplianceRule.find({ organization, ...(enabledOnly && { enabled: true }) })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Prompt variables for the rules the model checks, which it refers to by short ids (R1, R2...)
+   * @param {Object[]} rules - Enabled rules
+   * @returns {Object} { variables: { rules, ruleIdOptions }, byId: { R1: rule } }
+   */
+  promptRules(rules) {
+    const checked = rules.filter(rule => rule.useLLM);
+    const byId = {};
+    const lines = checked.map((rule, index) => {
+      const id = `R${index + 1}`;
+      byId[id] = rule;
+      return `${id} [${rule.category}, ${rule.severity}] ${rule.name}${rule.description ? `: ${rule.description}` : ''}`;
+    });
+
+    return {
+      variables: { rules: lines, ruleIdOptions: Object.keys(byId).join('|') },
+      byId
+    };
+  }
+
+  /**
+   * Findings from the rules' patterns
+   * Each matching segment (or sentence, for transcripts without segments) is one finding per rule.
+   * @param {Object[]} rules - Enabled rules
+   * @param {Object} input - { text, segments } as processingService.buildAnalysisInput returns them
+   * @returns {Object[]} Findings with source 'rule'
+   */
+  matchRules(rules, { text = '', segments = [] }) {
+    const lines = segments.length > 0
+      ? segments.map(segment => ({ text: segment.text, segmentIndex: segment.index, speaker: segment.speaker || null }))
+      : (text.match(/[^.!?\n]+[.!?]*/g) || []).map(sentence => ({ text: sentence.trim(), segmentIndex: null, speaker: null }));
+
+    return rules.flatMap(rule => {
+      // Rules saved before patterns were checked may not compile, or may repeat dangerously
+      const patterns = (rule.patterns || []).flatMap(pattern => {
+        const error = ComplianceRule.patternError(pattern);
+        if (error) {
+          console.warn(`⚠️ Skipping pattern ${pattern} of compliance rule ${rule.name}: ${error}`);
+          return [];
+        }
+        return [new RegExp(pattern, 'i')];
+      });
+      if (patterns.length === 0) return [];
+
+      return lines
+        .map(line => ({
+          line,
+          pattern: patterns.find(regex => regex.test(String(line.text || '').slice(0, MAX_MATCH_LINE_LENGTH)))
+        }))
+        .filter(({ line, pattern }) => pattern && line.text)
+        .map(({ line, pattern }) => ({
+          rule: rule._id,
+          ruleName: rule.name,
+          category: rule.category,
+          severity: rule.severity,
+          source: 'rule',
+          quote: line.text,
+          explanation: `Matches the rule pattern ${pattern.source}`,
+          speaker: line.speaker,
+          confidence: 1,
+          segmentIndex: line.segmentIndex
+        }));
+    });
+  }
+
+  /**
+   * Findings from the model's response, dropping any that name a rule it wasn't given
+   * @param {Object[]} findings - Model findings with a ruleId
+   * @param {Object} byId - From promptRules
+   * @returns {Object[]} Findings with source 'model'
+   */
+  fromModel(findings, byId) {
+    return (findings || [])
+      .filter(finding => byId[finding.ruleId])
+      .map(({ ruleId, ...finding }) => ({
+        ...finding,
+        rule: byId[ruleId]._id,
+        ruleName: byId[ruleId].name,
+        category: byId[ruleId].category,
+        severity: finding.severity || byId[ruleId].severity,
+        source: 'model'
+      }));
+  }
+
+  /**
+   * Pattern and model findings in one list, without the same quote twice for a rule
+   * @param {Object[]} ruleFindings - From matchRules
+   * @param {Object[]} modelFindings - From fromModel
+   * @returns {Object[]}
+   */
+  mergeFindings(ruleFindings, modelFindings) {
+    const seen = new Set();
+    return [...ruleFindings, ...modelFindings].filter(finding => {
+      const key = findingKey(finding);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Compliance status after a screening run
+   * A reviewer's decision stands while re-screening finds nothing new, including after an
+   * edit put the transcript back to pending; any new finding sends it back for review.
+   * @param {Object[]} findings - Findings of the new run
+   * @param {Object[]} previous - Findings the transcript had before
+   * @param {Object} current - The transcript's compliance fields
+   * @returns {Object} { status, flagged, highestSeverity, keepReview }
+   */
+  statusFor(findings, previous = [], current = {}) {
+    if (findings.length === 0) {
+      return { status: 'clear', flagged: false, highestSeverity: null, keepReview: false };
+    }
+
+    const highestSeverity = findings
+      .map(finding => finding.severity)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(b) - SEVERITY_ORDER.indexOf(a))[0];
+
+    const reviewed = new Set(previous.map(findingKey));
+    const decision = current.review?.decision;
+    const decisionStands = current.status === decision || current.status === 'pending';
+    if (decision && decisionStands && findings.every(finding => reviewed.has(findingKey(finding)))) {
+      return { status: decision, flagged: true, highestSeverity, keepReview: true };
+    }
+
+    return { status: 'flagged', flagged: true, highestSeverity, keepReview: false };
+  }
+
+  /**
+   * Why a transcript can't be synced to the CRM yet
+   * Meetings with findings wait for a reviewer's approval, and new or edited meetings (pending)
+   * have to be screened first. Transcripts from before screening existed are not held back.
+   * @param {Object} transcript - Transcript document
+   * @returns {Promise<string|null>} The reason, or null when the transcript can be synced
+   */
+  async syncBlockReason(transcript) {
+    const status = transcript.compliance?.status || 'not_checked';
+
+    if (status === 'flagged') {
+      return 'This meeting has compliance findings that a reviewer has to approve before it can be synced to the CRM';
+    }
+    if (status === 'rejected') {
+      return 'A compliance reviewer rejected this meeting for CRM sync';
+    }
+    if (status === 'failed') {
+      return 'Compliance screening failed for this meeting; screen it again before syncing to the CRM';
+    }
+    if (status === 'pending' || await jobQueue.hasActiveJob(transcript._id, ['compliance'])) {
+      return 'Compliance screening has not finished for this meeting yet';
+    }
+    return null;
+  }
+}
+
+module.exports = new ComplianceService();
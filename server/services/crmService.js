@@ -1,31 +1,76 @@
 const jsforce = require('jsforce');
+const Organization = require('../models/Organization');
 
 class CRMService {
   constructor() {
-    this.salesforceConn = null;
+    // Salesforce connections keyed by organization name
+    this.salesforceConns = new Map();
   }
 
   /**
-   * Initialize Salesforce connection
+   * Resolve Salesforce credentials for an organization
+   * Only SALESFORCE_DEFAULT_ORGANIZATION may fall back to the SALESFORCE_* env vars,
+   * so one organization's transcripts never land in another's Salesforce org
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object|null>} Credentials and their source ('organization' or 'environment'), or null if not configured
+   */
+  async getSalesforceCredentials(organization) {
+    const org = organization ? await Organization.findOne({ name: organization }) : null;
+    const credentials = org ? org.getSalesforceCredentials() : null;
+
+    if (credentials && credentials.enabled && credentials.username) {
+      return { source: 'organization', ...credentials };
+    }
+
+    const defaultOrganization = process.env.SALESFORCE_DEFAULT_ORGANIZATION;
+    if (!defaultOrganization || organization !== defaultOrganization || !process.env.SALESFORCE_USERNAME) {
+      return null;
+    }
+
+    return {
+      source: 'environment',
+      loginUrl: process.env.SALESFORCE_LOGIN_URL || 'https://login.salesforce.com',
+      username: process.env.SALESFORCE_USERNAME,
+      password: process.env.SALESFORCE_PASSWORD,
+      securityToken: process.env.SALESFORCE_SECURITY_TOKEN,
+      clientId: process.env.SALESFORCE_CLIENT_ID,
+      clientSecret: process.env.SALESFORCE_CLIENT_SECRET
+    };
+  }
+
+  /**
+   * Initialize Salesforce connection for an organization
+   * @param {string} organization - Organization name
    * @returns {Promise<Object>} Connection result
    */
-  async initializeSalesforce() {
+  async initializeSalesforce(organization) {
     try {
-      console.log('🔗 Initializing Salesforce connection...');
-      this.salesforceConn = new jsforce.Connection({
-        loginUrl: process.env.SALESFORCE_LOGIN_URL || 'https://login.salesforce.com'
+      console.log(`🔗 Initializing Salesforce connection for ${organization || 'default'}...`);
+      const credentials = await this.getSalesforceCredentials(organization);
+      if (!credentials) {
+        return {
+          success: false,
+          notConfigured: true,
+          error: 'CRM not configured: add Salesforce credentials in the CRM settings'
+        };
+      }
+      const conn = new jsforce.Connection({
+        loginUrl: credentials.loginUrl || 'https://login.salesforce.com'
       });
-      await this.salesforceConn.login(
-        process.env.SALESFORCE_USERNAME,
-        process.env.SALESFORCE_PASSWORD + process.env.SALESFORCE_SECURITY_TOKEN
+      await conn.login(
+        credentials.username,
+        (credentials.password || '') + (credentials.securityToken || '')
       );
+      this.salesforceConns.set(organization, conn);
       console.log('✅ Salesforce connection established');
       return {
         success: true,
         message: 'Salesforce connection established',
-        instanceUrl: this.salesforceConn.instanceUrl
+        instanceUrl: conn.instanceUrl,
+        credentialSource: credentials.source
       };
     } catch (error) {
+      this.salesforceConns.delete(organization);
       console.error('❌ Salesforce connection failed:', error);
       return {
         success: false,
@@ -34,6 +79,56 @@ class CRMService {
     }
   }
 
+  /**
+   * Get the cached connection for an organization, logging in if needed
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object>} jsforce connection
+   */
+  async getSalesforceConnection(organization) {
+    if (!this.salesforceConns.has(organization)) {
+      const initResult = await this.initializeSalesforce(organization);
+      if (!initResult.success) {
+        throw new Error(initResult.notConfigured ? initResult.error : 'Failed to initialize Salesforce connection');
+      }
+    }
+    return this.salesforceConns.get(organization);
+  }
+
+  /**
+   * Drop the cached connection so updated credentials take effect
+   * @param {string} organization - Organization name
+   */
+  resetConnection(organization) {
+    this.salesforceConns.delete(organization);
+  }
+
+  /**
+   * Description for the Salesforce Task: meeting details, the analysis and the transcript
+   * @param {Object} transcriptData - Transcript and analysis data
+   * @returns {string}
+   */
+  formatTaskDescription(transcriptData) {
+    const list = (items, format) => (items?.length ? items.map(format).join('; ') : 'None');
+    const summary = transcriptData.insightsSummary;
+
+    return [
+      `HCP Name: ${transcriptData.hcpName}`,
+      `HCP Specialty: ${transcriptData.hcpSpecialty}`,
+      `Meeting Date: ${transcriptData.meetingDate}`,
+      '',
+      ...(summary?.executiveSummary ? [`Summary: ${summary.executiveSummary}`, ''] : []),
+      `Meeting Transcript: ${transcriptData.editedTranscript || transcriptData.rawTranscript}`,
+      '',
+      `Key Insights: ${list(transcriptData.keyInsights, insight => insight.insight)}`,
+      `Action Items: ${list(transcriptData.actionItems, item => item.item)}`,
+      `Follow-ups: ${list(transcriptData.followUpRecommendations, entry => `${entry.recommendation} (${entry.priority})`)}`,
+      `Risks: ${list(transcriptData.riskFactors, entry => `${entry.risk} (${entry.severity})`)}`,
+      `Opportunities: ${list(transcriptData.opportunities, entry => `${entry.opportunity} (${entry.potential})`)}`,
+      '',
+      `Transcript ID: ${transcriptData._id}`
+    ].join('\n');
+  }
+
   /**
    * Sync transcript data to Salesforce
    * @param {Object} transcriptData - Transcript and analysis data
@@ -52,17 +147,12 @@ class CRMService {
         hasActionItems: !!(transcriptData.actionItems && transcriptData.actionItems.length > 0)
       });
       
-      if (!this.salesforceConn) {
-        const initResult = await this.initializeSalesforce();
-        if (!initResult.success) {
-          throw new Error('Failed to initialize Salesforce connection');
-        }
-      }
+      const conn = await this.getSalesforceConnection(transcriptData.organization);
 
       // Create a Task record (standard Salesforce object) for the meeting
       const taskRecord = {
         Subject: `Meeting with ${transcriptData.hcpName}`,
-        Description: `HCP Name: ${transcriptData.hcpName}\nHCP Specialty: ${transcriptData.hcpSpecialty}\nMeeting Date: ${transcriptData.meetingDate}\n\nMeeting Transcript: ${transcriptData.editedTranscript || transcriptData.rawTranscript}\n\nKey Insights: ${transcriptData.keyInsights?.map(insight => insight.insight).join('; ') || 'None'}\nAction Items: ${transcriptData.actionItems?.map(item => item.item).join('; ') || 'None'}\n\nTranscript ID: ${transcriptData._id}`,
+        Description: this.formatTaskDescription(transcriptData),
         Status: 'Completed'
       };
       
@@ -74,7 +164,7 @@ class CRMService {
       // Try to insert the task
       let result;
       try {
-        result = await this.salesforceConn.sobject('Task').create(taskRecord);
+        result = await conn.sobject('Task').create(taskRecord);
       } catch (createError) {
         console.warn('❌ Full Task create failed, trying minimal fields:', createError.message);
         
@@ -84,7 +174,7 @@ class CRMService {
           Description: `Meeting Transcript: ${transcriptData.editedTranscript || transcriptData.rawTranscript}\n\nTranscript ID: ${transcriptData._id}`
         };
         
-        result = await this.salesforceConn.sobject('Task').create(minimalTaskRecord);
+        result = await conn.sobject('Task').create(minimalTaskRecord);
       }
       
       if (result.success) {
@@ -98,7 +188,7 @@ class CRMService {
         
         // Verify the record was actually created
         try {
-          const verification = await this.salesforceConn.sobject('Task').retrieve(result.id);
+          const verification = await conn.sobject('Task').retrieve(result.id);
           console.log('✅ Record verification successful:', {
             id: verification.Id,
             subject: verification.Subject,
@@ -133,6 +223,7 @@ class CRMService {
 
   /**
    * Sync to CRM (Salesforce only)
+   * Uses the Salesforce credentials of the transcript's organization
    * @param {Object} transcriptData - Transcript and analysis data
    * @returns {Promise<Object>} Sync result
    */
@@ -143,24 +234,20 @@ class CRMService {
   /**
    * Get HCP information from Salesforce
    * @param {string} hcpName - HCP name to search for
+   * @param {string} organization - Organization whose Salesforce org is searched
    * @returns {Promise<Object>} HCP data
    */
-  async getHCPFromSalesforce(hcpName) {
+  async getHCPFromSalesforce(hcpName, organization) {
     try {
       console.log(`🔍 Searching for HCP in Salesforce: ${hcpName}`);
-      if (!this.salesforceConn) {
-        const initResult = await this.initializeSalesforce();
-        if (!initResult.success) {
-          throw new Error('Failed to initialize Salesforce connection');
-        }
-      }
+      const conn = await this.getSalesforceConnection(organization);
       const query = `
         SELECT Id, Name, Specialty__c, Email__c, Phone__c, Organization__c
         FROM HCP__c
         WHERE Name LIKE '%${hcpName}%'
         LIMIT 1
       `;
-      const result = await this.salesforceConn.query(query);
+      const result = await conn.query(query);
       if (result.records.length > 0) {
         console.log('✅ HCP found in Salesforce');
         return {
@@ -186,13 +273,15 @@ class CRMService {
   /**
    * Get sync status for a transcript (Salesforce only)
    * @param {string} transcriptId - Transcript ID
+   * @param {string} organization - Organization that owns the transcript
    * @returns {Promise<Object>} Sync status
    */
-  async getSyncStatus(transcriptId) {
+  async getSyncStatus(transcriptId, organization) {
     try {
       console.log(`📊 Getting sync status for transcript: ${transcriptId}`);
       let status = { salesforce: { synced: false, recordId: null, lastSync: null } };
-      if (this.salesforceConn) {
+      const conn = this.salesforceConns.get(organization);
+      if (conn) {
         try {
           const query = `
             SELECT Id, LastModifiedDate
@@ -200,7 +289,7 @@ class CRMService {
             WHERE Description LIKE '%Transcript ID: ${transcriptId}%'
             LIMIT 1
           `;
-          const result = await this.salesforceConn.query(query);
+          const result = await conn.query(query);
           if (result.records.length > 0) {
             status.salesforce = {
               synced: true,
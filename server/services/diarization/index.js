@@ -0,0 +1,185 @@
+const OfflineDiarizer = require('./offlineDiarizer');
+const LLMDiarizer = require('./llmDiarizer');
+require('dotenv').config();
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/^(dr|mr|mrs|ms|prof)\.?\s+/, '').trim();
+
+/**
+ * Speaker diarization: labels transcript segments by speaker and maps the labels to
+ * the meeting's attendees.
+ *
+ * Diarizers are pluggable. A diarizer is any object with
+ *   name: string
+ *   diarize({ segments, context, signal, attribution }) -> { speakers: [{ label, name, role }], assignments: [{ index, speaker }] }
+ * Select one with DIARIZATION_PROVIDER, or add more with register().
+ */
+class DiarizationService {
+  constructor() {
+    this.providers = {
+      llm: () => new LLMDiarizer(),
+      // Earlier name of the llm diarizer, kept for existing DIARIZATION_PROVIDER settings
+      openai: () => new LLMDiarizer(),
+      offline: () => new OfflineDiarizer()
+    };
+    this.instances = {};
+  }
+
+  /**
+   * Whether transcription should be followed by a diarization stage
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.DIARIZATION_ENABLED !== 'false';
+  }
+
+  /**
+   * Add a diarizer
+   * @param {string} name - Provider name for DIARIZATION_PROVIDER
+   * @param {Function} factory - Returns the diarizer
+   */
+  register(name, factory) {
+    this.providers[name] = factory;
+    delete this.instances[name];
+  }
+
+  /**
+   * Get a diarizer by name, defaulting to DIARIZATION_PROVIDER
+   * @param {string} name - Provider name
+   * @returns {Object} Diarizer
+   */
+  getDiarizer(name = process.env.DIARIZATION_PROVIDER || 'llm') {
+    if (!this.providers[name]) {
+      throw new Error(`Unknown diarization provider: ${name}`);
+    }
+    if (!this.instances[name]) {
+      this.instances[name] = this.providers[name]();
+    }
+    return this.instances[name];
+  }
+
+  /**
+   * Label a transcript's segments by speaker
+   * Assignments for unknown segments are dropped; segments the diarizer skipped keep no speaker.
+   * @param {Object} transcript - Transcript (for hcpName, hcpSpecialty, attendees)
+   * @param {Object[]} segments - Segments in order
+   * @param {Object} options - { provider, signal, attribution }
+   * @returns {Promise<Object>} { provider, speakers, assignments }
+   */
+  async diarize(transcript, segments, options = {}) {
+    const diarizer = this.getDiarizer(options.provider);
+    const result = await diarizer.diarize({
+      segments: segments.map(({ index, start, end, text }) => ({ index, start, end, text })),
+      context: {
+        hcpName: transcript.hcpName,
+        hcpSpecialty: transcript.hcpSpecialty,
+        attendees: transcript.attendees || []
+      },
+      signal: options.signal,
+      attribution: options.attribution
+    });
+
+    const known = new Set(segments.map(segment => segment.index));
+    const assignments = (result.assignments || []).filter(assignment =>
+      known.has(assignment.index) && typeof assignment.speaker === 'string' && assignment.speaker);
+
+    return {
+      provider: diarizer.name,
+      speakers: this.buildSpeakers(transcript, result.speakers || [], assignments, segments),
+      assignments
+    };
+  }
+
+  /**
+   * Combine diarizer output with talk-time statistics and attendee matches
+   * A speaker is matched to an attendee when the diarizer suggested a name that matches
+   * one, and flagged as the HCP when its name matches hcpName or its role is "hcp".
+   * @returns {Object[]} Transcript.speakers entries
+   */
+  buildSpeakers(transcript, suggestions, assignments, segments) {
+    const segmentsByIndex = new Map(segments.map(segment => [segment.index, segment]));
+    const stats = {};
+
+    for (const assignment of assignments) {
+      const segment = segmentsByIndex.get(assignment.index);
+      const entry = stats[assignment.speaker] || (stats[assignment.speaker] = { segmentCount: 0, talkTime: 0 });
+      entry.segmentCount++;
+      entry.talkTime += Math.max(0, segment.end - segment.start);
+    }
+
+    const suggestionsByLabel = new Map(suggestions.map(suggestion => [suggestion.label, suggestion]));
+    const hcpName = normalizeName(transcript.hcpName);
+
+    return Object.keys(stats).sort().map(label => {
+      const suggestion = suggestionsByLabel.get(label) || {};
+      const suggestedName = normalizeName(suggestion.name);
+      const attendee = suggestedName
+        ? (transcript.attendees || []).find(candidate => normalizeName(candidate.name) === suggestedName)
+        : null;
+      const name = attendee ? attendee.name : suggestion.name || null;
+
+      return {
+        label,
+        attendeeId: attendee ? attendee._id : null,
+        name,
+        role: attendee ? attendee.role : suggestion.role || null,
+        isHcp: suggestion.role === 'hcp' || (!!hcpName && normalizeName(name) === hcpName),
+        segmentCount: stats[label].segmentCount,
+        talkTime: Math.round(stats[label].talkTime * 10) / 10
+      };
+    });
+  }
+
+  /**
+   * Apply a user's speaker-to-attendee mapping
+   * @param {Object} transcript - Transcript with speakers and attendees
+   * @param {Object[]} mappings - [{ label, attendeeId, name, role, isHcp }]
+   * @returns {Object} { speakers } or { error }
+   */
+  applyMapping(transcript, mappings) {
+    if (!Array.isArray(mappings)) {
+      return { error: 'speakers must be an array' };
+    }
+
+    const speakers = (transcript.speakers || []).map(speaker =>
+      (typeof speaker.toObject === 'function' ? speaker.toObject() : { ...speaker }));
+
+    for (const mapping of mappings) {
+      const speaker = speakers.find(candidate => candidate.label === mapping?.label);
+      if (!speaker) {
+        return { error: `Unknown speaker label: ${mapping?.label}` };
+      }
+
+      if (mapping.attendeeId) {
+        const attendee = (transcript.attendees || []).find(candidate =>
+          candidate._id && candidate._id.toString() === String(mapping.attendeeId));
+        if (!attendee) {
+          return { error: `Attendee ${mapping.attendeeId} is not on this transcript` };
+        }
+        speaker.attendeeId = attendee._id;
+        speaker.name = attendee.name;
+        speaker.role = attendee.role;
+      } else if (mapping.attendeeId === null) {
+        speaker.attendeeId = null;
+      }
+
+      if (mapping.name !== undefined && !mapping.attendeeId) speaker.name = mapping.name || null;
+      if (mapping.role !== undefined && !mapping.attendeeId) speaker.role = mapping.role || null;
+      if (mapping.isHcp !== undefined) speaker.isHcp = Boolean(mapping.isHcp);
+    }
+
+    return { speakers };
+  }
+
+  /**
+   * Name to show for a speaker label, e.g. "Dr. Smith (HCP)" or "SPEAKER_2"
+   * @param {Object} speaker - Transcript.speakers entry
+   * @returns {string}
+   */
+  displayName(speaker) {
+    const name = speaker.name || speaker.label;
+    if (speaker.isHcp) return `${name} (HCP)`;
+    return speaker.role ? `${name} (${speaker.role})` : name;
+  }
+}
+
+module.exports = new DiarizationService();
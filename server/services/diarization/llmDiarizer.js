@@ -0,0 +1,105 @@
+const llmService = require('../llm');
+
+const DEFAULT_BATCH_SIZE = 150;
+// Lines from the previous batch repeated so labels stay consistent across batches
+const CONTEXT_LINES = 10;
+
+/**
+ * Text-based diarizer: asks the chat model configured for the diarization task who is
+ * speaking on each transcript line, using turn-taking, forms of address and content.
+ * Works from the stored segments, so the recording itself is not needed.
+ */
+class LLMDiarizer {
+  constructor({ batchSize } = {}) {
+    this.name = 'llm';
+    this.batchSize = batchSize || parseInt(process.env.DIARIZATION_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE;
+  }
+
+  /**
+   * Label segments by speaker
+   * @param {Object} input - { segments, context: { hcpName, hcpSpecialty, attendees }, signal, attribution }
+   * @returns {Promise<Object>} { speakers: [{ label, name, role }], assignments: [{ index, speaker }] }
+   */
+  async diarize({ segments, context = {}, signal, attribution }) {
+    const speakers = new Map();
+    const assignments = [];
+
+    for (let i = 0; i < segments.length; i += this.batchSize) {
+      signal?.throwIfAborted();
+
+      const batch = segments.slice(i, i + this.batchSize);
+      const labelled = assignments.slice(-CONTEXT_LINES).map(assignment => ({
+        ...segments.find(segment => segment.index === assignment.index),
+        speaker: assignment.speaker
+      }));
+
+      const result = await this.labelBatch(batch, labelled, [...speakers.values()], context, { signal, attribution });
+      const batchIndexes = new Set(batch.map(segment => segment.index));
+
+      for (const speaker of result.speakers || []) {
+        if (!speaker || !speaker.label) continue;
+        const known = speakers.get(speaker.label) || { label: speaker.label, name: null, role: null };
+        speakers.set(speaker.label, {
+          label: speaker.label,
+          name: known.name || speaker.name || null,
+          role: known.role || speaker.role || null
+        });
+      }
+
+      for (const assignment of result.segments || []) {
+        const index = parseInt(assignment?.index, 10);
+        if (batchIndexes.has(index) && assignment.speaker) {
+          batchIndexes.delete(index);
+          assignments.push({ index, speaker: String(assignment.speaker) });
+          if (!speakers.has(assignment.speaker)) {
+            speakers.set(assignment.speaker, { label: String(assignment.speaker), name: null, role: null });
+          }
+        }
+      }
+    }
+
+    return { speakers: [...speakers.values()], assignments };
+  }
+
+  /**
+   * Ask the model to label one batch of lines
+   * @param {Object} options - { signal, attribution }
+   * @returns {Promise<Object>} { speakers, segments }
+   */
+  async labelBatch(batch, labelled, knownSpeakers, context, { signal, attribution } = {}) {
+    const attendees = (context.attendees || [])
+      .map(attendee => `- ${attendee.name}${attendee.role ? ` (${attendee.role})` : ''}`)
+      .join('\n');
+
+    const prompt = `
+      Identify who is speaking on each line of this healthcare meeting transcript.
+
+      The meeting is between a pharmaceutical field representative and ${context.hcpName || 'a healthcare professional'}${context.hcpSpecialty ? ` (${context.hcpSpecialty})` : ''}.
+      ${attendees ? `Known attendees:\n${attendees}\n` : ''}
+      ${knownSpeakers.length > 0 ? `Speakers identified so far (reuse these labels):\n${knownSpeakers.map(s => `- ${s.label}: ${s.name || 'unknown'} (${s.role || 'unknown'})`).join('\n')}\n` : ''}
+      ${labelled.length > 0 ? `Previous lines, already labelled:\n${labelled.map(line => `[${line.index}] ${line.speaker}: ${line.text}`).join('\n')}\n` : ''}
+      Lines to label:
+      ${batch.map(segment => `[${segment.index}] ${segment.text}`).join('\n')}
+
+      Use labels SPEAKER_1, SPEAKER_2, ... and keep them consistent. A line normally belongs to one speaker.
+      Give a name only when the transcript makes it clear, and a role of "hcp", "rep" or "other".
+
+      Respond in JSON format:
+      {
+        "speakers": [{ "label": "SPEAKER_1", "name": "string or null", "role": "hcp|rep|other" }],
+        "segments": [{ "index": 0, "speaker": "SPEAKER_1" }]
+      }
+    `;
+
+    const response = await llmService.completeJson('diarization', {
+      system: 'You are an expert at attributing dialogue in transcribed business meetings between pharmaceutical representatives and healthcare professionals. Respond only with JSON.',
+      prompt,
+      signal,
+      attribution
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = LLMDiarizer;
@@ -0,0 +1,48 @@
+const DEFAULT_TURN_GAP_SECONDS = 1.2;
+
+/**
+ * Deterministic turn-taking diarizer that needs no network access
+ * A new turn starts after a pause or after a question, and turns alternate between
+ * two speakers. It is only a rough approximation of a two-person conversation, but it
+ * is stable, which makes it suitable for tests and for deployments without an LLM.
+ */
+class OfflineDiarizer {
+  constructor({ turnGapSeconds } = {}) {
+    this.name = 'offline';
+    this.turnGapSeconds = turnGapSeconds ||
+      parseFloat(process.env.DIARIZATION_TURN_GAP_SECONDS) ||
+      DEFAULT_TURN_GAP_SECONDS;
+  }
+
+  /**
+   * Label segments by speaker
+   * @param {Object} input - { segments: [{ index, start, end, text }] }
+   * @returns {Promise<Object>} { speakers: [{ label, name, role }], assignments: [{ index, speaker }] }
+   */
+  async diarize({ segments }) {
+    const labels = ['SPEAKER_1', 'SPEAKER_2'];
+    const assignments = [];
+    let current = 0;
+    let previous = null;
+
+    for (const segment of segments) {
+      if (previous) {
+        const pause = segment.start - previous.end;
+        const askedQuestion = /\?\s*$/.test(previous.text || '');
+        if (pause >= this.turnGapSeconds || askedQuestion) {
+          current = (current + 1) % labels.length;
+        }
+      }
+      assignments.push({ index: segment.index, speaker: labels[current] });
+      previous = segment;
+    }
+
+    const used = new Set(assignments.map(assignment => assignment.speaker));
+    return {
+      speakers: labels.filter(label => used.has(label)).map(label => ({ label, name: null, role: null })),
+      assignments
+    };
+  }
+}
+
+module.exports = OfflineDiarizer;
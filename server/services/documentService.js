@@ -26,6 +26,58 @@ class DocumentService {
     };
   }
 
+  /**
+   * Colour for a high/medium/low rating
+   * @param {string} level - high, medium or low
+   * @param {boolean} highIsGood - true for ratings like an opportunity's potential
+   * @returns {string} Brand colour
+   */
+  levelColor(level, highIsGood = false) {
+    if (level === 'medium') return this.brandColors.warning;
+    const good = highIsGood ? level === 'high' : level !== 'high';
+    return good ? this.brandColors.success : this.brandColors.danger;
+  }
+
+  /**
+   * Rated items (risks, opportunities, follow-ups) from the insight extraction
+   * @param {Object} transcriptData - Transcript and analysis data
+   * @returns {Object[]} [{ title, rows: [{ text, detail, label, color }], emptyText }]
+   */
+  getRatedSections(transcriptData) {
+    return [
+      {
+        title: 'Follow-up Recommendations',
+        rows: (transcriptData.followUpRecommendations || []).map(entry => ({
+          text: entry.recommendation,
+          detail: entry.timeline,
+          label: `Priority: ${(entry.priority || 'medium').toUpperCase()}`,
+          color: this.levelColor(entry.priority)
+        })),
+        emptyText: 'No follow-up recommendations for this meeting.'
+      },
+      {
+        title: 'Risks',
+        rows: (transcriptData.riskFactors || []).map(entry => ({
+          text: entry.risk,
+          detail: entry.mitigation ? `Mitigation: ${entry.mitigation}` : '',
+          label: `Severity: ${(entry.severity || 'medium').toUpperCase()}`,
+          color: this.levelColor(entry.severity)
+        })),
+        emptyText: 'No risks identified for this meeting.'
+      },
+      {
+        title: 'Opportunities',
+        rows: (transcriptData.opportunities || []).map(entry => ({
+          text: entry.opportunity,
+          detail: entry.timeline,
+          label: `Potential: ${(entry.potential || 'medium').toUpperCase()}`,
+          color: this.levelColor(entry.potential, true)
+        })),
+        emptyText: 'No opportunities identified for this meeting.'
+      }
+    ];
+  }
+
   /**
    * Generate PowerPoint presentation
    * @param {Object} transcriptData - Transcript and analysis data
@@ -136,6 +188,31 @@ class DocumentService {
         fontFace: this.brandFonts.body
       });
       
+      // Summary slide, when the insight extraction produced one
+      const summary = transcriptData.insightsSummary;
+      if (summary?.executiveSummary) {
+        const summarySlide = pptx.addSlide();
+        summarySlide.addText('Summary', {
+          x: 0.5, y: 0.5, w: 9, h: 0.8,
+          fontSize: 20,
+          color: this.brandColors.primary,
+          bold: true
+        });
+        summarySlide.addText([
+          { text: summary.executiveSummary, options: { breakLine: true } },
+          ...(summary.keyTakeaway ? [{ text: `Key takeaway: ${summary.keyTakeaway}`, options: { bold: true, breakLine: true } }] : []),
+          ...(summary.nextSteps ? [{ text: `Next steps: ${summary.nextSteps}` }] : [])
+        ], {
+          x: 1, y: 1.3, w: 8, h: 4,
+          fontSize: 14,
+          color: this.brandColors.dark,
+          align: 'left',
+          valign: 'top',
+          paraSpaceAfter: 12,
+          fit: 'shrink'
+        });
+      }
+
       // Slide 3: Sentiment Analysis
       const sentimentSlide = pptx.addSlide();
       sentimentSlide.addText('Sentiment Analysis', {
@@ -248,8 +325,40 @@ class DocumentService {
         });
       }
       
-      // Slide 6: Transcript Highlights
-      // Removed Next Steps & Recommendations slide
+      // Follow-ups, risks and opportunities, styled like the action items
+      this.getRatedSections(transcriptData).forEach(section => {
+        const slide = pptx.addSlide();
+        slide.addText(section.title, {
+          x: 0.5, y: 0.5, w: 9, h: 0.8,
+          fontSize: 20,
+          color: this.brandColors.primary,
+          bold: true
+        });
+        const rows = section.rows.slice(0, 5);
+        if (rows.length > 0) {
+          slide.addTable(rows.map((row, idx) => [
+            { text: `${idx + 1}. ${row.text || ''}${row.detail ? `\n${row.detail}` : ''}`, options: { color: this.brandColors.dark, align: 'left', valign: 'middle', margin: [8, 8, 8, 8], fontSize: 12 } },
+            { text: row.label, options: { color: row.color, bold: true, align: 'right', valign: 'middle', margin: [8, 8, 8, 8], fontSize: 12 } }
+          ]), {
+            x: 1, y: 1.5, w: 7, h: 4,
+            colW: [5.2, 1.8],
+            border: { type: 'solid', color: 'D1D5DB' },
+            fontSize: 12,
+            valign: 'middle',
+            rowH: 0.9,
+            fill: '#FFFFFF',
+            fontFace: this.brandFonts.body
+          });
+        } else {
+          slide.addText(section.emptyText, {
+            x: 1.2, y: 1.8, w: 7, h: 0.6,
+            fontSize: 14,
+            color: this.brandColors.dark,
+            italic: true,
+            align: 'left'
+          });
+        }
+      });
       
       // Footer on all slides
       pptx.defineSlideMaster({
@@ -343,6 +452,21 @@ class DocumentService {
       doc.text(`Duration: ${transcriptData.meetingDuration ? Math.round(transcriptData.meetingDuration / 60) : 'Unknown'} minutes`);
       doc.text(`Attendees: ${transcriptData.attendees && transcriptData.attendees.length > 0 ? transcriptData.attendees.map(a => a.name).join(', ') : 'Unknown'}`);
       doc.moveDown(1);
+      // Section: Summary
+      const summary = transcriptData.insightsSummary;
+      if (summary?.executiveSummary) {
+        doc.fillColor(this.brandColors.primary).fontSize(14).font('Helvetica-Bold').text('Summary', { align: 'left', underline: false });
+        doc.moveDown(0.2);
+        doc.fontSize(11).font('Helvetica').fillColor(this.brandColors.dark);
+        doc.text(summary.executiveSummary);
+        if (summary.keyTakeaway) {
+          doc.font('Helvetica-Bold').text('Key takeaway: ', { continued: true }).font('Helvetica').text(summary.keyTakeaway);
+        }
+        if (summary.nextSteps) {
+          doc.font('Helvetica-Bold').text('Next steps: ', { continued: true }).font('Helvetica').text(summary.nextSteps);
+        }
+        doc.moveDown(1);
+      }
       // Section: Sentiment Analysis
       doc.fillColor(this.brandColors.primary).fontSize(14).font('Helvetica-Bold').text('Sentiment Analysis', { align: 'left', underline: false });
       doc.moveDown(0.2);
@@ -393,6 +517,24 @@ class DocumentService {
         doc.text('No action items identified for this meeting.');
       }
       doc.moveDown(1);
+      // Sections: Follow-up Recommendations, Risks, Opportunities
+      this.getRatedSections(transcriptData).forEach(section => {
+        doc.fillColor(this.brandColors.primary).fontSize(14).font('Helvetica-Bold').text(section.title, { align: 'left', underline: false });
+        doc.moveDown(0.2);
+        doc.fontSize(11).font('Helvetica').fillColor(this.brandColors.dark);
+        const rows = section.rows.slice(0, 8);
+        if (rows.length > 0) {
+          rows.forEach((row, index) => {
+            doc.text(`${index + 1}. ${row.text || ''}`);
+            if (row.detail) doc.text(`   ${row.detail}`);
+            doc.fillColor(row.color).font('Helvetica-Bold').text(`   ${row.label}`);
+            doc.fillColor(this.brandColors.dark).font('Helvetica');
+          });
+        } else {
+          doc.text(section.emptyText);
+        }
+        doc.moveDown(1);
+      });
       
       // Transcript Summary
       // (Removed Transcript Summary section)
@@ -454,6 +596,106 @@ class DocumentService {
     }
   }
 
+  /**
+   * Render an adverse event intake form (see safetyService.buildIntakeForm) as a PDF
+   * The file is returned rather than uploaded, so safety data is not kept with the meeting reports.
+   * @param {Object} form - Intake form
+   * @returns {Promise<Object>} { success, buffer, fileName } or { success: false, error }
+   */
+  async generateAdverseEventFormPDF(form) {
+    try {
+      console.log(`📄 Generating adverse event intake form ${form.reference}...`);
+
+      const doc = new PDFDocument({
+        size: 'A4',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+
+      const formatDate = (value) => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'Not recorded';
+      const heading = (text) => {
+        doc.moveDown(0.8);
+        doc.fillColor(this.brandColors.primary).fontSize(13).font('Helvetica-Bold').text(text);
+        doc.moveDown(0.2);
+        doc.fontSize(10).font('Helvetica').fillColor(this.brandColors.dark);
+      };
+      const field = (label, value) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value || '—');
+      };
+
+      doc.rect(0, 0, doc.page.width, 40).fill(this.brandColors.danger);
+      doc.fillColor('white').fontSize(18).font('Helvetica-Bold').text('Adverse Event Intake Form', 50, 12);
+      doc.moveDown(1.5);
+
+      doc.fillColor(this.brandColors.dark).fontSize(10).font('Helvetica');
+      field('Reference', form.reference);
+      field('Organization', form.organization);
+      field('Safety status', form.safetyStatus);
+      field('Generated', formatDate(form.generatedAt));
+      if (form.exportedBy) field('Exported by', form.exportedBy.email);
+
+      heading('Awareness');
+      field('First detected', formatDate(form.awareness.detectedAt));
+      field('Report due by', formatDate(form.awareness.reportDueBy));
+      field('Reviewers notified', form.awareness.reviewersNotified.join(', ') || 'None');
+
+      heading('Source');
+      field('Source type', 'Field interaction recording');
+      field('Meeting date', form.source.meetingDate ? new Date(form.source.meetingDate).toISOString().slice(0, 10) : null);
+      field('HCP', `${form.source.hcp.name || 'Unknown'} (${form.source.hcp.specialty || 'unknown specialty'})`);
+      field('Attendees', form.source.attendees.map(attendee => attendee.role ? `${attendee.name} (${attendee.role})` : attendee.name).join(', '));
+      field('Recording', form.source.recordingFile);
+      field('Transcript ID', form.source.transcriptId);
+      if (form.detection) field('Detected by', `${form.detection.provider} ${form.detection.model}`);
+
+      heading(`Events (${form.events.length})`);
+      if (form.events.length === 0) {
+        doc.text('No events to report.');
+      }
+      form.events.forEach(event => {
+        if (doc.y > doc.page.height - 200) doc.addPage();
+        doc.moveDown(0.4);
+        doc.fillColor(event.seriousness === 'serious' ? this.brandColors.danger : this.brandColors.dark)
+          .font('Helvetica-Bold').fontSize(11)
+          .text(`${event.number}. ${event.suspectProduct} - ${event.reaction || event.eventType}`);
+        doc.fillColor(this.brandColors.dark).fontSize(10).font('Helvetica');
+        field('Type', event.eventType);
+        field('Seriousness', event.seriousness);
+        field('Patient', event.patient);
+        field('Recording time', event.recordingTime ? `${event.recordingTime.start}${event.recordingTime.end ? `-${event.recordingTime.end}` : ''}` : null);
+        field('Speaker', event.speaker);
+        field('Review', `${event.review.status}${event.review.reviewedBy ? ` by ${event.review.reviewedBy}` : ''}${event.review.notes ? ` - ${event.review.notes}` : ''}`);
+        doc.font('Helvetica-Oblique').text(`"${event.verbatim}"`, { indent: 10 });
+        doc.font('Helvetica');
+      });
+
+      doc.moveDown(2);
+      doc.fontSize(8).fillColor(this.brandColors.dark)
+        .text('Possible events were identified automatically and must be assessed by the safety team before reporting.', { align: 'center' });
+
+      doc.end();
+
+      const buffer = await new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+      });
+
+      console.log(`✅ Adverse event intake form ${form.reference} generated`);
+      return {
+        success: true,
+        buffer,
+        fileName: `${form.reference}.pdf`
+      };
+    } catch (error) {
+      console.error('❌ Adverse event intake form generation failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Extract highlights from transcript data
    * @param {Object} transcriptData - Transcript and analysis data
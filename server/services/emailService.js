@@ -0,0 +1,123 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Whether SMTP delivery is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  /**
+   * Lazily create the SMTP transporter
+   * @returns {Object} nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * Without SMTP configuration the message is logged instead of sent
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendMail({ to, subject, text, html }) {
+    if (!this.isConfigured()) {
+      console.log(`⚠️ SMTP not configured - email to ${to} not sent: ${subject}`);
+      return {
+        success: false,
+        delivered: false,
+        error: 'SMTP is not configured'
+      };
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: process.env.EMAIL_FROM || 'DocNexus <no-reply@docnexus.ai>',
+        to,
+        subject,
+        text,
+        html
+      });
+      console.log(`✅ Email sent to ${to}: ${subject}`);
+      return {
+        success: true,
+        delivered: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error(`❌ Email to ${to} failed:`, error);
+      return {
+        success: false,
+        delivered: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send an invitation with a link that sets a password and verifies the email address
+   * @param {Object} options - { user, invitedBy, inviteUrl }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendInvitation({ user, invitedBy, inviteUrl }) {
+    const inviter = invitedBy ? `${invitedBy.firstName} ${invitedBy.lastName}` : 'An administrator';
+    return this.sendMail({
+      to: user.email,
+      subject: `You've been invited to DocNexus (${user.organization})`,
+      text: `${inviter} invited you to join ${user.organization} on DocNexus.\n\nAccept the invitation and choose a password:\n${inviteUrl}\n\nThis link expires in 7 days.`,
+      html: `<p>${escapeHtml(inviter)} invited you to join <strong>${escapeHtml(user.organization)}</strong> on DocNexus.</p>
+<p><a href="${escapeHtml(inviteUrl)}">Accept the invitation and choose a password</a></p>
+<p>This link expires in 7 days.</p>`
+    });
+  }
+
+  /**
+   * Tell a safety reviewer about possible adverse events found in a transcript
+   * Only the drug, reaction and seriousness are sent; the quotes stay in the application.
+   * @param {Object} options - { to, transcript, events, dueBy, reviewUrl }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendAdverseEventAlert({ to, transcript, events, dueBy, reviewUrl }) {
+    const meeting = `${transcript.hcpName} on ${new Date(transcript.meetingDate).toISOString().slice(0, 10)}`;
+    const due = dueBy ? new Date(dueBy).toISOString() : 'as soon as possible';
+    const lines = events.map(event =>
+      `${event.drug || 'Unspecified product'}: ${event.reaction || event.eventType} (${event.seriousness || 'unknown'})`
+    );
+
+    return this.sendMail({
+      to,
+      subject: `Possible adverse event${events.length === 1 ? '' : 's'} to review - ${transcript.organization}`,
+      text: `${events.length} possible adverse event(s) were found in the meeting with ${meeting}.\n\n${lines.map(line => `- ${line}`).join('\n')}\n\nReview by ${due}:\n${reviewUrl}`,
+      html: `<p>${events.length} possible adverse event(s) were found in the meeting with <strong>${escapeHtml(meeting)}</strong>.</p>
+<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+<p>Review by <strong>${escapeHtml(due)}</strong>.</p>
+<p><a href="${escapeHtml(reviewUrl)}">Open the transcript</a></p>`
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -192,6 +192,11 @@ class FileService {
    */
   async deleteFile(key) {
     try {
+      // If S3 is not configured, delete from local storage
+      if (!s3 || !BUCKET) {
+        return this.deleteFileFromLocalStorage(key);
+      }
+
       const params = {
         Bucket: BUCKET,
         Key: key,
@@ -309,6 +314,41 @@ class FileService {
     }
   }
 
+  /**
+   * Delete file from local storage (fallback when S3 is not available)
+   * @param {string} key - File key (folder/filename)
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteFileFromLocalStorage(key) {
+    const fs = require('fs');
+    try {
+      const storageRoot = path.join(__dirname, '..');
+      const localFilePath = path.resolve(storageRoot, key);
+
+      if (!localFilePath.startsWith(storageRoot + path.sep)) {
+        return {
+          success: false,
+          error: 'Invalid file key'
+        };
+      }
+
+      if (fs.existsSync(localFilePath)) {
+        fs.unlinkSync(localFilePath);
+      }
+
+      return {
+        success: true,
+        message: 'File deleted successfully'
+      };
+    } catch (error) {
+      console.error(`❌ Local file deletion failed for ${key}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get file from local storage (fallback when S3 is not available)
    * @param {string} key - File key (folder/filename)
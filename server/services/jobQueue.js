@@ -0,0 +1,296 @@
+const os = require('os');
+const Job = require('../models/Job');
+require('dotenv').config();
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+class JobQueue {
+  constructor() {
+    this.defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+    this.backoffBaseMs = parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 30 * 1000;
+    this.backoffMaxMs = parseInt(process.env.JOB_BACKOFF_MAX_MS, 10) || 30 * 60 * 1000;
+    // A job whose lease is not renewed within this window is assumed to belong to a dead worker
+    this.leaseMs = parseInt(process.env.JOB_LEASE_MS, 10) || 5 * 60 * 1000;
+    // Lease renewal also tells a worker when its job was cancelled
+    this.heartbeatMs = parseInt(process.env.JOB_HEARTBEAT_MS, 10) || 10 * 1000;
+  }
+
+  /**
+   * Build a worker identifier that is unique per process
+   * @returns {string} e.g. "api-1:4242:1a2b"
+   */
+  createWorkerId() {
+    return `${os.hostname()}:${process.pid}:${Math.random().toString(16).slice(2, 6)}`;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (see Job.TYPES)
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { organization, createdBy, transcriptId, priority, maxAttempts, delayMs }
+   * @returns {Promise<Object>} The queued Job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { organization, createdBy, transcriptId, priority = 0, maxAttempts, delayMs = 0 } = options;
+
+    const job = await Job.create({
+      type,
+      payload,
+      organization,
+      createdBy: createdBy ? createdBy.toString() : null,
+      transcriptId: transcriptId || payload.transcriptId || null,
+      priority,
+      maxAttempts: maxAttempts || this.defaultMaxAttempts,
+      runAt: new Date(Date.now() + delayMs)
+    });
+
+    console.log(`📥 Queued ${type} job ${job._id}${job.transcriptId ? ` for transcript ${job.transcriptId}` : ''}`);
+    return job;
+  }
+
+  /**
+   * Atomically claim the next runnable job
+   * @param {string} workerId - Worker taking the lease
+   * @param {string[]} types - Job types the worker has capacity for
+   * @returns {Promise<Object|null>} The claimed job, or null when nothing is due
+   */
+  async claim(workerId, types) {
+    if (!types || types.length === 0) return null;
+
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        type: { $in: types },
+        runAt: { $lte: now }
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: workerId,
+          lockedAt: now,
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      {
+        sort: { priority: -1, runAt: 1 },
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Renew the lease on a running job so it is not recovered as stale
+   * @param {Object} job - Claimed job
+   * @param {string} workerId - Worker holding the lease
+   * @returns {Promise<boolean>} False when the lease was lost
+   */
+  async heartbeat(job, workerId) {
+    const result = await Job.updateOne(
+      { _id: job._id, status: 'processing', lockedBy: workerId },
+      { $set: { lockedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {Object} job - Claimed job
+   * @param {string} workerId - Worker holding the lease
+   * @param {*} result - Handler result to store on the job
+   * @returns {Promise<Object|null>} Updated job, or null when the lease was lost
+   */
+  async complete(job, workerId, result = null) {
+    return Job.findOneAndUpdate(
+      { _id: job._id, status: 'processing', lockedBy: workerId },
+      {
+        $set: {
+          status: 'completed',
+          result,
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record a failed attempt; the job is retried after a backoff or moved to the dead-letter state
+   * Errors flagged with retryable === false go straight to the dead-letter state
+   * @param {Object} job - Claimed job
+   * @param {string} workerId - Worker holding the lease
+   * @param {Error|string} error - Failure reason
+   * @returns {Promise<Object|null>} Updated job, or null when the lease was lost
+   */
+  async fail(job, workerId, error) {
+    const message = error instanceof Error ? error.message : String(error);
+    const exhausted = job.attempts >= job.maxAttempts || (error && error.retryable === false);
+
+    const update = {
+      $set: {
+        status: exhausted ? 'dead' : 'queued',
+        lastError: message,
+        lockedBy: null,
+        lockedAt: null
+      },
+      $push: {
+        failures: { attempt: job.attempts, error: message, worker: workerId, timestamp: new Date() }
+      }
+    };
+
+    if (exhausted) {
+      update.$set.completedAt = new Date();
+    } else {
+      update.$set.runAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+    }
+
+    return Job.findOneAndUpdate(
+      { _id: job._id, status: 'processing', lockedBy: workerId },
+      update,
+      { new: true }
+    );
+  }
+
+  /**
+   * Put a job back on the queue until a given time without using up an attempt
+   * Used when work is held back rather than failed (e.g. the organization's AI budget is used up)
+   * @param {Object} job - Claimed job
+   * @param {string} workerId - Worker holding the lease
+   * @param {Date} runAt - When to try again
+   * @param {string} reason - Recorded as the job's lastError
+   * @returns {Promise<Object|null>} Updated job, or null when the lease was lost
+   */
+  async defer(job, workerId, runAt, reason) {
+    return Job.findOneAndUpdate(
+      { _id: job._id, status: 'processing', lockedBy: workerId },
+      {
+        $set: {
+          status: 'queued',
+          runAt,
+          lastError: reason,
+          lockedBy: null,
+          lockedAt: null
+        },
+        $inc: { attempts: -1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const exponential = this.backoffBaseMs * Math.pow(2, Math.max(attempts - 1, 0));
+    const jitter = Math.random() * this.backoffBaseMs;
+    return Math.min(exponential + jitter, this.backoffMaxMs);
+  }
+
+  /**
+   * Release jobs whose worker stopped renewing its lease (crash, deploy, OOM)
+   * Each recovered job counts the interrupted run as a failed attempt
+   * @returns {Promise<Object[]>} Jobs that were moved to the dead-letter state
+   */
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - this.leaseMs);
+    const staleJobs = await Job.find({
+      status: 'processing',
+      lockedAt: { $lt: cutoff }
+    });
+
+    const deadJobs = [];
+    for (const job of staleJobs) {
+      const recovered = await this.fail(job, job.lockedBy, new Error(`Worker ${job.lockedBy} stopped responding`));
+      if (recovered) {
+        console.log(`🔄 Recovered stale ${job.type} job ${job._id} (${recovered.status})`);
+        if (recovered.status === 'dead') {
+          deadJobs.push(recovered);
+        }
+      }
+    }
+
+    return deadJobs;
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @param {string} organization - Caller's organization
+   * @returns {Promise<Object|null>} The requeued job, or null when it is not dead
+   */
+  async retry(jobId, organization) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, organization, status: 'dead' },
+      {
+        $set: {
+          status: 'queued',
+          attempts: 0,
+          runAt: new Date(),
+          completedAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Cancel all queued and running jobs for a transcript
+   * Running jobs lose their lease and are aborted at the worker's next heartbeat
+   * @param {string} transcriptId - Transcript ID
+   * @returns {Promise<number>} Number of jobs cancelled
+   */
+  async cancelForTranscript(transcriptId) {
+    const result = await Job.updateMany(
+      { transcriptId, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: {
+          status: 'cancelled',
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Whether a transcript already has queued or running work of the given types
+   * @param {string} transcriptId - Transcript ID
+   * @param {string[]} types - Job types to check
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveJob(transcriptId, types = Job.TYPES) {
+    const count = await Job.countDocuments({
+      transcriptId,
+      type: { $in: types },
+      status: { $in: ACTIVE_STATUSES }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Count jobs by type and status
+   * @param {Object} filter - Extra conditions (e.g. organization)
+   * @returns {Promise<Object>} { [type]: { [status]: count } }
+   */
+  async getStats(filter = {}) {
+    const rows = await Job.aggregate([
+      { $match: filter },
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    return rows.reduce((stats, row) => {
+      stats[row._id.type] = stats[row._id.type] || {};
+      stats[row._id.type][row._id.status] = row.count;
+      return stats;
+    }, {});
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,243 @@
+const jobQueue = require('./jobQueue');
+require('dotenv').config();
+
+/**
+ * Read a per-type concurrency limit, e.g. JOB_CONCURRENCY_DOCUMENT_GENERATION=1
+ * @param {string} type - Job type
+ * @param {number} fallback - Default limit
+ * @returns {number}
+ */
+const typeConcurrencyFromEnv = (type, fallback) => {
+  const key = `JOB_CONCURRENCY_${type.toUpperCase().replace(/-/g, '_')}`;
+  return parseInt(process.env[key], 10) || fallback;
+};
+
+/**
+ * Polls the job queue and runs jobs through their registered handlers
+ * Handlers are { run(job, { signal }), onRetry(job, error), onDeadLetter(job, error), onDefer(job, error) };
+ * only run is required. The signal is aborted when the job is cancelled or its lease is lost.
+ * A run that throws an error with deferUntil (a Date) is requeued for then without using an attempt.
+ */
+class JobWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.handlers - Map of job type to handler
+   * @param {number} options.concurrency - Maximum jobs running at once in this process
+   * @param {Object} options.typeConcurrency - Default per-type limits
+   * @param {number} options.pollIntervalMs - Delay between polls when the queue is empty
+   */
+  constructor({ handlers, concurrency, typeConcurrency = {}, pollIntervalMs } = {}) {
+    this.handlers = handlers || {};
+    this.workerId = jobQueue.createWorkerId();
+    this.concurrency = concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.pollIntervalMs = pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+    this.typeConcurrency = Object.keys(this.handlers).reduce((limits, type) => {
+      limits[type] = typeConcurrencyFromEnv(type, typeConcurrency[type] || this.concurrency);
+      return limits;
+    }, {});
+
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.active = new Map();
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Pick up jobs abandoned by workers that died while this one is running
+    this.recoveryTimer = setInterval(() => {
+      this.recoverStaleJobs();
+    }, jobQueue.leaseMs);
+
+    console.log(`👷 Job worker ${this.workerId} started (concurrency ${this.concurrency}, ${JSON.stringify(this.typeConcurrency)})`);
+    this.poll();
+  }
+
+  /**
+   * Stop claiming new jobs and wait for running ones to finish
+   * Jobs still running after the timeout are left for stale-lease recovery
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<void>}
+   */
+  async stop(timeoutMs = 30000) {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.active.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    if (this.active.size > 0) {
+      console.log(`⚠️ Job worker ${this.workerId} stopped with ${this.active.size} job(s) still running`);
+    } else {
+      console.log(`👷 Job worker ${this.workerId} stopped`);
+    }
+  }
+
+  /**
+   * Job types that are below their concurrency limit
+   * @returns {string[]}
+   */
+  getAvailableTypes() {
+    if (this.active.size >= this.concurrency) return [];
+
+    const runningByType = {};
+    for (const job of this.active.values()) {
+      runningByType[job.type] = (runningByType[job.type] || 0) + 1;
+    }
+
+    return Object.keys(this.handlers).filter(type => (runningByType[type] || 0) < this.typeConcurrency[type]);
+  }
+
+  /**
+   * Claim jobs until the queue is empty or the worker is at capacity
+   */
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+    clearTimeout(this.pollTimer);
+
+    try {
+      while (this.running) {
+        const job = await jobQueue.claim(this.workerId, this.getAvailableTypes());
+        if (!job) break;
+        this.execute(job);
+      }
+    } catch (error) {
+      console.error('❌ Job poll failed:', error);
+    } finally {
+      this.polling = false;
+      if (this.running) {
+        this.pollTimer = setTimeout(() => this.poll(), this.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   * @param {Object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async execute(job) {
+    const handler = this.handlers[job.type];
+    const jobId = job._id.toString();
+    const controller = new AbortController();
+    this.active.set(jobId, job);
+
+    const heartbeat = setInterval(() => {
+      jobQueue.heartbeat(job, this.workerId)
+        .then(held => {
+          if (!held && !controller.signal.aborted) {
+            console.log(`⛔ Lease lost for ${job.type} job ${jobId}, aborting`);
+            controller.abort();
+          }
+        })
+        .catch(error => {
+          console.error(`❌ Heartbeat failed for job ${jobId}:`, error.message);
+        });
+    }, Math.max(Math.min(jobQueue.heartbeatMs, Math.floor(jobQueue.leaseMs / 3)), 1000));
+
+    console.log(`🔄 Running ${job.type} job ${jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const result = await handler.run(job, { signal: controller.signal });
+      if (controller.signal.aborted) {
+        console.log(`⛔ ${job.type} job ${jobId} finished after it was cancelled; result discarded`);
+      } else {
+        await jobQueue.complete(job, this.workerId, result === undefined ? null : result);
+        console.log(`✅ Completed ${job.type} job ${jobId}`);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`⛔ ${job.type} job ${jobId} aborted`);
+      } else if (error.deferUntil) {
+        await this.handleDefer(job, error);
+      } else {
+        console.error(`❌ ${job.type} job ${jobId} failed on attempt ${job.attempts}:`, error.message);
+        await this.handleFailure(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(jobId);
+      this.poll();
+    }
+  }
+
+  /**
+   * Record a failed attempt and notify the handler
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Failure reason
+   * @returns {Promise<void>}
+   */
+  async handleFailure(job, error) {
+    try {
+      const updated = await jobQueue.fail(job, this.workerId, error);
+      if (!updated) return;
+      await this.notifyHandler(updated, error);
+    } catch (failError) {
+      console.error(`❌ Could not record failure for job ${job._id}:`, failError);
+    }
+  }
+
+  /**
+   * Requeue a job that asked to wait, and notify the handler
+   * The handler is told once per reason, not each time the job is re-checked and deferred again
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Error carrying deferUntil
+   * @returns {Promise<void>}
+   */
+  async handleDefer(job, error) {
+    try {
+      const updated = await jobQueue.defer(job, this.workerId, error.deferUntil, error.message);
+      if (!updated) return;
+      console.log(`⏸️ ${job.type} job ${job._id} deferred until ${error.deferUntil.toISOString()}: ${error.message}`);
+      const handler = this.handlers[job.type];
+      if (handler?.onDefer && job.lastError !== error.message) await handler.onDefer(updated, error);
+    } catch (deferError) {
+      console.error(`❌ Could not defer job ${job._id}:`, deferError);
+    }
+  }
+
+  /**
+   * Call the handler's onRetry or onDeadLetter hook for a failed job
+   * @param {Object} job - Job after the failure was recorded
+   * @param {Error} error - Failure reason
+   * @returns {Promise<void>}
+   */
+  async notifyHandler(job, error) {
+    const handler = this.handlers[job.type];
+    if (!handler) return;
+
+    if (job.status === 'dead') {
+      console.log(`⛔ ${job.type} job ${job._id} moved to dead-letter after ${job.attempts} attempts`);
+      if (handler.onDeadLetter) await handler.onDeadLetter(job, error);
+    } else if (handler.onRetry) {
+      await handler.onRetry(job, error);
+    }
+  }
+
+  /**
+   * Release stale jobs and run dead-letter hooks for the ones that ran out of attempts
+   * @returns {Promise<void>}
+   */
+  async recoverStaleJobs() {
+    try {
+      const deadJobs = await jobQueue.recoverStaleJobs();
+      for (const job of deadJobs) {
+        await this.notifyHandler(job, new Error(job.lastError));
+      }
+    } catch (error) {
+      console.error('❌ Stale job recovery failed:', error);
+    }
+  }
+}
+
+module.exports = JobWorker;
@@ -0,0 +1,90 @@
+const axios = require('axios');
+require('dotenv').config();
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Chat completions through the Anthropic Messages API
+ */
+class AnthropicChatProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.local = false;
+    this.baseURL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+    this.defaultModel = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.ANTHROPIC_API_KEY);
+  }
+
+  /**
+   * Whether a request failed for a reason worth retrying
+   * (connection problems, rate limiting, overload or a server-side error)
+   * @param {Error} error - Error from complete()
+   * @returns {boolean}
+   */
+  isTransientError(error) {
+    const isNetworkError = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'].includes(error.code);
+    return isNetworkError || error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - { model, system, messages: [{ role, content }], temperature, maxTokens, schema, signal }
+   *   schema ({ name, schema }) is sent as a tool the model must call, and the tool input returned as JSON
+   * @returns {Promise<Object>} { content, model, usage: { inputTokens, outputTokens } }
+   */
+  async complete(request) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/v1/messages`, {
+        model: request.model,
+        ...(request.system && { system: request.system }),
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        ...(request.schema && {
+          tools: [{ name: request.schema.name, description: 'Return the result', input_schema: request.schema.schema }],
+          tool_choice: { type: 'tool', name: request.schema.name }
+        })
+      }, {
+        headers: {
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'content-type': 'application/json'
+        },
+        signal: request.signal
+      });
+    } catch (error) {
+      // Surface the API's message and status the same way the OpenAI SDK does
+      const apiError = error.response?.data?.error;
+      throw Object.assign(new Error(apiError?.message || error.message), {
+        status: error.response?.status,
+        code: error.code,
+        type: apiError?.type
+      });
+    }
+
+    const data = response.data;
+    const blocks = data.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    return {
+      content: toolUse
+        ? JSON.stringify(toolUse.input)
+        : blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: data.model || request.model,
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = AnthropicChatProvider;
@@ -0,0 +1,34 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIChatProvider = require('./openaiProvider');
+require('dotenv').config();
+
+/**
+ * Chat completions through an Azure OpenAI resource
+ * Models are addressed by deployment name, so task models are deployment names here.
+ */
+class AzureOpenAIChatProvider extends OpenAIChatProvider {
+  constructor() {
+    super();
+    this.name = 'azure';
+    this.label = 'Azure OpenAI';
+    this.defaultModel = process.env.AZURE_OPENAI_DEPLOYMENT || '';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && this.defaultModel);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new AzureOpenAI({
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+}
+
+module.exports = AzureOpenAIChatProvider;
@@ -0,0 +1,506 @@
+const OpenAIChatProvider = require('./openaiProvider');
+const AzureOpenAIChatProvider = require('./azureOpenAIProvider');
+const AnthropicChatProvider = require('./anthropicProvider');
+const LocalChatProvider = require('./localProvider');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const schemas = require('./schemas');
+const AICacheEntry = require('../../models/AICacheEntry');
+const pricing = require('../pricing');
+const usageService = require('../usageService');
+const { coerce } = require('../../utils/jsonSchema');
+require('dotenv').config();
+
+// Generation defaults per analysis task; provider, model, timeout and retries come from the environment.
+// Bump promptVersion when a task's prompt or schema changes meaning, so cached responses aren't reused.
+// Tasks with prompt templates (see ./prompts) record the template's version instead.
+const TASKS = {
+  sentiment: { temperature: 0.2, maxTokens: 1500, promptVersion: 1 },
+  insights: { temperature: 0.3, maxTokens: 2500, promptVersion: 1 },
+  sentimentBreakdown: { temperature: 0.2, maxTokens: 2000, promptVersion: 1 },
+  executiveSummary: { temperature: 0.3, maxTokens: 1500, promptVersion: 1 },
+  terminology: { temperature: 0.1, maxTokens: 1000, promptVersion: 1 },
+  adverseEvents: { temperature: 0, maxTokens: 2000, promptVersion: 1 },
+  compliance: { temperature: 0, maxTokens: 2000, promptVersion: 1 },
+  diarization: { temperature: 0, maxTokens: 3000, promptVersion: 1 },
+  healthCheck: { temperature: 0, maxTokens: 10, promptVersion: 1 }
+};
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_RETRIES = 2;
+// Transcript tokens sent in one prompt before analysis is split into parts
+const DEFAULT_MAX_INPUT_TOKENS = 12000;
+const DEFAULT_CACHE_TTL_DAYS = 30;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A signal that aborts when the caller's does or after ms, whichever comes first
+// (AbortSignal.any would do this, but only from Node 20.3). Call release() once the request settles, before any backoff.
+const withTimeout = (callerSignal, ms) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort(callerSignal.reason);
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort(new Error(`Timed out after ${ms}ms`));
+  }, ms);
+
+  callerSignal?.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    release: () => {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
+
+/**
+ * Parse a model's JSON reply, tolerating a Markdown code fence around it
+ * @param {string} content - Model output
+ * @returns {Object} { data } or { error }
+ */
+const parseJson = (content) => {
+  const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { data: JSON.parse(text) };
+  } catch (error) {
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+};
+
+// sentimentBreakdown -> SENTIMENT_BREAKDOWN
+const envKey = (task) => task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+const readInt = (...values) => {
+  for (const value of values) {
+    const parsed = parseInt(value, 10);
+    if (!isNaN(parsed) && parsed >= 0) return parsed;
+  }
+  return undefined;
+};
+
+/**
+ * Chat model access for every analysis call.
+ *
+ * Providers are pluggable. A provider is any object with
+ *   name, label: string
+ *   local: boolean                 whether transcripts stay on our infrastructure
+ *   defaultModel: string
+ *   isConfigured() -> boolean
+ *   isTransientError(error) -> boolean
+ *   complete({ model, system, messages, temperature, maxTokens, schema, signal }) -> { content, model, usage }
+ *     where schema ({ name, schema }), when given, asks for JSON matching it using the API's structured output
+ *
+ * Each task reads, falling back to the global setting and then the default:
+ *   LLM_<TASK>_PROVIDER     LLM_PROVIDER (openai)
+ *   LLM_<TASK>_MODEL        the provider's default model
+ *   LLM_<TASK>_TIMEOUT_MS   LLM_TIMEOUT_MS (120000)
+ *   LLM_<TASK>_MAX_RETRIES  LLM_MAX_RETRIES (2)
+ *   LLM_<TASK>_MAX_INPUT_TOKENS  LLM_MAX_INPUT_TOKENS (12000), transcript tokens per prompt
+ * where <TASK> is e.g. SENTIMENT, INSIGHTS, EXECUTIVE_SUMMARY, ADVERSE_EVENTS or DIARIZATION.
+ *
+ * Every provider call is recorded in the usage ledger (see usageService) against the
+ * request's attribution ({ organization, user, transcriptId }). Validated JSON responses
+ * are cached per organization by task, prompt version, provider, model and a hash of the
+ * input, so re-analysing unchanged text costs nothing; LLM_CACHE_ENABLED=false turns this off and
+ * LLM_CACHE_TTL_DAYS (30) sets how long responses are kept.
+ */
+class LLMService {
+  constructor() {
+    this.providers = {
+      openai: () => new OpenAIChatProvider(),
+      azure: () => new AzureOpenAIChatProvider(),
+      anthropic: () => new AnthropicChatProvider(),
+      local: () => new LocalChatProvider()
+    };
+    this.instances = {};
+  }
+
+  /**
+   * Add a provider
+   * @param {string} name - Provider name for LLM_PROVIDER / LLM_<TASK>_PROVIDER
+   * @param {Function} factory - Returns the provider
+   */
+  register(name, factory) {
+    this.providers[name] = factory;
+    delete this.instances[name];
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object} Provider
+   */
+  getProvider(name) {
+    if (!this.providers[name]) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!this.instances[name]) {
+      this.instances[name] = this.providers[name]();
+    }
+    return this.instances[name];
+  }
+
+  /**
+   * Resolved settings for a task
+   * @param {string} task - Key of TASKS
+   * @returns {Object} { task, provider, model, temperature, maxTokens, promptVersion, timeoutMs, maxRetries, maxInputTokens }
+   */
+  getTaskConfig(task) {
+    if (!TASKS[task]) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const key = envKey(task);
+    const provider = process.env[`LLM_${key}_PROVIDER`] || process.env.LLM_PROVIDER || 'openai';
+
+    return {
+      task,
+      provider,
+      model: process.env[`LLM_${key}_MODEL`] || this.getProvider(provider).defaultModel,
+      temperature: TASKS[task].temperature,
+      maxTokens: TASKS[task].maxTokens,
+      promptVersion: TASKS[task].promptVersion,
+      timeoutMs: readInt(process.env[`LLM_${key}_TIMEOUT_MS`], process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      maxRetries: readInt(process.env[`LLM_${key}_MAX_RETRIES`], process.env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+      maxInputTokens: readInt(process.env[`LLM_${key}_MAX_INPUT_TOKENS`], process.env.LLM_MAX_INPUT_TOKENS) || DEFAULT_MAX_INPUT_TOKENS
+    };
+  }
+
+  /**
+   * Task settings for one request, with the prompt version the request names
+   * @param {string} task - Key of TASKS
+   * @param {Object} request - { promptVersion }
+   * @returns {Object} As getTaskConfig
+   */
+  getRequestConfig(task, request) {
+    const config = this.getTaskConfig(task);
+    return request.promptVersion ? { ...config, promptVersion: String(request.promptVersion) } : config;
+  }
+
+  /**
+   * Provider and model configured for every task
+   * @returns {Object[]} [{ task, provider, model, configured, local }]
+   */
+  describeTasks() {
+    return Object.keys(TASKS).map(task => {
+      const config = this.getTaskConfig(task);
+      const provider = this.getProvider(config.provider);
+      return {
+        task,
+        provider: config.provider,
+        model: config.model,
+        configured: provider.isConfigured(),
+        local: Boolean(provider.local)
+      };
+    });
+  }
+
+  /**
+   * Run a chat completion for a task, retrying transient failures and timeouts
+   * @param {string} task - Key of TASKS
+   * @param {Object} request - { system, prompt } or { system, messages }, and { signal, attribution, promptVersion }
+   *   where attribution ({ organization, user, transcriptId }) is who the usage is billed to and
+   *   promptVersion labels the prompt template used (e.g. "organization.v3")
+   * @returns {Promise<Object>} { content, provider, model, usage: { inputTokens, outputTokens }, attempts }
+   */
+  async complete(task, request) {
+    const config = this.getRequestConfig(task, request);
+    const provider = this.getProvider(config.provider);
+    const messages = request.messages || [{ role: 'user', content: request.prompt }];
+    const attempts = config.maxRetries + 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      request.signal?.throwIfAborted();
+      const timeout = withTimeout(request.signal, config.timeoutMs);
+      const { signal } = timeout;
+      const startedAt = Date.now();
+
+      try {
+        const response = await provider.complete({
+          model: config.model,
+          system: request.system,
+          messages,
+          temperature: config.temperature,
+          maxTokens: config.maxTokens,
+          schema: request.schema,
+          signal
+        });
+        timeout.release();
+
+        await this.recordUsage(task, config, provider, request.attribution, {
+          model: response.model || config.model,
+          usage: response.usage,
+          latencyMs: Date.now() - startedAt
+        });
+
+        return {
+          content: response.content,
+          provider: provider.name,
+          model: response.model || config.model,
+          usage: response.usage,
+          attempts: attempt
+        };
+      } catch (error) {
+        timeout.release();
+        // Cancellation by the caller is never retried
+        if (request.signal?.aborted) throw error;
+
+        const timedOut = timeout.timedOut();
+        lastError = timedOut ? new Error(`${provider.name} ${task} request timed out after ${config.timeoutMs}ms`) : error;
+        await this.recordUsage(task, config, provider, request.attribution, {
+          latencyMs: Date.now() - startedAt,
+          error: lastError.message
+        });
+        console.error(`❌ ${provider.name} ${task} request failed (attempt ${attempt} of ${attempts}):`, lastError.message);
+
+        if (attempt >= attempts || !(timedOut || provider.isTransientError(error))) break;
+
+        const wait = 1000 * Math.pow(2, attempt - 1); // Exponential backoff: 1s, 2s, 4s
+        console.log(`🔁 Retrying ${task} with ${provider.name} in ${wait / 1000}s...`);
+        await sleep(wait);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Add a provider call to the usage ledger
+   * @param {string} task - Key of TASKS
+   * @param {Object} config - From getTaskConfig
+   * @param {Object} provider - Provider that was called
+   * @param {Object} attribution - { organization, user, transcriptId }
+   * @param {Object} call - { model, usage, latencyMs, error, cached }
+   * @returns {Promise<void>}
+   */
+  async recordUsage(task, config, provider, attribution, call) {
+    const model = call.model || config.model;
+    const inputTokens = call.usage?.inputTokens || 0;
+    const outputTokens = call.usage?.outputTokens || 0;
+
+    await usageService.record(attribution, {
+      kind: 'chat',
+      task,
+      provider: provider.name,
+      model,
+      promptVersion: config.promptVersion,
+      inputTokens,
+      outputTokens,
+      latencyMs: call.latencyMs,
+      estimatedCostUsd: call.cached ? 0 : pricing.chatCost({ model, local: provider.local, inputTokens, outputTokens }),
+      cached: Boolean(call.cached),
+      success: !call.error,
+      error: call.error || null
+    });
+  }
+
+  /**
+   * Whether validated responses are cached
+   * The cache lives in MongoDB, so it is skipped while there is no connection (e.g. in scripts)
+   * @returns {boolean}
+   */
+  isCacheEnabled() {
+    return process.env.LLM_CACHE_ENABLED !== 'false' && mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Cache key for a JSON task: prompt version, provider and model, plus a hash of everything sent
+   * Entries are never shared between organizations.
+   * @param {Object} config - From getTaskConfig
+   * @param {Object} schema - { name, schema }
+   * @param {Object} request - { system, prompt, attribution }
+   * @returns {string} e.g. "insights:organization.v3:openai:gpt-4o:<sha256>"
+   */
+  getCacheKey(config, schema, request) {
+    const inputHash = crypto.createHash('sha256')
+      .update(JSON.stringify({
+        organization: request.attribution?.organization || null,
+        system: request.system || '',
+        prompt: request.prompt,
+        schema: schema.schema,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens
+      }))
+      .digest('hex');
+    return `${config.task}:${config.promptVersion}:${config.provider}:${config.model}:${inputHash}`;
+  }
+
+  /**
+   * Look up a cached response, counting the hit
+   * Cache failures are logged and treated as a miss
+   * @param {string} key - From getCacheKey
+   * @returns {Promise<Object|null>} Cache entry
+   */
+  async readCache(key) {
+    try {
+      return await AICacheEntry.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      console.error('❌ AI cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a validated response
+   * @param {string} key - From getCacheKey
+   * @param {Object} config - From getTaskConfig
+   * @param {string} organization - Organization the response was generated for
+   * @param {Object} result - completeJson result
+   * @returns {Promise<void>}
+   */
+  async writeCache(key, config, organization, result) {
+    const ttlDays = readInt(process.env.LLM_CACHE_TTL_DAYS) ?? DEFAULT_CACHE_TTL_DAYS;
+    try {
+      await AICacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            organization: organization || null,
+            task: config.task,
+            promptVersion: config.promptVersion,
+            provider: result.provider,
+            model: result.model,
+            data: result.data,
+            usage: result.usage,
+            expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+          },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('❌ AI cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Run a task that returns JSON, validated against the task's schema (see ./schemas)
+   *
+   * Out-of-range and unrecognised values are coerced (see utils/jsonSchema). If the reply
+   * isn't JSON or still fails validation, the model is shown the errors and asked once to
+   * correct it; if that fails too, the task fails.
+   *
+   * Only responses that pass validation are cached; cache: false skips the cache for one call.
+   * @param {string} task - Key of TASKS with a schema
+   * @param {Object} request - { system, prompt, signal, attribution, cache }, and { schema, promptVersion }
+   *   when a prompt template supplies its own schema (see schemas.build) and version label
+   * @returns {Promise<Object>} { data, provider, model, usage, repaired, coercions, cached }
+   */
+  async completeJson(task, request) {
+    const schema = request.schema || schemas[task];
+    if (!schema) {
+      throw new Error(`No response schema for LLM task: ${task}`);
+    }
+
+    const config = this.getRequestConfig(task, request);
+    const useCache = request.cache !== false && this.isCacheEnabled();
+    const cacheKey = useCache ? this.getCacheKey(config, schema, request) : null;
+
+    if (useCache) {
+      const startedAt = Date.now();
+      const entry = await this.readCache(cacheKey);
+      if (entry) {
+        console.log(`💾 ${task} response served from cache (hit ${entry.hits})`);
+        await this.recordUsage(task, config, this.getProvider(config.provider), request.attribution, {
+          model: entry.model,
+          latencyMs: Date.now() - startedAt,
+          cached: true
+        });
+        return {
+          data: entry.data,
+          provider: entry.provider,
+          model: entry.model,
+          usage: { inputTokens: 0, outputTokens: 0 },
+          repaired: false,
+          coercions: [],
+          cached: true
+        };
+      }
+    }
+
+    const messages = [{ role: 'user', content: request.prompt }];
+    const first = await this.complete(task, {
+      system: request.system,
+      messages,
+      schema,
+      signal: request.signal,
+      attribution: request.attribution,
+      promptVersion: request.promptVersion
+    });
+    let result = this.validate(schema, first.content);
+    let response = first;
+    let repaired = false;
+
+    if (result.errors.length > 0) {
+      console.warn(`⚠️ ${task} response failed validation, asking for a correction:`, result.errors.slice(0, 5).join('; '));
+      response = await this.complete(task, {
+        system: request.system,
+        messages: [
+          ...messages,
+          { role: 'assistant', content: first.content || '' },
+          {
+            role: 'user',
+            content: `Your response could not be used:\n- ${result.errors.slice(0, 20).join('\n- ')}\n\nReply with only the corrected JSON object, with no other text.`
+          }
+        ],
+        schema,
+        signal: request.signal,
+        attribution: request.attribution,
+        promptVersion: request.promptVersion
+      });
+      result = this.validate(schema, response.content);
+      repaired = true;
+
+      if (result.errors.length > 0) {
+        throw new Error(`${task} response failed validation after a correction attempt: ${result.errors.slice(0, 5).join('; ')}`);
+      }
+    }
+
+    if (result.coercions.length > 0) {
+      console.log(`🔧 Coerced ${result.coercions.length} value(s) in ${task} response`);
+    }
+
+    const completed = {
+      data: result.value,
+      provider: response.provider,
+      model: response.model,
+      usage: {
+        inputTokens: (first.usage?.inputTokens || 0) + (repaired ? response.usage?.inputTokens || 0 : 0),
+        outputTokens: (first.usage?.outputTokens || 0) + (repaired ? response.usage?.outputTokens || 0 : 0)
+      },
+      repaired,
+      coercions: result.coercions,
+      cached: false
+    };
+
+    if (useCache) {
+      await this.writeCache(cacheKey, config, request.attribution?.organization, completed);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Parse and coerce a reply against a response schema
+   * @param {Object} schema - { name, schema }
+   * @param {string} content - Model output
+   * @returns {Object} { value, errors, coercions }
+   */
+  validate(schema, content) {
+    const parsed = parseJson(content);
+    if (parsed.error) {
+      return { value: undefined, errors: [parsed.error], coercions: [] };
+    }
+    return coerce(schema.schema, parsed.data);
+  }
+}
+
+module.exports = new LLMService();
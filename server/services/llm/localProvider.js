@@ -0,0 +1,38 @@
+const OpenAI = require('openai');
+const OpenAIChatProvider = require('./openaiProvider');
+require('dotenv').config();
+
+/**
+ * Chat completions from a model served on our own infrastructure through an
+ * OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM); transcripts never leave it
+ */
+class LocalChatProvider extends OpenAIChatProvider {
+  constructor() {
+    super();
+    this.name = 'local';
+    this.label = 'Local model (OpenAI-compatible)';
+    this.local = true;
+    this.baseURL = process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1';
+    this.defaultModel = process.env.LOCAL_LLM_MODEL || 'llama3.1';
+    // Not every local server understands json_schema; JSON mode is widely supported
+    this.responseFormat = process.env.LOCAL_LLM_RESPONSE_FORMAT || 'json_object';
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL && this.defaultModel);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        baseURL: this.baseURL,
+        // Most local servers ignore the key, but the SDK requires one
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+}
+
+module.exports = LocalChatProvider;
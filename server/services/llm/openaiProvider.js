@@ -0,0 +1,95 @@
+const OpenAI = require('openai');
+require('dotenv').config();
+
+/**
+ * Chat completions through the OpenAI API
+ * Also the base for other OpenAI-compatible APIs (Azure OpenAI, local servers).
+ */
+class OpenAIChatProvider {
+  constructor() {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.local = false;
+    this.defaultModel = process.env.OPENAI_MODEL || 'gpt-4o';
+    // How structured output is requested: json_schema, json_object or none
+    this.responseFormat = process.env.LLM_RESPONSE_FORMAT || 'json_schema';
+    this.client = null;
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  /**
+   * SDK client, created on first use
+   * Retries and timeouts are handled by llmService, so the SDK's own are turned off.
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+    }
+    return this.client;
+  }
+
+  /**
+   * Whether a request failed for a reason worth retrying
+   * (connection problems, rate limiting or a server-side error)
+   * @param {Error} error - Error from the SDK
+   * @returns {boolean}
+   */
+  isTransientError(error) {
+    const isNetworkError = error.code === 'ECONNRESET' || error.code === 'ECONNREFUSED' ||
+      error.message?.includes('ECONNRESET') || error.message?.includes('Connection error') ||
+      error.cause?.code === 'ECONNRESET';
+    return isNetworkError || error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * response_format for a request that expects JSON matching a schema
+   * @param {Object} [schema] - { name, schema }
+   * @returns {Object|undefined}
+   */
+  getResponseFormat(schema) {
+    if (!schema || this.responseFormat === 'none') return undefined;
+    if (this.responseFormat === 'json_object') return { type: 'json_object' };
+    // Not strict: strict mode rejects optional properties, which most of our schemas have
+    return { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: false } };
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - { model, system, messages: [{ role, content }], temperature, maxTokens, schema, signal }
+   *   schema ({ name, schema }) asks for a JSON response matching it
+   * @returns {Promise<Object>} { content, model, usage: { inputTokens, outputTokens } }
+   */
+  async complete(request) {
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+    const responseFormat = this.getResponseFormat(request.schema);
+
+    const response = await this.getClient().chat.completions.create({
+      model: request.model,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(responseFormat && { response_format: responseFormat })
+    }, { signal: request.signal });
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      model: response.model || request.model,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIChatProvider;
@@ -0,0 +1,632 @@
+/**
+ * Built-in prompt templates for the analysis tasks in llmService
+ *
+ * Organizations can override any of these with their own versions (see promptTemplateService);
+ * without an override the built-in template is used. Templates use utils/template syntax.
+ *
+ * Each task has
+ *   version     bump when the built-in system or prompt text changes, so analyses record which text they used
+ *   system, prompt
+ *   settings    variables an organization can set alongside its template:
+ *                 text        free text
+ *                 categories  [{ name, description }]; rendered as a bullet list, with {{<name>Options}}
+ *                             giving "a|b|c", and the names become the allowed values in the response schema
+ *   runtime     variables filled in from the transcript being analysed
+ *   required    variables every version of the template has to use
+ */
+
+const INSTRUCTIONS = {
+  type: 'text',
+  label: 'Additional instructions',
+  description: 'Team-specific guidance added to the prompt, e.g. the therapy area and what matters to it',
+  default: ''
+};
+
+// Runtime variables shared by the prompts that read a transcript
+const TRANSCRIPT_RUNTIME = {
+  transcript: 'The transcript text; lines start with "[segment @ h:mm:ss]" when timestamped, and a speaker name when diarized',
+  timestamped: 'Set when the transcript has stored segment timings',
+  hasSpeakers: 'Set when lines are attributed to speakers',
+  speakerList: 'One line per speaker, noting which is the healthcare professional',
+  speakerLabels: 'Speaker labels with their names, e.g. "SPEAKER_1 = Dr Smith, SPEAKER_2 = Alex"',
+  speakerLabelOptions: 'Speaker labels separated by "|"',
+  firstSpeakerLabel: 'Label of the first speaker, for the response example',
+  partNumber: 'Set when the transcript is one part of a longer meeting: the part being analysed',
+  partCount: 'Number of parts the meeting was split into'
+};
+
+const TIMESTAMP_NOTE = `{{#timestamped}}
+Each transcript line starts with "[segment number @ h:mm:ss]". Use "segmentIndex" to give the segment number of the line each item is drawn from; never invent times.
+{{/timestamped}}`;
+
+const SPEAKERS_NOTE = `{{#hasSpeakers}}
+Lines are attributed to these speakers:
+{{speakerList}}
+Attribute opinions and statements to the speaker who made them.
+{{/hasSpeakers}}`;
+
+const PART_NOTE = `{{#partNumber}}
+This is part {{partNumber}} of {{partCount}} of a longer meeting; the other parts are analysed separately. Analyse only this part.
+{{/partNumber}}`;
+
+const INSTRUCTIONS_NOTE = `{{#instructions}}
+Additional instructions:
+{{instructions}}
+{{/instructions}}`;
+
+const sentiment = {
+  label: 'Sentiment analysis',
+  version: 1,
+  system: 'You are a healthcare sentiment analysis expert with deep understanding of medical conversations, business relationships, and emotional intelligence. Provide accurate, nuanced, and contextually relevant sentiment analysis for medical meeting transcripts. Focus on both the emotional tone and the professional context of healthcare interactions.',
+  prompt: `Analyze the sentiment of the following healthcare meeting transcript with comprehensive detail.
+
+Transcript:
+{{transcript}}
+
+${TIMESTAMP_NOTE}
+
+${SPEAKERS_NOTE}
+
+${PART_NOTE}
+
+{{#hcpStatements}}
+Statements by the healthcare professional only:
+{{hcpStatements}}
+
+Base "hcpSentiment" on these statements alone, not on the representative's tone.
+{{/hcpStatements}}
+
+${INSTRUCTIONS_NOTE}
+
+Provide a detailed sentiment analysis including:
+
+1. Overall sentiment classification (positive, negative, neutral)
+2. Sentiment score (-1.0 to 1.0, where -1 is very negative, 1 is very positive)
+3. Detailed breakdown of positive, negative, and neutral percentages
+4. For each sentiment category, provide specific explanations with supporting evidence from the transcript
+5. Key emotional indicators and tone markers found in the text
+6. Confidence level in the analysis
+7. Sentiment trends throughout the conversation (if applicable)
+8. Context-specific sentiment factors (e.g., medical concerns, business opportunities, personal rapport)
+
+Respond in JSON format:
+{
+  "overall": "positive|negative|neutral",
+  "score": -1.0 to 1.0,
+  "details": {
+    "positive": 0-100,
+    "negative": 0-100,
+    "neutral": 0-100
+  },
+  "explanations": {
+    "positive": "Detailed explanation of positive elements with specific quotes or examples",
+    "negative": "Detailed explanation of negative elements with specific quotes or examples",
+    "neutral": "Detailed explanation of neutral elements with specific quotes or examples"
+  },
+  "emotionalIndicators": [
+    {
+      "indicator": "string",
+      "type": "positive|negative|neutral",
+      "context": "string"
+    }
+  ],
+  "confidence": 0.0 to 1.0,
+  "sentimentTrends": [
+    {
+      "segment": "string",
+      "sentiment": "positive|negative|neutral",
+      "reason": "string"{{#timestamped}},
+      "segmentIndex": 0{{/timestamped}}
+    }
+  ],
+  "contextFactors": {
+    "medicalConcerns": ["string"],
+    "businessOpportunities": ["string"],
+    "personalRapport": "positive|negative|neutral",
+    "professionalTone": "formal|casual|mixed"
+  }{{#hcpStatements}},
+  "hcpSentiment": {
+    "overall": "positive|negative|neutral",
+    "score": -1.0 to 1.0,
+    "explanation": "string"
+  }{{/hcpStatements}}{{#hasSpeakers}},
+  "speakerSentiment": [
+    {
+      "speaker": "{{firstSpeakerLabel}}",
+      "overall": "positive|negative|neutral",
+      "score": -1.0 to 1.0,
+      "explanation": "string"
+    }
+  ]{{/hasSpeakers}}
+}
+{{#hasSpeakers}}Use these labels for "speaker": {{speakerLabels}}{{/hasSpeakers}}`,
+  settings: {
+    instructions: INSTRUCTIONS
+  },
+  runtime: {
+    ...TRANSCRIPT_RUNTIME,
+    hcpStatements: 'Statements by the healthcare professional only, when the HCP is identified'
+  },
+  required: ['transcript']
+};
+
+const insights = {
+  label: 'Key insights and action items',
+  version: 1,
+  system: 'You are a senior healthcare business analyst and strategic advisor with expertise in medical affairs, market access, and healthcare business development. Extract actionable, strategic insights from medical meeting transcripts with high accuracy and business relevance. Focus on both immediate actionable items and long-term strategic implications.',
+  prompt: `Analyze the following healthcare meeting transcript and extract comprehensive insights and actionable items.
+
+{{#historicalContext}}
+Historical Context:
+{{historicalContext}}
+{{/historicalContext}}
+
+{{#medicalContext}}
+Medical Publications Context:
+{{medicalContext}}
+{{/medicalContext}}
+
+Current Meeting Transcript:
+{{transcript}}
+
+${TIMESTAMP_NOTE}
+
+${SPEAKERS_NOTE}
+
+${PART_NOTE}
+
+${INSTRUCTIONS_NOTE}
+
+Please provide a comprehensive analysis including:
+
+1. KEY INSIGHTS, each in one of these categories:
+{{insightCategories}}
+
+2. ACTION ITEMS:
+   - High priority items requiring immediate attention
+   - Medium priority items for follow-up
+   - Low priority items for future consideration
+   - Each item should include assignee suggestions and realistic due dates
+   - Each item in one of these categories:
+{{actionCategories}}
+
+3. FOLLOW-UP RECOMMENDATIONS:
+   - Specific next steps for relationship development
+   - Knowledge gaps that need addressing
+   - Resources or information to provide
+
+4. RISK FACTORS:
+   - Potential concerns or red flags
+   - Compliance or regulatory considerations
+   - Competitive threats or market risks
+
+5. OPPORTUNITIES:
+   - Collaboration possibilities
+   - Market expansion opportunities
+   - Innovation or research partnerships
+
+6. SUMMARY:
+   - Executive summary of key outcomes
+   - Most important takeaway
+   - Strategic implications
+
+Respond in JSON format:
+{
+  "keyInsights": [
+    {
+      "insight": "string",
+      "category": "{{insightCategoriesOptions}}",
+      "confidence": 0.0-1.0,{{#timestamped}}
+      "segmentIndex": 0,{{/timestamped}}{{#hasSpeakers}}
+      "speaker": "one of {{speakerLabelOptions}}",{{/hasSpeakers}}
+      "impact": "high|medium|low",
+      "context": "string"
+    }
+  ],
+  "actionItems": [
+    {
+      "item": "string",
+      "priority": "high|medium|low",
+      "assignee": "string",
+      "dueDate": "YYYY-MM-DD",{{#timestamped}}
+      "segmentIndex": 0,{{/timestamped}}
+      "category": "{{actionCategoriesOptions}}",
+      "estimatedEffort": "string",
+      "dependencies": ["string"]
+    }
+  ],
+  "followUpRecommendations": [
+    {
+      "recommendation": "string",
+      "timeline": "string",
+      "priority": "high|medium|low",
+      "type": "relationship|knowledge|resource"
+    }
+  ],
+  "riskFactors": [
+    {
+      "risk": "string",
+      "severity": "high|medium|low",
+      "mitigation": "string",
+      "category": "compliance|competitive|operational"
+    }
+  ],
+  "opportunities": [
+    {
+      "opportunity": "string",
+      "potential": "high|medium|low",
+      "timeline": "string",
+      "category": "collaboration|market|innovation"
+    }
+  ],
+  "summary": {
+    "executiveSummary": "string",
+    "keyTakeaway": "string",
+    "strategicImplications": "string",
+    "nextSteps": "string"
+  }
+}`,
+  settings: {
+    instructions: INSTRUCTIONS,
+    insightCategories: {
+      type: 'categories',
+      label: 'Insight categories',
+      description: 'Categories key insights are sorted into',
+      default: [
+        { name: 'medical', description: 'Clinical observations, treatment discussions, patient care insights' },
+        { name: 'business', description: 'Market opportunities, competitive intelligence, partnership potential' },
+        { name: 'strategic', description: 'Long-term implications, trend analysis, future considerations' },
+        { name: 'operational', description: 'Process improvements, workflow optimizations, efficiency gains' }
+      ]
+    },
+    actionCategories: {
+      type: 'categories',
+      label: 'Action item categories',
+      description: 'Categories action items are sorted into',
+      default: [
+        { name: 'follow-up', description: 'Getting back to the HCP' },
+        { name: 'research', description: 'Finding information or evidence' },
+        { name: 'meeting', description: 'Arranging a meeting or call' },
+        { name: 'documentation', description: 'Sending or preparing documents' }
+      ]
+    }
+  },
+  runtime: {
+    ...TRANSCRIPT_RUNTIME,
+    historicalContext: 'One line per earlier meeting with the same HCP, when requested',
+    medicalContext: 'One line per relevant medical publication, when given'
+  },
+  required: ['transcript']
+};
+
+const sentimentBreakdown = {
+  label: 'Sentiment breakdown',
+  version: 1,
+  system: 'You are a healthcare communication analyst specializing in sentiment analysis and emotional intelligence. Provide detailed, nuanced breakdowns of sentiment in medical conversations, considering both the emotional and professional context of healthcare interactions.',
+  prompt: `Provide a comprehensive sentiment breakdown analysis for the following healthcare meeting transcript.
+
+Transcript:
+{{transcript}}
+
+${INSTRUCTIONS_NOTE}
+
+Analyze the sentiment across different dimensions:
+
+1. OVERALL SENTIMENT METRICS:
+   - Primary sentiment classification
+   - Sentiment intensity score
+   - Confidence level
+
+2. SENTIMENT BREAKDOWN BY SEGMENTS:
+   - Analyze sentiment changes throughout the conversation
+   - Identify key turning points
+   - Segment by topic or speaker if applicable
+
+3. EMOTIONAL DIMENSIONS:
+   - Trust and confidence levels
+   - Engagement and interest
+   - Concern and apprehension
+   - Enthusiasm and optimism
+
+4. CONTEXTUAL FACTORS:
+   - Professional vs personal tone
+   - Formal vs informal communication
+   - Collaborative vs adversarial stance
+   - Openness to new ideas or approaches
+
+5. SENTIMENT INDICATORS:
+   - Specific phrases or expressions that indicate sentiment
+   - Tone markers and emotional cues
+   - Non-verbal indicators (if mentioned)
+
+Respond in JSON format:
+{
+  "overallMetrics": {
+    "primarySentiment": "positive|negative|neutral",
+    "intensityScore": -1.0 to 1.0,
+    "confidence": 0.0 to 1.0,
+    "sentimentStability": "stable|variable|volatile"
+  },
+  "segmentAnalysis": [
+    {
+      "segment": "string",
+      "sentiment": "positive|negative|neutral",
+      "intensity": -1.0 to 1.0,
+      "keyPhrases": ["string"],
+      "context": "string"
+    }
+  ],
+  "emotionalDimensions": {
+    "trust": {
+      "level": "high|medium|low",
+      "indicators": ["string"],
+      "score": 0.0 to 1.0
+    },
+    "engagement": {
+      "level": "high|medium|low",
+      "indicators": ["string"],
+      "score": 0.0 to 1.0
+    },
+    "concern": {
+      "level": "high|medium|low",
+      "indicators": ["string"],
+      "score": 0.0 to 1.0
+    },
+    "enthusiasm": {
+      "level": "high|medium|low",
+      "indicators": ["string"],
+      "score": 0.0 to 1.0
+    }
+  },
+  "contextualFactors": {
+    "professionalTone": "formal|casual|mixed",
+    "communicationStyle": "collaborative|adversarial|neutral",
+    "opennessToIdeas": "high|medium|low",
+    "relationshipQuality": "strong|developing|strained"
+  },
+  "sentimentIndicators": [
+    {
+      "indicator": "string",
+      "type": "positive|negative|neutral",
+      "context": "string",
+      "confidence": 0.0 to 1.0
+    }
+  ]
+}`,
+  settings: {
+    instructions: INSTRUCTIONS
+  },
+  runtime: {
+    transcript: 'The transcript text'
+  },
+  required: ['transcript']
+};
+
+const executiveSummary = {
+  label: 'Executive summary',
+  version: 1,
+  system: 'You are an executive communication expert. Create clear, actionable summaries for healthcare leadership.',
+  prompt: `Create an executive summary for leadership based on the following healthcare meeting data:
+
+Meeting Details:
+- HCP: {{hcpName}}
+- Specialty: {{hcpSpecialty}}
+- Date: {{meetingDate}}
+- Duration: {{meetingDuration}} minutes
+
+Sentiment Analysis:
+- Overall: {{overallSentiment}}
+- Score: {{sentimentScore}}
+
+Key Insights:
+{{keyInsights}}
+
+Action Items:
+{{actionItems}}
+
+${INSTRUCTIONS_NOTE}
+
+Please provide a concise executive summary suitable for C-level leadership, including:
+1. Meeting overview and key outcomes
+2. Sentiment analysis summary
+3. Critical insights and recommendations
+4. Next steps and action items
+5. Risk assessment and opportunities
+
+Respond in JSON format:
+{
+  "executiveSummary": "string",
+  "keyOutcomes": ["string"],
+  "criticalInsights": ["string"],
+  "recommendations": ["string"],
+  "nextSteps": ["string"],
+  "riskAssessment": "string",
+  "opportunities": ["string"]
+}`,
+  settings: {
+    instructions: INSTRUCTIONS
+  },
+  runtime: {
+    hcpName: 'Name of the healthcare professional',
+    hcpSpecialty: 'Their specialty',
+    meetingDate: 'Date of the meeting',
+    meetingDuration: 'Length of the meeting in minutes',
+    overallSentiment: 'Overall sentiment: positive, negative or neutral',
+    sentimentScore: 'Sentiment score from -1 to 1',
+    keyInsights: 'One line per key insight',
+    actionItems: 'One line per action item'
+  },
+  required: []
+};
+
+const terminology = {
+  label: 'Medical terminology validation',
+  version: 1,
+  system: 'You are a medical terminology expert. Validate and correct medical terms in healthcare transcripts with high accuracy.',
+  prompt: `Review the following healthcare meeting transcript and identify any potential errors in medical terminology, drug names, or medical procedures.
+
+Transcript:
+{{transcript}}
+
+${INSTRUCTIONS_NOTE}
+
+Please provide:
+1. Identified medical terms that may be incorrect
+2. Suggested corrections
+3. Confidence level for each correction
+4. Medical context validation
+
+Respond in JSON format:
+{
+  "medicalTerms": [
+    {
+      "term": "string",
+      "suggestedCorrection": "string",
+      "confidence": 0.0-1.0,
+      "context": "string"
+    }
+  ],
+  "validationScore": 0.0-1.0,
+  "recommendations": ["string"]
+}`,
+  settings: {
+    instructions: {
+      ...INSTRUCTIONS,
+      description: 'Team-specific guidance, e.g. product and compound names that are spelt correctly'
+    }
+  },
+  runtime: {
+    transcript: 'The transcript text'
+  },
+  required: ['transcript']
+};
+
+const adverseEvents = {
+  label: 'Adverse event detection',
+  version: 1,
+  system: 'You are a pharmacovigilance specialist screening field conversations between pharmaceutical representatives and healthcare professionals for reportable safety information. Regulations require every possible adverse event to be reported, so you flag anything that could be one, however briefly it is mentioned, and leave the final judgement to the safety team. You never invent details that were not said.',
+  prompt: `Screen the following meeting transcript for safety information that must be reported to the pharmacovigilance team.
+
+Transcript:
+{{transcript}}
+
+${TIMESTAMP_NOTE}
+
+${SPEAKERS_NOTE}
+
+${PART_NOTE}
+
+${INSTRUCTIONS_NOTE}
+
+Report every mention, for any medicine (not only the company's products), of:
+- an ADVERSE EVENT: any unfavourable sign, symptom, side effect, illness or worsening in a patient taking a medicine, whether or not the speaker thinks the medicine caused it
+- a SPECIAL SITUATION, even without a reaction: use during pregnancy or breastfeeding, overdose, abuse or misuse, medication error, off-label use, lack of efficacy, or exposure of a child
+- a PRODUCT COMPLAINT: a suspected quality defect such as a damaged pen, discoloured tablets or a device that does not work
+
+Include events described second-hand (e.g. "one of my patients...") and events the HCP thinks are unrelated to the medicine. Do not report general discussion of a product's known safety profile or trial results that is not about an identified patient or case.
+
+For each mention give:
+- drug: the medicine named, or "unspecified" when it is not clear
+- reaction: the event in a few words, in the speaker's terms
+- patientContext: what was said about the patient (age, sex, condition, dose, outcome); an empty string when nothing was said
+- seriousness: "serious" when the event led to death, was life-threatening, caused hospitalisation, disability or a birth defect, or was described as medically important; "non-serious" when clearly not; otherwise "unknown"
+- eventType: "adverse-event", "special-situation" or "product-complaint"
+- quote: the exact words from the transcript that mention the event, copied verbatim
+- confidence: 0.0-1.0 that this is reportable safety information
+
+When nothing reportable was said, return an empty list.
+
+Respond in JSON format:
+{
+  "events": [
+    {
+      "drug": "string",
+      "reaction": "string",
+      "patientContext": "string",
+      "seriousness": "serious|non-serious|unknown",
+      "eventType": "adverse-event|special-situation|product-complaint",
+      "quote": "string",{{#timestamped}}
+      "segmentIndex": 0,{{/timestamped}}{{#hasSpeakers}}
+      "speaker": "one of {{speakerLabelOptions}}",{{/hasSpeakers}}
+      "confidence": 0.0-1.0
+    }
+  ]
+}`,
+  settings: {
+    instructions: {
+      ...INSTRUCTIONS,
+      description: 'Team-specific guidance, e.g. the company\'s products, their generic names and known brand misspellings'
+    }
+  },
+  runtime: TRANSCRIPT_RUNTIME,
+  required: ['transcript']
+};
+
+const compliance = {
+  label: 'Compliance screening',
+  version: 1,
+  system: 'You are a pharmaceutical compliance officer reviewing field conversations between pharmaceutical representatives and healthcare professionals against the company\'s promotional compliance rules. You flag statements that may break a rule so a reviewer can decide, quote them exactly, and never invent statements that were not made.',
+  prompt: `Review the following meeting transcript for statements that break the company's compliance rules.
+
+Transcript:
+{{transcript}}
+
+${TIMESTAMP_NOTE}
+
+${SPEAKERS_NOTE}
+
+${PART_NOTE}
+
+${INSTRUCTIONS_NOTE}
+
+Rules:
+{{rules}}
+
+Look for statements by the company's representatives that break a rule, whether or not they use the rule's words, for example promoting a product for an unapproved indication, population or dose; claims about efficacy or safety that go beyond the approved labelling or are not backed by evidence; offering gifts, payments, meals or other benefits in return for prescribing; and disparaging a competitor's products. Questions and statements by the healthcare professional only count when the representative endorses them. Do not flag a representative correctly declining to discuss off-label use or referring the question to medical information.
+
+For each statement give:
+- ruleId: the id of the rule it breaks ({{ruleIdOptions}})
+- quote: the exact words from the transcript, copied verbatim
+- explanation: one sentence on why it may break the rule
+- severity: "high", "medium" or "low", usually the rule's severity unless the statement is clearly more or less serious
+- confidence: 0.0-1.0 that the statement breaks the rule
+
+When no rule was broken, return an empty list.
+
+Respond in JSON format:
+{
+  "findings": [
+    {
+      "ruleId": "{{ruleIdOptions}}",
+      "quote": "string",
+      "explanation": "string",
+      "severity": "high|medium|low",{{#timestamped}}
+      "segmentIndex": 0,{{/timestamped}}{{#hasSpeakers}}
+      "speaker": "one of {{speakerLabelOptions}}",{{/hasSpeakers}}
+      "confidence": 0.0-1.0
+    }
+  ]
+}`,
+  settings: {
+    instructions: {
+      ...INSTRUCTIONS,
+      description: 'Team-specific guidance, e.g. the approved indications of the company\'s products'
+    }
+  },
+  runtime: {
+    ...TRANSCRIPT_RUNTIME,
+    rules: 'The organization\'s compliance rules checked by the model, one per line, e.g. "R1 [off-label, high] Off-label promotion: ..."',
+    ruleIdOptions: 'Rule ids separated by "|"'
+  },
+  required: ['transcript', 'rules']
+};
+
+module.exports = {
+  sentiment,
+  insights,
+  sentimentBreakdown,
+  executiveSummary,
+  terminology,
+  adverseEvents,
+  compliance
+};
@@ -0,0 +1,257 @@
+/**
+ * Response schemas for the analysis tasks in llmService
+ *
+ * Each is { name, schema }: the name is what the provider sees (response_format name or
+ * tool name) and the schema is checked and coerced by utils/jsonSchema. Defaults stand in
+ * for missing or unrecognised values; required properties have to come from the model.
+ */
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+const arrayOf = (items) => ({ type: 'array', items, default: [] });
+
+const text = { type: 'string' };
+const optionalText = { type: ['string', 'null'] };
+const texts = arrayOf(text);
+
+const oneOf = (values, fallback) => ({ type: 'string', enum: values, ...(fallback && { default: fallback }) });
+
+const sentimentLabel = oneOf(['positive', 'negative', 'neutral'], 'neutral');
+const level = oneOf(['high', 'medium', 'low'], 'medium');
+
+// -1 (very negative) to 1 (very positive)
+const sentimentScore = { type: 'number', minimum: -1, maximum: 1, default: 0 };
+const fraction = { type: 'number', minimum: 0, maximum: 1, default: 0 };
+const percentage = { type: 'number', minimum: 0, maximum: 100, default: 0 };
+
+// Numbered transcript segment an item was drawn from, when the transcript is timestamped
+const segmentIndex = { type: ['integer', 'null'], minimum: 0 };
+
+const sentiment = object({
+  overall: sentimentLabel,
+  score: sentimentScore,
+  details: object({
+    positive: percentage,
+    negative: percentage,
+    neutral: percentage
+  }),
+  explanations: object({
+    positive: text,
+    negative: text,
+    neutral: text
+  }),
+  emotionalIndicators: arrayOf(object({
+    indicator: text,
+    type: sentimentLabel,
+    context: text
+  }, ['indicator'])),
+  confidence: fraction,
+  sentimentTrends: arrayOf(object({
+    segment: text,
+    sentiment: sentimentLabel,
+    reason: text,
+    segmentIndex
+  }, ['segment'])),
+  contextFactors: object({
+    medicalConcerns: texts,
+    businessOpportunities: texts,
+    personalRapport: sentimentLabel,
+    professionalTone: oneOf(['formal', 'casual', 'mixed'], 'mixed')
+  }),
+  hcpSentiment: object({
+    overall: sentimentLabel,
+    score: sentimentScore,
+    explanation: text
+  }),
+  speakerSentiment: arrayOf(object({
+    speaker: text,
+    overall: sentimentLabel,
+    score: sentimentScore,
+    explanation: text
+  }, ['speaker']))
+}, ['overall', 'score']);
+
+// Default categories; organizations can set their own in the insights prompt template (see ./prompts)
+const INSIGHT_CATEGORIES = ['medical', 'business', 'strategic', 'operational'];
+const ACTION_CATEGORIES = ['follow-up', 'research', 'meeting', 'documentation'];
+
+const buildInsights = (insightCategories = INSIGHT_CATEGORIES, actionCategories = ACTION_CATEGORIES) => object({
+  keyInsights: arrayOf(object({
+    insight: text,
+    category: oneOf(insightCategories, insightCategories.includes('business') ? 'business' : insightCategories[0]),
+    confidence: fraction,
+    segmentIndex,
+    speaker: optionalText,
+    impact: level,
+    context: text
+  }, ['insight'])),
+  actionItems: arrayOf(object({
+    item: text,
+    priority: level,
+    assignee: optionalText,
+    // Stored as a Date, so anything that isn't a calendar date is dropped
+    dueDate: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}', default: null },
+    segmentIndex,
+    category: oneOf(actionCategories, actionCategories[0]),
+    estimatedEffort: text,
+    dependencies: texts
+  }, ['item'])),
+  followUpRecommendations: arrayOf(object({
+    recommendation: text,
+    timeline: text,
+    priority: level,
+    type: oneOf(['relationship', 'knowledge', 'resource'], 'relationship')
+  }, ['recommendation'])),
+  riskFactors: arrayOf(object({
+    risk: text,
+    severity: level,
+    mitigation: text,
+    category: oneOf(['compliance', 'competitive', 'operational'], 'operational')
+  }, ['risk'])),
+  opportunities: arrayOf(object({
+    opportunity: text,
+    potential: level,
+    timeline: text,
+    category: oneOf(['collaboration', 'market', 'innovation'], 'collaboration')
+  }, ['opportunity'])),
+  summary: object({
+    executiveSummary: text,
+    keyTakeaway: text,
+    strategicImplications: text,
+    nextSteps: text
+  })
+}, ['keyInsights', 'actionItems']);
+
+const insights = buildInsights();
+
+const emotionalDimension = object({
+  level,
+  indicators: texts,
+  score: fraction
+});
+
+const sentimentBreakdown = object({
+  overallMetrics: object({
+    primarySentiment: sentimentLabel,
+    intensityScore: sentimentScore,
+    confidence: fraction,
+    sentimentStability: oneOf(['stable', 'variable', 'volatile'], 'stable')
+  }, ['primarySentiment']),
+  segmentAnalysis: arrayOf(object({
+    segment: text,
+    sentiment: sentimentLabel,
+    intensity: sentimentScore,
+    keyPhrases: texts,
+    context: text
+  }, ['segment'])),
+  emotionalDimensions: object({
+    trust: emotionalDimension,
+    engagement: emotionalDimension,
+    concern: emotionalDimension,
+    enthusiasm: emotionalDimension
+  }),
+  contextualFactors: object({
+    professionalTone: oneOf(['formal', 'casual', 'mixed'], 'mixed'),
+    communicationStyle: oneOf(['collaborative', 'adversarial', 'neutral'], 'neutral'),
+    opennessToIdeas: level,
+    relationshipQuality: oneOf(['strong', 'developing', 'strained'], 'developing')
+  }),
+  sentimentIndicators: arrayOf(object({
+    indicator: text,
+    type: sentimentLabel,
+    context: text,
+    confidence: fraction
+  }, ['indicator']))
+}, ['overallMetrics']);
+
+const executiveSummary = object({
+  executiveSummary: text,
+  keyOutcomes: texts,
+  criticalInsights: texts,
+  recommendations: texts,
+  nextSteps: texts,
+  riskAssessment: text,
+  opportunities: texts
+}, ['executiveSummary']);
+
+const terminology = object({
+  medicalTerms: arrayOf(object({
+    term: text,
+    suggestedCorrection: text,
+    confidence: fraction,
+    context: text
+  }, ['term'])),
+  validationScore: fraction,
+  recommendations: texts
+}, ['medicalTerms']);
+
+const adverseEvents = object({
+  events: arrayOf(object({
+    drug: text,
+    reaction: text,
+    patientContext: text,
+    seriousness: oneOf(['serious', 'non-serious', 'unknown'], 'unknown'),
+    eventType: oneOf(['adverse-event', 'special-situation', 'product-complaint'], 'adverse-event'),
+    quote: text,
+    segmentIndex,
+    speaker: optionalText,
+    confidence: fraction
+  }, ['quote']))
+}, ['events']);
+
+const compliance = object({
+  findings: arrayOf(object({
+    ruleId: text,
+    quote: text,
+    explanation: text,
+    severity: level,
+    segmentIndex,
+    speaker: optionalText,
+    confidence: fraction
+  }, ['ruleId', 'quote']))
+}, ['findings']);
+
+const diarization = object({
+  speakers: arrayOf(object({
+    label: text,
+    name: optionalText,
+    role: { type: ['string', 'null'], enum: ['hcp', 'rep', 'other'], default: 'other' }
+  }, ['label'])),
+  segments: arrayOf(object({
+    index: { type: 'integer', minimum: 0 },
+    speaker: text
+  }, ['index', 'speaker']))
+}, ['segments']);
+
+/**
+ * Response schema for a task as configured by a prompt template
+ * The insights task takes its category values from the template's categories settings.
+ * @param {string} task - Task name
+ * @param {Object} settings - Template settings, e.g. { insightCategories: [{ name, description }] }
+ * @returns {Object|undefined} { name, schema }
+ */
+const build = (task, settings = {}) => {
+  if (task !== 'insights') return module.exports[task];
+
+  const names = (categories) => (Array.isArray(categories) && categories.length > 0
+    ? categories.map(category => category.name)
+    : undefined);
+  return { name: 'key_insights', schema: buildInsights(names(settings.insightCategories), names(settings.actionCategories)) };
+};
+
+module.exports = {
+  build,
+  sentiment: { name: 'sentiment_analysis', schema: sentiment },
+  insights: { name: 'key_insights', schema: insights },
+  sentimentBreakdown: { name: 'sentiment_breakdown', schema: sentimentBreakdown },
+  executiveSummary: { name: 'executive_summary', schema: executiveSummary },
+  terminology: { name: 'terminology_validation', schema: terminology },
+  adverseEvents: { name: 'adverse_events', schema: adverseEvents },
+  compliance: { name: 'compliance_findings', schema: compliance },
+  diarization: { name: 'speaker_labels', schema: diarization }
+};
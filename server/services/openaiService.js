@@ -1,246 +1,100 @@
-const OpenAI = require('openai');
-const fs = require('fs');
-const path = require('path');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('ffmpeg-static');
+const llmService = require('./llm');
+const promptTemplateService = require('./promptTemplateService');
 
-ffmpeg.setFfmpegPath(ffmpegPath);
+/**
+ * Template variables describing the transcript text of a prompt
+ * @param {string} text - Transcript text
+ * @param {Object} options - { timestamped, speakers: [{ label, name, isHcp }], part: { number, total } }
+ * @returns {Object} Runtime variables shared by the transcript prompts (see llm/prompts)
+ */
+const transcriptVariables = (text, options = {}) => {
+  const speakers = options.speakers || [];
+  return {
+    transcript: text,
+    timestamped: Boolean(options.timestamped),
+    hasSpeakers: speakers.length > 0,
+    speakerList: speakers.map(speaker => `${speaker.name}${speaker.isHcp ? ' - the healthcare professional' : ''}`),
+    speakerLabels: speakers.map(speaker => `${speaker.label} = ${speaker.name}`).join(', '),
+    speakerLabelOptions: speakers.map(speaker => speaker.label).join('|'),
+    firstSpeakerLabel: speakers[0]?.label || '',
+    partNumber: options.part?.number || null,
+    partCount: options.part?.total || null
+  };
+};
 
+/**
+ * Healthcare meeting analysis prompts
+ * Named for its origins; each call goes to the provider and model configured for its
+ * task in llmService. Prompts come from the organization's active prompt template
+ * (see promptTemplateService), results are validated against the template's schema and
+ * carry generatedBy: { provider, model, promptTemplate }.
+ *
+ * Every method takes options { signal, attribution, cache }, where attribution says who the
+ * AI usage is billed to (see llmService.complete) and whose templates are used, plus
+ *   template  { system, prompt, settings } to try an unsaved template instead of the active one
+ *   dryRun    return the rendered { system, prompt } without calling the model
+ */
 class OpenAIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-
   /**
-   * Transcribe audio or video file using OpenAI Whisper
-   * @param {string} filePath - Path to the audio or video file
-   * @param {string} language - Language code (optional)
-   * @returns {Promise<Object>} Transcription result
+   * Render a task's template and run it
+   * @param {string} task - Prompt template task
+   * @param {Object} runtime - Runtime variables for the template
+   * @param {Object} options - { signal, attribution, cache, template, dryRun }
+   * @returns {Promise<Object>} Validated response data with generatedBy, or { dryRun, system, prompt, promptTemplate }
    */
-  async transcribeAudio(filePath, language = 'en') {
-    let audioPath = filePath;
-    let tempAudioCreated = false;
-    const maxRetries = 2;
-    let attempt = 0;
-    const sleep = ms => new Promise(res => setTimeout(res, ms));
-    try {
-      console.log(`🎤 Starting OpenAI transcription for: ${filePath}`);
-      console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? 'Present' : 'Missing'}`);
-      console.log(`📁 File exists: ${fs.existsSync(filePath)}`);
-      console.log(`📏 File size: ${fs.statSync(filePath).size} bytes`);
-      
-      const ext = path.extname(filePath).toLowerCase();
-      const videoExtensions = ['.mp4', '.avi', '.mov', '.mkv'];
-      // If video, extract audio
-      if (videoExtensions.includes(ext)) {
-        audioPath = filePath + '.mp3';
-        console.log(`🎬 Extracting audio from video to: ${audioPath}`);
-        await new Promise((resolve, reject) => {
-          ffmpeg(filePath)
-            .output(audioPath)
-            .audioCodec('libmp3lame')
-            .on('end', () => {
-              tempAudioCreated = true;
-              console.log(`✅ Audio extraction completed`);
-              resolve();
-            })
-            .on('error', (err) => {
-              console.error(`❌ Audio extraction failed:`, err);
-              reject(err);
-            })
-            .run();
-        });
-      }
-      let lastError = null;
-      while (attempt < maxRetries) {
-        try {
-          console.log(`🚀 Sending to OpenAI Whisper API... (attempt ${attempt + 1})`);
-          // If the OpenAI SDK supports timeout, set it here. Otherwise, rely on default.
-          const transcription = await this.openai.audio.transcriptions.create({
-            file: fs.createReadStream(audioPath),
-            model: 'whisper-1',
-            language: language,
-            response_format: 'verbose_json',
-            timestamp_granularities: ['word']
-          });
-          console.log(`✅ OpenAI transcription completed for: ${filePath}`);
-          return {
-            success: true,
-            text: transcription.text,
-            confidence: transcription.confidence || 0,
-            language: transcription.language,
-            duration: transcription.duration,
-            segments: transcription.segments || []
-          };
-        } catch (error) {
-          lastError = error;
-          // Retry only on network errors
-          const isNetworkError = error.code === 'ECONNRESET' || error.message?.includes('ECONNRESET') || error.message?.includes('Connection error') || error.cause?.code === 'ECONNRESET';
-          console.error(`❌ OpenAI transcription failed (attempt ${attempt + 1}) for ${filePath}:`, error);
-          if (isNetworkError && attempt < maxRetries - 1) {
-            const wait = 1000 * Math.pow(2, attempt); // Exponential backoff: 1s, 2s, 4s
-            console.log(`🔁 Retrying OpenAI transcription in ${wait / 1000}s...`);
-            await sleep(wait);
-            attempt++;
-            continue;
-          } else {
-            break;
-          }
-        }
-      }
-      // If we reach here, all attempts failed
-      console.error(`❌ OpenAI transcription failed after ${maxRetries} attempts for ${filePath}:`, lastError);
+  async runTemplate(task, runtime, options = {}) {
+    const template = await promptTemplateService.resolve(task, options.attribution?.organization, options.template);
+    const rendered = promptTemplateService.render(template, runtime);
+
+    if (options.dryRun) {
       return {
-        success: false,
-        error: lastError?.message || 'Unknown error'
+        success: true,
+        dryRun: true,
+        system: rendered.system,
+        prompt: rendered.prompt,
+        promptTemplate: rendered.promptTemplate
       };
-    } finally {
-      // Clean up temp audio file if created
-      if (tempAudioCreated && fs.existsSync(audioPath)) {
-        fs.unlinkSync(audioPath);
-      }
     }
+
+    const response = await llmService.completeJson(task, {
+      system: rendered.system,
+      prompt: rendered.prompt,
+      schema: rendered.schema,
+      promptVersion: rendered.promptVersion,
+      signal: options.signal,
+      attribution: options.attribution,
+      cache: options.cache
+    });
+
+    return {
+      success: true,
+      ...response.data,
+      generatedBy: { provider: response.provider, model: response.model, promptTemplate: rendered.promptTemplate }
+    };
   }
 
   /**
    * Analyze sentiment of transcript text with enhanced breakdown
    * @param {string} text - Transcript text to analyze
+   * @param {Object} options - { timestamped } when text is formatted as numbered, timed segments,
+   *   { speakers, hcpStatements } when lines are attributed to speakers, { part: { number, total } } when
+   *   text is one part of a longer transcript, and the options every method takes
    * @returns {Promise<Object>} Enhanced sentiment analysis result
    */
-  async analyzeSentiment(text) {
+  async analyzeSentiment(text, options = {}) {
     try {
-      console.log('🧠 Starting OpenAI enhanced sentiment analysis...');
+      console.log('🧠 Starting enhanced sentiment analysis...');
       console.log('Sentiment analysis input:', text.slice(0, 200));
-      
-      const prompt = `
-        Analyze the sentiment of the following healthcare meeting transcript with comprehensive detail.
-        
-        Transcript:
-        ${text}
-        
-        Provide a detailed sentiment analysis including:
-        
-        1. Overall sentiment classification (positive, negative, neutral)
-        2. Sentiment score (-1.0 to 1.0, where -1 is very negative, 1 is very positive)
-        3. Detailed breakdown of positive, negative, and neutral percentages
-        4. For each sentiment category, provide specific explanations with supporting evidence from the transcript
-        5. Key emotional indicators and tone markers found in the text
-        6. Confidence level in the analysis
-        7. Sentiment trends throughout the conversation (if applicable)
-        8. Context-specific sentiment factors (e.g., medical concerns, business opportunities, personal rapport)
-        
-        Respond in JSON format:
-        {
-          "overall": "positive|negative|neutral",
-          "score": -1.0 to 1.0,
-          "details": {
-            "positive": 0-100,
-            "negative": 0-100,
-            "neutral": 0-100
-          },
-          "explanations": {
-            "positive": "Detailed explanation of positive elements with specific quotes or examples",
-            "negative": "Detailed explanation of negative elements with specific quotes or examples", 
-            "neutral": "Detailed explanation of neutral elements with specific quotes or examples"
-          },
-          "emotionalIndicators": [
-            {
-              "indicator": "string",
-              "type": "positive|negative|neutral",
-              "context": "string"
-            }
-          ],
-          "confidence": 0.0 to 1.0,
-          "sentimentTrends": [
-            {
-              "segment": "string",
-              "sentiment": "positive|negative|neutral",
-              "reason": "string"
-            }
-          ],
-          "contextFactors": {
-            "medicalConcerns": ["string"],
-            "businessOpportunities": ["string"],
-            "personalRapport": "positive|negative|neutral",
-            "professionalTone": "formal|casual|mixed"
-          }
-        }
-      `;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a healthcare sentiment analysis expert with deep understanding of medical conversations, business relationships, and emotional intelligence. Provide accurate, nuanced, and contextually relevant sentiment analysis for medical meeting transcripts. Focus on both the emotional tone and the professional context of healthcare interactions.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 1500
-      });
+      const result = await this.runTemplate('sentiment', {
+        ...transcriptVariables(text, options),
+        hcpStatements: options.hcpStatements || ''
+      }, options);
 
-      const content = response.choices[0].message.content;
-      console.log('Raw OpenAI sentiment response:', content);
-      
-      // Improved JSON extraction and parsing
-      let result;
-      try {
-        // First try to find JSON in the response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in OpenAI response');
-        }
-        
-        const jsonString = jsonMatch[0];
-        result = JSON.parse(jsonString);
-        
-        // Validate and clean emotionalIndicators if it's a string
-        if (result.emotionalIndicators && typeof result.emotionalIndicators === 'string') {
-          try {
-            // Try to parse it as JSON if it's a string representation
-            result.emotionalIndicators = JSON.parse(result.emotionalIndicators);
-          } catch (parseError) {
-            console.warn('Failed to parse emotionalIndicators as JSON, setting to empty array:', parseError.message);
-            result.emotionalIndicators = [];
-          }
-        }
-        
-        // Ensure emotionalIndicators is an array
-        if (!Array.isArray(result.emotionalIndicators)) {
-          console.warn('emotionalIndicators is not an array, setting to empty array');
-          result.emotionalIndicators = [];
-        }
-        
-        // Validate each emotional indicator has the required structure
-        result.emotionalIndicators = result.emotionalIndicators.filter(indicator => {
-          return indicator && typeof indicator === 'object' && 
-                 typeof indicator.indicator === 'string' &&
-                 typeof indicator.type === 'string' &&
-                 typeof indicator.context === 'string';
-        });
-        
-        console.log('Extracted sentiment JSON:', result);
-        
-      } catch (parseError) {
-        console.error('JSON parsing failed:', parseError);
-        console.error('Raw content:', content);
-        throw new Error(`Failed to parse OpenAI response: ${parseError.message}`);
-      }
-      
-      console.log('✅ OpenAI enhanced sentiment analysis completed');
-      
-      return {
-        success: true,
-        ...result
-      };
+      console.log('✅ enhanced sentiment analysis completed');
+      return result;
     } catch (error) {
-      console.error('❌ OpenAI sentiment analysis failed:', error);
+      console.error('❌ sentiment analysis failed:', error);
       return {
         success: false,
         error: error.message
@@ -249,196 +103,29 @@ class OpenAIService {
   }
 
   /**
-   * Extract comprehensive key insights and action items using OpenAI
+   * Extract comprehensive key insights and action items
    * @param {string} transcript - Meeting transcript
    * @param {Array} historicalData - Historical meeting data for context
    * @param {Array} medicalPublications - Relevant medical publications
+   * @param {Object} options - { timestamped } when the transcript is formatted as numbered, timed segments,
+   *   { speakers } when lines are attributed to speakers, { part: { number, total } } when the transcript
+   *   is one part of a longer one, and the options every method takes
    * @returns {Promise<Object>} Enhanced key insights and action items
    */
-  async extractKeyInsights(transcript, historicalData = [], medicalPublications = []) {
+  async extractKeyInsights(transcript, historicalData = [], medicalPublications = [], options = {}) {
     try {
-      console.log('🔍 Starting OpenAI enhanced key insights extraction...');
-      
-      // Build context from historical data
-      const historicalContext = historicalData.length > 0 
-        ? `Historical Context:\n${historicalData.map(item => `- ${item.summary}`).join('\n')}\n\n`
-        : '';
+      console.log('🔍 Starting enhanced key insights extraction...');
 
-      // Build medical context
-      const medicalContext = medicalPublications.length > 0
-        ? `Medical Publications Context:\n${medicalPublications.map(pub => `- ${pub.title}: ${pub.summary}`).join('\n')}\n\n`
-        : '';
+      const result = await this.runTemplate('insights', {
+        ...transcriptVariables(transcript, options),
+        historicalContext: historicalData.map(item => item.summary),
+        medicalContext: medicalPublications.map(pub => `${pub.title}: ${pub.summary}`)
+      }, options);
 
-      const prompt = `
-        Analyze the following healthcare meeting transcript and extract comprehensive insights and actionable items.
-        
-        ${historicalContext}
-        ${medicalContext}
-        
-        Current Meeting Transcript:
-        ${transcript}
-        
-        Please provide a comprehensive analysis including:
-        
-        1. KEY INSIGHTS:
-           - Medical insights (clinical observations, treatment discussions, patient care insights)
-           - Business insights (market opportunities, competitive intelligence, partnership potential)
-           - Strategic insights (long-term implications, trend analysis, future considerations)
-           - Operational insights (process improvements, workflow optimizations, efficiency gains)
-        
-        2. ACTION ITEMS:
-           - High priority items requiring immediate attention
-           - Medium priority items for follow-up
-           - Low priority items for future consideration
-           - Each item should include assignee suggestions and realistic due dates
-        
-        3. FOLLOW-UP RECOMMENDATIONS:
-           - Specific next steps for relationship development
-           - Knowledge gaps that need addressing
-           - Resources or information to provide
-        
-        4. RISK FACTORS:
-           - Potential concerns or red flags
-           - Compliance or regulatory considerations
-           - Competitive threats or market risks
-        
-        5. OPPORTUNITIES:
-           - Collaboration possibilities
-           - Market expansion opportunities
-           - Innovation or research partnerships
-        
-        6. SUMMARY:
-           - Executive summary of key outcomes
-           - Most important takeaway
-           - Strategic implications
-        
-        Respond in JSON format:
-        {
-          "keyInsights": [
-            {
-              "insight": "string",
-              "category": "medical|business|strategic|operational",
-              "confidence": 0.0-1.0,
-              "timestamp": "HH:MM:SS",
-              "impact": "high|medium|low",
-              "context": "string"
-            }
-          ],
-          "actionItems": [
-            {
-              "item": "string",
-              "priority": "high|medium|low",
-              "assignee": "string",
-              "dueDate": "YYYY-MM-DD",
-              "category": "follow-up|research|meeting|documentation",
-              "estimatedEffort": "string",
-              "dependencies": ["string"]
-            }
-          ],
-          "followUpRecommendations": [
-            {
-              "recommendation": "string",
-              "timeline": "string",
-              "priority": "high|medium|low",
-              "type": "relationship|knowledge|resource"
-            }
-          ],
-          "riskFactors": [
-            {
-              "risk": "string",
-              "severity": "high|medium|low",
-              "mitigation": "string",
-              "category": "compliance|competitive|operational"
-            }
-          ],
-          "opportunities": [
-            {
-              "opportunity": "string",
-              "potential": "high|medium|low",
-              "timeline": "string",
-              "category": "collaboration|market|innovation"
-            }
-          ],
-          "summary": {
-            "executiveSummary": "string",
-            "keyTakeaway": "string",
-            "strategicImplications": "string",
-            "nextSteps": "string"
-          }
-        }
-      `;
-
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a senior healthcare business analyst and strategic advisor with expertise in medical affairs, market access, and healthcare business development. Extract actionable, strategic insights from medical meeting transcripts with high accuracy and business relevance. Focus on both immediate actionable items and long-term strategic implications.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2500
-      });
-
-      const content = response.choices[0].message.content;
-      console.log('Raw OpenAI key insights response:', content);
-      
-      // Improved JSON extraction and parsing
-      let result;
-      try {
-        // First try to find JSON in the response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in OpenAI response');
-        }
-        
-        const jsonString = jsonMatch[0];
-        result = JSON.parse(jsonString);
-        
-        // Ensure keyInsights is an array
-        if (!Array.isArray(result.keyInsights)) {
-          console.warn('keyInsights is not an array, setting to empty array');
-          result.keyInsights = [];
-        }
-        
-        // Validate each key insight has the required structure
-        result.keyInsights = result.keyInsights.filter(insight => {
-          return insight && typeof insight === 'object' && 
-                 typeof insight.insight === 'string';
-        });
-        
-        // Ensure actionItems is an array
-        if (!Array.isArray(result.actionItems)) {
-          console.warn('actionItems is not an array, setting to empty array');
-          result.actionItems = [];
-        }
-        
-        // Validate each action item has the required structure
-        result.actionItems = result.actionItems.filter(item => {
-          return item && typeof item === 'object' && 
-                 typeof item.item === 'string';
-        });
-        
-        console.log('Extracted key insights JSON:', result);
-        
-      } catch (parseError) {
-        console.error('JSON parsing failed:', parseError);
-        console.error('Raw content:', content);
-        throw new Error(`Failed to parse OpenAI response: ${parseError.message}`);
-      }
-      
-      console.log('✅ OpenAI enhanced key insights extraction completed');
-      
-      return {
-        success: true,
-        ...result
-      };
+      console.log('✅ enhanced key insights extraction completed');
+      return result;
     } catch (error) {
-      console.error('❌ OpenAI key insights extraction failed:', error);
+      console.error('❌ key insights extraction failed:', error);
       return {
         success: false,
         error: error.message
@@ -449,129 +136,19 @@ class OpenAIService {
   /**
    * Generate comprehensive sentiment breakdown analysis
    * @param {string} text - Transcript text to analyze
+   * @param {Object} options - The options every method takes
    * @returns {Promise<Object>} Detailed sentiment breakdown
    */
-  async generateSentimentBreakdown(text) {
+  async generateSentimentBreakdown(text, options = {}) {
     try {
-      console.log('📊 Starting OpenAI sentiment breakdown analysis...');
-      
-      const prompt = `
-        Provide a comprehensive sentiment breakdown analysis for the following healthcare meeting transcript.
-        
-        Transcript:
-        ${text}
-        
-        Analyze the sentiment across different dimensions:
-        
-        1. OVERALL SENTIMENT METRICS:
-           - Primary sentiment classification
-           - Sentiment intensity score
-           - Confidence level
-        
-        2. SENTIMENT BREAKDOWN BY SEGMENTS:
-           - Analyze sentiment changes throughout the conversation
-           - Identify key turning points
-           - Segment by topic or speaker if applicable
-        
-        3. EMOTIONAL DIMENSIONS:
-           - Trust and confidence levels
-           - Engagement and interest
-           - Concern and apprehension
-           - Enthusiasm and optimism
-        
-        4. CONTEXTUAL FACTORS:
-           - Professional vs personal tone
-           - Formal vs informal communication
-           - Collaborative vs adversarial stance
-           - Openness to new ideas or approaches
-        
-        5. SENTIMENT INDICATORS:
-           - Specific phrases or expressions that indicate sentiment
-           - Tone markers and emotional cues
-           - Non-verbal indicators (if mentioned)
-        
-        Respond in JSON format:
-        {
-          "overallMetrics": {
-            "primarySentiment": "positive|negative|neutral",
-            "intensityScore": -1.0 to 1.0,
-            "confidence": 0.0 to 1.0,
-            "sentimentStability": "stable|variable|volatile"
-          },
-          "segmentAnalysis": [
-            {
-              "segment": "string",
-              "sentiment": "positive|negative|neutral",
-              "intensity": -1.0 to 1.0,
-              "keyPhrases": ["string"],
-              "context": "string"
-            }
-          ],
-          "emotionalDimensions": {
-            "trust": {
-              "level": "high|medium|low",
-              "indicators": ["string"],
-              "score": 0.0 to 1.0
-            },
-            "engagement": {
-              "level": "high|medium|low",
-              "indicators": ["string"],
-              "score": 0.0 to 1.0
-            },
-            "concern": {
-              "level": "high|medium|low",
-              "indicators": ["string"],
-              "score": 0.0 to 1.0
-            },
-            "enthusiasm": {
-              "level": "high|medium|low",
-              "indicators": ["string"],
-              "score": 0.0 to 1.0
-            }
-          },
-          "contextualFactors": {
-            "professionalTone": "formal|casual|mixed",
-            "communicationStyle": "collaborative|adversarial|neutral",
-            "opennessToIdeas": "high|medium|low",
-            "relationshipQuality": "strong|developing|strained"
-          },
-          "sentimentIndicators": [
-            {
-              "indicator": "string",
-              "type": "positive|negative|neutral",
-              "context": "string",
-              "confidence": 0.0 to 1.0
-            }
-          ]
-        }
-      `;
+      console.log('📊 Starting sentiment breakdown analysis...');
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a healthcare communication analyst specializing in sentiment analysis and emotional intelligence. Provide detailed, nuanced breakdowns of sentiment in medical conversations, considering both the emotional and professional context of healthcare interactions.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 2000
-      });
+      const result = await this.runTemplate('sentimentBreakdown', { transcript: text }, options);
 
-      const result = JSON.parse(response.choices[0].message.content);
-      
-      console.log('✅ OpenAI sentiment breakdown analysis completed');
-      
-      return {
-        success: true,
-        ...result
-      };
+      console.log('✅ sentiment breakdown analysis completed');
+      return result;
     } catch (error) {
-      console.error('❌ OpenAI sentiment breakdown analysis failed:', error);
+      console.error('❌ sentiment breakdown analysis failed:', error);
       return {
         success: false,
         error: error.message
@@ -582,74 +159,28 @@ class OpenAIService {
   /**
    * Generate executive summary for leadership
    * @param {Object} transcriptData - Transcript and analysis data
+   * @param {Object} options - The options every method takes
    * @returns {Promise<Object>} Executive summary
    */
-  async generateExecutiveSummary(transcriptData) {
+  async generateExecutiveSummary(transcriptData, options = {}) {
     try {
-      console.log('📊 Generating OpenAI executive summary...');
-      
-      const prompt = `
-        Create an executive summary for leadership based on the following healthcare meeting data:
-        
-        Meeting Details:
-        - HCP: ${transcriptData.hcpName}
-        - Specialty: ${transcriptData.hcpSpecialty}
-        - Date: ${transcriptData.meetingDate}
-        - Duration: ${transcriptData.meetingDuration} minutes
-        
-        Sentiment Analysis:
-        - Overall: ${transcriptData.sentimentAnalysis.overall}
-        - Score: ${transcriptData.sentimentAnalysis.score}
-        
-        Key Insights: ${transcriptData.keyInsights.map(insight => insight.insight).join(', ')}
-        
-        Action Items: ${transcriptData.actionItems.map(item => item.item).join(', ')}
-        
-        Please provide a concise executive summary suitable for C-level leadership, including:
-        1. Meeting overview and key outcomes
-        2. Sentiment analysis summary
-        3. Critical insights and recommendations
-        4. Next steps and action items
-        5. Risk assessment and opportunities
-        
-        Respond in JSON format:
-        {
-          "executiveSummary": "string",
-          "keyOutcomes": ["string"],
-          "criticalInsights": ["string"],
-          "recommendations": ["string"],
-          "nextSteps": ["string"],
-          "riskAssessment": "string",
-          "opportunities": ["string"]
-        }
-      `;
+      console.log('📊 Generating executive summary...');
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an executive communication expert. Create clear, actionable summaries for healthcare leadership.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1500
-      });
+      const result = await this.runTemplate('executiveSummary', {
+        hcpName: transcriptData.hcpName,
+        hcpSpecialty: transcriptData.hcpSpecialty,
+        meetingDate: transcriptData.meetingDate,
+        meetingDuration: transcriptData.meetingDuration,
+        overallSentiment: transcriptData.sentimentAnalysis?.overall,
+        sentimentScore: transcriptData.sentimentAnalysis?.score,
+        keyInsights: (transcriptData.keyInsights || []).map(insight => insight.insight),
+        actionItems: (transcriptData.actionItems || []).map(item => item.item)
+      }, options);
 
-      const result = JSON.parse(response.choices[0].message.content);
-      
-      console.log('✅ OpenAI executive summary generated');
-      
-      return {
-        success: true,
-        ...result
-      };
+      console.log('✅ executive summary generated');
+      return result;
     } catch (error) {
-      console.error('❌ OpenAI executive summary generation failed:', error);
+      console.error('❌ executive summary generation failed:', error);
       return {
         success: false,
         error: error.message
@@ -660,65 +191,70 @@ class OpenAIService {
   /**
    * Validate medical terminology in transcript
    * @param {string} transcript - Transcript text to validate
+   * @param {Object} options - The options every method takes
    * @returns {Promise<Object>} Medical terminology validation result
    */
-  async validateMedicalTerminology(transcript) {
+  async validateMedicalTerminology(transcript, options = {}) {
     try {
-      console.log('🏥 Validating medical terminology with OpenAI...');
-      
-      const prompt = `
-        Review the following healthcare meeting transcript and identify any potential errors in medical terminology, drug names, or medical procedures.
-        
-        Transcript:
-        ${transcript}
-        
-        Please provide:
-        1. Identified medical terms that may be incorrect
-        2. Suggested corrections
-        3. Confidence level for each correction
-        4. Medical context validation
-        
-        Respond in JSON format:
-        {
-          "medicalTerms": [
-            {
-              "term": "string",
-              "suggestedCorrection": "string",
-              "confidence": 0.0-1.0,
-              "context": "string"
-            }
-          ],
-          "validationScore": 0.0-1.0,
-          "recommendations": ["string"]
-        }
-      `;
+      console.log('🏥 Validating medical terminology...');
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a medical terminology expert. Validate and correct medical terms in healthcare transcripts with high accuracy.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 1000
-      });
+      const result = await this.runTemplate('terminology', { transcript }, options);
 
-      const result = JSON.parse(response.choices[0].message.content);
-      
-      console.log('✅ OpenAI medical terminology validation completed');
-      
+      console.log('✅ medical terminology validation completed');
+      return result;
+    } catch (error) {
+      console.error('❌ medical terminology validation failed:', error);
       return {
-        success: true,
-        ...result
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Screen a transcript for possible adverse events, special situations and product complaints
+   * @param {string} text - Transcript text to screen
+   * @param {Object} options - { timestamped, speakers, part } as for analyzeSentiment, and the options every method takes
+   * @returns {Promise<Object>} { success, events: [{ drug, reaction, patientContext, seriousness, eventType, quote, segmentIndex, speaker, confidence }] }
+   */
+  async detectAdverseEvents(text, options = {}) {
+    try {
+      console.log('🩺 Screening transcript for adverse events...');
+
+      const result = await this.runTemplate('adverseEvents', transcriptVariables(text, options), options);
+
+      console.log(`✅ adverse event screening completed (${result.dryRun ? 'dry run' : `${result.events.length} found`})`);
+      return result;
+    } catch (error) {
+      console.error('❌ adverse event screening failed:', error);
+      return {
+        success: false,
+        error: error.message
       };
+    }
+  }
+
+  /**
+   * Check a transcript against an organization's compliance rules
+   * @param {string} text - Transcript text to check
+   * @param {Object} options - { rules: [line], ruleIdOptions } from complianceService.promptRules, { timestamped,
+   *   speakers, part } as for analyzeSentiment, and the options every method takes
+   * @returns {Promise<Object>} { success, findings: [{ ruleId, quote, explanation, severity, segmentIndex, speaker, confidence }] }
+   */
+  async checkCompliance(text, options = {}) {
+    try {
+      console.log('📋 Checking transcript against compliance rules...');
+
+      const result = await this.runTemplate('compliance', {
+        ...transcriptVariables(text, options),
+        rules: options.rules || [],
+        ruleIdOptions: options.ruleIdOptions || ''
+      }, options);
+
+      console.log(`✅ compliance check completed (${result.dryRun ? 'dry run' : `${result.findings.length} found`})`);
+      return result;
     } catch (error) {
-      console.error('❌ OpenAI medical terminology validation failed:', error);
+      console.error('❌ compliance check failed:', error);
       return {
         success: false,
         error: error.message
@@ -727,36 +263,33 @@ class OpenAIService {
   }
 
   /**
-   * Test OpenAI API connectivity
+   * Test connectivity to the configured chat model
    * @returns {Promise<Object>} Test result
    */
-  async testOpenAIConnection() {
+  async testConnection() {
+    const { provider, model } = llmService.getTaskConfig('healthCheck');
     try {
-      console.log('🧪 Testing OpenAI API connection...');
-      console.log(`🔑 API Key present: ${process.env.OPENAI_API_KEY ? 'Yes' : 'No'}`);
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'user',
-            content: 'Hello, this is a test message.'
-          }
-        ],
-        max_tokens: 10
+      console.log(`🧪 Testing ${provider} connection (${model})...`);
+
+      const response = await llmService.complete('healthCheck', {
+        prompt: 'Hello, this is a test message.'
       });
-      
-      console.log('✅ OpenAI API connection test successful');
+
+      console.log(`✅ ${provider} connection test successful`);
       return {
         success: true,
-        message: 'OpenAI API is accessible',
-        response: response.choices[0].message.content
+        message: `${provider} (${response.model}) is accessible`,
+        provider,
+        model: response.model,
+        response: response.content
       };
     } catch (error) {
-      console.error('❌ OpenAI API connection test failed:', error);
+      console.error(`❌ ${provider} connection test failed:`, error);
       return {
         success: false,
         error: error.message,
+        provider,
+        model,
         details: {
           status: error.status,
           code: error.code,
@@ -0,0 +1,87 @@
+require('dotenv').config();
+
+// List prices in USD: chat models per million tokens, transcription models per audio minute.
+// Models are matched by the longest prefix, so dated snapshots (gpt-4o-2024-08-06) use their family's
+// price. Override or extend with AI_PRICING, e.g. {"gpt-4o":{"input":2.5,"output":10},"whisper-1":{"perMinute":0.006}}
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'whisper-1': { perMinute: 0.006 }
+};
+
+/**
+ * Estimated cost of AI calls from a price table
+ * Calls to local providers cost nothing; unknown models are logged once and priced at zero.
+ */
+class PricingService {
+  constructor() {
+    this.prices = { ...DEFAULT_PRICES, ...this.readOverrides() };
+    this.warned = new Set();
+  }
+
+  readOverrides() {
+    if (!process.env.AI_PRICING) return {};
+    try {
+      return JSON.parse(process.env.AI_PRICING);
+    } catch (error) {
+      console.error('❌ AI_PRICING is not valid JSON, using default prices:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Price entry for a model
+   * @param {string} model - Model or deployment name
+   * @returns {Object|null} { input, output } or { perMinute }
+   */
+  getPrice(model) {
+    const name = String(model || '').toLowerCase();
+    const match = Object.keys(this.prices)
+      .filter(prefix => name.startsWith(prefix.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!match) {
+      if (name && !this.warned.has(name)) {
+        this.warned.add(name);
+        console.warn(`⚠️ No price for model "${model}"; its usage is recorded at $0 (set AI_PRICING to add one)`);
+      }
+      return null;
+    }
+    return this.prices[match];
+  }
+
+  /**
+   * Estimated cost of a chat completion
+   * @param {Object} call - { model, local, inputTokens, outputTokens }
+   * @returns {number} USD
+   */
+  chatCost({ model, local, inputTokens = 0, outputTokens = 0 }) {
+    if (local) return 0;
+    const price = this.getPrice(model);
+    if (!price) return 0;
+    return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1e6;
+  }
+
+  /**
+   * Estimated cost of a transcription
+   * @param {Object} call - { model, local, audioSeconds }
+   * @returns {number} USD
+   */
+  transcriptionCost({ model, local, audioSeconds = 0 }) {
+    if (local) return 0;
+    const price = this.getPrice(model);
+    if (!price) return 0;
+    return (audioSeconds / 60) * (price.perMinute || 0);
+  }
+}
+
+module.exports = new PricingService();
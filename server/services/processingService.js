@@ -0,0 +1,700 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const Transcript = require('../models/Transcript');
+const fileService = require('./fileService');
+const transcriptAnalysisService = require('./transcriptAnalysisService');
+const transcriptionService = require('./transcription');
+const documentService = require('./documentService');
+const transcriptSegmentService = require('./transcriptSegmentService');
+const diarizationService = require('./diarization');
+const usageService = require('./usageService');
+const safetyService = require('./safetyService');
+const complianceService = require('./complianceService');
+const redactionService = require('./redactionService');
+const { formatTimecode } = require('../utils/timecode');
+
+/**
+ * Build an error the job queue should not retry (e.g. the transcript was deleted)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const notRetryable = (message) => Object.assign(new Error(message), { retryable: false });
+
+/**
+ * Who a transcript's AI usage is billed to
+ * @param {Object} transcript - Transcript document
+ * @param {Object} options - { userId } of the user who started the work, else the uploader
+ * @returns {Object} { organization, user, transcriptId }
+ */
+const attributionFor = (transcript, options = {}) => ({
+  organization: transcript.organization,
+  user: options.userId || transcript.createdBy,
+  transcriptId: transcript._id
+});
+
+class ProcessingService {
+  /**
+   * Transcribe a transcript's uploaded file
+   * Throws on failure so the job queue can retry
+   * @param {string} transcriptId - Transcript ID
+   * @param {string} fileKey - Storage key of the uploaded file
+   * @param {Object} options - { signal } aborts the work when the upload is cancelled, { userId } is billed for it
+   * @returns {Promise<Object>} { transcriptId, duration, skipped }
+   */
+  async processTranscription(transcriptId, fileKey, options = {}) {
+    const { signal } = options;
+    console.log(`🎤 Starting transcription for transcript: ${transcriptId}`);
+
+    const transcript = await Transcript.findById(transcriptId);
+    if (!transcript) {
+      throw notRetryable('Transcript not found');
+    }
+
+    // A previous attempt may have saved the text before the worker died
+    if (transcript.transcriptionStatus === 'completed' && transcript.rawTranscript) {
+      console.log(`⚠️ Transcript ${transcriptId} already transcribed, skipping`);
+      return { transcriptId, duration: transcript.meetingDuration, segmentCount: transcript.segmentCount, skipped: true };
+    }
+
+    // Throws (or defers the job) when the organization's monthly AI budget is used up
+    await usageService.assertWithinBudget(transcript.organization);
+
+    // Update status to processing
+    await Transcript.findByIdAndUpdate(transcriptId, {
+      transcriptionStatus: 'processing',
+      processingStage: 'transcribing',
+      processingProgress: 10,
+      processingStartTime: new Date()
+    });
+
+    // Get file from storage
+    const fileResult = await fileService.getFile(fileKey || transcript.fileKey);
+    if (!fileResult.success) {
+      throw new Error(`Failed to get file for transcription: ${fileResult.error}`);
+    }
+
+    // Uploads record their provider; older transcripts fall back to the organization's default
+    let provider = transcript.transcriptionProvider;
+    if (!provider) {
+      const resolved = await transcriptionService.resolveProvider(null, transcript.organization);
+      if (resolved.error) {
+        throw notRetryable(resolved.error);
+      }
+      provider = resolved.provider;
+    }
+
+    // Save to temp file for the transcription provider
+    const ext = path.extname(fileKey || transcript.fileKey || '');
+    const tempFilePath = path.join(os.tmpdir(), `${transcriptId}${ext}`);
+    fs.writeFileSync(tempFilePath, fileResult.buffer);
+
+    let transcriptionResult;
+    try {
+      signal?.throwIfAborted();
+      transcriptionResult = await transcriptionService.transcribe(tempFilePath, {
+        provider,
+        language: 'en',
+        signal,
+        attribution: attributionFor(transcript, options),
+        // Long recordings are transcribed in segments; move the bar as they finish
+        onProgress: (fraction) => Transcript.updateOne(
+          { _id: transcriptId, processingStage: 'transcribing' },
+          { processingProgress: 10 + Math.round(fraction * 45) }
+        )
+      });
+    } finally {
+      if (fs.existsSync(tempFilePath)) {
+        fs.unlinkSync(tempFilePath);
+      }
+    }
+
+    signal?.throwIfAborted();
+    if (!transcriptionResult.success) {
+      throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+    }
+
+    // Keep the time-aligned segments so analysis can point at real moments
+    const segmentCount = await transcriptSegmentService.saveSegments(transcript, transcriptionResult);
+
+    // Segments that could not be transcribed leave gaps; keep a record of where
+    const gapErrors = (transcriptionResult.gaps || []).map(gap => ({
+      error: `Audio from ${formatTimecode(gap.start)} to ${formatTimecode(gap.end)} could not be transcribed: ${gap.error}`,
+      timestamp: new Date()
+    }));
+
+    // Update transcript with results; diarization or analysis is queued next
+    const diarize = this.shouldDiarize(segmentCount);
+    await Transcript.findByIdAndUpdate(transcriptId, {
+      rawTranscript: transcriptionResult.text,
+      transcriptionStatus: 'completed',
+      processingStage: diarize ? 'diarizing' : 'analyzing',
+      processingProgress: 60,
+      meetingDuration: transcriptionResult.duration || 0,
+      segmentCount,
+      transcriptionProvider: transcriptionResult.provider,
+      transcriptionModel: transcriptionResult.model,
+      speakers: [],
+      diarizationStatus: diarize ? 'pending' : 'skipped',
+      processingEndTime: new Date(),
+      ...(gapErrors.length > 0 && { $push: { processingErrors: { $each: gapErrors } } })
+    });
+
+    // Keep the redacted variant for reviewers; a failure is recorded and retried when the text is next used
+    await redactionService.refreshTranscript(await Transcript.findById(transcriptId));
+
+    console.log(`✅ Transcription completed for transcript: ${transcriptId}`);
+
+    return { transcriptId, duration: transcriptionResult.duration || 0, segmentCount, skipped: false };
+  }
+
+  /**
+   * Whether a transcript with this many segments gets a diarization stage
+   * @param {number} segmentCount - Stored segments
+   * @returns {boolean}
+   */
+  shouldDiarize(segmentCount) {
+    return diarizationService.isEnabled() && segmentCount > 0;
+  }
+
+  /**
+   * Label a transcript's segments by speaker
+   * Throws on failure so the job queue can retry
+   * @param {string} transcriptId - Transcript ID
+   * @param {Object} options - { provider, signal, userId }
+   * @returns {Promise<Object>} { transcriptId, speakers, provider }
+   */
+  async processDiarization(transcriptId, options = {}) {
+    const { provider, signal } = options;
+    console.log(`🗣️ Starting diarization for transcript: ${transcriptId}`);
+
+    const transcript = await Transcript.findById(transcriptId);
+    if (!transcript) {
+      throw notRetryable('Transcript not found');
+    }
+
+    const segments = await transcriptSegmentService.getSegments(transcriptId);
+    if (segments.length === 0) {
+      await Transcript.findByIdAndUpdate(transcriptId, { diarizationStatus: 'skipped' });
+      return { transcriptId, speakers: 0, skipped: true };
+    }
+
+    await usageService.assertWithinBudget(transcript.organization);
+
+    await Transcript.findByIdAndUpdate(transcriptId, {
+      processingStage: 'diarizing',
+      processingProgress: 62
+    });
+
+    // The LLM diarizer sends segment text to the model, so it gets the redacted text too
+    const redaction = await redactionService.getSettings(transcript.organization);
+    const diarizationSegments = redaction.enabled
+      ? await redactionService.redactSegments(segments, redaction, redactionService.allowedNames(transcript))
+      : segments;
+
+    const result = await diarizationService.diarize(transcript, diarizationSegments, {
+      provider,
+      signal,
+      attribution: attributionFor(transcript, options)
+    });
+    signal?.throwIfAborted();
+
+    await transcriptSegmentService.saveSpeakers(transcriptId, result.assignments);
+    await Transcript.findByIdAndUpdate(transcriptId, {
+      speakers: result.speakers,
+      diarizationStatus: 'completed',
+      diarizationProvider: result.provider,
+      processingStage: 'analyzing',
+      processingProgress: 65
+    });
+
+    console.log(`✅ Diarization completed for transcript ${transcriptId}: ${result.speakers.length} speaker(s) via ${result.provider}`);
+
+    return { transcriptId, speakers: result.speakers.length, provider: result.provider };
+  }
+
+  /**
+   * Earlier meetings with the same HCP, as context for the insights prompt
+   * Their insights quote those meetings, so they are redacted like the transcript text
+   * @param {Object} transcript - Transcript document
+   * @param {Object} options - { limit } meetings, most recent first
+   * @returns {Promise<Object[]>} [{ summary, insights }]
+   */
+  async buildHistoricalData(transcript, { limit = 3 } = {}) {
+    const historicalTranscripts = await Transcript.find({
+      organization: transcript.organization,
+      hcpName: transcript.hcpName,
+      _id: { $ne: transcript._id },
+      transcriptionStatus: 'completed'
+    })
+      .sort({ meetingDate: -1 })
+      .limit(limit)
+      .select('hcpName attendees speakers keyInsights sentimentAnalysis')
+      .lean();
+
+    const redaction = await redactionService.getSettings(transcript.organization);
+    if (redaction.enabled) {
+      for (const historical of historicalTranscripts) {
+        await redactionService.redactPaths(
+          historical,
+          ['keyInsights[].insight', 'keyInsights[].context'],
+          redaction,
+          redactionService.allowedNames(historical)
+        );
+      }
+    }
+
+    return historicalTranscripts.map(t => ({
+      summary: `Meeting with ${t.hcpName} - Sentiment: ${t.sentimentAnalysis?.overall}`,
+      insights: t.keyInsights
+    }));
+  }
+
+  /**
+   * The text, segments and speakers a transcript is analysed with, redacted when the organization has redaction on
+   * @param {Object} transcript - Transcript document
+   * @param {Object} options - { useEditedTranscript } to prefer the reviewer's edited text
+   * @returns {Promise<Object>} { analysisInput: { text, segments, speakers }, segments, speakers, speakerNames }
+   * @throws {Error} Not retryable, when the transcript has no text
+   */
+  async buildAnalysisInput(transcript, { useEditedTranscript = false } = {}) {
+    // Re-analysis prefers the reviewer's edited text
+    const transcriptText = useEditedTranscript
+      ? transcript.editedTranscript || transcript.rawTranscript
+      : transcript.rawTranscript;
+
+    if (!transcriptText) {
+      throw notRetryable('No transcript text available for analysis');
+    }
+
+    // Timed segments describe the raw transcript, so they only apply while the text is unedited
+    let segments = transcriptText === transcript.rawTranscript && transcript.segmentCount > 0
+      ? await transcriptSegmentService.getSegments(transcript._id)
+      : [];
+    let text = transcriptText;
+
+    // With redaction on, the model only ever sees the redacted text
+    const redaction = await redactionService.getSettings(transcript.organization);
+    if (redaction.enabled) {
+      const allowed = redactionService.allowedNames(transcript);
+      if (segments.length > 0) {
+        segments = await redactionService.redactSegments(segments, redaction, allowed);
+      } else {
+        text = (await redactionService.redactText(transcriptText, redaction, allowed)).text;
+      }
+    }
+
+    // With diarized segments, attribute statements (and the HCP's sentiment) to speakers
+    const speakers = segments.some(segment => segment.speaker) ? transcript.speakers || [] : [];
+    const speakerNames = speakers.reduce((names, speaker) => {
+      names[speaker.label] = diarizationService.displayName(speaker);
+      return names;
+    }, {});
+
+    return {
+      analysisInput: {
+        text: segments.length > 0 ? transcriptSegmentService.formatForPrompt(segments, speakerNames) : text,
+        segments,
+        speakers: speakers.map(speaker => ({ label: speaker.label, name: speakerNames[speaker.label], isHcp: speaker.isHcp }))
+      },
+      segments,
+      speakers,
+      speakerNames
+    };
+  }
+
+  /**
+   * Run sentiment analysis and insight extraction for a transcript
+   * Throws on failure so the job queue can retry
+   * @param {string} transcriptId - Transcript ID
+   * @param {Object} options - { useEditedTranscript, includeHistoricalData, signal, userId }
+   * @returns {Promise<Object>} { transcriptId, keyInsights, actionItems }
+   */
+  async processAIAnalysis(transcriptId, options = {}) {
+    const { useEditedTranscript = false, includeHistoricalData = false, signal } = options;
+    console.log(`🧠 Starting AI analysis for transcript: ${transcriptId}`);
+
+    const transcript = await Transcript.findById(transcriptId);
+    if (!transcript) {
+      throw notRetryable('Transcript not found');
+    }
+
+    // Long transcripts are analysed in parts and merged (see transcriptAnalysisService)
+    const { analysisInput, segments, speakers, speakerNames } = await this.buildAnalysisInput(transcript, { useEditedTranscript });
+
+    await usageService.assertWithinBudget(transcript.organization);
+    const attribution = attributionFor(transcript, options);
+
+    await Transcript.findByIdAndUpdate(transcriptId, {
+      processingStage: 'analyzing',
+      processingProgress: 70
+    });
+
+    // Earlier meetings with the same HCP give the insights prompt more context
+    const historicalData = includeHistoricalData ? await this.buildHistoricalData(transcript) : [];
+
+    // Perform sentiment analysis
+    const sentimentResult = await transcriptAnalysisService.analyzeSentiment(analysisInput, { signal, attribution });
+
+    if (!sentimentResult.success) {
+      throw new Error(`Sentiment analysis failed: ${sentimentResult.error}`);
+    }
+
+    signal?.throwIfAborted();
+    await Transcript.findByIdAndUpdate(transcriptId, { processingProgress: 85 });
+
+    // Extract key insights
+    const insightsResult = await transcriptAnalysisService.extractKeyInsights(analysisInput, historicalData, { signal, attribution });
+
+    if (!insightsResult.success) {
+      throw new Error(`Insights extraction failed: ${insightsResult.error}`);
+    }
+
+    // Update transcript with AI analysis results
+    // Both results have been validated against their schemas (see services/llm/schemas)
+    const updateData = {
+      sentimentAnalysis: {
+        overall: sentimentResult.overall,
+        score: sentimentResult.score,
+        details: sentimentResult.details,
+        explanations: sentimentResult.explanations,
+        emotionalIndicators: sentimentResult.emotionalIndicators,
+        confidence: sentimentResult.confidence,
+        sentimentTrends: transcriptSegmentService.attachPositions(sentimentResult.sentimentTrends, segments),
+        contextFactors: sentimentResult.contextFactors,
+        hcpSentiment: speakers.some(speaker => speaker.isHcp) && sentimentResult.hcpSentiment ? sentimentResult.hcpSentiment : null,
+        speakerSentiment: speakers.length > 0
+          ? sentimentResult.speakerSentiment
+            .filter(entry => speakerNames[entry.speaker])
+            .map(entry => ({ ...entry, name: speakerNames[entry.speaker] }))
+          : [],
+        generatedBy: { ...sentimentResult.generatedBy, generatedAt: new Date() }
+      },
+      keyInsights: transcriptSegmentService.attachPositions(insightsResult.keyInsights, segments),
+      actionItems: transcriptSegmentService.attachPositions(insightsResult.actionItems, segments),
+      followUpRecommendations: insightsResult.followUpRecommendations,
+      riskFactors: insightsResult.riskFactors,
+      opportunities: insightsResult.opportunities,
+      insightsSummary: insightsResult.summary || null,
+      insightsGeneratedBy: { ...insightsResult.generatedBy, generatedAt: new Date() },
+      processingStage: 'completed',
+      processingProgress: 100
+    };
+
+    // The upload may have been cancelled while the model was responding
+    signal?.throwIfAborted();
+
+    await Transcript.findByIdAndUpdate(transcriptId, updateData);
+
+    // Speaker names and edits can change what is redacted since the text was last stored
+    await redactionService.refreshTranscript(transcript);
+
+    console.log(`✅ AI analysis completed for transcript: ${transcriptId}`);
+
+    return {
+      transcriptId,
+      sentiment: updateData.sentimentAnalysis.overall,
+      keyInsights: updateData.keyInsights.length,
+      actionItems: updateData.actionItems.length
+    };
+  }
+
+  /**
+   * Screen a transcript for possible adverse events and flag it for the safety team
+   * Runs alongside diarization and analysis so the reporting clock starts as early as possible.
+   * Throws on failure so the job queue can retry.
+   * @param {string} transcriptId - Transcript ID
+   * @param {Object} options - { useEditedTranscript, recheck, signal, userId }; without recheck a
+   *   transcript that has already been screened is left alone
+   * @returns {Promise<Object>} { transcriptId, status, events, added, notified }
+   */
+  async processAdverseEventDetection(transcriptId, options = {}) {
+    const { useEditedTranscript = false, recheck = false, signal } = options;
+    console.log(`🩺 Starting adverse event screening for transcript: ${transcriptId}`);
+
+    const transcript = await Transcript.findById(transcriptId);
+    if (!transcript) {
+      throw notRetryable('Transcript not found');
+    }
+
+    if (transcript.safety?.checkedAt && !recheck) {
+      console.log(`⚠️ Transcript ${transcriptId} already screened for adverse events, skipping`);
+      return { transcriptId, status: transcript.safety.status, skipped: true };
+    }
+
+    const { analysisInput, segments } = await this.buildAnalysisInput(transcript, { useEditedTranscript });
+
+    // No budget check: possible adverse events have to reach the safety team whatever the AI spend
+    const result = await transcriptAnalysisService.detectAdverseEvents(analysisInput, {
+      signal,
+      attribution: attributionFor(transcript, options)
+    });
+    if (!result.success) {
+      throw new Error(`Adverse event screening failed: ${result.error}`);
+    }
+    signal?.throwIfAborted();
+
+    const detected = transcriptSegmentService.attachPositions(result.events, segments);
+    const existing = (transcript.adverseEvents || []).map(event => event.toObject());
+    const { events, added } = safetyService.mergeDetected(existing, detected);
+    const { status, flagged } = safetyService.statusFor(events);
+
+    // The reporting clock starts at the first detection and is not reset by re-screening
+    const now = new Date();
+    const detectedAt = events.length > 0 ? transcript.safety?.detectedAt || now : null;
+
+    transcript.adverseEvents = events;
+    transcript.set({
+      'safety.status': status,
+      'safety.flagged': flagged,
+      'safety.detectedAt': detectedAt,
+      'safety.reportDueBy': detectedAt ? safetyService.reportDueBy(detectedAt) : null,
+      'safety.checkedAt': now,
+      'safety.reviewedAt': status === 'reviewed' ? transcript.safety?.reviewedAt || now : null,
+      'safety.generatedBy': { ...result.generatedBy, generatedAt: now }
+    });
+    await transcript.save();
+
+    let notified = [];
+    if (added.length > 0) {
+      // The events are saved; a failed notification is recorded rather than retried
+      try {
+        const delivery = await safetyService.notifyReviewers(transcript, added);
+        notified = delivery.notified;
+        if (notified.length > 0) {
+          await Transcript.findByIdAndUpdate(transcriptId, {
+            $addToSet: { 'safety.reviewersNotified': { $each: notified } },
+            'safety.notifiedAt': new Date()
+          });
+        }
+        if (delivery.failed.length > 0) {
+          await this.recordProcessingError(transcriptId, `Adverse event alert could not be sent to: ${delivery.failed.join(', ')}`);
+        }
+      } catch (error) {
+        console.error(`❌ Adverse event alert failed for ${transcriptId}:`, error);
+        await this.recordProcessingError(transcriptId, `Adverse event alert failed: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Adverse event screening completed for transcript ${transcriptId}: ${status}, ${added.length} new event(s)`);
+
+    return { transcriptId, status, events: events.length, added: added.length, notified: notified.length };
+  }
+
+  /**
+   * Check a transcript against the organization's compliance rules
+   * Pattern matches and the model's findings are stored together; a transcript with findings
+   * is held back from CRM sync until a compliance reviewer approves it.
+   * Throws on failure so the job queue can retry.
+   * @param {string} transcriptId - Transcript ID
+   * @param {Object} options - { useEditedTranscript, recheck, signal, userId }; without recheck a
+   *   transcript that has already been checked is left alone
+   * @returns {Promise<Object>} { transcriptId, status, findings, rulesChecked }
+   */
+  async processComplianceCheck(transcriptId, options = {}) {
+    const { useEditedTranscript = false, recheck = false, signal } = options;
+    console.log(`📋 Starting compliance check for transcript: ${transcriptId}`);
+
+    const transcript = await Transcript.findById(transcriptId);
+    if (!transcript) {
+      throw notRetryable('Transcript not found');
+    }
+
+    if (transcript.compliance?.checkedAt && !recheck) {
+      console.log(`⚠️ Transcript ${transcriptId} already checked for compliance, skipping`);
+      return { transcriptId, status: transcript.compliance.status, skipped: true };
+    }
+
+    const { analysisInput, segments } = await this.buildAnalysisInput(transcript, { useEditedTranscript });
+    const rules = await complianceService.getRules(transcript.organization, { enabledOnly: true });
+    const ruleFindings = complianceService.matchRules(rules, { text: analysisInput.text, segments });
+
+    // The model only sees the rules that ask for it
+    const { variables, byId } = complianceService.promptRules(rules);
+    let modelFindings = [];
+    let generatedBy = null;
+    if (Object.keys(byId).length > 0) {
+      await usageService.assertWithinBudget(transcript.organization);
+
+      const result = await transcriptAnalysisService.checkCompliance(analysisInput, {
+        ...variables,
+        signal,
+        attribution: attributionFor(transcript, options)
+      });
+      if (!result.success) {
+        throw new Error(`Compliance check failed: ${result.error}`);
+      }
+      signal?.throwIfAborted();
+
+      modelFindings = complianceService.fromModel(result.findings, byId);
+      generatedBy = result.generatedBy;
+    }
+
+    const findings = transcriptSegmentService.attachPositions(
+      complianceService.mergeFindings(ruleFindings, modelFindings),
+      segments
+    );
+    const previous = (transcript.complianceFindings || []).map(finding => finding.toObject());
+    const { status, flagged, highestSeverity, keepReview } = complianceService.statusFor(
+      findings,
+      previous,
+      transcript.compliance || {}
+    );
+
+    const now = new Date();
+    transcript.complianceFindings = findings;
+    transcript.set({
+      'compliance.status': status,
+      'compliance.flagged': flagged,
+      'compliance.highestSeverity': highestSeverity,
+      'compliance.checkedAt': now,
+      'compliance.rulesChecked': rules.length,
+      'compliance.generatedBy': generatedBy ? { ...generatedBy, generatedAt: now } : null
+    });
+    if (!keepReview) {
+      transcript.set('compliance.review', undefined);
+    }
+    await transcript.save();
+
+    console.log(`✅ Compliance check completed for transcript ${transcriptId}: ${status}, ${findings.length} finding(s)`);
+
+    return { transcriptId, status, findings: findings.length, rulesChecked: rules.length };
+  }
+
+  /**
+   * Generate PowerPoint and/or PDF documents for a transcript
+   * @param {string} transcriptId - Transcript ID
+   * @param {string[]} documentTypes - Any of 'ppt', 'pdf'
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { transcriptId, documents: [{ type, url }] }
+   */
+  async generateDocuments(transcriptId, documentTypes = ['ppt', 'pdf'], options = {}) {
+    const { signal } = options;
+    const transcript = await Transcript.findById(transcriptId);
+    if (!transcript) {
+      throw notRetryable('Transcript not found');
+    }
+
+    if (transcript.transcriptionStatus !== 'completed' && transcript.transcriptionStatus !== 'edited') {
+      throw notRetryable('Transcript not ready for document generation');
+    }
+
+    const wantsPpt = documentTypes.includes('ppt');
+    const wantsPdf = documentTypes.includes('pdf');
+    if (!wantsPpt && !wantsPdf) {
+      throw notRetryable('No valid document types specified');
+    }
+
+    console.log(`📋 Generating ${documentTypes.join(', ')} for transcript: ${transcriptId}`);
+
+    // Documents leave the system, so they are built from the redacted text when redaction is on
+    const source = await redactionService.forExport(transcript);
+
+    const documentsToAdd = [];
+    if (wantsPpt && wantsPdf) {
+      const generationResult = await documentService.generateDocuments(source);
+      if (!generationResult.success) {
+        const reasons = [generationResult.error, generationResult.powerpoint?.error, generationResult.pdf?.error].filter(Boolean);
+        throw new Error(reasons.join('; ') || 'Document generation failed');
+      }
+      if (generationResult.powerpoint && generationResult.powerpoint.success) {
+        documentsToAdd.push({ type: 'ppt', url: generationResult.powerpoint.url, generatedAt: new Date() });
+      }
+      if (generationResult.pdf && generationResult.pdf.success) {
+        documentsToAdd.push({ type: 'pdf', url: generationResult.pdf.url, generatedAt: new Date() });
+      }
+    } else {
+      const type = wantsPpt ? 'ppt' : 'pdf';
+      const generationResult = wantsPpt
+        ? await documentService.generatePowerPoint(source)
+        : await documentService.generatePDF(source);
+      if (!generationResult.success) {
+        throw new Error(generationResult.error || 'Document generation failed');
+      }
+      documentsToAdd.push({ type, url: generationResult.url, generatedAt: new Date() });
+    }
+
+    signal?.throwIfAborted();
+    if (documentsToAdd.length > 0) {
+      await Transcript.findByIdAndUpdate(transcriptId, {
+        $push: {
+          generatedDocuments: { $each: documentsToAdd }
+        }
+      });
+    }
+
+    console.log(`✅ Generated ${documentsToAdd.length} document(s) for transcript: ${transcriptId}`);
+
+    return {
+      transcriptId,
+      documents: documentsToAdd.map(doc => ({ type: doc.type, url: doc.url }))
+    };
+  }
+
+  /**
+   * Append an entry to a transcript's processing errors
+   * @param {string} transcriptId - Transcript ID
+   * @param {string} message - Error message
+   * @param {Object} update - Extra fields to set (e.g. transcriptionStatus)
+   * @returns {Promise<void>}
+   */
+  async recordProcessingError(transcriptId, message, update = {}) {
+    await Transcript.findByIdAndUpdate(transcriptId, {
+      ...update,
+      $push: {
+        processingErrors: { error: message, timestamp: new Date() }
+      }
+    });
+  }
+
+  /**
+   * Find transcripts left in pending/processing without queued work (e.g. the server
+   * restarted mid-transcription before jobs existed) and hand them back to the queue
+   * @param {Object} jobQueue - Job queue service
+   * @param {number} graceMs - Ignore transcripts touched more recently than this
+   * @returns {Promise<Object>} { requeued, failed }
+   */
+  async recoverOrphanedTranscripts(jobQueue, graceMs = 2 * 60 * 1000) {
+    const candidates = await Transcript.find({
+      transcriptionStatus: { $in: ['pending', 'processing'] },
+      updatedAt: { $lt: new Date(Date.now() - graceMs) }
+    }).select('fileKey organization createdBy transcriptionStatus');
+
+    let requeued = 0;
+    let failed = 0;
+
+    for (const transcript of candidates) {
+      if (await jobQueue.hasActiveJob(transcript._id, ['transcription'])) {
+        continue;
+      }
+
+      if (!transcript.fileKey) {
+        await this.recordProcessingError(
+          transcript._id,
+          'Processing was interrupted and the uploaded file is no longer available',
+          { transcriptionStatus: 'failed', processingStage: 'failed', processingEndTime: new Date() }
+        );
+        failed++;
+        continue;
+      }
+
+      await jobQueue.enqueue('transcription', {
+        transcriptId: transcript._id.toString(),
+        fileKey: transcript.fileKey
+      }, {
+        organization: transcript.organization,
+        createdBy: transcript.createdBy,
+        transcriptId: transcript._id
+      });
+      requeued++;
+    }
+
+    if (requeued || failed) {
+      console.log(`🔄 Recovered orphaned transcripts: ${requeued} requeued, ${failed} marked failed`);
+    }
+
+    return { requeued, failed };
+  }
+}
+
+module.exports = new ProcessingService();
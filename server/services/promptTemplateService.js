@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+const prompts = require('./llm/prompts');
+const schemas = require('./llm/schemas');
+const { render, findVariables } = require('../utils/template');
+
+const MAX_SYSTEM_LENGTH = 5000;
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+const MAX_CATEGORIES = 12;
+const CATEGORY_NAME = /^[a-z0-9][a-z0-9 _-]{0,39}$/i;
+
+/**
+ * Short name for a template version, recorded in the usage ledger and cache
+ * @param {Object} ref - { source, version }
+ * @returns {string} e.g. "default.v1", "organization.v3" or "draft"
+ */
+const labelOf = ({ source, version }) => (source === 'draft' ? 'draft' : `${source}.v${version}`);
+
+/**
+ * Versioned analysis prompts per organization
+ *
+ * Every analysis task has a built-in template (see llm/prompts). An organization can save
+ * its own versions of a task's template, with its own instructions and categories; the
+ * active version is used for the organization's analyses and falls back to the built-in
+ * one when there is none. Each analysis records the template it used
+ * (generatedBy.promptTemplate: { source, templateId, version }) so results can be reproduced.
+ */
+class PromptTemplateService {
+  constructor() {
+    this.tasks = Object.keys(prompts);
+  }
+
+  /**
+   * Built-in definition of a task's template
+   * @param {string} task - Task name
+   * @returns {Object} From llm/prompts
+   */
+  getDefinition(task) {
+    if (!prompts[task]) {
+      throw new Error(`Unknown prompt template task: ${task}`);
+    }
+    return prompts[task];
+  }
+
+  /**
+   * Fill in defaults for missing settings and drop unknown ones
+   * @param {string} task - Task name
+   * @param {Object} settings - Setting values
+   * @returns {Object}
+   */
+  normalizeSettings(task, settings = {}) {
+    const definition = this.getDefinition(task);
+    return Object.entries(definition.settings).reduce((values, [name, setting]) => {
+      const value = settings?.[name];
+      if (setting.type === 'categories') {
+        values[name] = Array.isArray(value) && value.length > 0
+          ? value.map(category => ({
+            name: String(category?.name || '').trim(),
+            description: String(category?.description || '').trim()
+          }))
+          : setting.default;
+      } else {
+        values[name] = typeof value === 'string' ? value.trim() : setting.default;
+      }
+      return values;
+    }, {});
+  }
+
+  /**
+   * The built-in template for a task
+   * @param {string} task - Task name
+   * @returns {Object} { task, source: 'default', templateId, version, system, prompt, settings }
+   */
+  getDefault(task) {
+    const definition = this.getDefinition(task);
+    return {
+      task,
+      source: 'default',
+      templateId: null,
+      version: definition.version,
+      system: definition.system,
+      prompt: definition.prompt,
+      settings: this.normalizeSettings(task),
+      notes: '',
+      active: true
+    };
+  }
+
+  /**
+   * Template in the shape resolve returns, from a stored version
+   * @param {Object} doc - PromptTemplate document or lean object
+   * @returns {Object}
+   */
+  fromDocument(doc) {
+    return {
+      task: doc.task,
+      source: 'organization',
+      templateId: doc._id,
+      version: doc.version,
+      system: doc.system,
+      prompt: doc.prompt,
+      settings: this.normalizeSettings(doc.task, doc.settings),
+      notes: doc.notes,
+      active: doc.active,
+      createdBy: doc.createdBy,
+      createdAt: doc.createdAt
+    };
+  }
+
+  /**
+   * Template to use for an organization's analysis
+   * Falls back to the built-in template without an active version, or when the database
+   * can't be read (e.g. in scripts).
+   * @param {string} task - Task name
+   * @param {string} [organization] - Organization name
+   * @param {Object} [draft] - { system, prompt, settings } to use instead of the active text, for previews
+   * @returns {Promise<Object>} { task, source, templateId, version, system, prompt, settings }
+   */
+  async resolve(task, organization, draft = null) {
+    let template = this.getDefault(task);
+
+    if (organization && mongoose.connection.readyState === 1) {
+      try {
+        const active = await PromptTemplate.findOne({ organization, task, active: true }).lean();
+        if (active) template = this.fromDocument(active);
+      } catch (error) {
+        console.error(`❌ Loading ${task} prompt template for ${organization} failed, using the built-in one:`, error.message);
+      }
+    }
+
+    if (!draft) return template;
+
+    return {
+      ...template,
+      source: 'draft',
+      templateId: null,
+      version: null,
+      system: draft.system ?? template.system,
+      prompt: draft.prompt ?? template.prompt,
+      settings: this.normalizeSettings(task, { ...template.settings, ...draft.settings })
+    };
+  }
+
+  /**
+   * Render a template for one analysis call
+   * @param {Object} template - From resolve
+   * @param {Object} runtime - Values of the task's runtime variables
+   * @returns {Object} { system, prompt, schema, promptTemplate: { source, templateId, version }, promptVersion }
+   */
+  render(template, runtime = {}) {
+    const definition = this.getDefinition(template.task);
+    const variables = {};
+
+    for (const [name, setting] of Object.entries(definition.settings)) {
+      const value = template.settings[name];
+      if (setting.type === 'categories') {
+        variables[name] = value.map(category => (category.description ? `${category.name}: ${category.description}` : category.name));
+        variables[`${name}Options`] = value.map(category => category.name).join('|');
+      } else {
+        variables[name] = value;
+      }
+    }
+    Object.assign(variables, runtime);
+
+    const promptTemplate = { source: template.source, templateId: template.templateId, version: template.version };
+    return {
+      system: render(template.system, variables),
+      prompt: render(template.prompt, variables),
+      schema: schemas.build(template.task, template.settings),
+      promptTemplate,
+      promptVersion: labelOf(promptTemplate)
+    };
+  }
+
+  /**
+   * Check a template before it is saved or previewed
+   * @param {string} task - Task name
+   * @param {Object} input - { system, prompt, settings }
+   * @returns {string[]} Problems, empty when the template can be used
+   */
+  validate(task, { system = '', prompt = '', settings = {} }) {
+    const definition = this.getDefinition(task);
+    const errors = [];
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      errors.push('Prompt is required');
+    } else if (prompt.length > MAX_PROMPT_LENGTH) {
+      errors.push(`Prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (typeof system !== 'string') {
+      errors.push('System message must be text');
+    } else if (system.length > MAX_SYSTEM_LENGTH) {
+      errors.push(`System message must be at most ${MAX_SYSTEM_LENGTH} characters`);
+    }
+
+    const known = new Set(Object.keys(definition.runtime));
+    for (const [name, setting] of Object.entries(definition.settings)) {
+      known.add(name);
+      if (setting.type === 'categories') known.add(`${name}Options`);
+    }
+
+    const used = new Set();
+    for (const [field, text] of [['System message', system], ['Prompt', prompt]]) {
+      if (typeof text !== 'string') continue;
+      try {
+        findVariables(text).forEach(name => {
+          used.add(name);
+          if (!known.has(name)) errors.push(`${field} uses unknown variable {{${name}}}`);
+        });
+      } catch (error) {
+        errors.push(`${field}: ${error.message}`);
+      }
+    }
+    for (const name of definition.required) {
+      if (!used.has(name)) errors.push(`Prompt must include {{${name}}}`);
+    }
+
+    for (const [name, setting] of Object.entries(definition.settings)) {
+      const value = settings?.[name];
+      if (value === undefined || value === null) continue;
+
+      if (setting.type === 'text') {
+        if (typeof value !== 'string') {
+          errors.push(`${setting.label} must be text`);
+        } else if (value.length > MAX_INSTRUCTIONS_LENGTH) {
+          errors.push(`${setting.label} must be at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+        }
+        continue;
+      }
+
+      if (!Array.isArray(value) || value.length === 0 || value.length > MAX_CATEGORIES) {
+        errors.push(`${setting.label} must list between 1 and ${MAX_CATEGORIES} categories`);
+        continue;
+      }
+      const names = value.map(category => String(category?.name || '').trim());
+      if (names.some(categoryName => !CATEGORY_NAME.test(categoryName))) {
+        errors.push(`${setting.label}: names must be 1-40 letters, numbers, spaces, "-" or "_"`);
+      }
+      if (new Set(names.map(categoryName => categoryName.toLowerCase())).size !== names.length) {
+        errors.push(`${setting.label}: names must be unique`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Every task's active template for an organization
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object[]>} [{ task, label, source, version, versions, updatedAt }]
+   */
+  async list(organization) {
+    const [active, counts] = await Promise.all([
+      PromptTemplate.find({ organization, active: true }).lean(),
+      PromptTemplate.aggregate([
+        { $match: { organization } },
+        { $group: { _id: '$task', versions: { $sum: 1 } } }
+      ])
+    ]);
+
+    return this.tasks.map(task => {
+      const override = active.find(template => template.task === task);
+      const definition = this.getDefinition(task);
+      return {
+        task,
+        label: definition.label,
+        source: override ? 'organization' : 'default',
+        version: override ? override.version : definition.version,
+        defaultVersion: definition.version,
+        versions: counts.find(count => count._id === task)?.versions || 0,
+        updatedAt: override?.createdAt || null
+      };
+    });
+  }
+
+  /**
+   * A task's active template, its saved versions and the variables it can use
+   * @param {string} task - Task name
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object>} { task, label, active, default, versions, settings, runtime, required }
+   */
+  async getTask(task, organization) {
+    const definition = this.getDefinition(task);
+    const versions = await PromptTemplate.find({ organization, task })
+      .sort({ version: -1 })
+      .populate('createdBy', 'firstName lastName email')
+      .lean();
+    const active = versions.find(version => version.active);
+
+    return {
+      task,
+      label: definition.label,
+      active: active ? this.fromDocument(active) : this.getDefault(task),
+      default: this.getDefault(task),
+      versions: versions.map(version => this.fromDocument(version)),
+      settings: definition.settings,
+      runtime: definition.runtime,
+      required: definition.required
+    };
+  }
+
+  /**
+   * Save a new version of an organization's template and make it the active one
+   * @param {string} task - Task name
+   * @param {string} organization - Organization name
+   * @param {Object} input - { system, prompt, settings, notes }
+   * @param {string} userId - Who saved it
+   * @returns {Promise<Object>} { success, template } or { success: false, errors }
+   */
+  async saveVersion(task, organization, input, userId) {
+    const errors = this.validate(task, input);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const latest = await PromptTemplate.findOne({ organization, task }).sort({ version: -1 }).select('version').lean();
+    const template = await PromptTemplate.create({
+      organization,
+      task,
+      version: (latest?.version || 0) + 1,
+      system: input.system || '',
+      prompt: input.prompt,
+      settings: this.normalizeSettings(task, input.settings),
+      notes: String(input.notes || '').trim(),
+      active: false,
+      createdBy: userId
+    });
+    await this.activate(task, organization, template.version);
+
+    console.log(`📝 Saved ${task} prompt template v${template.version} for ${organization}`);
+    return { success: true, template: this.fromDocument({ ...template.toObject(), active: true }) };
+  }
+
+  /**
+   * Make one of an organization's saved versions the active one
+   * @param {string} task - Task name
+   * @param {string} organization - Organization name
+   * @param {number} version - Version to activate
+   * @returns {Promise<Object|null>} The activated template, or null when there is no such version
+   */
+  async activate(task, organization, version) {
+    const template = await PromptTemplate.findOne({ organization, task, version });
+    if (!template) return null;
+
+    await PromptTemplate.updateMany({ organization, task, active: true, _id: { $ne: template._id } }, { active: false });
+    template.active = true;
+    await template.save();
+    return this.fromDocument(template.toObject());
+  }
+
+  /**
+   * Go back to the built-in template; saved versions are kept
+   * @param {string} task - Task name
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object|null>} The version that was active, or null when there was none
+   */
+  async reset(task, organization) {
+    this.getDefinition(task);
+    const previous = await PromptTemplate.findOneAndUpdate({ organization, task, active: true }, { active: false }).lean();
+    return previous ? this.fromDocument(previous) : null;
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,533 @@
+const axios = require('axios');
+const Organization = require('../models/Organization');
+const Transcript = require('../models/Transcript');
+
+// What can be redacted, and what replaces it in the text
+const ENTITY_TYPES = {
+  name: '[NAME]',
+  mrn: '[MRN]',
+  dob: '[DOB]',
+  phone: '[PHONE]',
+  address: '[ADDRESS]',
+  email: '[EMAIL]',
+  ssn: '[SSN]'
+};
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${MONTH}\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2}(?:st|nd|rd|th)? (?:of )?${MONTH},? \\d{4})`;
+const CAPITALIZED = "[A-Z][a-z'-]+";
+const STREET = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Highway|Hwy)';
+
+// Where a pattern has a capture group, only the group is redacted so labels like "DOB:" stay readable.
+// Names are only recognised where the wording says a person (not a doctor) follows; the NER model finds the rest.
+const PATTERNS = {
+  name: [
+    new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx)\\.?\\s+(${CAPITALIZED}(?:\\s+${CAPITALIZED})?)`, 'gd'),
+    new RegExp(`\\b[Pp]atient(?:'s name is|\\s+named|\\s+called|,)?\\s+(${CAPITALIZED}(?:\\s+${CAPITALIZED})?)`, 'gd')
+  ],
+  mrn: [
+    /\b(?:MRN|medical record (?:number|no\.?|#)|patient (?:ID|number)|chart (?:number|no\.?))\s*(?:is\s*|:\s*|#\s*)*([A-Z]{0,3}\d[\dA-Z-]{3,})\b/gdi
+  ],
+  dob: [
+    new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|date of birth|birth ?date|born(?: on)?)\\s*(?:is\\s*|was\\s*|:\\s*)*(${DATE})`, 'gdi')
+  ],
+  phone: [
+    /(?<![\d-])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?![\d-])/gd
+  ],
+  address: [
+    new RegExp(`\\b\\d{1,6}\\s+(?:${CAPITALIZED}\\s+){1,4}${STREET}\\b\\.?(?:,?\\s*(?:Apt|Suite|Unit|#)\\.?\\s*[\\w-]+)?`, 'gd')
+  ],
+  email: [
+    /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/gd
+  ],
+  ssn: [
+    /\b\d{3}-\d{2}-\d{4}\b/gd
+  ]
+};
+
+// Entity labels of common NER models (spaCy, Presidio, Hugging Face token classifiers)
+const NER_LABELS = {
+  PERSON: 'name',
+  PER: 'name',
+  NAME: 'name',
+  PATIENT: 'name',
+  LOCATION: 'address',
+  LOC: 'address',
+  ADDRESS: 'address',
+  STREET_ADDRESS: 'address',
+  PHONE: 'phone',
+  PHONE_NUMBER: 'phone',
+  EMAIL: 'email',
+  EMAIL_ADDRESS: 'email',
+  MRN: 'mrn',
+  MEDICAL_RECORD_NUMBER: 'mrn',
+  MEDICAL_LICENSE: 'mrn',
+  DOB: 'dob',
+  DATE_OF_BIRTH: 'dob',
+  SSN: 'ssn',
+  US_SSN: 'ssn'
+};
+
+const NER_BATCH_SIZE = 100;
+
+// Free text in the analysis that documents and the CRM receive alongside the transcript;
+// '[]' steps into each element of an array
+const EXPORT_TEXT_PATHS = [
+  'keyInsights[].insight',
+  'keyInsights[].context',
+  'actionItems[].item',
+  'actionItems[].assignee',
+  'actionItems[].dependencies[]',
+  'followUpRecommendations[].recommendation',
+  'riskFactors[].risk',
+  'riskFactors[].mitigation',
+  'opportunities[].opportunity',
+  'insightsSummary.executiveSummary',
+  'insightsSummary.keyTakeaway',
+  'insightsSummary.strategicImplications',
+  'insightsSummary.nextSteps',
+  'sentimentAnalysis.explanations.positive',
+  'sentimentAnalysis.explanations.negative',
+  'sentimentAnalysis.explanations.neutral',
+  'sentimentAnalysis.emotionalIndicators[].context',
+  'sentimentAnalysis.sentimentTrends[].segment',
+  'sentimentAnalysis.sentimentTrends[].reason',
+  'sentimentAnalysis.contextFactors.medicalConcerns[]',
+  'sentimentAnalysis.contextFactors.businessOpportunities[]',
+  'sentimentAnalysis.contextFactors.personalRapport',
+  'sentimentAnalysis.contextFactors.professionalTone',
+  'sentimentAnalysis.hcpSentiment.explanation',
+  'sentimentAnalysis.speakerSentiment[].explanation'
+];
+
+// Users who only see redacted text also get the quotes behind safety and compliance findings
+const VIEWER_TEXT_PATHS = [
+  ...EXPORT_TEXT_PATHS,
+  'adverseEvents[].patientContext',
+  'adverseEvents[].quote',
+  'adverseEvents[].reviewNotes',
+  'complianceFindings[].quote',
+  'complianceFindings[].explanation',
+  'compliance.review.notes'
+];
+
+// Call visit(container, key) for every string at path under value
+const forEachText = (value, [step, ...rest], visit) => {
+  const isArray = step.endsWith('[]');
+  const key = isArray ? step.slice(0, -2) : step;
+  const child = value?.[key];
+  if (child === undefined || child === null) return;
+
+  if (!isArray) {
+    if (rest.length > 0) forEachText(child, rest, visit);
+    else if (typeof child === 'string') visit(value, key);
+    return;
+  }
+  if (!Array.isArray(child)) return;
+  child.forEach((element, index) => {
+    if (rest.length > 0) forEachText(element, rest, visit);
+    else if (typeof element === 'string') visit(child, index);
+  });
+};
+
+// Deep copy of plain objects and arrays; anything else (dates, ids) is shared
+const clonePlain = (value) => {
+  if (Array.isArray(value)) return value.map(clonePlain);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, clonePlain(child)]));
+  }
+  return value;
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  entityTypes: Object.keys(ENTITY_TYPES),
+  useNER: false
+};
+
+/**
+ * Removes protected health information from transcript text before it leaves the
+ * system: AI prompts, generated documents and CRM payloads
+ *
+ * Detection uses the patterns above and, when the organization turns it on, the NER
+ * service at PHI_NER_URL. That service is sent { texts: [string] } and answers
+ * { entities: [[{ start, end, label }]] }, one list of character offsets per text.
+ * When NER is on and the service can't be reached, redaction fails rather than
+ * letting text through with only the patterns applied.
+ */
+class RedactionService {
+  constructor() {
+    this.nerUrl = process.env.PHI_NER_URL || '';
+    this.nerTimeoutMs = parseInt(process.env.PHI_NER_TIMEOUT_MS, 10) || 10000;
+  }
+
+  get entityTypes() {
+    return Object.keys(ENTITY_TYPES);
+  }
+
+  /**
+   * Whether an NER service is configured
+   * @returns {boolean}
+   */
+  isNERAvailable() {
+    return Boolean(this.nerUrl);
+  }
+
+  /**
+   * An organization's redaction settings, with defaults filled in
+   * @param {string} organizationName - Organization name
+   * @returns {Promise<Object>} { enabled, entityTypes, useNER }
+   */
+  async getSettings(organizationName) {
+    const organization = await Organization.findOne({ name: organizationName }).select('settings.redaction').lean();
+    const configured = organization?.settings?.redaction || {};
+    return {
+      enabled: configured.enabled ?? DEFAULT_SETTINGS.enabled,
+      entityTypes: configured.entityTypes?.length > 0 ? configured.entityTypes : DEFAULT_SETTINGS.entityTypes,
+      useNER: configured.useNER ?? DEFAULT_SETTINGS.useNER
+    };
+  }
+
+  /**
+   * Words that are never redacted as names for a transcript: the HCP's, the attendees' and
+   * the speakers' names, which the analysis needs and which are not patient information
+   * @param {Object} transcript - Transcript document
+   * @returns {Set<string>} Lowercased words
+   */
+  allowedNames(transcript) {
+    const names = [
+      transcript.hcpName,
+      ...(transcript.attendees || []).map(attendee => attendee.name),
+      ...(transcript.speakers || []).map(speaker => speaker.name)
+    ];
+    return new Set(
+      names
+        .filter(Boolean)
+        .flatMap(name => name.toLowerCase().split(/[\s.,]+/))
+        .filter(word => word.length > 1)
+    );
+  }
+
+  /**
+   * Pattern matches in one text
+   * @param {string} text - Text to search
+   * @param {string[]} entityTypes - Types to look for
+   * @returns {Object[]} [{ type, start, end, source: 'pattern' }]
+   */
+  matchPatterns(text, entityTypes) {
+    return entityTypes.flatMap(type => (PATTERNS[type] || []).flatMap(pattern =>
+      [...text.matchAll(pattern)].map(match => {
+        const [start, end] = match.indices[1] || match.indices[0];
+        return { type, start, end, source: 'pattern' };
+      })
+    ));
+  }
+
+  /**
+   * Entities the NER service finds in each text
+   * @param {string[]} texts - Texts to search
+   * @param {string[]} entityTypes - Types to keep
+   * @returns {Promise<Object[][]>} Spans for each text, source 'ner'
+   * @throws {Error} When the service isn't configured or doesn't answer
+   */
+  async detectEntities(texts, entityTypes) {
+    if (!this.isNERAvailable()) {
+      throw new Error('NER redaction is turned on but PHI_NER_URL is not configured');
+    }
+
+    const wanted = new Set(entityTypes);
+    const results = [];
+    for (let i = 0; i < texts.length; i += NER_BATCH_SIZE) {
+      const batch = texts.slice(i, i + NER_BATCH_SIZE);
+      let response;
+      try {
+        response = await axios.post(this.nerUrl, { texts: batch }, {
+          timeout: this.nerTimeoutMs,
+          headers: {
+            'content-type': 'application/json',
+            ...(process.env.PHI_NER_API_KEY && { authorization: `Bearer ${process.env.PHI_NER_API_KEY}` })
+          }
+        });
+      } catch (error) {
+        throw Object.assign(new Error(`PHI NER service failed: ${error.response?.data?.error || error.message}`), {
+          status: error.response?.status,
+          code: error.code
+        });
+      }
+
+      const entities = response.data?.entities;
+      if (!Array.isArray(entities) || entities.length !== batch.length) {
+        throw new Error('PHI NER service returned an unexpected response');
+      }
+
+      entities.forEach((found, index) => {
+        results.push((found || [])
+          .map(entity => ({
+            type: NER_LABELS[String(entity.label || '').toUpperCase()],
+            start: entity.start,
+            end: entity.end,
+            source: 'ner'
+          }))
+          .filter(span => wanted.has(span.type) && span.end > span.start && span.end <= batch[index].length));
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Replace spans with their placeholders, merging any that overlap
+   * @param {string} text - Original text
+   * @param {Object[]} spans - Detected spans
+   * @returns {Object} { text, spans } with spans as offsets into the original text
+   */
+  applySpans(text, spans) {
+    const merged = [];
+    [...spans]
+      .sort((a, b) => a.start - b.start || b.end - a.end)
+      .forEach(span => {
+        const last = merged[merged.length - 1];
+        if (last && span.start < last.end) {
+          last.end = Math.max(last.end, span.end);
+        } else {
+          merged.push({ ...span });
+        }
+      });
+
+    let redacted = '';
+    let position = 0;
+    merged.forEach(span => {
+      redacted += text.slice(position, span.start) + ENTITY_TYPES[span.type];
+      position = span.end;
+    });
+    redacted += text.slice(position);
+
+    return { text: redacted, spans: merged };
+  }
+
+  /**
+   * Redact several texts with the same settings (e.g. a transcript's segments)
+   * @param {string[]} texts - Texts to redact
+   * @param {Object} settings - { entityTypes, useNER } from getSettings
+   * @param {Set<string>} allowed - Name words to leave alone, from allowedNames
+   * @returns {Promise<Object[]>} [{ text, spans }] in the same order
+   */
+  async redactTexts(texts, settings, allowed = new Set()) {
+    const entityTypes = settings.entityTypes || DEFAULT_SETTINGS.entityTypes;
+    const nerSpans = settings.useNER ? await this.detectEntities(texts, entityTypes) : [];
+
+    return texts.map((text, index) => {
+      const value = text || '';
+      const spans = [...this.matchPatterns(value, entityTypes), ...(nerSpans[index] || [])]
+        .filter(span => span.type !== 'name' ||
+          !value.slice(span.start, span.end).toLowerCase().split(/[\s.,]+/).every(word => allowed.has(word)));
+      return this.applySpans(value, spans);
+    });
+  }
+
+  /**
+   * Redact one text
+   * @param {string} text - Text to redact
+   * @param {Object} settings - { entityTypes, useNER }
+   * @param {Set<string>} allowed - Name words to leave alone
+   * @returns {Promise<Object>} { text, spans }
+   */
+  async redactText(text, settings, allowed) {
+    const [result] = await this.redactTexts([text], settings, allowed);
+    return result;
+  }
+
+  /**
+   * Copies of transcript segments with their text redacted
+   * @param {Object[]} segments - Segments as transcriptSegmentService.getSegments returns them
+   * @param {Object} settings - { entityTypes, useNER }
+   * @param {Set<string>} allowed - Name words to leave alone
+   * @returns {Promise<Object[]>}
+   */
+  async redactSegments(segments, settings, allowed) {
+    const redacted = await this.redactTexts(segments.map(segment => segment.text), settings, allowed);
+    return segments.map((segment, index) => ({ ...segment, text: redacted[index].text }));
+  }
+
+  /**
+   * Redact free text sent by a user of the organization (e.g. to the /api/ai endpoints)
+   * @param {string} organizationName - The user's organization
+   * @param {string} text - Text to redact
+   * @returns {Promise<string>} The text, redacted when the organization has redaction on
+   */
+  async redactForOrganization(organizationName, text) {
+    const settings = await this.getSettings(organizationName);
+    if (!settings.enabled || !text) return text;
+    return (await this.redactText(text, settings)).text;
+  }
+
+  /**
+   * The redacted variant of a transcript's current text (edited, else raw) and what was found
+   * @param {Object} transcript - Transcript document
+   * @param {Object} settings - Organization settings; loaded when not given
+   * @returns {Promise<Object|null>} { redactedTranscript, redaction }, or null when redaction is off
+   */
+  async redactTranscript(transcript, settings) {
+    const resolved = settings || await this.getSettings(transcript.organization);
+    if (!resolved.enabled) return null;
+
+    const source = transcript.editedTranscript ? 'edited' : 'raw';
+    const result = await this.redactText(
+      transcript.editedTranscript || transcript.rawTranscript || '',
+      resolved,
+      this.allowedNames(transcript)
+    );
+
+    const counts = result.spans.reduce((totals, span) => {
+      totals[span.type] = (totals[span.type] || 0) + 1;
+      return totals;
+    }, {});
+
+    return {
+      redactedTranscript: result.text,
+      redaction: {
+        status: 'completed',
+        source,
+        spans: result.spans,
+        counts,
+        entityTypes: resolved.entityTypes,
+        usedNER: resolved.useNER,
+        redactedAt: new Date(),
+        error: null
+      }
+    };
+  }
+
+  /**
+   * Store the redacted variant of a transcript, or clear it when the organization has redaction off
+   * A failure is recorded on the transcript rather than thrown; anything that sends the text
+   * out redacts it again and fails there instead.
+   * @param {Object} transcript - Transcript document
+   * @returns {Promise<Object>} The redaction fields that were saved
+   */
+  async refreshTranscript(transcript) {
+    let update;
+    try {
+      update = await this.redactTranscript(transcript) || {
+        redactedTranscript: '',
+        redaction: { status: 'disabled', spans: [], counts: {}, redactedAt: null, error: null }
+      };
+    } catch (error) {
+      console.error(`❌ Redaction failed for transcript ${transcript._id}:`, error.message);
+      update = {
+        redactedTranscript: '',
+        redaction: { status: 'failed', spans: [], counts: {}, redactedAt: new Date(), error: error.message }
+      };
+    }
+
+    await Transcript.updateOne({ _id: transcript._id }, update);
+    return update;
+  }
+
+  /**
+   * Redact the strings at paths in a plain copy of a transcript, in place
+   * @param {Object} copy - Plain transcript copy
+   * @param {string[]} paths - EXPORT_TEXT_PATHS or VIEWER_TEXT_PATHS
+   * @param {Object} settings - { entityTypes, useNER }
+   * @param {Set<string>} allowed - Name words to leave alone
+   * @returns {Promise<void>}
+   */
+  async redactPaths(copy, paths, settings, allowed) {
+    const slots = [];
+    paths.forEach(path => {
+      forEachText(copy, path.split('.'), (container, key) => slots.push({ container, key }));
+    });
+    const results = await this.redactTexts(slots.map(({ container, key }) => container[key]), settings, allowed);
+    slots.forEach(({ container, key }, index) => {
+      container[key] = results[index].text;
+    });
+  }
+
+  /**
+   * A plain copy of a transcript for a user who may only see its redacted text
+   * The stored redacted variant is used while it matches the current text; otherwise the
+   * text is redacted now. The analysis and findings (VIEWER_TEXT_PATHS) are redacted too;
+   * if redaction fails, the text is withheld.
+   * @param {Object} transcript - Transcript document
+   * @returns {Promise<Object>} The transcript (unchanged when redaction is off) or a redacted copy
+   */
+  async forViewer(transcript) {
+    const settings = await this.getSettings(transcript.organization);
+    if (!settings.enabled) return transcript;
+
+    const copy = typeof transcript.toObject === 'function' ? transcript.toObject() : clonePlain(transcript);
+    const source = copy.editedTranscript ? 'edited' : 'raw';
+    let { redactedTranscript: text, redaction } = copy;
+
+    try {
+      if (redaction?.status !== 'completed' || redaction.source !== source) {
+        ({ redactedTranscript: text, redaction } = await this.redactTranscript(copy, settings));
+      }
+      await this.redactPaths(copy, VIEWER_TEXT_PATHS, settings, this.allowedNames(transcript));
+    } catch (error) {
+      console.error(`❌ Redaction failed for transcript ${copy._id}:`, error.message);
+      text = '';
+      redaction = { status: 'failed', counts: {}, redactedAt: new Date(), error: error.message };
+      VIEWER_TEXT_PATHS.forEach(path => {
+        forEachText(copy, path.split('.'), (container, key) => { container[key] = ''; });
+      });
+    }
+
+    return {
+      ...copy,
+      rawTranscript: text,
+      editedTranscript: copy.editedTranscript ? text : copy.editedTranscript,
+      redactedTranscript: text,
+      redaction: { ...redaction, spans: [] },
+      originalWithheld: true
+    };
+  }
+
+  /**
+   * Plain copies of listed transcripts (selected without their text) for a user who may only
+   * see redacted text, with the analysis and findings redacted
+   * @param {Object[]} transcripts - Transcript documents or lean objects of one organization
+   * @param {string} organizationName - Their organization
+   * @returns {Promise<Object[]>} The transcripts (unchanged when redaction is off) or redacted copies
+   */
+  async listForViewer(transcripts, organizationName) {
+    const settings = await this.getSettings(organizationName);
+    if (!settings.enabled) return transcripts;
+
+    return Promise.all(transcripts.map(async transcript => {
+      const copy = typeof transcript.toObject === 'function' ? transcript.toObject() : clonePlain(transcript);
+      try {
+        await this.redactPaths(copy, VIEWER_TEXT_PATHS, settings, this.allowedNames(transcript));
+      } catch (error) {
+        console.error(`❌ Redaction failed for transcript ${copy._id}:`, error.message);
+        VIEWER_TEXT_PATHS.forEach(path => {
+          forEachText(copy, path.split('.'), (container, key) => { container[key] = ''; });
+        });
+      }
+      return copy;
+    }));
+  }
+
+  /**
+   * A plain copy of a transcript to hand to document generation or the CRM, with its text and
+   * the analysis' free text (EXPORT_TEXT_PATHS) redacted when the organization has redaction on
+   * @param {Object} transcript - Transcript document
+   * @returns {Promise<Object>} The transcript (unchanged when redaction is off) or a redacted copy
+   */
+  async forExport(transcript) {
+    const settings = await this.getSettings(transcript.organization);
+    const redacted = await this.redactTranscript(transcript, settings);
+    if (!redacted) return transcript;
+
+    const copy = typeof transcript.toObject === 'function' ? transcript.toObject() : clonePlain(transcript);
+
+    await this.redactPaths(copy, EXPORT_TEXT_PATHS, settings, this.allowedNames(transcript));
+
+    return {
+      ...copy,
+      rawTranscript: redacted.redactedTranscript,
+      editedTranscript: copy.editedTranscript ? redacted.redactedTranscript : copy.editedTranscript
+    };
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,186 @@
+const Organization = require('../models/Organization');
+const emailService = require('./emailService');
+const { formatTimecode } = require('../utils/timecode');
+require('dotenv').config();
+
+// Hours from detection until the events have to be with the safety team
+const DEFAULT_REPORT_WINDOW_HOURS = 24;
+
+const normalizeQuote = (quote) => String(quote || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Pharmacovigilance handling of possible adverse events found in transcripts
+ *
+ * Detection (processingService.processAdverseEventDetection) stores the events on the
+ * transcript; this service decides the transcript's safety status, tells the organization's
+ * safety reviewers and builds the intake form the safety team files the report from.
+ */
+class SafetyService {
+  /**
+   * Hours allowed between detection and the report reaching the safety team (AE_REPORT_WINDOW_HOURS)
+   * @returns {number}
+   */
+  get reportWindowHours() {
+    return parseInt(process.env.AE_REPORT_WINDOW_HOURS, 10) || DEFAULT_REPORT_WINDOW_HOURS;
+  }
+
+  /**
+   * When a report for events detected at a given time is due
+   * @param {Date} detectedAt - Detection time
+   * @returns {Date}
+   */
+  reportDueBy(detectedAt) {
+    return new Date(new Date(detectedAt).getTime() + this.reportWindowHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Safety status for a set of events
+   * @param {Object[]} events - Transcript adverseEvents
+   * @returns {Object} { status, flagged } where flagged stays set while any event has not been dismissed
+   */
+  statusFor(events) {
+    if (events.length === 0) return { status: 'clear', flagged: false };
+    return {
+      status: events.some(event => event.reviewStatus === 'pending') ? 'flagged' : 'reviewed',
+      flagged: events.some(event => event.reviewStatus !== 'dismissed')
+    };
+  }
+
+  /**
+   * Combine a new detection run with the events already on a transcript
+   * Reviewed events are kept as the reviewer left them; events still awaiting review are
+   * replaced by the new run, except that an event with the same quote as a reviewed one is dropped.
+   * @param {Object[]} existing - Current adverseEvents
+   * @param {Object[]} detected - Events from the new run
+   * @returns {Object} { events, added } where added are the detected events not seen before
+   */
+  mergeDetected(existing, detected) {
+    const reviewed = existing.filter(event => event.reviewStatus !== 'pending');
+    const previousQuotes = new Set(existing.map(event => normalizeQuote(event.quote)));
+    const reviewedQuotes = new Set(reviewed.map(event => normalizeQuote(event.quote)));
+
+    const kept = detected
+      .filter(event => !reviewedQuotes.has(normalizeQuote(event.quote)))
+      .map(event => ({ ...event, reviewStatus: 'pending' }));
+
+    return {
+      events: [...reviewed, ...kept],
+      added: kept.filter(event => !previousQuotes.has(normalizeQuote(event.quote)))
+    };
+  }
+
+  /**
+   * Email addresses told about new events: the organization's safety reviewers, else SAFETY_REVIEWER_EMAILS
+   * @param {string} organizationName - Transcript organization
+   * @returns {Promise<string[]>}
+   */
+  async getReviewers(organizationName) {
+    const organization = await Organization.findOne({ name: organizationName }).lean();
+    const configured = organization?.settings?.safetyReviewerEmails || [];
+    if (configured.length > 0) return configured;
+
+    return (process.env.SAFETY_REVIEWER_EMAILS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Tell the safety reviewers about newly detected events
+   * @param {Object} transcript - Transcript with its safety fields
+   * @param {Object[]} events - The new events
+   * @returns {Promise<Object>} { notified: [email], failed: [email] }
+   */
+  async notifyReviewers(transcript, events) {
+    const reviewers = await this.getReviewers(transcript.organization);
+    if (reviewers.length === 0) {
+      console.warn(`⚠️ No safety reviewers configured for ${transcript.organization}; ${events.length} possible adverse event(s) on transcript ${transcript._id} need review`);
+      return { notified: [], failed: [] };
+    }
+
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const reviewUrl = `${clientUrl}/transcripts/${transcript._id}`;
+    const results = await Promise.all(reviewers.map(async (email) => ({
+      email,
+      result: await emailService.sendAdverseEventAlert({
+        to: email,
+        transcript,
+        events,
+        dueBy: transcript.safety?.reportDueBy,
+        reviewUrl
+      })
+    })));
+
+    return {
+      notified: results.filter(entry => entry.result.delivered).map(entry => entry.email),
+      failed: results.filter(entry => !entry.result.delivered).map(entry => entry.email)
+    };
+  }
+
+  /**
+   * Structured adverse event intake form for the safety team
+   * Dismissed events are left out unless includeDismissed is set.
+   * @param {Object} transcript - Transcript document
+   * @param {Object} options - { includeDismissed, exportedBy: { id, email } }
+   * @returns {Object} Intake form
+   */
+  buildIntakeForm(transcript, options = {}) {
+    const events = (transcript.adverseEvents || [])
+      .filter(event => options.includeDismissed || event.reviewStatus !== 'dismissed');
+
+    return {
+      formType: 'adverse-event-intake',
+      formVersion: 1,
+      reference: `AE-${transcript._id}`,
+      organization: transcript.organization,
+      generatedAt: new Date().toISOString(),
+      exportedBy: options.exportedBy || null,
+      source: {
+        type: 'field-interaction',
+        transcriptId: transcript._id.toString(),
+        meetingDate: transcript.meetingDate || null,
+        recordingFile: transcript.originalFileName,
+        reportedBy: transcript.createdBy,
+        hcp: {
+          name: transcript.hcpName,
+          specialty: transcript.hcpSpecialty
+        },
+        attendees: (transcript.attendees || []).map(attendee => ({ name: attendee.name, role: attendee.role }))
+      },
+      awareness: {
+        // Day 0 of the reporting clock
+        detectedAt: transcript.safety?.detectedAt || null,
+        reportDueBy: transcript.safety?.reportDueBy || null,
+        reviewersNotified: transcript.safety?.reviewersNotified || [],
+        notifiedAt: transcript.safety?.notifiedAt || null
+      },
+      safetyStatus: transcript.safety?.status || 'not_checked',
+      detection: transcript.safety?.generatedBy
+        ? { provider: transcript.safety.generatedBy.provider, model: transcript.safety.generatedBy.model }
+        : null,
+      events: events.map((event, index) => ({
+        number: index + 1,
+        id: event._id ? event._id.toString() : null,
+        eventType: event.eventType,
+        suspectProduct: event.drug || 'unspecified',
+        reaction: event.reaction,
+        seriousness: event.seriousness,
+        patient: event.patientContext || '',
+        verbatim: event.quote,
+        speaker: event.speaker || null,
+        recordingTime: typeof event.startTime === 'number'
+          ? { start: formatTimecode(event.startTime), end: typeof event.endTime === 'number' ? formatTimecode(event.endTime) : null }
+          : null,
+        detectionConfidence: event.confidence ?? null,
+        review: {
+          status: event.reviewStatus,
+          notes: event.reviewNotes || '',
+          reviewedBy: event.reviewedBy?.email || null,
+          reviewedAt: event.reviewedAt || null
+        }
+      }))
+    };
+  }
+}
+
+module.exports = new SafetyService();
@@ -0,0 +1,419 @@
+const openaiService = require('./openaiService');
+const llmService = require('./llm');
+const transcriptSegmentService = require('./transcriptSegmentService');
+const { estimateTokens, splitText } = require('../utils/tokens');
+
+// Caps on merged lists, so a long meeting doesn't bury the important items
+const MAX_KEY_INSIGHTS = 20;
+const MAX_ACTION_ITEMS = 25;
+const MAX_LIST_ITEMS = 15;
+
+// Share of distinct words two items need in common to count as the same item
+const SIMILARITY_THRESHOLD = 0.6;
+
+const RANK = { high: 3, medium: 2, low: 1 };
+
+const wordsOf = (text) => new Set(
+  String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(word => word.length > 2)
+);
+
+const isSimilar = (a, b) => {
+  if (a.size === 0 || b.size === 0) return false;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  // One item restating the other with more detail counts as the same item
+  return shared === Math.min(a.size, b.size) || shared / (a.size + b.size - shared) >= SIMILARITY_THRESHOLD;
+};
+
+/**
+ * De-duplicate items from several parts and rank what's left
+ * Duplicates keep the best-ranked wording; items raised in more parts rank higher.
+ * @param {Object[]} items - Items from every part, in transcript order
+ * @param {Object} options - { textKey, rankKey, limit }
+ * @returns {Object[]}
+ */
+const mergeItems = (items, { textKey, rankKey, limit }) => {
+  const compare = (a, b) => ((RANK[b[rankKey]] || 0) - (RANK[a[rankKey]] || 0)) || ((b.confidence || 0) - (a.confidence || 0));
+  const merged = [];
+
+  for (const item of items) {
+    const words = wordsOf(item[textKey]);
+    const match = merged.find(entry => isSimilar(entry.words, words));
+    if (!match) {
+      merged.push({ item, words, mentions: 1 });
+      continue;
+    }
+
+    match.mentions++;
+    if (compare(item, match.item) < 0) {
+      match.item = { ...item, segmentIndex: item.segmentIndex ?? match.item.segmentIndex };
+    }
+  }
+
+  return merged
+    .sort((a, b) => compare(a.item, b.item) || (b.mentions - a.mentions))
+    .slice(0, limit)
+    .map(entry => entry.item);
+};
+
+const uniqueStrings = (lists, limit) => mergeItems(
+  lists.flat().filter(Boolean).map(text => ({ text })),
+  { textKey: 'text', limit }
+).map(entry => entry.text);
+
+/**
+ * Most common value, counting each by its weight
+ * @param {Object[]} entries - [{ value, weight }]
+ * @param {string} fallback - Returned when there are no values
+ * @returns {string}
+ */
+const weightedMode = (entries, fallback) => {
+  const totals = new Map();
+  for (const { value, weight } of entries) {
+    if (value) totals.set(value, (totals.get(value) || 0) + weight);
+  }
+  const [best] = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : fallback;
+};
+
+const weightedAverage = (entries) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return 0;
+  return entries.reduce((sum, entry) => sum + (entry.value || 0) * entry.weight, 0) / totalWeight;
+};
+
+/**
+ * Merge { overall, score, explanation } sentiments (the HCP's, or one speaker's) from several parts
+ */
+const mergeSpeakerSentiment = (entries) => {
+  const heaviest = [...entries].sort((a, b) => b.weight - a.weight)[0];
+  return {
+    overall: weightedMode(entries.map(entry => ({ value: entry.sentiment.overall, weight: entry.weight })), 'neutral'),
+    score: weightedAverage(entries.map(entry => ({ value: entry.sentiment.score, weight: entry.weight }))),
+    explanation: heaviest.sentiment.explanation
+  };
+};
+
+/**
+ * Sentiment, insights and adverse event screening for transcripts of any length
+ *
+ * A transcript that fits the task's input budget (LLM_<TASK>_MAX_INPUT_TOKENS) is analysed
+ * in one prompt. A longer one is split into parts at speaker turns (or paragraphs when there
+ * are no stored segments); each part is analysed on its own and the results are merged,
+ * de-duplicated and re-ranked into the same shape a single prompt returns.
+ */
+class TranscriptAnalysisService {
+  /**
+   * Split a transcript into parts that fit a token budget
+   * @param {Object} transcript - { text, segments, speakers: [{ label, name, isHcp }] }
+   * @param {number} maxTokens - Token budget per part
+   * @returns {Object[]} [{ text, hcpStatements, tokens }]
+   */
+  splitIntoParts(transcript, maxTokens) {
+    const { text, segments = [], speakers = [] } = transcript;
+
+    if (segments.length === 0) {
+      return splitText(text, maxTokens).map(part => ({ text: part, hcpStatements: '', tokens: estimateTokens(part) }));
+    }
+
+    const speakerNames = speakers.reduce((names, speaker) => ({ ...names, [speaker.label]: speaker.name }), {});
+    const hcpLabels = speakers.filter(speaker => speaker.isHcp).map(speaker => speaker.label);
+
+    return transcriptSegmentService.chunkSegments(segments, speakerNames, maxTokens).map(partSegments => {
+      const partText = transcriptSegmentService.formatForPrompt(partSegments, speakerNames);
+      return {
+        text: partText,
+        hcpStatements: hcpLabels.length > 0 ? transcriptSegmentService.getSpeakerText(partSegments, hcpLabels) : '',
+        tokens: estimateTokens(partText)
+      };
+    });
+  }
+
+  /**
+   * Prompt options shared by every part of a transcript
+   */
+  promptOptions(transcript) {
+    return {
+      timestamped: (transcript.segments || []).length > 0,
+      speakers: transcript.speakers || []
+    };
+  }
+
+  /**
+   * Options passed through to every openaiService call
+   * @param {Object} options - { signal, attribution, template, cache }
+   * @returns {Object}
+   */
+  requestOptions(options) {
+    return {
+      signal: options.signal,
+      attribution: options.attribution,
+      template: options.template,
+      cache: options.cache
+    };
+  }
+
+  /**
+   * Analyse each part in turn
+   * @param {Object[]} parts - From splitIntoParts
+   * @param {Function} analyze - (part, { number, total }) -> openaiService result
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Object[]>} Results in part order
+   */
+  async analyzeParts(parts, analyze, signal) {
+    const results = [];
+    for (const [index, part] of parts.entries()) {
+      signal?.throwIfAborted();
+      console.log(`🧩 Analysing part ${index + 1} of ${parts.length} (~${part.tokens} tokens)...`);
+
+      const result = await analyze(part, { number: index + 1, total: parts.length });
+      if (!result.success) {
+        throw new Error(`Part ${index + 1} of ${parts.length}: ${result.error}`);
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Sentiment analysis for a whole transcript
+   * @param {Object} transcript - { text, segments, speakers: [{ label, name, isHcp }] }
+   *   text is the transcript as it should appear in the prompt
+   * @param {Object} options - { signal, attribution }, and { template, cache } as openaiService takes them
+   * @returns {Promise<Object>} Same shape as openaiService.analyzeSentiment
+   */
+  async analyzeSentiment(transcript, options = {}) {
+    const { maxInputTokens } = llmService.getTaskConfig('sentiment');
+    const parts = this.splitIntoParts(transcript, maxInputTokens);
+    const hcpLabels = (transcript.speakers || []).filter(speaker => speaker.isHcp).map(speaker => speaker.label);
+    const promptOptions = { ...this.promptOptions(transcript), ...this.requestOptions(options) };
+
+    if (parts.length <= 1) {
+      return openaiService.analyzeSentiment(transcript.text, {
+        ...promptOptions,
+        hcpStatements: hcpLabels.length > 0 ? transcriptSegmentService.getSpeakerText(transcript.segments || [], hcpLabels) : ''
+      });
+    }
+
+    try {
+      console.log(`🧩 Transcript is over ${maxInputTokens} tokens, analysing sentiment in ${parts.length} parts`);
+      const results = await this.analyzeParts(parts, (part, position) => openaiService.analyzeSentiment(part.text, {
+        ...promptOptions,
+        hcpStatements: part.hcpStatements,
+        part: position
+      }), options.signal);
+
+      return { success: true, ...this.mergeSentiment(results, parts), generatedBy: results[0].generatedBy };
+    } catch (error) {
+      console.error('❌ sentiment analysis failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Key insights and action items for a whole transcript
+   * @param {Object} transcript - { text, segments, speakers: [{ label, name, isHcp }] }
+   * @param {Array} historicalData - Earlier meetings, given to every part as context
+   * @param {Object} options - { medicalPublications } also given to every part, { signal, attribution },
+   *   and { template, cache } as openaiService takes them
+   * @returns {Promise<Object>} Same shape as openaiService.extractKeyInsights
+   */
+  async extractKeyInsights(transcript, historicalData = [], options = {}) {
+    const { maxInputTokens } = llmService.getTaskConfig('insights');
+    const parts = this.splitIntoParts(transcript, maxInputTokens);
+    const promptOptions = { ...this.promptOptions(transcript), ...this.requestOptions(options) };
+    const medicalPublications = options.medicalPublications || [];
+
+    if (parts.length <= 1) {
+      return openaiService.extractKeyInsights(transcript.text, historicalData, medicalPublications, promptOptions);
+    }
+
+    try {
+      console.log(`🧩 Transcript is over ${maxInputTokens} tokens, extracting insights in ${parts.length} parts`);
+      const results = await this.analyzeParts(parts, (part, position) => openaiService.extractKeyInsights(
+        part.text, historicalData, medicalPublications, { ...promptOptions, part: position }
+      ), options.signal);
+
+      return { success: true, ...this.mergeInsights(results), generatedBy: results[0].generatedBy };
+    } catch (error) {
+      console.error('❌ key insights extraction failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Possible adverse events in a whole transcript
+   * Every part is screened; events are kept in transcript order and never capped or merged,
+   * since each mention may have to be reported.
+   * @param {Object} transcript - { text, segments, speakers: [{ label, name, isHcp }] }
+   * @param {Object} options - { signal, attribution }, and { template, cache } as openaiService takes them
+   * @returns {Promise<Object>} Same shape as openaiService.detectAdverseEvents
+   */
+  async detectAdverseEvents(transcript, options = {}) {
+    const { maxInputTokens } = llmService.getTaskConfig('adverseEvents');
+    const parts = this.splitIntoParts(transcript, maxInputTokens);
+    const promptOptions = { ...this.promptOptions(transcript), ...this.requestOptions(options) };
+
+    if (parts.length <= 1) {
+      return openaiService.detectAdverseEvents(transcript.text, promptOptions);
+    }
+
+    try {
+      console.log(`🧩 Transcript is over ${maxInputTokens} tokens, screening for adverse events in ${parts.length} parts`);
+      const results = await this.analyzeParts(parts, (part, position) => openaiService.detectAdverseEvents(part.text, {
+        ...promptOptions,
+        part: position
+      }), options.signal);
+
+      return { success: true, events: results.flatMap(result => result.events || []), generatedBy: results[0].generatedBy };
+    } catch (error) {
+      console.error('❌ adverse event screening failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Compliance findings in a whole transcript
+   * Like adverse event screening, every part is checked and nothing is capped or merged.
+   * @param {Object} transcript - { text, segments, speakers: [{ label, name, isHcp }] }
+   * @param {Object} options - { rules, ruleIdOptions } from complianceService.promptRules, { signal, attribution },
+   *   and { template, cache } as openaiService takes them
+   * @returns {Promise<Object>} Same shape as openaiService.checkCompliance
+   */
+  async checkCompliance(transcript, options = {}) {
+    const { maxInputTokens } = llmService.getTaskConfig('compliance');
+    const parts = this.splitIntoParts(transcript, maxInputTokens);
+    const promptOptions = {
+      ...this.promptOptions(transcript),
+      ...this.requestOptions(options),
+      rules: options.rules,
+      ruleIdOptions: options.ruleIdOptions
+    };
+
+    if (parts.length <= 1) {
+      return openaiService.checkCompliance(transcript.text, promptOptions);
+    }
+
+    try {
+      console.log(`🧩 Transcript is over ${maxInputTokens} tokens, checking compliance in ${parts.length} parts`);
+      const results = await this.analyzeParts(parts, (part, position) => openaiService.checkCompliance(part.text, {
+        ...promptOptions,
+        part: position
+      }), options.signal);
+
+      return { success: true, findings: results.flatMap(result => result.findings || []), generatedBy: results[0].generatedBy };
+    } catch (error) {
+      console.error('❌ compliance check failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Combine per-part sentiment into one result, weighting each part by its length
+   * @param {Object[]} results - analyzeSentiment results, in part order
+   * @param {Object[]} parts - The parts they came from
+   * @returns {Object}
+   */
+  mergeSentiment(results, parts) {
+    const totalTokens = parts.reduce((sum, part) => sum + part.tokens, 0) || 1;
+    const weighted = results.map((result, index) => ({ result, weight: parts[index].tokens / totalTokens }));
+    const average = (pick) => weightedAverage(weighted.map(({ result, weight }) => ({ value: pick(result), weight })));
+
+    const details = ['positive', 'negative', 'neutral'].reduce((merged, key) => ({
+      ...merged,
+      [key]: Math.round(average(result => result.details?.[key]))
+    }), {});
+
+    // Each explanation comes from the parts where that sentiment weighed most
+    const explanations = ['positive', 'negative', 'neutral'].reduce((merged, key) => ({
+      ...merged,
+      [key]: weighted
+        .filter(({ result }) => result.explanations?.[key])
+        .sort((a, b) => (b.weight * (b.result.details?.[key] || 0)) - (a.weight * (a.result.details?.[key] || 0)))
+        .slice(0, 2)
+        .map(({ result }) => result.explanations[key])
+        .join(' ')
+    }), {});
+
+    const tones = new Set(results.map(result => result.contextFactors?.professionalTone).filter(Boolean));
+
+    const hcpEntries = results
+      .map((result, index) => ({ sentiment: result.hcpSentiment, weight: parts[index].hcpStatements.length }))
+      .filter(entry => entry.sentiment && entry.weight > 0);
+
+    const speakerEntries = new Map();
+    weighted.forEach(({ result, weight }) => {
+      for (const entry of result.speakerSentiment || []) {
+        if (!speakerEntries.has(entry.speaker)) speakerEntries.set(entry.speaker, []);
+        speakerEntries.get(entry.speaker).push({ sentiment: entry, weight });
+      }
+    });
+
+    return {
+      overall: weightedMode(weighted.map(({ result, weight }) => ({ value: result.overall, weight })), 'neutral'),
+      score: average(result => result.score),
+      details,
+      explanations,
+      emotionalIndicators: mergeItems(results.flatMap(result => result.emotionalIndicators || []), {
+        textKey: 'indicator',
+        limit: MAX_LIST_ITEMS
+      }),
+      confidence: average(result => result.confidence),
+      sentimentTrends: results.flatMap(result => result.sentimentTrends || []),
+      contextFactors: {
+        medicalConcerns: uniqueStrings(results.map(result => result.contextFactors?.medicalConcerns || []), MAX_LIST_ITEMS),
+        businessOpportunities: uniqueStrings(results.map(result => result.contextFactors?.businessOpportunities || []), MAX_LIST_ITEMS),
+        personalRapport: weightedMode(
+          weighted.map(({ result, weight }) => ({ value: result.contextFactors?.personalRapport, weight })),
+          'neutral'
+        ),
+        professionalTone: tones.size === 1 ? [...tones][0] : 'mixed'
+      },
+      hcpSentiment: hcpEntries.length > 0 ? mergeSpeakerSentiment(hcpEntries) : undefined,
+      speakerSentiment: [...speakerEntries.entries()].map(([speaker, entries]) => ({
+        speaker,
+        ...mergeSpeakerSentiment(entries)
+      }))
+    };
+  }
+
+  /**
+   * Combine per-part insights into one result, de-duplicated and ranked
+   * @param {Object[]} results - extractKeyInsights results, in part order
+   * @returns {Object}
+   */
+  mergeInsights(results) {
+    const all = (key) => results.flatMap(result => result[key] || []);
+
+    return {
+      keyInsights: mergeItems(all('keyInsights'), { textKey: 'insight', rankKey: 'impact', limit: MAX_KEY_INSIGHTS }),
+      actionItems: mergeItems(all('actionItems'), { textKey: 'item', rankKey: 'priority', limit: MAX_ACTION_ITEMS }),
+      followUpRecommendations: mergeItems(all('followUpRecommendations'), {
+        textKey: 'recommendation',
+        rankKey: 'priority',
+        limit: MAX_LIST_ITEMS
+      }),
+      riskFactors: mergeItems(all('riskFactors'), { textKey: 'risk', rankKey: 'severity', limit: MAX_LIST_ITEMS }),
+      opportunities: mergeItems(all('opportunities'), { textKey: 'opportunity', rankKey: 'potential', limit: MAX_LIST_ITEMS }),
+      summary: this.mergeSummaries(results.map(result => result.summary).filter(Boolean))
+    };
+  }
+
+  /**
+   * Combine per-part summaries, joining each field's distinct text in meeting order
+   * @param {Object[]} summaries - { executiveSummary, keyTakeaway, strategicImplications, nextSteps }
+   * @returns {Object|undefined}
+   */
+  mergeSummaries(summaries) {
+    if (summaries.length === 0) return undefined;
+
+    return ['executiveSummary', 'keyTakeaway', 'strategicImplications', 'nextSteps'].reduce((merged, key) => ({
+      ...merged,
+      [key]: [...new Set(summaries.map(summary => summary[key]).filter(Boolean))].join(' ')
+    }), {});
+  }
+}
+
+module.exports = new TranscriptAnalysisService();
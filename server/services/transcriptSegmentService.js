@@ -0,0 +1,239 @@
+const TranscriptSegment = require('../models/TranscriptSegment');
+const { formatTimecode } = require('../utils/timecode');
+const { estimateTokens } = require('../utils/tokens');
+
+const INSERT_BATCH_SIZE = 500;
+
+const midpoint = (item) => ((item.start || 0) + (item.end || item.start || 0)) / 2;
+
+/**
+ * Stores the time-aligned transcript (segments with their words) and maps analysis
+ * results back onto positions in the recording
+ */
+class TranscriptSegmentService {
+  /**
+   * Turn a transcription result into segment documents, attaching each word to the
+   * segment its midpoint falls in
+   * @param {Object} result - { segments, words } from transcriptionService.transcribe
+   * @returns {Object[]} [{ index, start, end, text, avgLogprob, words }]
+   */
+  buildSegments(result) {
+    const segments = (result.segments || [])
+      .filter(segment => typeof segment.start === 'number' && typeof segment.end === 'number')
+      .sort((a, b) => a.start - b.start)
+      .map((segment, index) => ({
+        index,
+        start: segment.start,
+        end: Math.max(segment.end, segment.start),
+        text: String(segment.text || '').trim(),
+        avgLogprob: typeof segment.avg_logprob === 'number' ? segment.avg_logprob : null,
+        words: []
+      }));
+
+    if (segments.length === 0) return segments;
+
+    // Words are sorted too, so a single pass pairs them with segments
+    const words = (result.words || [])
+      .filter(word => typeof word.start === 'number')
+      .sort((a, b) => a.start - b.start);
+    let current = 0;
+
+    for (const word of words) {
+      const position = midpoint(word);
+      while (current < segments.length - 1 && position >= segments[current + 1].start) {
+        current++;
+      }
+      segments[current].words.push({
+        word: String(word.word || '').trim(),
+        start: word.start,
+        end: typeof word.end === 'number' ? word.end : word.start
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Replace a transcript's stored segments
+   * @param {Object} transcript - Transcript (for its ID and organization)
+   * @param {Object} result - Transcription result
+   * @returns {Promise<number>} Number of segments stored
+   */
+  async saveSegments(transcript, result) {
+    const segments = this.buildSegments(result);
+
+    await this.deleteForTranscript(transcript._id);
+
+    for (let i = 0; i < segments.length; i += INSERT_BATCH_SIZE) {
+      await TranscriptSegment.insertMany(
+        segments.slice(i, i + INSERT_BATCH_SIZE).map(segment => ({
+          ...segment,
+          transcript: transcript._id,
+          organization: transcript.organization
+        })),
+        { ordered: false }
+      );
+    }
+
+    return segments.length;
+  }
+
+  /**
+   * Load a transcript's segments in order
+   * @param {string} transcriptId - Transcript ID
+   * @param {Object} options - { from, to } in seconds to limit the range, { includeWords }
+   * @returns {Promise<Object[]>} Segments
+   */
+  async getSegments(transcriptId, options = {}) {
+    const { from, to, includeWords = false } = options;
+    const filter = { transcript: transcriptId };
+
+    // A segment is in range when any part of it overlaps [from, to]
+    if (typeof from === 'number') filter.end = { $gte: from };
+    if (typeof to === 'number') filter.start = { $lte: to };
+
+    return TranscriptSegment.find(filter)
+      .sort({ index: 1 })
+      .select(includeWords ? '-__v' : '-__v -words')
+      .lean();
+  }
+
+  /**
+   * Remove every segment of a transcript
+   * @param {string} transcriptId - Transcript ID
+   * @returns {Promise<void>}
+   */
+  async deleteForTranscript(transcriptId) {
+    await TranscriptSegment.deleteMany({ transcript: transcriptId });
+  }
+
+  /**
+   * Store diarization results on the segments
+   * @param {string} transcriptId - Transcript ID
+   * @param {Object[]} assignments - [{ index, speaker }]
+   * @returns {Promise<void>}
+   */
+  async saveSpeakers(transcriptId, assignments) {
+    await TranscriptSegment.updateMany({ transcript: transcriptId }, { $set: { speaker: null } });
+
+    for (let i = 0; i < assignments.length; i += INSERT_BATCH_SIZE) {
+      await TranscriptSegment.bulkWrite(
+        assignments.slice(i, i + INSERT_BATCH_SIZE).map(({ index, speaker }) => ({
+          updateOne: {
+            filter: { transcript: transcriptId, index },
+            update: { $set: { speaker } }
+          }
+        })),
+        { ordered: false }
+      );
+    }
+  }
+
+  /**
+   * Render segments as numbered, timed lines for analysis prompts, with speaker names when known
+   * e.g. "[12 @ 0:05:10] Dr. Smith (HCP): We saw fewer relapses with the new regimen."
+   * @param {Object[]} segments - Segments in order
+   * @param {Object} speakerNames - Map of speaker label to display name
+   * @returns {string}
+   */
+  formatForPrompt(segments, speakerNames = {}) {
+    return segments
+      .map(segment => {
+        const speaker = segment.speaker ? `${speakerNames[segment.speaker] || segment.speaker}: ` : '';
+        return `[${segment.index} @ ${formatTimecode(segment.start)}] ${speaker}${segment.text}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Everything the given speakers said, in order
+   * @param {Object[]} segments - Segments in order
+   * @param {string[]} labels - Speaker labels
+   * @returns {string}
+   */
+  getSpeakerText(segments, labels) {
+    const wanted = new Set(labels);
+    return segments
+      .filter(segment => wanted.has(segment.speaker))
+      .map(segment => segment.text)
+      .join(' ');
+  }
+
+  /**
+   * Group segments into chunks that fit a token budget once formatted for a prompt
+   * Chunks break between speaker turns where possible, and between segments when a
+   * single turn is over the budget.
+   * @param {Object[]} segments - Segments in order
+   * @param {Object} speakerNames - Speaker label -> display name
+   * @param {number} maxTokens - Token budget per chunk
+   * @returns {Object[][]} Segments of each chunk, in order
+   */
+  chunkSegments(segments, speakerNames, maxTokens) {
+    const turns = [];
+    for (const segment of segments) {
+      const turn = turns[turns.length - 1];
+      if (turn && segment.speaker && turn[0].speaker === segment.speaker) {
+        turn.push(segment);
+      } else {
+        turns.push([segment]);
+      }
+    }
+
+    const tokensOf = (items) => estimateTokens(this.formatForPrompt(items, speakerNames));
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const add = (items) => {
+      const tokens = tokensOf(items);
+      if (current.length > 0 && currentTokens + tokens > maxTokens) {
+        chunks.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(...items);
+      currentTokens += tokens;
+    };
+
+    for (const turn of turns) {
+      if (tokensOf(turn) <= maxTokens) {
+        add(turn);
+      } else {
+        turn.forEach(segment => add([segment]));
+      }
+    }
+    if (current.length > 0) chunks.push(current);
+
+    return chunks;
+  }
+
+  /**
+   * Replace model-supplied segment references with real positions in the recording
+   * Items whose segmentIndex doesn't exist keep no position rather than an invented one.
+   * @param {Object[]} items - Insights, action items or sentiment trends with an optional segmentIndex
+   * @param {Object[]} segments - Segments of the analysed transcript
+   * @returns {Object[]} Items with segmentIndex, startTime, endTime and timestamp set (or cleared)
+   */
+  attachPositions(items, segments) {
+    const byIndex = new Map(segments.map(segment => [segment.index, segment]));
+
+    return (items || []).map(item => {
+      const index = parseInt(item.segmentIndex, 10);
+      const segment = byIndex.get(index);
+
+      if (!segment) {
+        return { ...item, segmentIndex: null, startTime: null, endTime: null, timestamp: null };
+      }
+
+      return {
+        ...item,
+        segmentIndex: segment.index,
+        startTime: segment.start,
+        endTime: segment.end,
+        timestamp: formatTimecode(segment.start)
+      };
+    });
+  }
+}
+
+module.exports = new TranscriptSegmentService();
@@ -0,0 +1,58 @@
+#!/usr/bin/env python3
+"""Transcribe an audio file with faster-whisper on the CPU.
+
+Prints one JSON object to stdout in the shape the OpenAI transcription API returns:
+{ text, language, duration, segments: [{ id, start, end, text, avg_logprob }], words: [{ word, start, end }] }
+
+Used by services/transcription/localProvider.js; requires `pip install faster-whisper`.
+"""
+import argparse
+import json
+import sys
+
+from faster_whisper import WhisperModel
+
+
+def main():
+    parser = argparse.ArgumentParser()
+    parser.add_argument('audio')
+    parser.add_argument('--model', default='small')
+    parser.add_argument('--language', default='')
+    parser.add_argument('--threads', type=int, default=4)
+    parser.add_argument('--compute-type', default='int8')
+    args = parser.parse_args()
+
+    model = WhisperModel(args.model, device='cpu', compute_type=args.compute_type, cpu_threads=args.threads)
+    segments, info = model.transcribe(
+        args.audio,
+        language=args.language or None,
+        word_timestamps=True,
+        vad_filter=True,
+    )
+
+    result_segments = []
+    words = []
+    for segment in segments:
+        result_segments.append({
+            'id': segment.id,
+            'start': segment.start,
+            'end': segment.end,
+            'text': segment.text.strip(),
+            'avg_logprob': segment.avg_logprob,
+        })
+        for word in segment.words or []:
+            words.append({'word': word.word.strip(), 'start': word.start, 'end': word.end})
+        # Progress goes to stderr so stdout stays valid JSON
+        print(f'{segment.end:.1f}/{info.duration:.1f}s', file=sys.stderr, flush=True)
+
+    json.dump({
+        'text': ' '.join(segment['text'] for segment in result_segments),
+        'language': info.language,
+        'duration': info.duration,
+        'segments': result_segments,
+        'words': words,
+    }, sys.stdout)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const Organization = require('../../models/Organization');
+const audioSegmenter = require('../audioSegmenter');
+const pricing = require('../pricing');
+const usageService = require('../usageService');
+const OpenAITranscriptionProvider = require('./openaiProvider');
+const LocalTranscriptionProvider = require('./localProvider');
+require('dotenv').config();
+
+// Give up on a split recording when more than this share of its segments fail
+const MAX_FAILED_SEGMENT_RATIO = 0.25;
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.mkv'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Speech-to-text for uploaded recordings.
+ *
+ * Providers are pluggable. A provider is any object with
+ *   name, label: string
+ *   model: string                  recorded on the transcript with the provider name
+ *   local: boolean                 whether audio stays on our servers
+ *   inputFormat: 'wav' | null      audio format required, or null to accept any audio
+ *   maxUploadBytes: number | null  larger audio is split into overlapping segments
+ *   isConfigured() -> boolean
+ *   isTransientError(error) -> boolean
+ *   transcribeFile(path, { language, signal }) -> { text, language, duration, segments, words }
+ * The provider for an upload is the one requested with it, else the organization's default,
+ * else TRANSCRIPTION_PROVIDER; organizations can restrict which providers may be used.
+ */
+class TranscriptionService {
+  constructor() {
+    this.providers = {
+      openai: () => new OpenAITranscriptionProvider(),
+      local: () => new LocalTranscriptionProvider()
+    };
+    this.instances = {};
+  }
+
+  /**
+   * Provider used when neither the upload nor the organization picks one
+   * @returns {string}
+   */
+  get defaultProvider() {
+    return process.env.TRANSCRIPTION_PROVIDER || 'openai';
+  }
+
+  /**
+   * Add a provider
+   * @param {string} name - Provider name
+   * @param {Function} factory - Returns the provider
+   */
+  register(name, factory) {
+    this.providers[name] = factory;
+    delete this.instances[name];
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name, defaulting to TRANSCRIPTION_PROVIDER
+   * @returns {Object} Provider
+   */
+  getProvider(name = this.defaultProvider) {
+    if (!this.providers[name]) {
+      throw new Error(`Unknown transcription provider: ${name}`);
+    }
+    if (!this.instances[name]) {
+      this.instances[name] = this.providers[name]();
+    }
+    return this.instances[name];
+  }
+
+  /**
+   * An organization's default provider
+   * Organizations restricted to other providers never fall back to the server default.
+   * @param {Object} organization - Organization (or null)
+   * @returns {string} Provider name
+   */
+  defaultFor(organization) {
+    const allowed = organization?.settings?.allowedTranscriptionProviders || [];
+    const name = organization?.settings?.transcriptionProvider || this.defaultProvider;
+    return allowed.length > 0 && !allowed.includes(name) ? allowed[0] : name;
+  }
+
+  /**
+   * Describe the providers an organization may use
+   * @param {Object} organization - Organization (or null for no restrictions)
+   * @returns {Object[]} [{ name, label, model, local, configured, allowed, isDefault }]
+   */
+  listProviders(organization = null) {
+    const allowed = organization?.settings?.allowedTranscriptionProviders || [];
+    const defaultName = this.defaultFor(organization);
+
+    return Object.keys(this.providers).map(name => {
+      const provider = this.getProvider(name);
+      return {
+        name,
+        label: provider.label || name,
+        model: provider.model,
+        local: Boolean(provider.local),
+        configured: provider.isConfigured(),
+        allowed: allowed.length === 0 || allowed.includes(name),
+        isDefault: name === defaultName
+      };
+    });
+  }
+
+  /**
+   * Pick the provider for an upload and check the organization may use it
+   * @param {string} requested - Provider asked for with the upload (optional)
+   * @param {string} organizationName - Uploader's organization
+   * @returns {Promise<Object>} { provider } (its name) or { error }
+   */
+  async resolveProvider(requested, organizationName) {
+    const organization = await Organization.findOne({ name: organizationName }).lean();
+    const allowed = organization?.settings?.allowedTranscriptionProviders || [];
+    const name = requested || this.defaultFor(organization);
+
+    if (!this.providers[name]) {
+      return { error: `Unknown transcription provider: ${name}` };
+    }
+
+    if (allowed.length > 0 && !allowed.includes(name)) {
+      return { error: `Transcription provider "${name}" is not allowed for this organization` };
+    }
+
+    if (!this.getProvider(name).isConfigured()) {
+      return { error: `Transcription provider "${name}" is not configured on this server` };
+    }
+
+    return { provider: name };
+  }
+
+  /**
+   * Transcribe an audio or video file
+   * Video is reduced to audio first, and recordings over the provider's upload limit are split
+   * into overlapping segments that are transcribed in parallel and stitched back together.
+   * The call is recorded in the usage ledger against options.attribution ({ organization, user, transcriptId }).
+   * @param {string} filePath - Path to the audio or video file
+   * @param {Object} options - { provider, language, signal, attribution } and { onProgress(fraction) } for long recordings
+   * @returns {Promise<Object>} { success, text, language, duration, segments, words, gaps, provider, model }
+   *   or { success: false, error, provider, model }
+   */
+  async transcribe(filePath, options = {}) {
+    const provider = this.getProvider(options.provider || undefined);
+    const startedAt = Date.now();
+    const result = await this.transcribeWith(provider, filePath, options);
+
+    const audioSeconds = result.success ? result.duration || 0 : 0;
+    await usageService.record(options.attribution, {
+      kind: 'transcription',
+      task: 'transcription',
+      provider: provider.name,
+      model: provider.model,
+      audioSeconds,
+      latencyMs: Date.now() - startedAt,
+      estimatedCostUsd: pricing.transcriptionCost({ model: provider.model, local: provider.local, audioSeconds }),
+      success: Boolean(result.success),
+      error: result.success ? null : result.error
+    });
+
+    return result;
+  }
+
+  /**
+   * Transcribe a file with a given provider (see transcribe)
+   * @param {Object} provider - Transcription provider
+   * @param {string} filePath - Path to the audio or video file
+   * @param {Object} options - { language, signal, onProgress }
+   * @returns {Promise<Object>} As transcribe
+   */
+  async transcribeWith(provider, filePath, options = {}) {
+    const language = options.language || 'en';
+    const identity = { provider: provider.name, model: provider.model };
+    let workDir = null;
+
+    try {
+      console.log(`🎤 Starting ${provider.name} transcription (${provider.model}) for: ${filePath}`);
+      console.log(`📏 File size: ${fs.statSync(filePath).size} bytes`);
+
+      const ext = path.extname(filePath).toLowerCase();
+      const isVideo = VIDEO_EXTENSIONS.includes(ext);
+      const fits = size => provider.maxUploadBytes === null || size <= provider.maxUploadBytes;
+      const acceptsAsIs = !isVideo && (!provider.inputFormat || ext === `.${provider.inputFormat}`);
+
+      if (acceptsAsIs && fits(fs.statSync(filePath).size)) {
+        return { ...(await this.transcribeSingleFile(provider, filePath, language, options)), ...identity };
+      }
+
+      // Video, another format or too large: re-encode as compact mono audio
+      workDir = await audioSegmenter.createWorkDir();
+      const audio = await audioSegmenter.transcode(filePath, workDir, {
+        signal: options.signal,
+        format: provider.inputFormat || 'mp3'
+      });
+
+      if (fits(audio.size)) {
+        const result = await this.transcribeSingleFile(provider, audio.path, language, options);
+        return { ...(result.success ? { ...result, duration: result.duration || audio.duration } : result), ...identity };
+      }
+
+      return { ...(await this.transcribeInSegments(provider, audio, workDir, language, options)), ...identity };
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error(`❌ ${provider.name} transcription failed for ${filePath}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Unknown error',
+        ...identity
+      };
+    } finally {
+      // Clean up transcoded audio and segments
+      await audioSegmenter.removeWorkDir(workDir).catch(() => {});
+    }
+  }
+
+  /**
+   * Transcribe one file, retrying transient failures
+   * @param {Object} provider - Transcription provider
+   * @param {string} audioPath - Audio file within the provider's upload limit
+   * @param {string} language - Language code
+   * @param {Object} options - { signal, maxAttempts } (attempts in all, the first included)
+   * @returns {Promise<Object>} { success, text, confidence, language, duration, segments, words } or { success: false, error }
+   */
+  async transcribeSingleFile(provider, audioPath, language, options = {}) {
+    const maxAttempts = options.maxAttempts || 2;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      try {
+        console.log(`🚀 Sending to ${provider.name} transcription... (attempt ${attempt + 1})`);
+        const result = await provider.transcribeFile(audioPath, { language, signal: options.signal });
+        console.log(`✅ ${provider.name} transcription completed for: ${audioPath}`);
+        return { success: true, ...result };
+      } catch (error) {
+        lastError = error;
+        console.error(`❌ ${provider.name} transcription failed (attempt ${attempt + 1}) for ${audioPath}:`, error.message);
+        if (options.signal?.aborted) throw error;
+        if (!provider.isTransientError(error) || attempt >= maxAttempts - 1) break;
+
+        const wait = 1000 * Math.pow(2, attempt); // Exponential backoff: 1s, 2s, 4s
+        console.log(`🔁 Retrying ${provider.name} transcription in ${wait / 1000}s...`);
+        await sleep(wait);
+      }
+    }
+
+    return {
+      success: false,
+      error: lastError?.message || 'Unknown error'
+    };
+  }
+
+  /**
+   * Transcribe a long recording segment by segment
+   * A segment that keeps failing leaves a gap instead of failing the whole meeting,
+   * unless so many fail that the problem is clearly not the audio.
+   * @param {Object} provider - Transcription provider
+   * @param {Object} audio - Transcoded audio { path, duration, size }
+   * @param {string} workDir - Scratch directory for segment files
+   * @param {string} language - Language code
+   * @param {Object} options - { signal, onProgress }
+   * @returns {Promise<Object>} Stitched transcription result, with gaps for untranscribed segments
+   */
+  async transcribeInSegments(provider, audio, workDir, language, options = {}) {
+    const { signal, onProgress } = options;
+    const segments = await audioSegmenter.split(audio, workDir, { signal });
+    // Local engines already use every core; running them side by side only adds memory
+    const concurrency = provider.local ? 1 : parseInt(process.env.TRANSCRIPTION_SEGMENT_CONCURRENCY, 10) || 3;
+    // TRANSCRIPTION_SEGMENT_RETRIES counts the retries after a segment's first attempt
+    const retries = parseInt(process.env.TRANSCRIPTION_SEGMENT_RETRIES, 10);
+    const maxAttempts = (Number.isInteger(retries) && retries >= 0 ? retries : 3) + 1;
+    const pieces = new Array(segments.length);
+    let nextIndex = 0;
+    let finished = 0;
+
+    const transcribeNext = async () => {
+      while (nextIndex < segments.length) {
+        const segment = segments[nextIndex++];
+        signal?.throwIfAborted();
+
+        const result = await this.transcribeSingleFile(provider, segment.path, language, { signal, maxAttempts });
+        if (!result.success) {
+          console.error(`❌ Segment ${segment.index + 1}/${segments.length} could not be transcribed: ${result.error}`);
+        }
+        pieces[segment.index] = { ...segment, result: result.success ? result : null, error: result.error || null };
+
+        finished++;
+        if (onProgress) {
+          await Promise.resolve(onProgress(finished / segments.length)).catch(() => {});
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, segments.length) }, transcribeNext));
+
+    const failed = pieces.filter(piece => !piece.result);
+    if (failed.length > pieces.length * MAX_FAILED_SEGMENT_RATIO) {
+      return {
+        success: false,
+        error: `${failed.length} of ${pieces.length} audio segments could not be transcribed: ${failed[0].error}`
+      };
+    }
+
+    const stitched = audioSegmenter.stitch(pieces, audio.duration);
+    console.log(`🧵 Stitched ${pieces.length} segments (${stitched.segments.length} transcript segments, ${failed.length} gap(s))`);
+
+    return {
+      success: true,
+      text: stitched.text,
+      confidence: 0,
+      language: stitched.language,
+      duration: stitched.duration,
+      segments: stitched.segments,
+      words: stitched.words,
+      gaps: failed.map(piece => ({ start: piece.start, end: piece.end, error: piece.error }))
+    };
+  }
+}
+
+module.exports = new TranscriptionService();
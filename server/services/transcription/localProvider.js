@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+require('dotenv').config();
+
+const ENGINES = ['whisper.cpp', 'faster-whisper'];
+const FASTER_WHISPER_SCRIPT = path.join(__dirname, 'faster_whisper_transcribe.py');
+// Keep the end of stderr for error messages; engines log a lot while loading models
+const STDERR_TAIL_BYTES = 2000;
+
+/**
+ * Run a command to completion, killing it when the signal aborts or the timeout passes
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { signal, timeoutMs }
+ * @returns {Promise<string>} Everything the command wrote to stdout
+ */
+const runProcess = (command, args, options = {}) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    signal: options.signal,
+    timeout: options.timeoutMs,
+    killSignal: 'SIGKILL'
+  });
+  const stdout = [];
+  let stderr = '';
+
+  child.stdout.on('data', chunk => stdout.push(chunk));
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk.toString()).slice(-STDERR_TAIL_BYTES);
+  });
+
+  child.on('error', error => {
+    if (options.signal?.aborted) {
+      reject(options.signal.reason || error);
+    } else if (error.code === 'ENOENT') {
+      reject(new Error(`Local transcription engine not found: ${command}`));
+    } else {
+      reject(error);
+    }
+  });
+
+  child.on('close', (code, signal) => {
+    if (code === 0) {
+      resolve(Buffer.concat(stdout).toString());
+    } else if (options.signal?.aborted) {
+      reject(options.signal.reason || new Error('Aborted'));
+    } else if (signal) {
+      reject(new Error(`${path.basename(command)} was stopped (${signal}), most likely after timing out at ${options.timeoutMs}ms`));
+    } else {
+      reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+    }
+  });
+});
+
+/**
+ * Turn whisper.cpp's full JSON output (-ojf) into the shape OpenAI returns
+ * Tokens are sub-word pieces; a token starting with a space begins a new word.
+ * @param {Object} output - Parsed JSON file
+ * @returns {Object} { text, language, duration, segments, words }
+ */
+const parseWhisperCppOutput = (output) => {
+  const segments = [];
+  const words = [];
+
+  (output.transcription || []).forEach((entry, id) => {
+    const start = (entry.offsets?.from || 0) / 1000;
+    const end = (entry.offsets?.to || 0) / 1000;
+    const tokens = (entry.tokens || []).filter(token => !/^\[_.*\]$/.test(token.text || ''));
+    const logprobs = tokens.filter(token => token.p > 0).map(token => Math.log(token.p));
+
+    segments.push({
+      id,
+      start,
+      end,
+      text: String(entry.text || '').trim(),
+      avg_logprob: logprobs.length > 0 ? logprobs.reduce((sum, value) => sum + value, 0) / logprobs.length : null
+    });
+
+    for (const token of tokens) {
+      const tokenStart = (token.offsets?.from || 0) / 1000;
+      const tokenEnd = (token.offsets?.to || 0) / 1000;
+      const last = words[words.length - 1];
+      if (last && last.segment === id && !/^\s/.test(token.text)) {
+        last.word += token.text;
+        last.end = tokenEnd;
+      } else {
+        words.push({ segment: id, word: token.text.trim(), start: tokenStart, end: tokenEnd });
+      }
+    }
+  });
+
+  return {
+    text: segments.map(segment => segment.text).join(' ').trim(),
+    language: output.result?.language || null,
+    duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+    segments,
+    words: words.filter(word => word.word).map(({ word, start, end }) => ({ word, start, end }))
+  };
+};
+
+/**
+ * Transcription on our own servers, by running a local Whisper engine on the CPU as a
+ * subprocess; audio never leaves the machine
+ *
+ * LOCAL_WHISPER_ENGINE selects the engine:
+ *   whisper.cpp     LOCAL_WHISPER_BIN (whisper-cli) with LOCAL_WHISPER_MODEL as the ggml model file
+ *   faster-whisper  LOCAL_WHISPER_PYTHON (python3) running faster_whisper_transcribe.py, with
+ *                   LOCAL_WHISPER_MODEL as a model size ("small") or a CTranslate2 model directory
+ */
+class LocalTranscriptionProvider {
+  constructor() {
+    this.name = 'local';
+    this.label = 'Local Whisper (on-premises)';
+    this.engine = process.env.LOCAL_WHISPER_ENGINE || 'faster-whisper';
+    this.modelName = process.env.LOCAL_WHISPER_MODEL || (this.engine === 'faster-whisper' ? 'small' : '');
+    this.model = `${this.engine}/${path.basename(this.modelName || 'unset')}`;
+    this.local = true;
+    this.inputFormat = 'wav';
+    // The whole recording is processed in one run; there is no upload to split for
+    this.maxUploadBytes = null;
+    this.threads = parseInt(process.env.LOCAL_WHISPER_THREADS, 10) || 4;
+    this.timeoutMs = parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MS, 10) || 4 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   * @returns {boolean}
+   */
+  isConfigured() {
+    if (!ENGINES.includes(this.engine) || !this.modelName) return false;
+    // whisper.cpp needs a model file on disk; faster-whisper can download by size name
+    return this.engine !== 'whisper.cpp' || fs.existsSync(this.modelName);
+  }
+
+  /**
+   * Local runs fail for reasons a retry won't fix (missing model, bad audio, out of memory)
+   * @returns {boolean}
+   */
+  isTransientError() {
+    return false;
+  }
+
+  /**
+   * Transcribe a 16kHz mono WAV file
+   * @param {string} audioPath - Audio file
+   * @param {Object} options - { language, signal }
+   * @returns {Promise<Object>} { text, language, duration, segments, words }
+   */
+  async transcribeFile(audioPath, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`Local transcription is not configured (engine "${this.engine}", model "${this.modelName}")`);
+    }
+
+    console.log(`🖥️ Transcribing ${audioPath} locally with ${this.model}`);
+    const result = this.engine === 'whisper.cpp'
+      ? await this.runWhisperCpp(audioPath, options)
+      : await this.runFasterWhisper(audioPath, options);
+
+    return { confidence: 0, ...result };
+  }
+
+  /**
+   * Run whisper.cpp, which writes its result to a JSON file next to the audio
+   * @returns {Promise<Object>} Transcription result
+   */
+  async runWhisperCpp(audioPath, options) {
+    const outputBase = path.join(path.dirname(audioPath), `${path.basename(audioPath, path.extname(audioPath))}-whisper`);
+    await runProcess(process.env.LOCAL_WHISPER_BIN || 'whisper-cli', [
+      '-m', this.modelName,
+      '-f', audioPath,
+      '-l', options.language || 'auto',
+      '-t', String(this.threads),
+      '-ojf',
+      '-of', outputBase,
+      '-np'
+    ], { signal: options.signal, timeoutMs: this.timeoutMs });
+
+    try {
+      return parseWhisperCppOutput(JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8')));
+    } finally {
+      await fs.promises.rm(`${outputBase}.json`, { force: true });
+    }
+  }
+
+  /**
+   * Run faster-whisper through the helper script, which prints its result as JSON
+   * @returns {Promise<Object>} Transcription result
+   */
+  async runFasterWhisper(audioPath, options) {
+    const stdout = await runProcess(process.env.LOCAL_WHISPER_PYTHON || 'python3', [
+      FASTER_WHISPER_SCRIPT,
+      audioPath,
+      '--model', this.modelName,
+      '--language', options.language || '',
+      '--threads', String(this.threads),
+      '--compute-type', process.env.LOCAL_WHISPER_COMPUTE_TYPE || 'int8'
+    ], { signal: options.signal, timeoutMs: this.timeoutMs });
+
+    return JSON.parse(stdout);
+  }
+}
+
+module.exports = LocalTranscriptionProvider;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const { parseFileSize } = require('../../utils/fileSize');
+require('dotenv').config();
+
+// Whisper rejects uploads over 25MB; stay under it with some headroom
+const WHISPER_MAX_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Transcription through the OpenAI audio API (Whisper)
+ * Audio leaves our infrastructure, so organizations that cannot send PHI to OpenAI
+ * should be restricted to the local provider.
+ */
+class OpenAITranscriptionProvider {
+  constructor() {
+    this.name = 'openai';
+    this.label = 'OpenAI Whisper';
+    this.model = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+    this.local = false;
+    // Any audio format is accepted as-is
+    this.inputFormat = null;
+    this.maxUploadBytes = Math.min(
+      parseFileSize(process.env.TRANSCRIPTION_MAX_UPLOAD_SIZE, 24 * 1024 * 1024),
+      WHISPER_MAX_BYTES
+    );
+    this.client = null;
+  }
+
+  /**
+   * SDK client, created on first use
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  /**
+   * Whether a request failed for a reason worth retrying
+   * (connection problems, rate limiting or a server-side error)
+   * @param {Error} error - Error from the OpenAI SDK
+   * @returns {boolean}
+   */
+  isTransientError(error) {
+    const isNetworkError = error.code === 'ECONNRESET' || error.message?.includes('ECONNRESET') ||
+      error.message?.includes('Connection error') || error.cause?.code === 'ECONNRESET';
+    return isNetworkError || error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Transcribe one file under the upload limit
+   * @param {string} audioPath - Audio file
+   * @param {Object} options - { language, signal }
+   * @returns {Promise<Object>} { text, language, duration, segments, words }
+   */
+  async transcribeFile(audioPath, options = {}) {
+    const transcription = await this.getClient().audio.transcriptions.create({
+      file: fs.createReadStream(audioPath),
+      model: this.model,
+      language: options.language,
+      response_format: 'verbose_json',
+      // Segment timestamps are needed to stitch split recordings back together
+      timestamp_granularities: ['segment', 'word']
+    }, { signal: options.signal });
+
+    return {
+      text: transcription.text,
+      confidence: transcription.confidence || 0,
+      language: transcription.language,
+      duration: transcription.duration,
+      segments: transcription.segments || [],
+      words: transcription.words || []
+    };
+  }
+}
+
+module.exports = OpenAITranscriptionProvider;
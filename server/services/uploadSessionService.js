@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+const { parseFileSize, formatFileSize } = require('../utils/fileSize');
+require('dotenv').config();
+
+const MIN_CHUNK_SIZE = 1024 * 1024; // 1MB
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024; // 32MB
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Stores chunks of resumable uploads on local disk and assembles them once complete.
+ * Chunks live on the API server's disk, so multi-instance deployments need sticky
+ * sessions or a shared UPLOAD_CHUNK_DIR.
+ */
+class UploadSessionService {
+  constructor() {
+    this.chunkDir = process.env.UPLOAD_CHUNK_DIR || path.join(__dirname, '../uploads/chunks');
+    this.defaultChunkSize = parseFileSize(process.env.UPLOAD_CHUNK_SIZE, 8 * 1024 * 1024);
+    this.sessionTtlMs = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+    // Per-user limits on uploads in progress, so chunk requests can't fill the disk
+    this.maxOpenSessions = parseInt(process.env.UPLOAD_MAX_OPEN_SESSIONS, 10) || 5;
+    this.maxStagedBytes = parseFileSize(process.env.UPLOAD_MAX_STAGED_SIZE, 1024 * 1024 * 1024);
+  }
+
+  /**
+   * Clamp a client-requested chunk size to the supported range
+   * @param {number} requested - Requested chunk size in bytes
+   * @returns {number} Chunk size in bytes
+   */
+  resolveChunkSize(requested) {
+    const size = parseInt(requested, 10) || this.defaultChunkSize;
+    return Math.min(Math.max(size, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+  }
+
+  /**
+   * Largest chunk body the chunk endpoint must accept
+   * @returns {number} Bytes
+   */
+  getMaxChunkSize() {
+    return MAX_CHUNK_SIZE;
+  }
+
+  /**
+   * New expiry for a session that just received data
+   * @returns {Date}
+   */
+  nextExpiry() {
+    return new Date(Date.now() + this.sessionTtlMs);
+  }
+
+  /**
+   * Whether a session has outlived its TTL (the periodic sweep may not have run yet)
+   * @param {Object} session - UploadSession
+   * @returns {boolean}
+   */
+  isExpired(session) {
+    return session.expiresAt <= new Date();
+  }
+
+  /**
+   * Check that a user can start another upload within their quota
+   * Each open session reserves its whole file size, so its chunks never exceed the quota
+   * @param {string} organization - Organization name
+   * @param {string} userId - User ID
+   * @param {number} fileSize - Size of the new upload in bytes
+   * @returns {Promise<string|null>} Why the upload is refused, or null if it fits
+   */
+  async checkQuota(organization, userId, fileSize) {
+    const open = await UploadSession.find({
+      organization,
+      createdBy: userId,
+      status: { $in: ['active', 'completing'] },
+      expiresAt: { $gt: new Date() }
+    }).select('fileSize');
+
+    if (open.length >= this.maxOpenSessions) {
+      return `You already have ${open.length} uploads in progress. Finish or cancel one before starting another.`;
+    }
+
+    const stagedBytes = open.reduce((total, session) => total + session.fileSize, 0);
+    if (stagedBytes + fileSize > this.maxStagedBytes) {
+      return `Uploads in progress are limited to ${formatFileSize(this.maxStagedBytes)}. Finish or cancel one before starting another.`;
+    }
+
+    return null;
+  }
+
+  getSessionDir(sessionId) {
+    return path.join(this.chunkDir, sessionId.toString());
+  }
+
+  getChunkPath(sessionId, index) {
+    return path.join(this.getSessionDir(sessionId), `${index}.part`);
+  }
+
+  /**
+   * Expected byte length of a chunk (the last one may be shorter)
+   * @param {Object} session - UploadSession
+   * @param {number} index - Chunk index
+   * @returns {number} Bytes
+   */
+  expectedChunkSize(session, index) {
+    if (index < session.totalChunks - 1) return session.chunkSize;
+    return session.fileSize - session.chunkSize * (session.totalChunks - 1);
+  }
+
+  /**
+   * Verify and store one chunk, then record it on the session
+   * Re-sending a chunk replaces the previous copy
+   * @param {Object} session - Active UploadSession
+   * @param {number} index - Chunk index
+   * @param {Buffer} buffer - Chunk bytes
+   * @param {string} checksum - Client SHA-256 (hex) of the chunk
+   * @returns {Promise<Object>} { success, session } or { success: false, error }
+   */
+  async writeChunk(session, index, buffer, checksum) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      return { success: false, error: `Chunk index must be between 0 and ${session.totalChunks - 1}` };
+    }
+
+    const expectedSize = this.expectedChunkSize(session, index);
+    if (!buffer || buffer.length !== expectedSize) {
+      return { success: false, error: `Chunk ${index} should be ${expectedSize} bytes, received ${buffer ? buffer.length : 0}` };
+    }
+
+    const actualChecksum = sha256(buffer);
+    if (!checksum || actualChecksum !== String(checksum).toLowerCase()) {
+      return { success: false, error: `Checksum mismatch for chunk ${index}`, checksumMismatch: true };
+    }
+
+    // Write to a temporary name first so a dropped connection never leaves a partial chunk
+    const chunkPath = this.getChunkPath(session._id, index);
+    const tempPath = `${chunkPath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(this.getSessionDir(session._id), { recursive: true });
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, chunkPath);
+
+    await UploadSession.updateOne(
+      { _id: session._id, status: 'active' },
+      { $pull: { receivedChunks: { index } } }
+    );
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', expiresAt: { $gt: new Date() } },
+      {
+        $push: { receivedChunks: { index, size: buffer.length, checksum: actualChecksum, receivedAt: new Date() } },
+        $set: { expiresAt: this.nextExpiry() }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: 'Upload session is no longer active' };
+    }
+
+    return { success: true, session: updated };
+  }
+
+  /**
+   * Indexes of chunks that still need to be uploaded
+   * @param {Object} session - UploadSession
+   * @returns {number[]}
+   */
+  getMissingChunks(session) {
+    const received = new Set((session.receivedChunks || []).map(chunk => chunk.index));
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!received.has(index) || !fs.existsSync(this.getChunkPath(session._id, index))) {
+        missing.push(index);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Concatenate all chunks into a single file
+   * @param {Object} session - UploadSession with every chunk received
+   * @returns {Promise<Object>} { path, size, checksum }
+   */
+  async assemble(session) {
+    const ext = path.extname(session.fileName).toLowerCase();
+    const assembledPath = path.join(this.getSessionDir(session._id), `assembled${ext}`);
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(assembledPath);
+    let size = 0;
+
+    try {
+      for (let index = 0; index < session.totalChunks; index++) {
+        const chunk = await fs.promises.readFile(this.getChunkPath(session._id, index));
+        hash.update(chunk);
+        size += chunk.length;
+        if (!output.write(chunk)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => {
+        output.end(error => (error ? reject(error) : resolve()));
+      });
+    }
+
+    return {
+      path: assembledPath,
+      size,
+      checksum: hash.digest('hex')
+    };
+  }
+
+  /**
+   * Delete a session's chunks and assembled file
+   * @param {string} sessionId - UploadSession ID
+   * @returns {Promise<void>}
+   */
+  async removeSessionFiles(sessionId) {
+    await fs.promises.rm(this.getSessionDir(sessionId), { recursive: true, force: true });
+  }
+
+  /**
+   * Expire sessions nobody has touched within the TTL and free their disk space
+   * @returns {Promise<number>} Number of sessions expired
+   */
+  async cleanupExpiredSessions() {
+    const expired = await UploadSession.find({
+      status: { $in: ['active', 'completing'] },
+      expiresAt: { $lt: new Date() }
+    }).select('_id');
+
+    for (const session of expired) {
+      await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'expired' } });
+      await this.removeSessionFiles(session._id);
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Expired ${expired.length} abandoned upload session(s)`);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = new UploadSessionService();
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const Organization = require('../models/Organization');
+require('dotenv').config();
+
+const BUDGET_ACTIONS = ['block', 'queue'];
+
+// Queued work is re-checked this often while over budget, so raising the budget releases it
+const DEFAULT_BUDGET_RECHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Start of the calendar month (UTC) containing a date, and of the next one
+ * @param {Date} date - Any date in the month
+ * @returns {Object} { start, end }
+ */
+const monthOf = (date = new Date()) => ({
+  start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+  end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+});
+
+const toObjectId = (id) => (id && mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(String(id)) : null);
+
+const roundCost = (value) => Math.round((value || 0) * 1e6) / 1e6;
+
+/**
+ * AI usage ledger and monthly budgets
+ *
+ * Every chat completion and transcription is recorded against an attribution
+ * ({ organization, user, transcriptId }) with its tokens or audio length, latency and
+ * estimated cost (see ./pricing). Organizations may set settings.monthlyAIBudgetUsd;
+ * once the calendar month's spend reaches it, new AI work is refused (aiBudgetAction
+ * 'block') or held in the job queue until the budget allows it ('queue').
+ */
+class UsageService {
+  constructor() {
+    this.recheckMs = parseInt(process.env.AI_BUDGET_RECHECK_MS, 10) || DEFAULT_BUDGET_RECHECK_MS;
+  }
+
+  /**
+   * Attribution for AI work done on behalf of a request
+   * @param {Object} req - Authenticated Express request
+   * @param {string} [transcriptId] - Transcript the work is for
+   * @returns {Object} { organization, user, transcriptId }
+   */
+  fromRequest(req, transcriptId = null) {
+    return {
+      organization: req.user.organization,
+      user: req.user._id,
+      transcriptId
+    };
+  }
+
+  /**
+   * Attribution for AI work done by a job
+   * @param {Object} job - Job document
+   * @returns {Object} { organization, user, transcriptId }
+   */
+  fromJob(job) {
+    return {
+      organization: job.organization,
+      user: job.createdBy,
+      transcriptId: job.transcriptId || job.payload?.transcriptId || null
+    };
+  }
+
+  /**
+   * Add an entry to the ledger
+   * Never throws: a ledger failure is logged rather than failing the AI call it describes
+   * Calls without an organization (health checks, scripts) or made while the database is
+   * disconnected are not recorded.
+   * @param {Object} attribution - { organization, user, transcriptId }
+   * @param {Object} entry - AIUsage fields (kind, task, provider, model, tokens, latencyMs, estimatedCostUsd, ...)
+   * @returns {Promise<void>}
+   */
+  async record(attribution, entry) {
+    if (!attribution?.organization || mongoose.connection.readyState !== 1) return;
+
+    try {
+      await AIUsage.create({
+        ...entry,
+        organization: attribution.organization,
+        user: toObjectId(attribution.user),
+        transcriptId: toObjectId(attribution.transcriptId),
+        estimatedCostUsd: roundCost(entry.estimatedCostUsd)
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record AI usage for ${entry.task}:`, error.message);
+    }
+  }
+
+  /**
+   * Estimated spend for an organization over a period
+   * @param {string} organization - Organization name
+   * @param {Date} from - Inclusive start
+   * @param {Date} to - Exclusive end
+   * @returns {Promise<number>} USD
+   */
+  async getSpend(organization, from, to) {
+    const [row] = await AIUsage.aggregate([
+      { $match: { organization, timestamp: { $gte: from, $lt: to } } },
+      { $group: { _id: null, cost: { $sum: '$estimatedCostUsd' } } }
+    ]);
+    return roundCost(row?.cost);
+  }
+
+  /**
+   * Current month's spend against the organization's budget
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object>} { budget, action, spent, remaining, exceeded, periodStart, resetsAt }
+   *   budget is null when the organization has no limit
+   */
+  async getBudgetStatus(organization) {
+    const { start, end } = monthOf();
+    const org = await Organization.findOne({ name: organization }).select('settings').lean();
+    const budget = org?.settings?.monthlyAIBudgetUsd ?? null;
+    const action = org?.settings?.aiBudgetAction || 'block';
+    const spent = await this.getSpend(organization, start, end);
+
+    return {
+      budget,
+      action,
+      spent,
+      remaining: budget === null ? null : roundCost(Math.max(budget - spent, 0)),
+      exceeded: budget !== null && spent >= budget,
+      periodStart: start,
+      resetsAt: end
+    };
+  }
+
+  /**
+   * Throw if the organization has used up this month's AI budget
+   * The error has code AI_BUDGET_EXCEEDED and is not retryable; when the organization
+   * queues over-budget work it also carries deferUntil, which the job worker honours.
+   * @param {string} organization - Organization name
+   * @returns {Promise<Object>} Budget status when within budget
+   */
+  async assertWithinBudget(organization) {
+    const status = await this.getBudgetStatus(organization);
+    if (!status.exceeded) return status;
+
+    const error = new Error(
+      `Monthly AI budget of $${status.budget.toFixed(2)} reached ($${status.spent.toFixed(2)} spent); ` +
+      `it resets on ${status.resetsAt.toISOString().slice(0, 10)}`
+    );
+    error.code = 'AI_BUDGET_EXCEEDED';
+    error.retryable = false;
+    error.budget = status;
+    if (status.action === 'queue') {
+      error.deferUntil = new Date(Math.min(status.resetsAt.getTime(), Date.now() + this.recheckMs));
+    }
+    throw error;
+  }
+
+  /**
+   * Usage totals and breakdowns for the admin usage page
+   * @param {string} organization - Organization name
+   * @param {Object} range - { from, to }; defaults to the current month
+   * @returns {Promise<Object>} { from, to, totals, byTask, byModel, byUser, byTranscript, byDay }
+   */
+  async summarize(organization, range = {}) {
+    const month = monthOf();
+    const from = range.from || month.start;
+    const to = range.to || month.end;
+    const match = { organization, timestamp: { $gte: from, $lt: to } };
+
+    const totals = {
+      calls: { $sum: 1 },
+      cachedCalls: { $sum: { $cond: ['$cached', 1, 0] } },
+      failedCalls: { $sum: { $cond: ['$success', 0, 1] } },
+      inputTokens: { $sum: '$inputTokens' },
+      outputTokens: { $sum: '$outputTokens' },
+      audioSeconds: { $sum: '$audioSeconds' },
+      latencyMs: { $sum: '$latencyMs' },
+      estimatedCostUsd: { $sum: '$estimatedCostUsd' }
+    };
+
+    const group = (key, limit) => [
+      { $group: { _id: key, ...totals } },
+      { $sort: { estimatedCostUsd: -1, calls: -1 } },
+      ...(limit ? [{ $limit: limit }] : [])
+    ];
+
+    const [result] = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: group(null),
+          byTask: group('$task'),
+          byModel: group({ provider: '$provider', model: '$model' }),
+          byUser: [
+            ...group('$user', 50),
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'account' } }
+          ],
+          byTranscript: [
+            { $match: { transcriptId: { $ne: null } } },
+            ...group('$transcriptId', 50),
+            { $lookup: { from: 'transcripts', localField: '_id', foreignField: '_id', as: 'transcript' } }
+          ],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, ...totals } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const format = ({ _id, account, transcript, ...row }) => ({
+      ...row,
+      estimatedCostUsd: roundCost(row.estimatedCostUsd),
+      averageLatencyMs: row.calls - row.cachedCalls > 0 ? Math.round(row.latencyMs / (row.calls - row.cachedCalls)) : 0
+    });
+
+    return {
+      from,
+      to,
+      totals: result.totals[0] ? format(result.totals[0]) : format({ calls: 0, cachedCalls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, audioSeconds: 0, latencyMs: 0, estimatedCostUsd: 0 }),
+      byTask: result.byTask.map(row => ({ task: row._id, ...format(row) })),
+      byModel: result.byModel.map(row => ({ provider: row._id.provider, model: row._id.model, ...format(row) })),
+      byUser: result.byUser.map(row => ({
+        user: row._id,
+        name: row.account[0] ? `${row.account[0].firstName} ${row.account[0].lastName}` : null,
+        email: row.account[0]?.email || null,
+        ...format(row)
+      })),
+      byTranscript: result.byTranscript.map(row => ({
+        transcriptId: row._id,
+        hcpName: row.transcript[0]?.hcpName || null,
+        originalFileName: row.transcript[0]?.originalFileName || null,
+        meetingDate: row.transcript[0]?.meetingDate || null,
+        ...format(row)
+      })),
+      byDay: result.byDay.map(row => ({ date: row._id, ...format(row) }))
+    };
+  }
+}
+
+const usageService = new UsageService();
+usageService.BUDGET_ACTIONS = BUDGET_ACTIONS;
+
+module.exports = usageService;
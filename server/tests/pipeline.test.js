@@ -0,0 +1,674 @@
+const request = require('supertest');
+const app = require('../app');
+const database = require('./support/database');
+const { FakeOpenAI, transcription, chatJson, chatText, error } = require('./support/fakeOpenAI');
+const {
+  AUDIO,
+  TRANSCRIPTION,
+  SENTIMENT,
+  INSIGHTS,
+  ADVERSE_EVENTS,
+  COMPLIANCE_FINDINGS,
+  createUser,
+  runQueuedJobs,
+  removeUploadedFiles
+} = require('./support/pipeline');
+const Transcript = require('../models/Transcript');
+const TranscriptSegment = require('../models/TranscriptSegment');
+const Job = require('../models/Job');
+const AIUsage = require('../models/AIUsage');
+const complianceService = require('../services/complianceService');
+const redactionService = require('../services/redactionService');
+const uploadSessionService = require('../services/uploadSessionService');
+
+const FILE_NAME = 'pipeline-test.mp3';
+
+const fakeOpenAI = new FakeOpenAI();
+let token;
+
+const upload = (fields = {}) => request(app)
+  .post('/api/upload')
+  .set('Authorization', `Bearer ${token}`)
+  .field({ hcpName: 'Dr. Patel', hcpSpecialty: 'Oncology', meetingDate: '2024-02-14', ...fields })
+  .attach('file', AUDIO, { filename: FILE_NAME, contentType: 'audio/mpeg' });
+
+beforeAll(async () => {
+  process.env.OPENAI_BASE_URL = await fakeOpenAI.start();
+  await database.connect();
+});
+
+beforeEach(async () => {
+  ({ token } = await createUser());
+  // Every transcription is followed by adverse event screening and the compliance check; most tests expect them to find nothing
+  fakeOpenAI
+    .fallback('adverse_events', chatJson({ events: [] }))
+    .fallback('compliance_findings', chatJson({ findings: [] }));
+});
+
+afterEach(async () => {
+  await removeUploadedFiles(FILE_NAME);
+  await database.clear();
+  fakeOpenAI.reset();
+});
+
+afterAll(async () => {
+  await database.disconnect();
+  await fakeOpenAI.stop();
+});
+
+describe('POST /api/upload', () => {
+  it('requires authentication', async () => {
+    const res = await request(app).post('/api/upload');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects uploads without meeting details and queues nothing', async () => {
+    const res = await request(app)
+      .post('/api/upload')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', AUDIO, { filename: FILE_NAME, contentType: 'audio/mpeg' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Missing required fields/);
+    expect(await Transcript.countDocuments()).toBe(0);
+    expect(await Job.countDocuments()).toBe(0);
+  });
+
+  it('creates a pending transcript and queues transcription', async () => {
+    const res = await upload();
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ success: true, status: 'processing' });
+
+    const transcript = await Transcript.findById(res.body.transcriptId);
+    expect(transcript).toMatchObject({
+      hcpName: 'Dr. Patel',
+      organization: 'Test Pharma',
+      transcriptionStatus: 'pending',
+      processingStage: 'queued',
+      transcriptionProvider: 'openai'
+    });
+    // Held from CRM sync until the compliance check has run
+    expect(transcript.compliance.status).toBe('pending');
+
+    const job = await Job.findById(res.body.jobId);
+    expect(job).toMatchObject({ type: 'transcription', status: 'queued' });
+    expect(job.payload.transcriptId).toBe(res.body.transcriptId.toString());
+    expect(fakeOpenAI.requests).toHaveLength(0);
+  });
+
+  it('lets only the uploader cancel, and only until the recording is transcribed', async () => {
+    const { token: otherToken } = await createUser({ permissions: { canEditTranscripts: false } });
+    const cancel = (transcriptId, as) => request(app)
+      .delete(`/api/upload/${transcriptId}`)
+      .set('Authorization', `Bearer ${as}`);
+
+    const queued = await upload();
+    expect((await cancel(queued.body.transcriptId, otherToken)).status).toBe(403);
+    expect((await cancel(queued.body.transcriptId, token)).status).toBe(200);
+    expect(await Transcript.exists({ _id: queued.body.transcriptId })).toBeNull();
+
+    fakeOpenAI
+      .script('transcription', transcription(TRANSCRIPTION))
+      .script('sentiment_analysis', chatJson(SENTIMENT))
+      .script('key_insights', chatJson(INSIGHTS));
+    const transcribed = await upload();
+    await runQueuedJobs();
+    const late = await cancel(transcribed.body.transcriptId, token);
+    expect(late.status).toBe(409);
+    expect(await Transcript.exists({ _id: transcribed.body.transcriptId })).not.toBeNull();
+  });
+});
+
+describe('POST /api/upload/sessions', () => {
+  const startSession = (fingerprint, fileSize) => request(app)
+    .post('/api/upload/sessions')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      fileName: FILE_NAME,
+      fileSize,
+      mimeType: 'audio/mpeg',
+      fingerprint,
+      metadata: { hcpName: 'Dr. Patel', hcpSpecialty: 'Oncology', meetingDate: '2024-02-14' }
+    });
+
+  it('limits the uploads a user can have in progress', async () => {
+    const { maxOpenSessions, maxStagedBytes } = uploadSessionService;
+    uploadSessionService.maxOpenSessions = 2;
+    uploadSessionService.maxStagedBytes = 10 * 1024 * 1024;
+
+    try {
+      expect((await startSession('first', 4 * 1024 * 1024)).status).toBe(201);
+      // Over the byte quota
+      expect((await startSession('second', 8 * 1024 * 1024)).status).toBe(429);
+      expect((await startSession('second', 4 * 1024 * 1024)).status).toBe(201);
+      // Over the session quota, though resuming an open session still works
+      expect((await startSession('third', 1024)).status).toBe(429);
+      const resumed = await startSession('first', 4 * 1024 * 1024);
+      expect(resumed.status).toBe(200);
+      expect(resumed.body.resumed).toBe(true);
+    } finally {
+      Object.assign(uploadSessionService, { maxOpenSessions, maxStagedBytes });
+    }
+  });
+});
+
+describe('processing pipeline', () => {
+  it('transcribes and analyses an upload to a completed transcript', async () => {
+    fakeOpenAI
+      .script('transcription', transcription(TRANSCRIPTION))
+      .script('sentiment_analysis', chatJson(SENTIMENT))
+      .script('key_insights', chatJson(INSIGHTS));
+
+    const { body } = await upload();
+    const ran = await runQueuedJobs();
+
+    // Analysis and the compliance check share a priority, so either may run first
+    expect(ran.slice(0, 2)).toEqual(['transcription', 'adverse-events']);
+    expect(ran.slice(2).sort()).toEqual(['analysis', 'compliance']);
+    expect(fakeOpenAI.pending()).toEqual({});
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript).toMatchObject({
+      rawTranscript: TRANSCRIPTION.text,
+      transcriptionStatus: 'completed',
+      processingStage: 'completed',
+      processingProgress: 100,
+      meetingDuration: TRANSCRIPTION.duration,
+      segmentCount: 3,
+      diarizationStatus: 'skipped'
+    });
+    expect(transcript.sentimentAnalysis).toMatchObject({ overall: 'positive', score: 0.6, confidence: 0.85 });
+    expect(transcript.sentimentAnalysis.generatedBy.provider).toBe('openai');
+    expect(transcript.keyInsights.map(insight => insight.insight)).toEqual(INSIGHTS.keyInsights.map(insight => insight.insight));
+    expect(transcript.actionItems.map(item => item.item)).toEqual(['Send starter samples', 'Share the full safety tables']);
+    expect(transcript.insightsSummary.executiveSummary).toBe(INSIGHTS.summary.executiveSummary);
+    expect(transcript.processingErrors).toHaveLength(0);
+
+    // Items point at the transcript segments they came from
+    expect(transcript.keyInsights[0].startTime).toBe(TRANSCRIPTION.segments[1].start);
+
+    expect(await TranscriptSegment.countDocuments({ transcript: body.transcriptId })).toBe(3);
+    expect(await Job.countDocuments({ status: 'completed' })).toBe(4);
+    expect(transcript.safety).toMatchObject({ status: 'clear', flagged: false });
+    expect(transcript.compliance).toMatchObject({ status: 'clear', flagged: false, rulesChecked: 4 });
+
+    // The audio reached the transcription API and the transcript text reached both prompts
+    expect(fakeOpenAI.requestsFor('transcription')[0].body.bytes).toBeGreaterThan(AUDIO.length);
+    for (const key of ['sentiment_analysis', 'key_insights']) {
+      const [chat] = fakeOpenAI.requestsFor(key);
+      expect(chat.body.messages.map(message => message.content).join('\n')).toContain('The survival data looks strong.');
+    }
+
+    const usage = await AIUsage.find({ transcriptId: body.transcriptId }).lean();
+    expect(usage.map(entry => entry.task).sort()).toEqual(['adverseEvents', 'compliance', 'insights', 'sentiment', 'transcription']);
+    expect(usage.every(entry => entry.success)).toBe(true);
+  });
+
+  it('marks the transcript failed when the transcription API rejects the audio', async () => {
+    fakeOpenAI.script('transcription', error(400, 'Invalid file format.'));
+
+    const { body } = await upload();
+    const ran = await runQueuedJobs();
+
+    expect(ran).toEqual(['transcription']);
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript).toMatchObject({ transcriptionStatus: 'failed', processingStage: 'failed' });
+    expect(transcript.processingErrors.map(entry => entry.error).join('\n')).toMatch(/Invalid file format/);
+
+    const job = await Job.findOne({ type: 'transcription' }).lean();
+    expect(job.status).toBe('dead');
+    expect(await Job.countDocuments({ type: 'analysis' })).toBe(0);
+    expect(fakeOpenAI.requestsFor('sentiment_analysis')).toHaveLength(0);
+  });
+
+  it('keeps the transcription when the analysis model returns an error', async () => {
+    fakeOpenAI
+      .script('transcription', transcription(TRANSCRIPTION))
+      .script('sentiment_analysis', error(400, 'This model is not available.'));
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript).toMatchObject({
+      rawTranscript: TRANSCRIPTION.text,
+      transcriptionStatus: 'completed',
+      processingStage: 'failed'
+    });
+    expect(transcript.processingErrors.map(entry => entry.error).join('\n')).toMatch(/AI analysis failed.*not available/);
+    expect(transcript.keyInsights).toHaveLength(0);
+
+    const job = await Job.findOne({ type: 'analysis' }).lean();
+    expect(job.status).toBe('dead');
+  });
+
+  it('repairs a malformed JSON response with one correction request', async () => {
+    fakeOpenAI
+      .script('transcription', transcription(TRANSCRIPTION))
+      .script('sentiment_analysis', chatText('Here is the analysis: {"overall": "positive", "score": 0.6'), chatJson(SENTIMENT))
+      .script('key_insights', chatJson(INSIGHTS));
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript.processingStage).toBe('completed');
+    expect(transcript.sentimentAnalysis.overall).toBe('positive');
+
+    const [first, correction] = fakeOpenAI.requestsFor('sentiment_analysis');
+    expect(first.body.messages).toHaveLength(correction.body.messages.length - 2);
+    expect(correction.body.messages[correction.body.messages.length - 1].content).toMatch(/could not be used/);
+  });
+
+  it('fails the analysis when the correction is malformed too', async () => {
+    fakeOpenAI
+      .script('transcription', transcription(TRANSCRIPTION))
+      .script('sentiment_analysis', chatJson(SENTIMENT))
+      .script('key_insights', chatText('not json'), chatText('{"keyInsights": "still wrong"'));
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript).toMatchObject({ transcriptionStatus: 'completed', processingStage: 'failed' });
+    expect(transcript.processingErrors.map(entry => entry.error).join('\n'))
+      .toMatch(/Insights extraction failed.*failed validation after a correction attempt/);
+    expect(transcript.keyInsights).toHaveLength(0);
+    expect(fakeOpenAI.requestsFor('key_insights')).toHaveLength(2);
+  });
+
+  it('fills missing optional fields with schema defaults', async () => {
+    fakeOpenAI
+      .script('transcription', transcription(TRANSCRIPTION))
+      .script('sentiment_analysis', chatJson({ overall: 'neutral', score: 0 }))
+      .script('key_insights', chatJson({ keyInsights: [{ insight: 'Short meeting' }], actionItems: [] }));
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript.processingStage).toBe('completed');
+    expect(transcript.sentimentAnalysis).toMatchObject({ overall: 'neutral', score: 0 });
+    expect(transcript.keyInsights).toHaveLength(1);
+    expect(transcript.keyInsights[0]).toMatchObject({ insight: 'Short meeting', category: 'business' });
+  });
+});
+
+describe('adverse event screening', () => {
+  const scriptPipeline = () => fakeOpenAI
+    .script('transcription', transcription(TRANSCRIPTION))
+    .script('adverse_events', chatJson(ADVERSE_EVENTS))
+    .script('sentiment_analysis', chatJson(SENTIMENT))
+    .script('key_insights', chatJson(INSIGHTS));
+
+  it('flags the transcript and starts the reporting clock', async () => {
+    scriptPipeline();
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript.processingStage).toBe('completed');
+    expect(transcript.safety).toMatchObject({ status: 'flagged', flagged: true });
+    expect(transcript.safety.reportDueBy - transcript.safety.detectedAt).toBe(24 * 60 * 60 * 1000);
+    expect(transcript.adverseEvents).toHaveLength(1);
+    expect(transcript.adverseEvents[0]).toMatchObject({
+      drug: 'Oncovance',
+      reaction: 'severe nausea',
+      reviewStatus: 'pending',
+      startTime: TRANSCRIPTION.segments[1].start,
+      timestamp: '0:00:12'
+    });
+  });
+
+  it('lets a safety reviewer confirm an event and export the intake form', async () => {
+    scriptPipeline();
+    const { token: reviewerToken } = await createUser({ permissions: { canReviewSafety: true } });
+
+    const { body } = await upload();
+    await runQueuedJobs();
+    const [event] = (await Transcript.findById(body.transcriptId).lean()).adverseEvents;
+
+    const forbidden = await request(app)
+      .put(`/api/safety/transcripts/${body.transcriptId}/events/${event._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reviewStatus: 'confirmed' });
+    expect(forbidden.status).toBe(403);
+
+    const review = await request(app)
+      .put(`/api/safety/transcripts/${body.transcriptId}/events/${event._id}`)
+      .set('Authorization', `Bearer ${reviewerToken}`)
+      .send({ reviewStatus: 'confirmed', reviewNotes: 'Reportable' });
+    expect(review.status).toBe(200);
+    expect(review.body.data.safety).toMatchObject({ status: 'reviewed', flagged: true });
+
+    const form = await request(app)
+      .get(`/api/safety/transcripts/${body.transcriptId}/intake-form`)
+      .set('Authorization', `Bearer ${reviewerToken}`);
+    expect(form.status).toBe(200);
+    expect(form.body.data).toMatchObject({ reference: `AE-${body.transcriptId}`, safetyStatus: 'reviewed' });
+    expect(form.body.data.events[0]).toMatchObject({
+      suspectProduct: 'Oncovance',
+      verbatim: ADVERSE_EVENTS.events[0].quote,
+      recordingTime: { start: '0:00:12', end: '0:00:27' },
+      review: { status: 'confirmed', notes: 'Reportable' }
+    });
+
+    const pdf = await request(app)
+      .get(`/api/safety/transcripts/${body.transcriptId}/intake-form?format=pdf`)
+      .set('Authorization', `Bearer ${reviewerToken}`);
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+  });
+});
+
+describe('compliance screening', () => {
+  const scriptPipeline = () => fakeOpenAI
+    .script('transcription', transcription(TRANSCRIPTION))
+    .script('sentiment_analysis', chatJson(SENTIMENT))
+    .script('key_insights', chatJson(INSIGHTS));
+
+  it('holds a flagged meeting back from CRM sync until a reviewer approves it', async () => {
+    scriptPipeline().script('compliance_findings', chatJson(COMPLIANCE_FINDINGS));
+    const { token: reviewerToken } = await createUser({ role: 'manager', permissions: { canReviewCompliance: true } });
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    let transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript.compliance).toMatchObject({ status: 'flagged', flagged: true, highestSeverity: 'medium' });
+    expect(transcript.complianceFindings).toHaveLength(1);
+    expect(transcript.complianceFindings[0]).toMatchObject({
+      ruleName: 'Gifts and inducements',
+      category: 'inducement',
+      source: 'model',
+      startTime: TRANSCRIPTION.segments[2].start
+    });
+
+    // The default rules and their ids reached the prompt
+    const [chat] = fakeOpenAI.requestsFor('compliance_findings');
+    expect(chat.body.messages.map(message => message.content).join('\n')).toContain('R3 [inducement, high] Gifts and inducements');
+
+    const sync = await request(app)
+      .post('/api/crm/sync')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ transcriptId: body.transcriptId });
+    expect(sync.status).toBe(409);
+    expect(sync.body.error).toMatch(/reviewer has to approve/);
+
+    const forbidden = await request(app)
+      .post(`/api/compliance/transcripts/${body.transcriptId}/review`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ decision: 'approved', notes: 'Samples only' });
+    expect(forbidden.status).toBe(403);
+
+    const withoutNotes = await request(app)
+      .post(`/api/compliance/transcripts/${body.transcriptId}/review`)
+      .set('Authorization', `Bearer ${reviewerToken}`)
+      .send({ decision: 'approved' });
+    expect(withoutNotes.status).toBe(400);
+
+    const review = await request(app)
+      .post(`/api/compliance/transcripts/${body.transcriptId}/review`)
+      .set('Authorization', `Bearer ${reviewerToken}`)
+      .send({ decision: 'approved', notes: 'Standard sample request, not tied to prescribing' });
+    expect(review.status).toBe(200);
+    expect(review.body.data).toMatchObject({ status: 'approved', review: { decision: 'approved' } });
+
+    transcript = await Transcript.findById(body.transcriptId);
+    expect(await complianceService.syncBlockReason(transcript)).toBeNull();
+
+    // Saving the text unchanged (as Finalize & Push does) keeps the approval
+    const resave = await request(app)
+      .put(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ editedTranscript: transcript.rawTranscript });
+    expect(resave.body.data.compliance.status).toBe('approved');
+    expect(resave.body.complianceJobId).toBeUndefined();
+
+    // The approval doesn't cover edited text until it has been screened again
+    fakeOpenAI.script('compliance_findings', chatJson(COMPLIANCE_FINDINGS));
+    const edit = await request(app)
+      .put(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ editedTranscript: `${TRANSCRIPTION.text} We will follow up next week.` });
+    expect(edit.status).toBe(200);
+    expect(edit.body.data.compliance.status).toBe('pending');
+    expect(edit.body.complianceJobId).toBeDefined();
+
+    const heldSync = await request(app)
+      .post('/api/crm/sync')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ transcriptId: body.transcriptId });
+    expect(heldSync.status).toBe(409);
+    expect(heldSync.body.error).toMatch(/not finished/);
+
+    // Nothing new was found, so the reviewer's approval stands
+    await runQueuedJobs();
+    transcript = await Transcript.findById(body.transcriptId);
+    expect(transcript.compliance.status).toBe('approved');
+    expect(await complianceService.syncBlockReason(transcript)).toBeNull();
+  });
+
+  it('flags pattern matches from an organization\'s own rules', async () => {
+    scriptPipeline();
+    const { token: reviewerToken } = await createUser({ role: 'manager', permissions: { canReviewCompliance: true } });
+    const addRule = (rule) => request(app)
+      .post('/api/compliance/rules')
+      .set('Authorization', `Bearer ${reviewerToken}`)
+      .send(rule);
+
+    const invalid = await addRule({ name: 'Broken', patterns: ['survival ('] });
+    expect(invalid.status).toBe(400);
+    // Nested repetition could stall the worker on every meeting
+    const catastrophic = await addRule({ name: 'Slow', patterns: ['(survival\\s*)+data'] });
+    expect(catastrophic.status).toBe(400);
+    expect(catastrophic.body.error).toMatch(/repeated groups/);
+
+    const created = await addRule({
+      name: 'Survival claims',
+      category: 'unsubstantiated-claim',
+      patterns: ['survival data looks (strong|great)'],
+      useLLM: false,
+      severity: 'high'
+    });
+    expect(created.status).toBe(201);
+
+    const rules = await request(app)
+      .get('/api/compliance/rules')
+      .set('Authorization', `Bearer ${reviewerToken}`);
+    expect(rules.body.data.map(rule => rule.name)).toContain('Survival claims');
+    expect(rules.body.data).toHaveLength(5);
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript.compliance).toMatchObject({ status: 'flagged', highestSeverity: 'high', rulesChecked: 5 });
+    expect(transcript.complianceFindings).toHaveLength(1);
+    expect(transcript.complianceFindings[0]).toMatchObject({
+      ruleName: 'Survival claims',
+      source: 'rule',
+      quote: TRANSCRIPTION.segments[1].text,
+      segmentIndex: 1
+    });
+
+    const queue = await request(app)
+      .get('/api/compliance/queue')
+      .set('Authorization', `Bearer ${reviewerToken}`);
+    expect(queue.body.data.map(entry => entry._id)).toEqual([body.transcriptId]);
+    expect(queue.body.counts).toMatchObject({ flagged: 1, approved: 0 });
+  });
+});
+
+describe('PHI redaction', () => {
+  // The first segment mentions a patient, her record number and a phone number
+  const PHI_TRANSCRIPTION = {
+    ...TRANSCRIPTION,
+    text: `Mrs. Alvarez, MRN 88812345, can be reached at 555-201-3344. ${TRANSCRIPTION.segments.slice(1).map(segment => segment.text).join(' ')}`,
+    segments: [
+      { start: 0, end: 12.4, text: 'Mrs. Alvarez, MRN 88812345, can be reached at 555-201-3344.' },
+      ...TRANSCRIPTION.segments.slice(1)
+    ]
+  };
+
+  it('sends the models redacted text and keeps the original for reviewers', async () => {
+    fakeOpenAI
+      .script('transcription', transcription(PHI_TRANSCRIPTION))
+      .script('sentiment_analysis', chatJson(SENTIMENT))
+      .script('key_insights', chatJson(INSIGHTS));
+    const { token: adminToken } = await createUser({ role: 'admin' });
+
+    const settings = await request(app)
+      .put('/api/organization/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ redaction: { enabled: true } });
+    expect(settings.status).toBe(200);
+    expect(settings.body.data.redaction).toMatchObject({ enabled: true, useNER: false });
+
+    // NER can't be turned on without a service to call
+    const withNER = await request(app)
+      .put('/api/organization/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ redaction: { useNER: true } });
+    expect(withNER.status).toBe(400);
+
+    const { body } = await upload();
+    await runQueuedJobs();
+
+    for (const key of ['sentiment_analysis', 'key_insights', 'adverse_events', 'compliance_findings']) {
+      const [chat] = fakeOpenAI.requestsFor(key);
+      const prompt = chat.body.messages.map(message => message.content).join('\n');
+      expect(prompt).toContain('Mrs. [NAME], MRN [MRN], can be reached at [PHONE].');
+      expect(prompt).not.toMatch(/Alvarez|88812345|555-201-3344/);
+      expect(prompt).toContain('The survival data looks strong.');
+    }
+
+    const transcript = await Transcript.findById(body.transcriptId).lean();
+    expect(transcript.rawTranscript).toBe(PHI_TRANSCRIPTION.text);
+    expect(transcript.redactedTranscript).toMatch(/^Mrs\. \[NAME\], MRN \[MRN\], can be reached at \[PHONE\]\. The survival data/);
+    expect(transcript.redaction).toMatchObject({ status: 'completed', source: 'raw', usedNER: false });
+    expect(transcript.redaction.counts).toEqual({ name: 1, mrn: 1, phone: 1 });
+
+    // Only users who can edit transcripts are given the original text
+    const { token: viewerToken } = await createUser({ role: 'viewer' });
+    const asViewer = await request(app)
+      .get(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(asViewer.status).toBe(200);
+    expect(asViewer.body.data).toMatchObject({ rawTranscript: transcript.redactedTranscript, originalWithheld: true });
+    expect(asViewer.body.data.redaction.spans).toEqual([]);
+    const viewerSegments = await request(app)
+      .get(`/api/transcripts/${body.transcriptId}/segments?includeWords=true`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(viewerSegments.body.data.segments[0].text).toBe('Mrs. [NAME], MRN [MRN], can be reached at [PHONE].');
+    expect(viewerSegments.body.data.segments[0].words).toBeUndefined();
+
+    const asEditor = await request(app)
+      .get(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(asEditor.body.data.rawTranscript).toBe(PHI_TRANSCRIPTION.text);
+
+    // Nor can a search tell them which meetings mention the patient
+    const viewerSearch = await request(app)
+      .get('/api/transcripts/search?q=Alvarez')
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(viewerSearch.body.pagination.total).toBe(0);
+    const editorSearch = await request(app)
+      .get('/api/transcripts/search?q=Alvarez')
+      .set('Authorization', `Bearer ${token}`);
+    expect(editorSearch.body.pagination.total).toBe(1);
+
+    // Redacting again after the text is edited works from the edited text
+    await request(app)
+      .put(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ editedTranscript: 'Call Mr. Grant on 555-201-9999 about the samples.' });
+    const redacted = await request(app)
+      .post(`/api/transcripts/${body.transcriptId}/redact`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(redacted.status).toBe(200);
+    expect(redacted.body.data).toMatchObject({
+      originalTranscript: 'Call Mr. Grant on 555-201-9999 about the samples.',
+      redactedTranscript: 'Call Mr. [NAME] on [PHONE] about the samples.',
+      redaction: { status: 'completed', source: 'edited' }
+    });
+
+    // Documents and the CRM get the analysis redacted as well as the transcript
+    await request(app)
+      .put(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        keyInsights: [{ insight: 'Mrs. Alvarez (MRN 88812345) responded well', category: 'clinical' }],
+        insightsSummary: { executiveSummary: 'Follow up with Mr. Grant on 555-201-9999.' }
+      });
+    const exported = await redactionService.forExport(await Transcript.findById(body.transcriptId));
+    expect(exported.rawTranscript).toBe('Call Mr. [NAME] on [PHONE] about the samples.');
+    expect(exported.keyInsights[0].insight).toBe('Mrs. [NAME] (MRN [MRN]) responded well');
+    expect(exported.insightsSummary.executiveSummary).toBe('Follow up with Mr. [NAME] on [PHONE].');
+
+    // So do users who may only see redacted text
+    const viewed = await request(app)
+      .get(`/api/transcripts/${body.transcriptId}`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(viewed.body.data.keyInsights[0].insight).toBe('Mrs. [NAME] (MRN [MRN]) responded well');
+    expect(viewed.body.data.insightsSummary.executiveSummary).toBe('Follow up with Mr. [NAME] on [PHONE].');
+  });
+});
+
+describe('API token scopes', () => {
+  it('keeps a narrowly scoped admin token off role-gated routes', async () => {
+    const { token: adminToken } = await createUser({ role: 'admin' });
+    const created = await request(app)
+      .post('/api/auth/tokens')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Analytics export', permissions: ['canViewAnalytics'] });
+    expect(created.status).toBe(201);
+
+    const routes = [
+      ['put', '/api/organization/settings'],
+      ['put', '/api/crm/settings'],
+      ['post', '/api/prompt-templates/insights'],
+      ['delete', '/api/files/uploads/example.mp3'],
+      ['get', '/api/audit'],
+      ['get', '/api/usage/summary'],
+      ['post', '/api/jobs/000000000000000000000000/retry']
+    ];
+    for (const [method, path] of routes) {
+      const res = await request(app)[method](path)
+        .set('Authorization', `Bearer ${created.body.token}`)
+        .send({});
+      expect([method, path, res.status]).toEqual([method, path, 403]);
+    }
+
+    const settings = await request(app)
+      .get('/api/organization/settings')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(settings.status).toBe(200);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token so each one works only once', async () => {
+    const { user } = await createUser();
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: 'password123' });
+    expect(login.status).toBe(200);
+
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    const first = await refresh(login.body.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(login.body.refreshToken);
+
+    const replayed = await refresh(login.body.refreshToken);
+    expect(replayed.status).toBe(401);
+
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+  });
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ * @returns {Promise<void>}
+ */
+async function connect() {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+}
+
+/**
+ * Remove every document, keeping collections and indexes
+ * @returns {Promise<void>}
+ */
+async function clear() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+/**
+ * Disconnect and stop the in-memory MongoDB
+ * @returns {Promise<void>}
+ */
+async function disconnect() {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+}
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,23 @@
+/**
+ * Environment for the test suite, applied before any module is loaded
+ * Values set here (even empty ones) are not overridden by a developer's .env file.
+ */
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-jwt-secret',
+  // Real calls go to the fake server started by each suite (see fakeOpenAI)
+  OPENAI_API_KEY: 'test-openai-key',
+  LLM_PROVIDER: 'openai',
+  TRANSCRIPTION_PROVIDER: 'openai',
+  // Local file storage instead of S3
+  AWS_ACCESS_KEY_ID: '',
+  AWS_SECRET_ACCESS_KEY: '',
+  AWS_REGION: '',
+  AWS_S3_BUCKET: '',
+  // One attempt per job and per model call, so failures surface without backoff waits
+  JOB_MAX_ATTEMPTS: '1',
+  LLM_MAX_RETRIES: '0',
+  LLM_CACHE_ENABLED: 'false',
+  DIARIZATION_ENABLED: 'false',
+  RATE_LIMIT_MAX_REQUESTS: '10000'
+});
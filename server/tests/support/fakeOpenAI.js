@@ -0,0 +1,191 @@
+const http = require('http');
+
+/**
+ * Local stand-in for the OpenAI HTTP API
+ *
+ * Serves POST /v1/audio/transcriptions and POST /v1/chat/completions from scripted responses,
+ * so the real SDK clients in services/transcription and services/llm can be pointed at it with
+ * OPENAI_BASE_URL. Responses are queued per route key:
+ *   'transcription'                      audio transcriptions
+ *   the response_format schema name      chat completions asking for structured output,
+ *                                        e.g. 'sentiment_analysis' or 'key_insights'
+ *   'chat'                               other chat completions
+ * Each request takes the next queued response for its key; when the queue is empty the
+ * fallback for the key is used, and without one the request fails with a 500 naming the key
+ * so a missing script is obvious in the test output.
+ */
+class FakeOpenAI {
+  constructor() {
+    this.server = null;
+    this.url = null;
+    this.reset();
+  }
+
+  /**
+   * Listen on a free local port
+   * @returns {Promise<string>} Base URL for OPENAI_BASE_URL, e.g. "http://127.0.0.1:53121/v1"
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}/v1`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Forget scripted responses, fallbacks and recorded requests
+   */
+  reset() {
+    this.queues = {};
+    this.fallbacks = {};
+    this.requests = [];
+  }
+
+  /**
+   * Queue responses for a route key, used once each in order
+   * @param {string} key - Route key (see class description)
+   * @param {...Object} responses - From the response helpers below
+   * @returns {FakeOpenAI}
+   */
+  script(key, ...responses) {
+    this.queues[key] = [...(this.queues[key] || []), ...responses];
+    return this;
+  }
+
+  /**
+   * Response for a route key whenever nothing is queued for it
+   * @param {string} key - Route key
+   * @param {Object} response - From the response helpers below
+   * @returns {FakeOpenAI}
+   */
+  fallback(key, response) {
+    this.fallbacks[key] = response;
+    return this;
+  }
+
+  /**
+   * Recorded requests for a route key
+   * @param {string} key - Route key
+   * @returns {Object[]} [{ key, path, body }] where body is parsed JSON for chat completions
+   */
+  requestsFor(key) {
+    return this.requests.filter(request => request.key === key);
+  }
+
+  /**
+   * Scripted responses not yet used
+   * @returns {Object} Route key -> count
+   */
+  pending() {
+    return Object.fromEntries(Object.entries(this.queues)
+      .filter(([, queue]) => queue.length > 0)
+      .map(([key, queue]) => [key, queue.length]));
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+
+    let key;
+    let body = null;
+    if (req.method === 'POST' && req.url === '/v1/audio/transcriptions') {
+      key = 'transcription';
+      // Multipart upload; keep the size so tests can check the audio arrived
+      body = { bytes: raw.length };
+    } else if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      body = JSON.parse(raw.toString('utf8'));
+      key = body.response_format?.json_schema?.name || 'chat';
+    } else {
+      return send(res, error(404, `No fake route for ${req.method} ${req.url}`));
+    }
+
+    this.requests.push({ key, path: req.url, body });
+
+    const queue = this.queues[key] || [];
+    const response = queue.length > 0 ? queue.shift() : this.fallbacks[key];
+    if (!response) {
+      return send(res, error(500, `No scripted response for "${key}"`));
+    }
+
+    send(res, typeof response.build === 'function' ? response.build(body) : response);
+  }
+}
+
+const send = (res, { status, json }) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(json));
+};
+
+/**
+ * A verbose_json transcription
+ * @param {Object} options - { text, duration, segments: [{ start, end, text }], language }
+ * @returns {Object} Scripted response
+ */
+const transcription = ({ text, duration, segments = [], language = 'english' }) => ({
+  status: 200,
+  json: {
+    task: 'transcribe',
+    language,
+    duration,
+    text,
+    segments: segments.map((segment, id) => ({ id, seek: 0, tokens: [], temperature: 0, ...segment })),
+    words: []
+  }
+});
+
+/**
+ * A chat completion whose message is the given text
+ * @param {string} content - Message content, sent as-is (use for malformed responses)
+ * @returns {Object} Scripted response
+ */
+const chatText = (content) => ({
+  build: (request) => ({
+    status: 200,
+    json: {
+      id: `chatcmpl-fake-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: request?.model || 'gpt-fake',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 }
+    }
+  })
+});
+
+/**
+ * A chat completion whose message is the given object as JSON
+ * @param {Object} data - Response object
+ * @returns {Object} Scripted response
+ */
+const chatJson = (data) => chatText(JSON.stringify(data));
+
+/**
+ * An API error in OpenAI's error format
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Object} Scripted response
+ */
+const error = (status, message) => ({
+  status,
+  json: { error: { message, type: status >= 500 ? 'server_error' : 'invalid_request_error', code: null } }
+});
+
+module.exports = {
+  FakeOpenAI,
+  transcription,
+  chatText,
+  chatJson,
+  error
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../../models/User');
+const Transcript = require('../../models/Transcript');
+const authService = require('../../services/authService');
+const fileService = require('../../services/fileService');
+const jobQueue = require('../../services/jobQueue');
+const JobWorker = require('../../services/jobWorker');
+const { handlers } = require('../../jobs');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// A few bytes with an .mp3 name are enough: the fake transcription API never decodes them
+const AUDIO = Buffer.from('ID3 fake audio for tests');
+
+/**
+ * Create an active user and an access token for them
+ * @param {Object} overrides - User fields
+ * @returns {Promise<Object>} { user, token }
+ */
+async function createUser(overrides = {}) {
+  const user = await User.create({
+    firstName: 'Test',
+    lastName: 'Rep',
+    email: `rep-${Date.now()}-${Math.random().toString(16).slice(2, 6)}@example.com`,
+    password: 'password123',
+    organization: 'Test Pharma',
+    role: 'analyst',
+    ...overrides
+  });
+  return { user, token: authService.generateAccessToken(user) };
+}
+
+/**
+ * Run queued jobs in this process until none are due
+ * Follow-up jobs queued by a handler (transcription -> analysis) run in the same call;
+ * retries wait for their backoff and are left queued.
+ * @returns {Promise<string[]>} Types of the jobs that ran, in order
+ */
+async function runQueuedJobs() {
+  const worker = new JobWorker({ handlers });
+  const ran = [];
+
+  for (;;) {
+    const job = await jobQueue.claim(worker.workerId, Object.keys(handlers));
+    if (!job) return ran;
+    await worker.execute(job);
+    ran.push(job.type);
+  }
+}
+
+/**
+ * Delete files stored for the transcripts in the database and multer copies of test uploads
+ * @param {string} fileName - Original file name the tests upload with
+ * @returns {Promise<void>}
+ */
+async function removeUploadedFiles(fileName) {
+  const transcripts = await Transcript.find({}, 'fileKey').lean();
+  await Promise.all(transcripts.filter(t => t.fileKey).map(t => fileService.deleteFile(t.fileKey)));
+
+  if (fs.existsSync(UPLOADS_DIR)) {
+    fs.readdirSync(UPLOADS_DIR)
+      .filter(file => file.endsWith(`-${fileName}`))
+      .forEach(file => fs.unlinkSync(path.join(UPLOADS_DIR, file)));
+  }
+}
+
+// Scripted model output for a short meeting with an oncologist
+
+const TRANSCRIPTION = {
+  text: 'Thanks for seeing me, doctor. The survival data looks strong. I would like samples and the safety tables.',
+  duration: 42.5,
+  segments: [
+    { start: 0, end: 12.4, text: 'Thanks for seeing me, doctor.' },
+    { start: 12.4, end: 27.9, text: 'The survival data looks strong.' },
+    { start: 27.9, end: 42.5, text: 'I would like samples and the safety tables.' }
+  ]
+};
+
+const SENTIMENT = {
+  overall: 'positive',
+  score: 0.6,
+  details: { positive: 70, negative: 5, neutral: 25 },
+  explanations: { positive: 'Interest in the survival data', negative: '', neutral: 'Logistics' },
+  emotionalIndicators: [{ indicator: 'looks strong', type: 'positive', context: 'Survival data' }],
+  confidence: 0.85,
+  sentimentTrends: [{ segment: 'The survival data looks strong.', sentiment: 'positive', reason: 'Praise', segmentIndex: 1 }],
+  contextFactors: {
+    medicalConcerns: ['Safety profile'],
+    businessOpportunities: ['Sample request'],
+    personalRapport: 'positive',
+    professionalTone: 'formal'
+  }
+};
+
+const INSIGHTS = {
+  keyInsights: [
+    { insight: 'HCP considers the survival data strong', category: 'medical', confidence: 0.9, segmentIndex: 1, impact: 'high', context: '' },
+    { insight: 'HCP wants to try the product with patients', category: 'business', confidence: 0.8, segmentIndex: 2, impact: 'medium', context: '' }
+  ],
+  actionItems: [
+    { item: 'Send starter samples', priority: 'high', dueDate: '2024-03-01', segmentIndex: 2, category: 'follow-up' },
+    { item: 'Share the full safety tables', priority: 'medium', segmentIndex: 2, category: 'documentation' }
+  ],
+  followUpRecommendations: [{ recommendation: 'Schedule a follow-up in two weeks', timeline: '2 weeks', priority: 'medium', type: 'relationship' }],
+  riskFactors: [],
+  opportunities: [{ opportunity: 'Early adoption in second-line patients', potential: 'high', timeline: 'this quarter', category: 'market' }],
+  summary: {
+    executiveSummary: 'Positive meeting; the HCP asked for samples and safety data.',
+    keyTakeaway: 'Ready to trial',
+    strategicImplications: 'Early adopter',
+    nextSteps: 'Deliver samples'
+  }
+};
+
+// Scripted screening result pointing at the second segment
+const ADVERSE_EVENTS = {
+  events: [
+    {
+      drug: 'Oncovance',
+      reaction: 'severe nausea',
+      patientContext: 'patient in her 60s on second-line treatment',
+      seriousness: 'non-serious',
+      eventType: 'adverse-event',
+      quote: 'The survival data looks strong.',
+      segmentIndex: 1,
+      confidence: 0.8
+    }
+  ]
+};
+
+// Scripted compliance finding under the third default rule (gifts and inducements) in the last segment
+const COMPLIANCE_FINDINGS = {
+  findings: [
+    {
+      ruleId: 'R3',
+      quote: 'I would like samples and the safety tables.',
+      explanation: 'Samples discussed alongside a request to prescribe',
+      severity: 'medium',
+      segmentIndex: 2,
+      confidence: 0.6
+    }
+  ]
+};
+
+module.exports = {
+  AUDIO,
+  TRANSCRIPTION,
+  SENTIMENT,
+  INSIGHTS,
+  ADVERSE_EVENTS,
+  COMPLIANCE_FINDINGS,
+  createUser,
+  runQueuedJobs,
+  removeUploadedFiles
+};
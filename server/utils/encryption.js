@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+/**
+ * Derive the 32-byte key used for secrets at rest
+ * Falls back to JWT_SECRET so development setups work without extra config
+ * @returns {Buffer} Encryption key
+ */
+function getKey() {
+  const secret = process.env.CRM_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('CRM_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} Encoded ciphertext (enc:v1:iv:tag:data)
+ */
+function encrypt(plainText) {
+  if (plainText === undefined || plainText === null || plainText === '') {
+    return plainText;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [PREFIX, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * Values without the prefix are returned as-is
+ * @param {string} value - Stored value
+ * @returns {string} Plain text
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , iv, tag, data] = value.split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * @param {*} value - Stored value
+ * @returns {boolean} Whether the value was produced by encrypt()
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted
+};
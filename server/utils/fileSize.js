@@ -0,0 +1,38 @@
+const UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024
+};
+
+/**
+ * Parse a size setting such as "200MB", "512kb" or a plain byte count
+ * @param {string|number} value - Size setting
+ * @param {number} fallback - Bytes to use when the value is missing or invalid
+ * @returns {number} Size in bytes
+ */
+function parseFileSize(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) return fallback;
+
+  return Math.floor(parseFloat(match[1]) * UNITS[match[2] || 'b']);
+}
+
+/**
+ * Format a byte count for error messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "200MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes >= UNITS.gb && bytes % UNITS.gb === 0) return `${bytes / UNITS.gb}GB`;
+  if (bytes >= UNITS.mb) return `${Math.round(bytes / UNITS.mb)}MB`;
+  if (bytes >= UNITS.kb) return `${Math.round(bytes / UNITS.kb)}KB`;
+  return `${bytes} bytes`;
+}
+
+module.exports = {
+  parseFileSize,
+  formatFileSize
+};
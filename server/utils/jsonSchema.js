@@ -0,0 +1,193 @@
+/**
+ * Validate a value against a JSON schema, repairing what can safely be repaired
+ *
+ * Supports the subset of JSON Schema used for AI response schemas: type (including
+ * ['x', 'null']), properties, required, additionalProperties: false, items, enum,
+ * pattern, minimum, maximum and default. Repairs made along the way:
+ *   - strings holding JSON are parsed where an object or array is expected
+ *   - numeric strings become numbers; numbers outside minimum/maximum are clamped
+ *   - enum values are matched case-insensitively, then fall back to the default,
+ *     as do strings that don't match a pattern
+ *   - missing optional properties with a default are filled in
+ *   - array items that can't be repaired are dropped
+ * Anything else (a missing required property, a value of the wrong shape with no
+ * default) is reported as an error.
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check, typically parsed model output
+ * @returns {Object} { value, errors: [string], coercions: [string] }
+ */
+function coerce(schema, value) {
+  const report = { errors: [], coercions: [] };
+  const result = coerceValue(schema, value, '$', report);
+  return { value: result, errors: report.errors, coercions: report.coercions };
+}
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : [schema.type]);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Replace an invalid value with the schema's default, or record an error
+ */
+function fallback(schema, path, message, report) {
+  if (schema.default !== undefined) {
+    report.coercions.push(`${path}: ${message}, used default`);
+    return clone(schema.default);
+  }
+  report.errors.push(`${path}: ${message}`);
+  return undefined;
+}
+
+function parseJsonString(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function coerceValue(schema, value, path, report) {
+  const types = typesOf(schema);
+
+  if (value === undefined || value === null) {
+    if (types.includes('null')) return null;
+    return fallback(schema, path, 'is missing', report);
+  }
+
+  const type = types.find(candidate => candidate !== 'null');
+
+  switch (type) {
+    case 'object':
+      return coerceObject(schema, value, path, report);
+    case 'array':
+      return coerceArray(schema, value, path, report);
+    case 'number':
+    case 'integer':
+      return coerceNumber(schema, type, value, path, report);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') {
+        report.coercions.push(`${path}: converted "${value}" to a boolean`);
+        return value === 'true';
+      }
+      return fallback(schema, path, 'is not a boolean', report);
+    case 'string':
+      return coerceString(schema, value, path, report);
+    default:
+      return value;
+  }
+}
+
+function coerceObject(schema, value, path, report) {
+  const parsed = parseJsonString(value);
+  if (parsed !== value) report.coercions.push(`${path}: parsed JSON string`);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return fallback(schema, path, 'is not an object', report);
+  }
+
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const result = schema.additionalProperties === false ? {} : { ...parsed };
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    const propertyPath = `${path}.${key}`;
+    const propertyValue = parsed[key];
+
+    if (propertyValue === undefined && required.includes(key)) {
+      report.errors.push(`${propertyPath}: is required`);
+      continue;
+    }
+    if (propertyValue === undefined) {
+      if (propertySchema.default === undefined) {
+        delete result[key];
+      } else {
+        result[key] = clone(propertySchema.default);
+      }
+      continue;
+    }
+
+    const coerced = coerceValue(propertySchema, propertyValue, propertyPath, report);
+    if (coerced === undefined) {
+      delete result[key];
+    } else {
+      result[key] = coerced;
+    }
+  }
+
+  return result;
+}
+
+function coerceArray(schema, value, path, report) {
+  const parsed = parseJsonString(value);
+  if (parsed !== value) report.coercions.push(`${path}: parsed JSON string`);
+  if (!Array.isArray(parsed)) {
+    return fallback(schema, path, 'is not an array', report);
+  }
+  if (!schema.items) return parsed;
+
+  const result = [];
+  parsed.forEach((item, index) => {
+    // An item that can't be repaired is dropped rather than failing the whole response
+    const itemReport = { errors: [], coercions: [] };
+    const coerced = coerceValue(schema.items, item, `${path}[${index}]`, itemReport);
+    report.coercions.push(...itemReport.coercions);
+    if (itemReport.errors.length > 0 || coerced === undefined) {
+      report.coercions.push(`${path}[${index}]: dropped (${itemReport.errors.join('; ') || 'invalid'})`);
+    } else {
+      result.push(coerced);
+    }
+  });
+  return result;
+}
+
+function coerceNumber(schema, type, value, path, report) {
+  let number = value;
+  if (typeof number === 'string' && number.trim() !== '' && !isNaN(Number(number))) {
+    number = Number(number);
+    report.coercions.push(`${path}: converted "${value}" to a number`);
+  }
+  if (typeof number !== 'number' || !isFinite(number)) {
+    return fallback(schema, path, 'is not a number', report);
+  }
+
+  if (type === 'integer' && !Number.isInteger(number)) {
+    number = Math.round(number);
+    report.coercions.push(`${path}: rounded ${value} to ${number}`);
+  }
+  if (schema.minimum !== undefined && number < schema.minimum) {
+    report.coercions.push(`${path}: clamped ${number} to ${schema.minimum}`);
+    number = schema.minimum;
+  }
+  if (schema.maximum !== undefined && number > schema.maximum) {
+    report.coercions.push(`${path}: clamped ${number} to ${schema.maximum}`);
+    number = schema.maximum;
+  }
+  return number;
+}
+
+function coerceString(schema, value, path, report) {
+  if (typeof value === 'object') {
+    return fallback(schema, path, 'is not a string', report);
+  }
+
+  const text = String(value);
+  if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+    return fallback(schema, path, `"${text}" does not match ${schema.pattern}`, report);
+  }
+  if (!schema.enum || schema.enum.includes(text)) {
+    if (typeof value !== 'string') report.coercions.push(`${path}: converted ${value} to a string`);
+    return text;
+  }
+
+  const match = schema.enum.find(option => option.toLowerCase() === text.trim().toLowerCase());
+  if (match) {
+    report.coercions.push(`${path}: matched "${text}" to "${match}"`);
+    return match;
+  }
+  return fallback(schema, path, `"${text}" is not one of ${schema.enum.join(', ')}`, report);
+}
+
+module.exports = {
+  coerce
+};
@@ -0,0 +1,112 @@
+/**
+ * Minimal Mustache-style templates for AI prompts
+ *
+ *   {{name}}                  the variable's value; lists render one "- item" per line
+ *   {{#name}}...{{/name}}     the enclosed text when name is set (non-empty string or list, true, a number)
+ *   {{^name}}...{{/name}}     the enclosed text when name is not set
+ *
+ * Nothing is escaped, and there are no loops or partials: list variables are formatted by the
+ * caller (see promptTemplateService). Unknown variables render as empty text; use
+ * findVariables to check a template before saving it.
+ */
+
+const TAG = /\{\{\s*([#^/]?)\s*([A-Za-z][\w]*)\s*\}\}/g;
+
+const isSet = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return value !== undefined && value !== null && value !== false;
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === false) return '';
+  if (Array.isArray(value)) return value.map(item => `- ${item}`).join('\n');
+  return String(value);
+};
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} template - Template text
+ * @returns {Object[]} Nodes
+ * @throws {Error} When sections are not properly closed
+ */
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(template)) !== null) {
+    const [tag, kind, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', text: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? `; {{${current.inverted ? '^' : '#'}${current.name}}} is still open` : ''}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].name}}} is never closed`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', text: template.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+function renderNodes(nodes, variables) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    if (node.type === 'variable') return formatValue(variables[node.name]);
+    const show = isSet(variables[node.name]) !== node.inverted;
+    return show ? renderNodes(node.children, variables) : '';
+  }).join('');
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string} Rendered text, with runs of blank lines left by empty sections collapsed
+ */
+function render(template, variables = {}) {
+  return renderNodes(parse(String(template || '')), variables)
+    .replace(/\n[ \t]*\n(?:[ \t]*\n)+/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Names of all variables and sections a template uses
+ * @param {string} template - Template text
+ * @returns {string[]} Unique names
+ * @throws {Error} When sections are not properly closed
+ */
+function findVariables(template) {
+  const names = new Set();
+  const walk = (nodes) => nodes.forEach(node => {
+    if (node.type === 'text') return;
+    names.add(node.name);
+    if (node.children) walk(node.children);
+  });
+  walk(parse(String(template || '')));
+  return [...names];
+}
+
+module.exports = {
+  render,
+  findVariables
+};
@@ -0,0 +1,28 @@
+/**
+ * Build a query filter scoped to the authenticated user's organization
+ * Every tenant-owned query must go through this so one customer's data can
+ * never be returned to another
+ * @param {object} req - Express request object (req.user set by authenticate)
+ * @param {Object} filter - Additional filter conditions
+ * @returns {Object} Scoped filter
+ */
+function scopeToOrganization(req, filter = {}) {
+  if (!req.user || !req.user.organization) {
+    throw new Error('Organization scope requires an authenticated user');
+  }
+  return { ...filter, organization: req.user.organization };
+}
+
+/**
+ * Escape a string for safe use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  scopeToOrganization,
+  escapeRegex
+};
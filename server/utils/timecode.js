@@ -0,0 +1,31 @@
+/**
+ * Format seconds into a recording as h:mm:ss
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} e.g. "0:05:12"
+ */
+function formatTimecode(seconds) {
+  const total = Math.floor(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}:${secs}`;
+}
+
+/**
+ * Parse "h:mm:ss", "mm:ss" or a plain number of seconds
+ * @param {string|number} value - Timecode
+ * @returns {number|null} Seconds, or null when the value is not a timecode
+ */
+function parseTimecode(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+
+  const parts = String(value || '').trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+module.exports = {
+  formatTimecode,
+  parseTimecode
+};
@@ -0,0 +1,60 @@
+// English prose averages about four characters per token; timestamps and names run denser,
+// so the estimate errs on the high side
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Estimate how many model tokens a piece of text uses
+ * An estimate rather than a tokenizer count, since providers tokenize differently.
+ * @param {string} text - Text
+ * @returns {number} Tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text into pieces of at most maxTokens, breaking between paragraphs, then
+ * sentences, then words
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token budget per piece
+ * @returns {string[]} Pieces in order
+ */
+function splitText(text, maxTokens) {
+  const source = String(text || '').trim();
+  if (estimateTokens(source) <= maxTokens) return source ? [source] : [];
+
+  const separators = [/\n\s*\n/, /(?<=[.!?])\s+/, /\s+/];
+  const pieces = [];
+
+  const split = (part, level) => {
+    if (estimateTokens(part) <= maxTokens || level >= separators.length) {
+      pieces.push(part);
+      return;
+    }
+
+    let current = '';
+    for (const unit of part.split(separators[level]).filter(Boolean)) {
+      const joined = current ? `${current} ${unit}` : unit;
+      if (estimateTokens(joined) <= maxTokens) {
+        current = joined;
+        continue;
+      }
+      if (current) pieces.push(current);
+      if (estimateTokens(unit) > maxTokens) {
+        split(unit, level + 1);
+        current = '';
+      } else {
+        current = unit;
+      }
+    }
+    if (current) pieces.push(current);
+  };
+
+  split(source, 0);
+  return pieces;
+}
+
+module.exports = {
+  estimateTokens,
+  splitText
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { startWorker } = require('./jobs');
+
+/**
+ * Standalone background worker
+ * Runs transcription, analysis and document jobs outside the API process.
+ * Start with `npm run worker` and set JOB_WORKER_EMBEDDED=false on the API.
+ */
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('✅ Worker connected to MongoDB');
+
+  const worker = await startWorker();
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, draining jobs...`);
+
+    await worker.stop(parseInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS, 10) || 30000);
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+main().catch((error) => {
+  console.error('❌ Worker failed to start:', error);
+  process.exit(1);
+});